@@ -0,0 +1,67 @@
+#!/usr/bin/env node
+// Creates an API key and prints it once. Use it to create the first admin key;
+// later keys can be managed through /api-keys.
+//
+// Usage: npm run create-api-key -- <name> [--role reader|editor|operator|admin] [--rate-limit <per minute>] [--expires <date>]
+require('dotenv').config();
+const { connectToMongo, closeMongo } = require('../db');
+const auth = require('../services/auth');
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017';
+const DB_NAME = process.env.DB_NAME || 'ai_tools_db';
+
+function parseArgs(argv) {
+  const args = { name: null, role: 'admin', rateLimit: undefined, expires: undefined };
+  
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--role') {
+      args.role = argv[++i];
+    } else if (arg === '--rate-limit') {
+      args.rateLimit = argv[++i];
+    } else if (arg === '--expires') {
+      args.expires = argv[++i];
+    } else if (!args.name) {
+      args.name = arg;
+    } else {
+      throw new Error(`Unexpected argument: ${arg}`);
+    }
+  }
+  
+  if (!args.name) {
+    throw new Error('Usage: create-api-key <name> [--role reader|editor|operator|admin] [--rate-limit <per minute>] [--expires <date>]');
+  }
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  
+  await connectToMongo(MONGODB_URI, DB_NAME);
+  
+  try {
+    const { key, apiKey } = await auth.createApiKey({
+      name: args.name,
+      role: args.role,
+      rateLimitPerMinute: args.rateLimit,
+      expiresAt: args.expires,
+      createdBy: 'cli'
+    });
+    
+    await auth.recordAudit({
+      action: 'api_key.create',
+      actor: 'cli',
+      details: { name: apiKey.name, role: apiKey.role, key_id: apiKey._id }
+    });
+    
+    console.log(`Created ${apiKey.role} key "${apiKey.name}" (${apiKey._id}). Store it now; it cannot be shown again:`);
+    console.log(key);
+  } finally {
+    await closeMongo();
+  }
+}
+
+main().catch(error => {
+  console.error('Could not create API key:', error.message);
+  process.exit(1);
+});
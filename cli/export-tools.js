@@ -0,0 +1,61 @@
+#!/usr/bin/env node
+// Exports processed tools to a file (or stdout) as json, ndjson, csv or a zip bundle.
+//
+// Usage: npm run export-tools -- --format csv [--out tools.csv] [--status 10] [--categories a,b] [--from 2025-01-01] [--to ...]
+const fs = require('fs');
+require('dotenv').config();
+const { connectToMongo, closeMongo } = require('../db');
+const toolExport = require('../services/toolExport');
+const logger = require('../services/logger');
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017';
+const DB_NAME = process.env.DB_NAME || 'ai_tools_db';
+
+const OPTIONS = ['format', 'out', 'status', 'categories', 'from', 'to', 'date_field'];
+
+function parseArgs(argv) {
+  const args = { format: 'json' };
+  
+  for (let i = 0; i < argv.length; i++) {
+    const name = argv[i].replace(/^--/, '').replace(/-/g, '_');
+    if (!argv[i].startsWith('--') || !OPTIONS.includes(name) || argv[i + 1] === undefined) {
+      throw new Error(`Usage: export-tools --format ${toolExport.FORMATS.join('|')} [--out file] [--status s] [--categories a,b] [--from date] [--to date] [--date-field field]`);
+    }
+    args[name] = argv[++i];
+  }
+  
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const filter = toolExport.buildExportFilter(args);
+  
+  if (args.format === 'bundle' && !args.out) {
+    throw new Error('--out is required for bundle exports');
+  }
+  
+  // Keep log lines out of an export written to stdout
+  if (!args.out) {
+    logger.setLogStream(process.stderr);
+  }
+  
+  await connectToMongo(MONGODB_URI, DB_NAME);
+  
+  const out = args.out ? fs.createWriteStream(args.out) : process.stdout;
+  
+  try {
+    await toolExport.exportTools(args.format, filter, out);
+    if (args.out) {
+      out.end();
+      console.error(`Export written to ${args.out}`);
+    }
+  } finally {
+    await closeMongo();
+  }
+}
+
+main().catch(error => {
+  console.error('Export failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,71 @@
+#!/usr/bin/env node
+// Imports raw tool records from a CSV, JSON or NDJSON file into Raw-test-data.
+//
+// Usage: npm run import-raw -- <file> [--format csv|json|ndjson] [--source <profile>] [--dry-run] [--report]
+const fs = require('fs');
+require('dotenv').config();
+const { connectToMongo, closeMongo } = require('../db');
+const rawImport = require('../services/rawImport');
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017';
+const DB_NAME = process.env.DB_NAME || 'ai_tools_db';
+
+function parseArgs(argv) {
+  const args = { file: null, format: null, source: null, dryRun: false, report: false };
+  
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--format') {
+      args.format = argv[++i];
+    } else if (arg === '--source') {
+      args.source = argv[++i];
+    } else if (arg === '--dry-run') {
+      args.dryRun = true;
+    } else if (arg === '--report') {
+      args.report = true;
+    } else if (!args.file) {
+      args.file = arg;
+    } else {
+      throw new Error(`Unexpected argument: ${arg}`);
+    }
+  }
+  
+  if (!args.file) {
+    throw new Error('Usage: import-raw-data <file> [--format csv|json|ndjson] [--source <profile>] [--dry-run] [--report]');
+  }
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const format = rawImport.detectFormat({ format: args.format, fileName: args.file });
+  const content = fs.readFileSync(args.file, 'utf8');
+  
+  await connectToMongo(MONGODB_URI, DB_NAME);
+  
+  try {
+    await rawImport.ensureImportIndexes();
+    const report = await rawImport.importRawData(content, {
+      format: format,
+      source: args.source,
+      dryRun: args.dryRun
+    });
+    
+    if (args.report) {
+      console.log(JSON.stringify(report, null, 2));
+    } else {
+      for (const row of report.rows.filter(entry => entry.status !== 'accepted')) {
+        console.log(`Row ${row.row}: ${row.status} - ${row.reason}`);
+      }
+    }
+    
+    console.log(`${args.dryRun ? 'Dry run' : `Import ${report.import_id}`} completed. Accepted: ${report.accepted}, Rejected: ${report.rejected}, Duplicates: ${report.duplicates}`);
+  } finally {
+    await closeMongo();
+  }
+}
+
+main().catch(error => {
+  console.error('Import failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,75 @@
+#!/usr/bin/env node
+// A local webhook receiver for trying out /webhooks: prints every event it
+// gets and checks its signature. --status makes it answer with another code
+// (e.g. 500) to watch deliveries being retried.
+//
+// Usage: npm run webhook-receiver -- [--port <port>] [--secret <secret>] [--status <code>]
+// then POST /webhooks { "url": "http://localhost:4000/", "events": ["*"] } on a
+// server started with WEBHOOK_ALLOWED_ADDRESSES=127.0.0.1,::1
+const http = require('http');
+const { verifySignature } = require('../services/webhooks');
+
+function parseArgs(argv) {
+  const args = { port: 4000, secret: process.env.WEBHOOK_SECRET, status: 200 };
+  
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--port') {
+      args.port = parseInt(argv[++i]);
+    } else if (arg === '--secret') {
+      args.secret = argv[++i];
+    } else if (arg === '--status') {
+      args.status = parseInt(argv[++i]);
+    } else {
+      throw new Error(`Unexpected argument: ${arg}`);
+    }
+  }
+  
+  if (!args.port || !(args.status >= 100 && args.status <= 599)) {
+    throw new Error('Usage: webhook-receiver [--port <port>] [--secret <secret>] [--status <code>]');
+  }
+  return args;
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      const body = Buffer.concat(chunks).toString('utf8');
+      const signature = req.headers['x-webhook-signature'];
+      let verified = 'not checked (no --secret)';
+      
+      if (args.secret) {
+        verified = verifySignature(args.secret, signature, body) ? 'valid' : 'INVALID';
+      }
+      
+      // A receiver should refuse deliveries it cannot verify
+      const status = verified === 'INVALID' ? 401 : args.status;
+      
+      console.log(`${new Date().toISOString()} ${req.headers['x-webhook-event']} event ${req.headers['x-webhook-event-id']}`);
+      console.log(`  delivery ${req.headers['x-webhook-delivery']}, signature ${verified}, answering ${status}`);
+      try {
+        console.log(JSON.stringify(JSON.parse(body), null, 2));
+      } catch (error) {
+        console.log(body);
+      }
+      
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ received: status < 300 }));
+    });
+  });
+  
+  server.listen(args.port, () => {
+    console.log(`Webhook receiver listening on http://localhost:${args.port}/`);
+  });
+}
+
+try {
+  main();
+} catch (error) {
+  console.error('Could not start webhook receiver:', error.message);
+  process.exit(1);
+}
@@ -0,0 +1,54 @@
+const { MongoClient } = require('mongodb');
+const mongoose = require('mongoose');
+const logger = require('./services/logger');
+
+const RAW_COLLECTION = 'Raw-test-data';
+
+// MongoDB connection
+let client;
+let db;
+
+async function connectToMongo(uri, dbName) {
+  try {
+    await mongoose.connect(uri, {
+      dbName: dbName
+    });
+    logger.info('Connected to MongoDB', { db: dbName });
+    
+    // Initialize the db variable for raw data operations
+    client = new MongoClient(uri);
+    await client.connect();
+    db = client.db(dbName);
+  } catch (error) {
+    logger.error('MongoDB connection error', error);
+    process.exit(1);
+  }
+  
+  return db;
+}
+
+function getDb() {
+  if (!db) {
+    throw new Error('MongoDB is not connected');
+  }
+  return db;
+}
+
+function getRawCollection() {
+  return getDb().collection(RAW_COLLECTION);
+}
+
+async function closeMongo() {
+  await mongoose.connection.close();
+  if (client) {
+    await client.close();
+  }
+}
+
+module.exports = {
+  connectToMongo,
+  getDb,
+  getRawCollection,
+  closeMongo,
+  RAW_COLLECTION
+};
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+const ROLES = ['reader', 'editor', 'operator', 'admin'];
+
+// An API key. Only a SHA-256 hash of the key is stored; the key itself is
+// shown once when it is created.
+const apiKeySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true
+  },
+  // First characters of the key, to tell keys apart in listings and logs
+  prefix: {
+    type: String,
+    required: true
+  },
+  key_hash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  role: {
+    type: String,
+    enum: ROLES,
+    required: true
+  },
+  // Requests per minute; the API_RATE_LIMIT_PER_MINUTE default when unset
+  rate_limit_per_minute: {
+    type: Number
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  expires_at: {
+    type: Date
+  },
+  created_by: {
+    type: String
+  },
+  last_used_at: {
+    type: Date
+  },
+  revoked_at: {
+    type: Date
+  }
+}, {
+  timestamps: true,
+  collection: 'Api-keys'
+});
+
+const ApiKey = mongoose.model('ApiKey', apiKeySchema);
+ApiKey.ROLES = ROLES;
+module.exports = ApiKey;
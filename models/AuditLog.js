@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+// Who did what through the API: processing runs, settings and key changes,
+// editorial actions
+const auditLogSchema = new mongoose.Schema({
+  action: {
+    type: String,
+    required: true
+  },
+  // API key name, or "bootstrap-admin" / "anonymous"
+  actor: {
+    type: String
+  },
+  key_id: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  role: {
+    type: String
+  },
+  method: {
+    type: String
+  },
+  path: {
+    type: String
+  },
+  status: {
+    type: Number
+  },
+  request_id: {
+    type: String
+  },
+  ip: {
+    type: String
+  },
+  details: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  created_at: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  collection: 'Audit-log'
+});
+
+auditLogSchema.index({ created_at: -1 });
+auditLogSchema.index({ actor: 1, created_at: -1 });
+auditLogSchema.index({ action: 1, created_at: -1 });
+
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+module.exports = AuditLog;
@@ -0,0 +1,100 @@
+const mongoose = require('mongoose');
+
+const JOB_STATUSES = ['queued', 'running', 'cancelling', 'completed', 'cancelled', 'failed'];
+
+const jobSchema = new mongoose.Schema({
+  // process-raw-data or refresh
+  type: {
+    type: String,
+    default: 'process-raw-data'
+  },
+  status: {
+    type: String,
+    enum: JOB_STATUSES,
+    default: 'queued',
+    index: true
+  },
+  trigger: {
+    type: String,
+    default: 'api'
+  },
+  provider: {
+    type: String
+  },
+  // Analysis prompt template version; the default version when unset
+  prompt_version: {
+    type: String
+  },
+  // Ignore cached analyses and call the provider for every item
+  bypass_cache: {
+    type: Boolean,
+    default: false
+  },
+  concurrency: {
+    type: Number
+  },
+  // Most items to process; everything pending when unset
+  limit: {
+    type: Number
+  },
+  merge_policy: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  total: {
+    type: Number,
+    default: 0
+  },
+  processed: {
+    type: Number,
+    default: 0
+  },
+  failed: {
+    type: Number,
+    default: 0
+  },
+  needs_review: {
+    type: Number,
+    default: 0
+  },
+  retry_scheduled: {
+    type: Number,
+    default: 0
+  },
+  duplicate: {
+    type: Number,
+    default: 0
+  },
+  invalid_input: {
+    type: Number,
+    default: 0
+  },
+  cancel_requested: {
+    type: Boolean,
+    default: false
+  },
+  // Refresh jobs: the RefreshReport with the per-tool changes
+  report_id: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  instance_id: {
+    type: String
+  },
+  error_message: {
+    type: String
+  },
+  started_at: {
+    type: Date
+  },
+  finished_at: {
+    type: Date
+  }
+}, {
+  timestamps: true,
+  collection: 'Processing-jobs'
+});
+
+jobSchema.index({ createdAt: -1 });
+
+const Job = mongoose.model('Job', jobSchema);
+Job.STATUSES = JOB_STATUSES;
+module.exports = Job;
@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+// Outcome of a single raw item within a processing job
+const jobItemSchema = new mongoose.Schema({
+  job_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  raw_id: {
+    type: String,
+    required: true
+  },
+  tool_name: {
+    type: String
+  },
+  outcome: {
+    type: String,
+    enum: ['processed', 'duplicate', 'failed', 'needs_review', 'retry_scheduled', 'invalid_input'],
+    required: true
+  },
+  error_type: {
+    type: String
+  },
+  processed_id: {
+    type: String
+  },
+  error_message: {
+    type: String
+  }
+}, {
+  timestamps: true,
+  collection: 'Processing-job-items'
+});
+
+jobItemSchema.index({ job_id: 1, createdAt: 1 });
+
+const JobItem = mongoose.model('JobItem', jobItemSchema);
+module.exports = JobItem;
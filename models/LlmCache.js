@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+// Validated analysis stored under a hash of everything that produced it
+// (provider, model, prompt version, parameters and the rendered prompt).
+// Documents expire on their own once expires_at passes.
+const llmCacheSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  provider: {
+    type: String
+  },
+  model: {
+    type: String
+  },
+  prompt_version: {
+    type: String
+  },
+  tool_name: {
+    type: String
+  },
+  analysis: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  hits: {
+    type: Number,
+    default: 0
+  },
+  last_hit_at: {
+    type: Date
+  },
+  created_at: {
+    type: Date,
+    default: Date.now
+  },
+  expires_at: {
+    type: Date,
+    required: true
+  }
+}, {
+  collection: 'Llm-cache'
+});
+
+llmCacheSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+const LlmCache = mongoose.model('LlmCache', llmCacheSchema);
+module.exports = LlmCache;
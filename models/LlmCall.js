@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+
+// One request to an LLM provider, including repair attempts and failures
+const llmCallSchema = new mongoose.Schema({
+  provider: {
+    type: String
+  },
+  model: {
+    type: String
+  },
+  // analysis, refresh or evaluation
+  purpose: {
+    type: String
+  },
+  prompt_version: {
+    type: String
+  },
+  job_id: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  raw_id: {
+    type: String
+  },
+  tool_name: {
+    type: String
+  },
+  // 1 for the first call of an analysis, higher for repair retries
+  attempt: {
+    type: Number,
+    default: 1
+  },
+  prompt_tokens: {
+    type: Number,
+    default: 0
+  },
+  completion_tokens: {
+    type: Number,
+    default: 0
+  },
+  total_tokens: {
+    type: Number,
+    default: 0
+  },
+  cost_usd: {
+    type: Number,
+    default: 0
+  },
+  // false when the model is missing from the price table
+  priced: {
+    type: Boolean,
+    default: true
+  },
+  latency_ms: {
+    type: Number
+  },
+  success: {
+    type: Boolean,
+    default: true
+  },
+  error_message: {
+    type: String
+  },
+  created_at: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  collection: 'Llm-calls'
+});
+
+llmCallSchema.index({ created_at: -1 });
+llmCallSchema.index({ job_id: 1, created_at: -1 });
+llmCallSchema.index({ model: 1, created_at: -1 });
+
+const LlmCall = mongoose.model('LlmCall', llmCallSchema);
+module.exports = LlmCall;
@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+// Extracted text of a fetched web page, shared by every analysis that needs it.
+// Documents expire on their own once expires_at passes.
+const pageCacheSchema = new mongoose.Schema({
+  url: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  final_url: {
+    type: String
+  },
+  status_code: {
+    type: Number
+  },
+  title: {
+    type: String
+  },
+  text: {
+    type: String
+  },
+  truncated: {
+    type: Boolean,
+    default: false
+  },
+  // Why no text was stored: robots, http_error, unsupported_type, ...
+  skipped_reason: {
+    type: String
+  },
+  fetched_at: {
+    type: Date,
+    default: Date.now
+  },
+  expires_at: {
+    type: Date,
+    required: true
+  }
+}, {
+  collection: 'Page-cache'
+});
+
+pageCacheSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+const PageCache = mongoose.model('PageCache', pageCacheSchema);
+module.exports = PageCache;
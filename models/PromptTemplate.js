@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+// One immutable version of a named prompt template with its model parameters.
+// Versions saved here are added to those in config/prompt-templates.json.
+const promptTemplateSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true
+  },
+  version: {
+    type: String,
+    required: true
+  },
+  description: {
+    type: String
+  },
+  system: {
+    type: String,
+    required: true
+  },
+  // User message; {{var}} placeholders and {{#var}}...{{/var}} sections
+  user: {
+    type: String,
+    required: true
+  },
+  temperature: {
+    type: Number
+  },
+  max_tokens: {
+    type: Number
+  },
+  // Overrides the provider's default model when set
+  model: {
+    type: String
+  },
+  // Used when a run does not ask for a specific version
+  default: {
+    type: Boolean,
+    default: false
+  },
+  created_by: {
+    type: String
+  }
+}, {
+  timestamps: true,
+  collection: 'Prompt-templates'
+});
+
+promptTemplateSchema.index({ name: 1, version: 1 }, { unique: true });
+
+const PromptTemplate = mongoose.model('PromptTemplate', promptTemplateSchema);
+module.exports = PromptTemplate;
@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+
+const refreshedToolSchema = new mongoose.Schema({
+  tool_id: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  slug: {
+    type: String
+  },
+  outcome: {
+    type: String,
+    enum: ['updated', 'unchanged', 'failed', 'skipped']
+  },
+  changes: [{
+    type: mongoose.Schema.Types.Mixed
+  }],
+  // Set when the refresh sent a published tool back to review
+  status: {
+    type: String
+  },
+  error_message: {
+    type: String
+  }
+}, { _id: false });
+
+// What one staleness refresh run looked at and changed
+const refreshReportSchema = new mongoose.Schema({
+  trigger: {
+    type: String,
+    default: 'api'
+  },
+  // The job that ran this refresh (see services/jobs.js)
+  job_id: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  dry_run: {
+    type: Boolean,
+    default: false
+  },
+  options: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  updated: {
+    type: Number,
+    default: 0
+  },
+  unchanged: {
+    type: Number,
+    default: 0
+  },
+  // Dry-run tools without a cached analysis to preview
+  skipped: {
+    type: Number,
+    default: 0
+  },
+  failed: {
+    type: Number,
+    default: 0
+  },
+  tools: [refreshedToolSchema],
+  started_at: {
+    type: Date
+  },
+  finished_at: {
+    type: Date
+  }
+}, {
+  timestamps: true,
+  collection: 'Refresh-reports'
+});
+
+refreshReportSchema.index({ createdAt: -1 });
+
+const RefreshReport = mongoose.model('RefreshReport', refreshReportSchema);
+module.exports = RefreshReport;
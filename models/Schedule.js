@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+// A named cron schedule that runs one of the scheduler pipelines
+// (see services/scheduler.js)
+const scheduleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  pipeline: {
+    type: String,
+    required: true
+  },
+  cron: {
+    type: String,
+    required: true
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  description: {
+    type: String
+  },
+  // Pipeline options, e.g. { limit: 50 } or { format: 'csv' }
+  options: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // Held while a run is in progress so runs never overlap, even across
+  // instances; renewed while the run lasts and expires if the holder dies
+  lock_owner: {
+    type: String
+  },
+  lock_expires_at: {
+    type: Date
+  },
+  last_run_at: {
+    type: Date
+  },
+  last_status: {
+    type: String
+  },
+  last_duration_ms: {
+    type: Number
+  },
+  last_error: {
+    type: String
+  },
+  created_by: {
+    type: String
+  },
+  updated_by: {
+    type: String
+  }
+}, {
+  timestamps: true,
+  collection: 'Schedules'
+});
+
+const Schedule = mongoose.model('Schedule', scheduleSchema);
+module.exports = Schedule;
@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+const RUN_STATUSES = ['running', 'completed', 'failed', 'skipped'];
+
+// One run (or skipped run) of a schedule
+const scheduleRunSchema = new mongoose.Schema({
+  schedule: {
+    type: String,
+    required: true
+  },
+  pipeline: {
+    type: String
+  },
+  // cron, manual or startup
+  trigger: {
+    type: String,
+    default: 'cron'
+  },
+  status: {
+    type: String,
+    enum: RUN_STATUSES,
+    default: 'running'
+  },
+  // Why a run was skipped (already running, budget reached, ...)
+  reason: {
+    type: String
+  },
+  // Pipeline summary, e.g. { job_id, processed, failed } or { requeued }
+  result: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  error_message: {
+    type: String
+  },
+  instance_id: {
+    type: String
+  },
+  started_at: {
+    type: Date,
+    default: Date.now
+  },
+  finished_at: {
+    type: Date
+  },
+  duration_ms: {
+    type: Number
+  }
+}, {
+  collection: 'Schedule-runs'
+});
+
+scheduleRunSchema.index({ schedule: 1, started_at: -1 });
+
+const ScheduleRun = mongoose.model('ScheduleRun', scheduleRunSchema);
+ScheduleRun.RUN_STATUSES = RUN_STATUSES;
+module.exports = ScheduleRun;
@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+
+// One runtime setting changed through PUT /settings. Settings without a
+// document use their default (see services/settings.js).
+const settingSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  value: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  updated_by: {
+    type: String
+  }
+}, {
+  timestamps: true,
+  collection: 'Settings'
+});
+
+const Setting = mongoose.model('Setting', settingSchema);
+module.exports = Setting;
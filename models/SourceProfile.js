@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+// Maps the fields of one raw data source onto the canonical processing input.
+// Profiles saved here take precedence over config/source-profiles.json.
+const sourceProfileSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  description: {
+    type: String
+  },
+  // The profile applies to raw items that have all of these fields
+  detect: [{
+    type: String
+  }],
+  // Canonical field -> raw field paths to try in order (dot paths allowed)
+  fields: {
+    type: Map,
+    of: [String],
+    required: true
+  },
+  required: [{
+    type: String
+  }],
+  priority: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true,
+  collection: 'Source-profiles'
+});
+
+const SourceProfile = mongoose.model('SourceProfile', sourceProfileSchema);
+module.exports = SourceProfile;
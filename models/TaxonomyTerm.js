@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+// A canonical category or integration with the other names it goes by
+// (see services/taxonomy.js)
+const taxonomyTermSchema = new mongoose.Schema({
+  // category or integration
+  kind: {
+    type: String,
+    required: true
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  // Normalized name, unique per kind
+  key: {
+    type: String,
+    required: true
+  },
+  // Free-text names that map to this term, e.g. "AI Image Generator"
+  synonyms: [{
+    type: String
+  }],
+  synonym_keys: [{
+    type: String
+  }],
+  // Broader term of the same kind; searching for a parent finds its children
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  description: {
+    type: String
+  },
+  created_by: {
+    type: String
+  },
+  updated_by: {
+    type: String
+  }
+}, {
+  timestamps: true,
+  collection: 'Taxonomy'
+});
+
+taxonomyTermSchema.index({ kind: 1, key: 1 }, { unique: true });
+taxonomyTermSchema.index({ kind: 1, synonym_keys: 1 });
+taxonomyTermSchema.index({ parent: 1 });
+
+const TaxonomyTerm = mongoose.model('TaxonomyTerm', taxonomyTermSchema);
+module.exports = TaxonomyTerm;
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { TOOL_STATUS } = require('./toolStatus');
 
 const featureSchema = new mongoose.Schema({
   name: {
@@ -20,6 +21,62 @@ const prosConsSchema = new mongoose.Schema({
   }]
 });
 
+const statusChangeSchema = new mongoose.Schema({
+  from: {
+    type: Number
+  },
+  to: {
+    type: Number,
+    required: true
+  },
+  by: {
+    type: String
+  },
+  note: {
+    type: String
+  },
+  at: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// Logo image validated and copied into our own storage (see services/logos.js)
+const logoSchema = new mongoose.Schema({
+  source_url: {
+    type: String
+  },
+  // provided (from the raw item) or favicon (discovered on the website)
+  source: {
+    type: String
+  },
+  // Storage key, named after the content hash
+  path: {
+    type: String
+  },
+  url: {
+    type: String
+  },
+  hash: {
+    type: String
+  },
+  content_type: {
+    type: String
+  },
+  width: {
+    type: Number
+  },
+  height: {
+    type: Number
+  },
+  bytes: {
+    type: Number
+  },
+  stored_at: {
+    type: Date
+  }
+}, { _id: false });
+
 const toolSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -66,18 +123,73 @@ const toolSchema = new mongoose.Schema({
   logo_url: {
     type: String
   },
+  logo: logoSchema,
+  // Review lifecycle, see models/toolStatus.js
   status: {
     type: Number,
-    default: 10,
+    default: TOOL_STATUS.DRAFT,
     index: true
   },
+  status_history: [statusChangeSchema],
+  reviewed_by: {
+    type: String
+  },
+  reviewed_at: {
+    type: Date
+  },
+  review_note: {
+    type: String
+  },
   processed_at: {
     type: Date,
     default: Date.now
   },
+  // Version of the analysis prompt template that last analysed this tool
+  prompt_version: {
+    type: String
+  },
+  // Set to have the next staleness refresh re-analyse this tool
+  refresh_requested: {
+    type: Boolean,
+    default: false
+  },
+  refreshed_at: {
+    type: Date
+  },
+  // Refreshes that failed in a row, and when the next one may be tried
+  refresh_failures: {
+    type: Number,
+    default: 0
+  },
+  refresh_retry_at: {
+    type: Date
+  },
   original_id: {
+    type: String,
+    index: true
+  },
+  // Every raw item that has contributed to this tool
+  original_ids: [{
     type: String
-  }
+  }],
+  // Normalized website (see services/normalize.js) used to match reprocessed tools
+  website_key: {
+    type: String
+  },
+  // Normalized name used for duplicate detection
+  name_key: {
+    type: String,
+    index: true
+  },
+  // Slugs of duplicate tools that were merged into this one
+  merged_slugs: [{
+    type: String
+  }],
+  // Website keys of the merged tools, so their websites still find this one
+  merged_website_keys: [{
+    type: String,
+    index: true
+  }]
 }, {
   timestamps: true,
   collection: 'Processed-test-data'
@@ -85,6 +197,34 @@ const toolSchema = new mongoose.Schema({
 
 // Create indexes for better query performance
 toolSchema.index({ categories: 1 });
+toolSchema.index({ integrations: 1 });
+toolSchema.index({ company: 1 });
+toolSchema.index({ processed_at: -1, _id: -1 });
+
+// One tool per website, so concurrent workers cannot create duplicates.
+// Tools without a usable website have an empty key and are left out.
+toolSchema.index({ website_key: 1 }, {
+  unique: true,
+  partialFilterExpression: { website_key: { $gt: '' } }
+});
+
+// Full-text search used by GET /tools
+toolSchema.index({
+  name: 'text',
+  tagline: 'text',
+  description: 'text',
+  longDescription: 'text',
+  'features.name': 'text'
+}, {
+  name: 'tool_text_search',
+  weights: {
+    name: 10,
+    tagline: 5,
+    'features.name': 3,
+    description: 2,
+    longDescription: 1
+  }
+});
 
 const Tool = mongoose.model('Tool', toolSchema);
 module.exports = Tool; 
\ No newline at end of file
@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+// One saved state of a Tool's content, written whenever the content changes
+const toolRevisionSchema = new mongoose.Schema({
+  tool_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  slug: {
+    type: String
+  },
+  revision: {
+    type: Number,
+    required: true
+  },
+  // Content fields of the tool after the change
+  snapshot: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  changed_fields: [{
+    type: String
+  }],
+  source: {
+    // analysis, edit, refresh, merge, rollback, taxonomy or baseline
+    type: {
+      type: String,
+      required: true
+    },
+    provider: String,
+    model: String,
+    prompt_version: String,
+    editor: String,
+    rolled_back_to: Number
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  collection: 'Tool-revisions'
+});
+
+toolRevisionSchema.index({ tool_id: 1, revision: -1 }, { unique: true });
+
+const ToolRevision = mongoose.model('ToolRevision', toolRevisionSchema);
+module.exports = ToolRevision;
@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+// An outbound webhook subscription (see services/webhooks.js)
+const webhookSchema = new mongoose.Schema({
+  url: {
+    type: String,
+    required: true
+  },
+  // Event names, or "*" for every event
+  events: [{
+    type: String,
+    required: true
+  }],
+  // Signs every delivery; only returned when the webhook is created or the
+  // secret is rotated
+  secret: {
+    type: String,
+    required: true,
+    select: false
+  },
+  description: {
+    type: String
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  created_by: {
+    type: String
+  }
+}, {
+  timestamps: true,
+  collection: 'Webhooks'
+});
+
+webhookSchema.index({ active: 1, events: 1 });
+
+const Webhook = mongoose.model('Webhook', webhookSchema);
+module.exports = Webhook;
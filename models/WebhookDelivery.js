@@ -0,0 +1,94 @@
+const mongoose = require('mongoose');
+
+const DELIVERY_STATUSES = ['pending', 'delivered', 'failed'];
+
+// How long the delivery log is kept
+const TTL_DAYS = parseInt(process.env.WEBHOOK_DELIVERY_TTL_DAYS) || 30;
+
+const attemptSchema = new mongoose.Schema({
+  at: {
+    type: Date
+  },
+  status_code: {
+    type: Number
+  },
+  error: {
+    type: String
+  },
+  duration_ms: {
+    type: Number
+  }
+}, { _id: false });
+
+// One event on its way to one webhook, with every attempt made so far
+const webhookDeliverySchema = new mongoose.Schema({
+  webhook_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  event: {
+    type: String,
+    required: true
+  },
+  // Shared by every delivery (and replay) of the same event, so receivers
+  // can drop events they have already handled
+  event_id: {
+    type: String,
+    required: true
+  },
+  // Exactly what is sent as the request body
+  payload: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  status: {
+    type: String,
+    enum: DELIVERY_STATUSES,
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  attempt_log: [attemptSchema],
+  next_attempt_at: {
+    type: Date,
+    default: Date.now
+  },
+  lease_owner: {
+    type: String
+  },
+  lease_expires_at: {
+    type: Date
+  },
+  last_status_code: {
+    type: Number
+  },
+  last_error: {
+    type: String
+  },
+  // Start of the receiver's last response body
+  last_response: {
+    type: String
+  },
+  delivered_at: {
+    type: Date
+  },
+  // Delivery this one replays
+  replay_of: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  created_at: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  collection: 'Webhook-deliveries'
+});
+
+webhookDeliverySchema.index({ status: 1, next_attempt_at: 1 });
+webhookDeliverySchema.index({ webhook_id: 1, created_at: -1 });
+webhookDeliverySchema.index({ created_at: 1 }, { expireAfterSeconds: TTL_DAYS * 24 * 60 * 60 });
+
+const WebhookDelivery = mongoose.model('WebhookDelivery', webhookDeliverySchema);
+WebhookDelivery.DELIVERY_STATUSES = DELIVERY_STATUSES;
+module.exports = WebhookDelivery;
@@ -0,0 +1,16 @@
+// Status values used on documents in the Raw-test-data collection.
+// Items waiting for a retry stay PENDING with a future next_attempt_at.
+const RAW_STATUS = Object.freeze({
+  DEAD_LETTER: -1,
+  PENDING: 0,
+  PROCESSED: 1,
+  NEEDS_REVIEW: 2,
+  // Linked to an existing tool without an LLM call (see duplicate_of)
+  DUPLICATE: 3,
+  // Looks like an existing tool; waiting for someone to confirm or dismiss
+  POSSIBLE_DUPLICATE: 4,
+  // Missing fields its source profile requires; never sent to the LLM
+  INVALID_INPUT: 5
+});
+
+module.exports = RAW_STATUS;
@@ -0,0 +1,61 @@
+// Review lifecycle of a Tool, stored in the numeric `status` field.
+//
+//   DRAFT (10)      AI-generated and not yet looked at (the pipeline default)
+//   IN_REVIEW (20)  submitted to an editor
+//   PUBLISHED (30)  approved; the only status exposed publicly
+//   ARCHIVED (40)   withdrawn from the public listing, kept for reference
+//   REJECTED (50)   an editor rejected the AI content
+//
+// Allowed transitions:
+//   draft     -> in_review, published, archived
+//   in_review -> published, rejected, draft
+//   published -> in_review, archived
+//   archived  -> draft, published
+//   rejected  -> draft, archived
+const TOOL_STATUS = Object.freeze({
+  DRAFT: 10,
+  IN_REVIEW: 20,
+  PUBLISHED: 30,
+  ARCHIVED: 40,
+  REJECTED: 50
+});
+
+const STATUS_NAMES = Object.freeze({
+  10: 'draft',
+  20: 'in_review',
+  30: 'published',
+  40: 'archived',
+  50: 'rejected'
+});
+
+const TRANSITIONS = Object.freeze({
+  [TOOL_STATUS.DRAFT]: [TOOL_STATUS.IN_REVIEW, TOOL_STATUS.PUBLISHED, TOOL_STATUS.ARCHIVED],
+  [TOOL_STATUS.IN_REVIEW]: [TOOL_STATUS.PUBLISHED, TOOL_STATUS.REJECTED, TOOL_STATUS.DRAFT],
+  [TOOL_STATUS.PUBLISHED]: [TOOL_STATUS.IN_REVIEW, TOOL_STATUS.ARCHIVED],
+  [TOOL_STATUS.ARCHIVED]: [TOOL_STATUS.DRAFT, TOOL_STATUS.PUBLISHED],
+  [TOOL_STATUS.REJECTED]: [TOOL_STATUS.DRAFT, TOOL_STATUS.ARCHIVED]
+});
+
+// Accepts a status number or its name ("published") and returns the number
+function parseToolStatus(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  if (STATUS_NAMES[value]) {
+    return Number(value);
+  }
+  const key = String(value).toUpperCase();
+  return Object.prototype.hasOwnProperty.call(TOOL_STATUS, key) ? TOOL_STATUS[key] : null;
+}
+
+function canTransition(from, to) {
+  return (TRANSITIONS[from] || []).includes(to);
+}
+
+module.exports = {
+  TOOL_STATUS,
+  STATUS_NAMES,
+  TRANSITIONS,
+  parseToolStatus,
+  canTransition
+};
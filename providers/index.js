@@ -0,0 +1,81 @@
+const { createOpenAICompatibleProvider } = require('./openaiCompatible');
+const { createMockProvider } = require('./mock');
+
+// Built-in provider definitions. Each one is only instantiated the first
+// time it is requested, so a missing key for an unused provider is harmless.
+const definitions = {
+  openai: () => createOpenAICompatibleProvider({
+    name: 'openai',
+    apiKey: process.env.OPENAI_API_KEY,
+    baseURL: process.env.OPENAI_BASE_URL,
+    model: process.env.OPENAI_MODEL || 'gpt-4'
+  }),
+  deepseek: () => createOpenAICompatibleProvider({
+    name: 'deepseek',
+    apiKey: process.env.DEEPSEEK_API_KEY,
+    baseURL: process.env.DEEPSEEK_BASE_URL || 'https://api.deepseek.com',
+    model: process.env.DEEPSEEK_MODEL || 'deepseek-chat'
+  }),
+  compatible: () => createOpenAICompatibleProvider({
+    name: 'compatible',
+    apiKey: process.env.LLM_API_KEY || 'not-needed',
+    baseURL: process.env.LLM_BASE_URL,
+    model: process.env.LLM_MODEL
+  }),
+  mock: () => createMockProvider()
+};
+
+const instances = new Map();
+
+// LLM_PROVIDER, until the "provider" runtime setting says otherwise
+let defaultProviderName = process.env.LLM_PROVIDER || 'openai';
+
+function getDefaultProviderName() {
+  return defaultProviderName;
+}
+
+function setDefaultProviderName(name) {
+  defaultProviderName = name;
+}
+
+function hasProvider(name) {
+  return instances.has(name) || Object.prototype.hasOwnProperty.call(definitions, name);
+}
+
+function listProviders() {
+  return Array.from(new Set([...Object.keys(definitions), ...instances.keys()]));
+}
+
+// Returns the provider registered under `name` (or the configured default)
+function getProvider(name) {
+  const providerName = name || getDefaultProviderName();
+
+  if (!instances.has(providerName)) {
+    if (!hasProvider(providerName)) {
+      throw new Error(`Unknown LLM provider: ${providerName}`);
+    }
+    if (providerName === 'compatible' && !process.env.LLM_BASE_URL) {
+      throw new Error('LLM_BASE_URL must be set to use the "compatible" provider');
+    }
+    instances.set(providerName, definitions[providerName]());
+  }
+
+  return instances.get(providerName);
+}
+
+// Registers (or replaces) a provider instance, e.g. a stub for offline runs
+function registerProvider(name, provider) {
+  instances.set(name, provider);
+  return provider;
+}
+
+module.exports = {
+  getProvider,
+  hasProvider,
+  listProviders,
+  registerProvider,
+  getDefaultProviderName,
+  setDefaultProviderName,
+  createOpenAICompatibleProvider,
+  createMockProvider
+};
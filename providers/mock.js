@@ -0,0 +1,57 @@
+// Offline provider that never leaves the process. It answers analysis prompts
+// with a deterministic tool document built from the "Tool Name" and "App URL"
+// lines of the prompt, or delegates to a custom handler when one is given.
+function extractPromptField(text, label) {
+  const match = text.match(new RegExp(`${label}:\\s*(.+)`));
+  return match ? match[1].trim() : '';
+}
+
+function defaultHandler(messages) {
+  const prompt = messages.map(message => message.content).join('\n');
+  const name = extractPromptField(prompt, 'Tool Name') || 'Mock Tool';
+  const website = extractPromptField(prompt, 'App URL') || 'https://example.com';
+
+  return JSON.stringify({
+    name: name,
+    slug: name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, ''),
+    website: website,
+    tagline: `${name} in one line`,
+    description: `${name} is an AI tool.`,
+    company: 'Mock Inc.',
+    longDescription: `${name} is a placeholder analysis produced by the mock LLM provider.`,
+    categories: ['AI Tools'],
+    features: [
+      { name: 'Mock feature', description: 'A feature generated without calling a model.' }
+    ],
+    integrations: [],
+    prosCons: {
+      pros: ['Free and instant'],
+      cons: ['Not a real analysis']
+    },
+    useCases: ['Testing the processing pipeline']
+  });
+}
+
+function createMockProvider({ name = 'mock', model = 'mock-analyst', handler = defaultHandler, latencyMs = 0 } = {}) {
+  return {
+    name: name,
+    model: model,
+
+    async complete({ messages, model: modelOverride }) {
+      if (latencyMs > 0) {
+        await new Promise(resolve => setTimeout(resolve, latencyMs));
+      }
+
+      const content = await handler(messages);
+
+      return {
+        content: content,
+        usage: { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 },
+        model: modelOverride || model,
+        provider: name
+      };
+    }
+  };
+}
+
+module.exports = { createMockProvider };
@@ -0,0 +1,38 @@
+const OpenAI = require('openai');
+
+// Provider for any API that speaks the OpenAI chat completions protocol
+// (OpenAI itself, DeepSeek, or a self-hosted compatible endpoint)
+function createOpenAICompatibleProvider({ name, apiKey, baseURL, model, timeout }) {
+  if (!model) {
+    throw new Error(`No model configured for LLM provider "${name}"`);
+  }
+
+  const client = new OpenAI({
+    apiKey: apiKey,
+    baseURL: baseURL,
+    timeout: timeout
+  });
+
+  return {
+    name: name,
+    model: model,
+
+    async complete({ messages, maxTokens = 2000, temperature = 0.7, model: modelOverride }) {
+      const response = await client.chat.completions.create({
+        model: modelOverride || model,
+        messages: messages,
+        max_tokens: maxTokens,
+        temperature: temperature
+      });
+
+      return {
+        content: response.choices[0].message.content || '',
+        usage: response.usage || null,
+        model: response.model || modelOverride || model,
+        provider: name
+      };
+    }
+  };
+}
+
+module.exports = { createOpenAICompatibleProvider };
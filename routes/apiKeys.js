@@ -0,0 +1,80 @@
+const express = require('express');
+const ApiKey = require('../models/ApiKey');
+const auth = require('../services/auth');
+const logger = require('../services/logger');
+
+const router = express.Router();
+
+// Route to list API keys (hashes are never returned); ?include_revoked=true
+router.get('/', async (req, res) => {
+  try {
+    const filter = req.query.include_revoked === 'true' ? {} : { active: true };
+    const keys = await ApiKey.find(filter).select('-key_hash').sort({ createdAt: -1 });
+    
+    res.json({
+      success: true,
+      roles: auth.ROLES,
+      data: keys
+    });
+    
+  } catch (error) {
+    logger.error('Error listing API keys', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Route to create a key: { name, role, rate_limit_per_minute, expires_at }.
+// The key is only ever shown in this response.
+router.post('/', async (req, res) => {
+  try {
+    const body = req.body || {};
+    const { key, apiKey } = await auth.createApiKey({
+      name: body.name,
+      role: body.role,
+      rateLimitPerMinute: body.rate_limit_per_minute,
+      expiresAt: body.expires_at,
+      createdBy: req.apiKey && req.apiKey.name
+    });
+    const data = apiKey.toObject();
+    delete data.key_hash;
+    
+    res.status(201).json({
+      success: true,
+      message: 'Store this key now; it cannot be shown again',
+      key: key,
+      data: data
+    });
+    
+  } catch (error) {
+    logger.error('Error creating API key', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Route to revoke a key
+router.delete('/:id', async (req, res) => {
+  try {
+    const apiKey = await auth.revokeApiKey(req.params.id);
+    
+    res.json({
+      success: true,
+      message: `Revoked API key ${apiKey.name}`,
+      data: apiKey
+    });
+    
+  } catch (error) {
+    logger.error('Error revoking API key', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
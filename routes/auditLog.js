@@ -0,0 +1,69 @@
+const express = require('express');
+const AuditLog = require('../models/AuditLog');
+const logger = require('../services/logger');
+
+const router = express.Router();
+
+function parseDate(value, name) {
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    const error = new Error(`${name} must be a date`);
+    error.statusCode = 400;
+    throw error;
+  }
+  return date;
+}
+
+// Route to list audit entries, newest first: ?actor=&action=&from=&to=&page=&limit=
+router.get('/', async (req, res) => {
+  try {
+    const filter = {};
+    
+    if (req.query.actor) {
+      filter.actor = req.query.actor;
+    }
+    if (req.query.action) {
+      filter.action = req.query.action;
+    }
+    if (req.query.from || req.query.to) {
+      filter.created_at = {};
+      if (req.query.from) {
+        filter.created_at.$gte = parseDate(req.query.from, 'from');
+      }
+      if (req.query.to) {
+        filter.created_at.$lte = parseDate(req.query.to, 'to');
+      }
+    }
+    
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+    
+    const [data, totalItems] = await Promise.all([
+      AuditLog.find(filter)
+        .sort({ created_at: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      AuditLog.countDocuments(filter)
+    ]);
+    
+    res.json({
+      success: true,
+      data: data,
+      pagination: {
+        current_page: page,
+        total_pages: Math.ceil(totalItems / limit),
+        total_items: totalItems,
+        items_per_page: limit
+      }
+    });
+    
+  } catch (error) {
+    logger.error('Error listing audit log', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,264 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { ObjectId } = require('mongodb');
+const Tool = require('../models/Tool');
+const RAW_STATUS = require('../models/rawStatus');
+const { getRawCollection } = require('../db');
+const dedup = require('../services/dedup');
+const logger = require('../services/logger');
+
+const router = express.Router();
+
+function badRequest(res, message) {
+  return res.status(400).json({
+    success: false,
+    error: message
+  });
+}
+
+// Route to list groups of processed tools that look like duplicates
+router.get('/tools', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const groups = await dedup.findDuplicateGroups({ limit: limit });
+    
+    res.json({
+      success: true,
+      data: groups
+    });
+    
+  } catch (error) {
+    logger.error('Error finding duplicate tools', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Route to list likely duplicates of one tool (same website or similar name)
+router.get('/tools/:id/candidates', async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return badRequest(res, 'Invalid tool id');
+    }
+    
+    const tool = await Tool.findById(req.params.id);
+    if (!tool) {
+      return res.status(404).json({
+        success: false,
+        error: 'Tool not found'
+      });
+    }
+    
+    const threshold = parseFloat(req.query.threshold) || undefined;
+    const byName = await dedup.findToolsByName(tool.name, { threshold: threshold, excludeId: tool._id, limit: 20 });
+    const byWebsite = await Tool.find(
+      { website_key: tool.website_key, _id: { $ne: tool._id } },
+      { name: 1, slug: 1, website: 1 }
+    ).lean();
+    
+    res.json({
+      success: true,
+      tool: { _id: tool._id, name: tool.name, slug: tool.slug, website: tool.website },
+      same_website: tool.website_key ? byWebsite : [],
+      similar_name: byName.map(candidate => ({ ...candidate.tool, similarity: candidate.similarity }))
+    });
+    
+  } catch (error) {
+    logger.error('Error finding duplicate candidates', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Route to merge duplicate tools into one, keeping all original_id links
+router.post('/tools/merge', async (req, res) => {
+  try {
+    const { target_id: targetId, source_ids: sourceIds } = req.body || {};
+    
+    if (!mongoose.isValidObjectId(targetId)) {
+      return badRequest(res, 'target_id must be a valid tool id');
+    }
+    if (!Array.isArray(sourceIds) || sourceIds.length === 0 || !sourceIds.every(id => mongoose.isValidObjectId(id))) {
+      return badRequest(res, 'source_ids must be a non-empty array of tool ids');
+    }
+    
+    const result = await dedup.mergeTools(targetId, sourceIds);
+    
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: 'Target tool not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      message: `Merged ${result.merged.length} tools into ${result.tool.slug}`,
+      merged_slugs: result.merged,
+      tool: result.tool
+    });
+    
+  } catch (error) {
+    logger.error('Error merging tools', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Route to fill in website_key/name_key on tools processed before dedup existed
+router.post('/tools/backfill', async (req, res) => {
+  try {
+    const updated = await dedup.backfillKeys();
+    
+    res.json({
+      success: true,
+      message: `Backfilled ${updated} tools`,
+      updated: updated
+    });
+    
+  } catch (error) {
+    logger.error('Error backfilling dedup keys', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Route to list raw items flagged as possible duplicates
+router.get('/raw', async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+    const filter = { status: RAW_STATUS.POSSIBLE_DUPLICATE };
+    const rawCollection = getRawCollection();
+    
+    const [data, total] = await Promise.all([
+      rawCollection.find(filter)
+        .sort({ flagged_at: -1 })
+        .skip(skip)
+        .limit(limit)
+        .toArray(),
+      rawCollection.countDocuments(filter)
+    ]);
+    
+    res.json({
+      success: true,
+      data: data,
+      pagination: {
+        current_page: page,
+        total_pages: Math.ceil(total / limit),
+        total_items: total,
+        items_per_page: limit
+      }
+    });
+    
+  } catch (error) {
+    logger.error('Error listing possible duplicates', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+async function findFlaggedItem(req, res) {
+  if (!ObjectId.isValid(req.params.id)) {
+    badRequest(res, 'Invalid raw item id');
+    return null;
+  }
+  
+  const item = await getRawCollection().findOne({
+    _id: new ObjectId(req.params.id),
+    status: RAW_STATUS.POSSIBLE_DUPLICATE
+  });
+  
+  if (!item) {
+    res.status(404).json({
+      success: false,
+      error: 'Flagged raw item not found'
+    });
+    return null;
+  }
+  
+  return item;
+}
+
+// Route to confirm a flagged raw item is a duplicate of an existing tool
+router.post('/raw/:id/confirm', async (req, res) => {
+  try {
+    const item = await findFlaggedItem(req, res);
+    if (!item) {
+      return;
+    }
+    
+    const toolId = (req.body && req.body.tool_id) ||
+      (item.duplicate_candidates && item.duplicate_candidates.length === 1 && item.duplicate_candidates[0].tool_id);
+    
+    if (!mongoose.isValidObjectId(toolId)) {
+      return badRequest(res, 'tool_id is required when there is more than one candidate');
+    }
+    
+    const tool = await Tool.findById(toolId);
+    if (!tool) {
+      return res.status(404).json({
+        success: false,
+        error: 'Tool not found'
+      });
+    }
+    
+    await dedup.linkRawItem(item, tool);
+    
+    res.json({
+      success: true,
+      message: `Raw item linked to ${tool.slug}`,
+      tool_id: tool._id
+    });
+    
+  } catch (error) {
+    logger.error('Error confirming duplicate', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Route to dismiss the duplicate flag and send the raw item back to the queue
+router.post('/raw/:id/dismiss', async (req, res) => {
+  try {
+    const item = await findFlaggedItem(req, res);
+    if (!item) {
+      return;
+    }
+    
+    await getRawCollection().updateOne(
+      { _id: item._id },
+      {
+        $set: { status: RAW_STATUS.PENDING, dedup_checked: true },
+        $unset: { duplicate_candidates: '', flagged_at: '' }
+      }
+    );
+    
+    res.json({
+      success: true,
+      message: 'Raw item requeued for processing'
+    });
+    
+  } catch (error) {
+    logger.error('Error dismissing duplicate', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
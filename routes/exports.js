@@ -0,0 +1,50 @@
+const express = require('express');
+const toolExport = require('../services/toolExport');
+const logger = require('../services/logger');
+
+const router = express.Router();
+
+// Route to stream processed tools as json, ndjson, csv or a per-slug zip bundle.
+// Filters: ?status=10,20&categories=a,b&from=&to=&date_field=processed_at
+router.get('/tools', async (req, res) => {
+  const format = req.query.format || 'json';
+  
+  try {
+    if (!toolExport.FORMATS.includes(format)) {
+      return res.status(400).json({
+        success: false,
+        error: `Unsupported export format: ${format} (expected ${toolExport.FORMATS.join(', ')})`
+      });
+    }
+    
+    const filter = toolExport.buildExportFilter(req.query);
+    const fileName = `tools-${new Date().toISOString().slice(0, 10)}.${toolExport.EXTENSIONS[format]}`;
+    
+    res.set({
+      'Content-Type': toolExport.CONTENT_TYPES[format],
+      'Content-Disposition': `attachment; filename="${fileName}"`
+    });
+    
+    await toolExport.exportTools(format, filter, res);
+    res.end();
+    
+  } catch (error) {
+    if (error.code === 'EXPORT_ABORTED') {
+      logger.warn('Export stopped early', { error: error.message });
+      return;
+    }
+    
+    logger.error('Error exporting tools', error);
+    if (!res.headersSent) {
+      res.status(error.statusCode || 500).json({
+        success: false,
+        error: error.message
+      });
+    } else {
+      // Part of the export is already on the wire; cut it so the client sees a failure
+      res.destroy(error);
+    }
+  }
+});
+
+module.exports = router;
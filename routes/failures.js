@@ -0,0 +1,135 @@
+const express = require('express');
+const { ObjectId } = require('mongodb');
+const { getRawCollection } = require('../db');
+const { FAILURE_STATES, buildFailureFilter, requeueUpdate, requeueFailures } = require('../services/failures');
+const logger = require('../services/logger');
+
+const router = express.Router();
+
+// Route to list failed raw items, filterable by state and error type
+router.get('/', async (req, res) => {
+  try {
+    const filter = buildFailureFilter(req.query);
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+    const rawCollection = getRawCollection();
+    
+    const [data, total] = await Promise.all([
+      rawCollection.find(filter)
+        .sort({ error_at: -1 })
+        .skip(skip)
+        .limit(limit)
+        .toArray(),
+      rawCollection.countDocuments(filter)
+    ]);
+    
+    res.json({
+      success: true,
+      data: data,
+      pagination: {
+        current_page: page,
+        total_pages: Math.ceil(total / limit),
+        total_items: total,
+        items_per_page: limit
+      }
+    });
+    
+  } catch (error) {
+    logger.error('Error listing failures', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Route to count failures by state and error type
+router.get('/summary', async (req, res) => {
+  try {
+    const rawCollection = getRawCollection();
+    const summary = {};
+    
+    for (const [state, stateFilter] of Object.entries(FAILURE_STATES)) {
+      const groups = await rawCollection.aggregate([
+        { $match: stateFilter },
+        { $group: { _id: '$error_type', count: { $sum: 1 } } }
+      ]).toArray();
+      
+      summary[state] = {};
+      for (const group of groups) {
+        summary[state][group._id || 'unknown'] = group.count;
+      }
+    }
+    
+    res.json({
+      success: true,
+      summary: summary
+    });
+    
+  } catch (error) {
+    logger.error('Error summarizing failures', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Route to requeue failures in bulk, by ids or by state/error type
+router.post('/requeue', async (req, res) => {
+  try {
+    const requeued = await requeueFailures(req.body || {});
+    
+    res.json({
+      success: true,
+      message: `Requeued ${requeued} items`,
+      requeued: requeued
+    });
+    
+  } catch (error) {
+    logger.error('Error requeuing failures', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Route to requeue a single failed item
+router.post('/:id/requeue', async (req, res) => {
+  if (!ObjectId.isValid(req.params.id)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid item id'
+    });
+  }
+  
+  try {
+    const filter = buildFailureFilter({});
+    filter._id = new ObjectId(req.params.id);
+    
+    const result = await getRawCollection().updateOne(filter, requeueUpdate());
+    
+    if (result.matchedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Failed item not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      message: 'Item requeued'
+    });
+    
+  } catch (error) {
+    logger.error('Error requeuing item', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,227 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Job = require('../models/Job');
+const JobItem = require('../models/JobItem');
+const jobs = require('../services/jobs');
+const usage = require('../services/usage');
+const { INSTANCE_ID } = require('../services/queue');
+const logger = require('../services/logger');
+
+// How often the stream polls jobs running on another instance
+const REMOTE_POLL_MS = 2000;
+
+const router = express.Router();
+
+async function findJob(req, res) {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    res.status(400).json({
+      success: false,
+      error: 'Invalid job id'
+    });
+    return null;
+  }
+  
+  const job = await Job.findById(req.params.id);
+  
+  if (!job) {
+    res.status(404).json({
+      success: false,
+      error: 'Job not found'
+    });
+    return null;
+  }
+  
+  return job;
+}
+
+// Route to list recent jobs
+router.get('/', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const filter = req.query.status ? { status: req.query.status } : {};
+    
+    const data = await Job.find(filter).sort({ createdAt: -1 }).limit(limit);
+    
+    res.json({
+      success: true,
+      data: data.map(jobs.getProgress)
+    });
+    
+  } catch (error) {
+    logger.error('Error listing jobs', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Route to get job progress and per-item outcomes
+router.get('/:id', async (req, res) => {
+  try {
+    const job = await findJob(req, res);
+    if (!job) {
+      return;
+    }
+    
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+    const itemFilter = { job_id: job._id };
+    if (req.query.outcome) {
+      itemFilter.outcome = req.query.outcome;
+    }
+    
+    const [items, totalItems, jobUsage] = await Promise.all([
+      JobItem.find(itemFilter)
+        .sort({ createdAt: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      JobItem.countDocuments(itemFilter),
+      usage.aggregateUsage({ group_by: 'job', job_id: job._id.toString() })
+    ]);
+    
+    res.json({
+      success: true,
+      job: jobs.getProgress(job),
+      usage: jobUsage[0] || null,
+      items: items,
+      pagination: {
+        current_page: page,
+        total_pages: Math.ceil(totalItems / limit),
+        total_items: totalItems,
+        items_per_page: limit
+      }
+    });
+    
+  } catch (error) {
+    logger.error('Error getting job', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Route to cancel a running job
+router.post('/:id/cancel', async (req, res) => {
+  try {
+    const job = await findJob(req, res);
+    if (!job) {
+      return;
+    }
+    
+    if (jobs.isFinished(job)) {
+      return res.status(409).json({
+        success: false,
+        error: `Job already ${job.status}`
+      });
+    }
+    
+    const updated = await jobs.cancelJob(job._id);
+    
+    res.json({
+      success: true,
+      message: 'Cancellation requested',
+      job: jobs.getProgress(updated)
+    });
+    
+  } catch (error) {
+    logger.error('Error cancelling job', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Server-sent events stream of per-item progress
+router.get('/:id/events', async (req, res) => {
+  try {
+    const job = await findJob(req, res);
+    if (!job) {
+      return;
+    }
+    
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive'
+    });
+    res.flushHeaders();
+    
+    const send = (event, data) => {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+    
+    send('progress', jobs.getProgress(job));
+    
+    if (jobs.isFinished(job)) {
+      send('done', jobs.getProgress(job));
+      return res.end();
+    }
+    
+    const channel = `job:${job._id}`;
+    const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+    let poll = null;
+    let closed = false;
+    
+    const cleanup = () => {
+      closed = true;
+      clearInterval(keepAlive);
+      clearInterval(poll);
+      jobs.jobEvents.removeListener(channel, onEvent);
+    };
+    
+    function onEvent(event) {
+      if (closed) {
+        return;
+      }
+      if (event.type === 'item') {
+        send('item', event.item);
+      } else {
+        send(event.type, event.progress);
+      }
+      if (event.type === 'done') {
+        cleanup();
+        res.end();
+      }
+    }
+    
+    jobs.jobEvents.on(channel, onEvent);
+    req.on('close', cleanup);
+    
+    // The job may have finished after it was loaded but before we subscribed,
+    // in which case its 'done' event has already gone out
+    const latest = await Job.findById(job._id);
+    if (latest && jobs.isFinished(latest)) {
+      return onEvent({ type: 'done', progress: jobs.getProgress(latest) });
+    }
+    
+    // Item events are only emitted in-process; for a job running elsewhere
+    // fall back to polling its progress counters
+    if (job.instance_id !== INSTANCE_ID) {
+      poll = setInterval(async () => {
+        try {
+          const latest = await Job.findById(job._id);
+          const progress = jobs.getProgress(latest);
+          onEvent({ type: jobs.isFinished(latest) ? 'done' : 'progress', progress: progress });
+        } catch (error) {
+          logger.error('Error polling job progress', error);
+        }
+      }, REMOTE_POLL_MS);
+    }
+    
+  } catch (error) {
+    logger.error('Error streaming job events', error);
+    if (!res.headersSent) {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    } else {
+      res.end();
+    }
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,45 @@
+const express = require('express');
+const llmCache = require('../services/llmCache');
+const logger = require('../services/logger');
+
+const router = express.Router();
+
+// Route to get cache size and hit counts per provider, model and prompt version
+router.get('/', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      cache: await llmCache.cacheStats()
+    });
+    
+  } catch (error) {
+    logger.error('Error reading LLM cache stats', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Route to drop cached analyses: ?provider=&model=&prompt_version=&tool_name=
+// (no filter clears the whole cache)
+router.delete('/', async (req, res) => {
+  try {
+    const deleted = await llmCache.purgeCache(req.query);
+    
+    res.json({
+      success: true,
+      message: `Removed ${deleted} cached analyses`,
+      deleted: deleted
+    });
+    
+  } catch (error) {
+    logger.error('Error purging LLM cache', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
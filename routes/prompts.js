@@ -0,0 +1,122 @@
+const express = require('express');
+const promptTemplates = require('../services/promptTemplates');
+const { evaluatePrompts } = require('../services/promptEval');
+const logger = require('../services/logger');
+
+const router = express.Router();
+
+// Route to list prompt templates and their versions (file + database)
+router.get('/', async (req, res) => {
+  try {
+    const templates = await promptTemplates.getTemplates({ refresh: true });
+    const data = {};
+    
+    for (const template of templates) {
+      if (!data[template.name]) {
+        const current = await promptTemplates.getTemplate(template.name);
+        data[template.name] = { default_version: current.version, versions: [] };
+      }
+      data[template.name].versions.push({
+        version: template.version,
+        description: template.description,
+        temperature: template.temperature,
+        max_tokens: template.max_tokens,
+        model: template.model,
+        origin: template.origin
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: data
+    });
+    
+  } catch (error) {
+    logger.error('Error listing prompt templates', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Route to run two prompt versions over a sample of raw items and compare them:
+// { version_a, version_b, template, sample_size, raw_ids, provider }
+router.post('/evaluate', async (req, res) => {
+  try {
+    const body = req.body || {};
+    
+    const evaluation = await evaluatePrompts({
+      name: body.template,
+      versionA: body.version_a,
+      versionB: body.version_b,
+      rawIds: body.raw_ids,
+      sampleSize: body.sample_size,
+      provider: body.provider
+    });
+    
+    res.json({
+      success: true,
+      ...evaluation
+    });
+    
+  } catch (error) {
+    logger.error('Error evaluating prompts', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Route to get one template version with its full prompt text
+router.get('/:name/:version', async (req, res) => {
+  try {
+    const template = await promptTemplates.getTemplate(req.params.name, req.params.version);
+    
+    res.json({
+      success: true,
+      data: template
+    });
+    
+  } catch (error) {
+    if (error.code === 'UNKNOWN_TEMPLATE') {
+      return res.status(404).json({
+        success: false,
+        error: error.message
+      });
+    }
+    
+    logger.error('Error getting prompt template', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Route to add a new version of a template:
+// { version, description, system, user, temperature, max_tokens, model, default }
+router.post('/:name', async (req, res) => {
+  try {
+    const template = await promptTemplates.createTemplate(
+      { ...(req.body || {}), name: req.params.name },
+      { createdBy: req.apiKey ? req.apiKey.name : req.get('X-Editor') }
+    );
+    
+    res.status(201).json({
+      success: true,
+      message: `Saved ${template.name} ${template.version}`,
+      data: template
+    });
+    
+  } catch (error) {
+    logger.error('Error saving prompt template', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
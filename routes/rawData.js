@@ -0,0 +1,45 @@
+const express = require('express');
+const rawImport = require('../services/rawImport');
+const logger = require('../services/logger');
+
+const router = express.Router();
+
+// Route to import raw records from a CSV, JSON array or NDJSON body.
+// The body is read as text (see server.js); ?format= overrides the content type,
+// ?source= forces a source profile and ?dry_run=true only reports.
+router.post('/import', async (req, res) => {
+  try {
+    if (typeof req.body !== 'string' || req.body.trim() === '') {
+      return res.status(400).json({
+        success: false,
+        error: 'Request body is empty'
+      });
+    }
+    
+    const format = rawImport.detectFormat({
+      format: req.query.format,
+      contentType: req.get('Content-Type')
+    });
+    
+    const report = await rawImport.importRawData(req.body, {
+      format: format,
+      source: req.query.source,
+      dryRun: req.query.dry_run === 'true'
+    });
+    
+    res.status(report.accepted > 0 && !report.dry_run ? 201 : 200).json({
+      success: true,
+      message: `Accepted: ${report.accepted}, Rejected: ${report.rejected}, Duplicates: ${report.duplicates}`,
+      ...report
+    });
+    
+  } catch (error) {
+    logger.error('Error importing raw data', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,144 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const RefreshReport = require('../models/RefreshReport');
+const refresh = require('../services/refresh');
+const jobs = require('../services/jobs');
+const logger = require('../services/logger');
+
+const router = express.Router();
+
+// Route to preview which tools the next refresh would pick
+router.get('/stale', async (req, res) => {
+  try {
+    const options = refresh.resolveOptions(refresh.getRefreshOptions(req.query));
+    const tools = await refresh.findStaleTools(options);
+    
+    res.json({
+      success: true,
+      max_age_days: options.maxAgeDays,
+      fields: options.fields,
+      data: tools.map(tool => ({
+        slug: tool.slug,
+        name: tool.name,
+        processed_at: tool.processed_at,
+        refresh_requested: tool.refresh_requested
+      }))
+    });
+    
+  } catch (error) {
+    logger.error('Error listing stale tools', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Route to start a refresh now: { max_age_days, limit, fields, provider, prompt_version, dry_run }
+// It runs as a background job; progress is under /jobs/:id and the job's
+// report_id points at the finished report.
+router.post('/run', async (req, res) => {
+  try {
+    const { job, done } = await jobs.startRefreshJob(refresh.getRefreshOptions(req.body || {}), { trigger: 'api' });
+    done.catch(error => logger.error('Refresh job crashed', { job_id: job._id.toString(), error: error }));
+    
+    res.status(202).json({
+      success: true,
+      message: 'Refresh started',
+      job_id: job._id,
+      status_url: `/jobs/${job._id}`,
+      events_url: `/jobs/${job._id}/events`
+    });
+    
+  } catch (error) {
+    logger.error('Error running refresh', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Route to flag tools for the next refresh: { slugs: [...] }
+router.post('/flag', async (req, res) => {
+  try {
+    const slugs = req.body && req.body.slugs;
+    
+    if (!Array.isArray(slugs) || slugs.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'slugs must be a non-empty array'
+      });
+    }
+    
+    const flagged = await refresh.flagForRefresh(slugs);
+    
+    res.json({
+      success: true,
+      message: `Flagged ${flagged} tools for refresh`,
+      flagged: flagged
+    });
+    
+  } catch (error) {
+    logger.error('Error flagging tools for refresh', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Route to list recent refresh reports (per-tool details omitted)
+router.get('/reports', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const data = await RefreshReport.find({}, { tools: 0 }).sort({ createdAt: -1 }).limit(limit);
+    
+    res.json({
+      success: true,
+      data: data
+    });
+    
+  } catch (error) {
+    logger.error('Error listing refresh reports', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Route to get one refresh report with the changes made to each tool
+router.get('/reports/:id', async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid report id'
+      });
+    }
+    
+    const report = await RefreshReport.findById(req.params.id);
+    
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        error: 'Report not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      report: report
+    });
+    
+  } catch (error) {
+    logger.error('Error getting refresh report', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,198 @@
+const express = require('express');
+const Schedule = require('../models/Schedule');
+const ScheduleRun = require('../models/ScheduleRun');
+const scheduler = require('../services/scheduler');
+const logger = require('../services/logger');
+
+const router = express.Router();
+
+// How many recent runs GET /schedules shows per schedule
+const RECENT_RUNS = 5;
+
+function getActor(req) {
+  return req.apiKey ? req.apiKey.name : req.get('X-Editor');
+}
+
+// Route to list schedules with their last and next run and recent run history
+router.get('/', async (req, res) => {
+  try {
+    const schedules = await Schedule.find({}).sort({ name: 1 });
+    
+    const data = await Promise.all(schedules.map(async schedule => ({
+      ...scheduler.describeSchedule(schedule),
+      recent_runs: await ScheduleRun.find({ schedule: schedule.name })
+        .sort({ started_at: -1 })
+        .limit(RECENT_RUNS)
+    })));
+    
+    res.json({
+      success: true,
+      pipelines: scheduler.listPipelines(),
+      data: data
+    });
+    
+  } catch (error) {
+    logger.error('Error listing schedules', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Route to add a schedule: { name, pipeline, cron, enabled, description, options }
+router.post('/', async (req, res) => {
+  try {
+    const schedule = await scheduler.createSchedule(req.body || {}, { createdBy: getActor(req) });
+    
+    res.status(201).json({
+      success: true,
+      message: `Created schedule ${schedule.name}`,
+      data: scheduler.describeSchedule(schedule)
+    });
+    
+  } catch (error) {
+    logger.error('Error creating schedule', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Route to get one schedule
+router.get('/:name', async (req, res) => {
+  try {
+    const schedule = await Schedule.findOne({ name: req.params.name });
+    
+    if (!schedule) {
+      return res.status(404).json({
+        success: false,
+        error: 'Schedule not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: scheduler.describeSchedule(schedule)
+    });
+    
+  } catch (error) {
+    logger.error('Error getting schedule', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Route to change a schedule: { cron, enabled, description, options }
+router.patch('/:name', async (req, res) => {
+  try {
+    const schedule = await scheduler.updateSchedule(req.params.name, req.body || {}, { updatedBy: getActor(req) });
+    
+    res.json({
+      success: true,
+      message: `Updated schedule ${schedule.name}`,
+      data: scheduler.describeSchedule(schedule)
+    });
+    
+  } catch (error) {
+    logger.error('Error updating schedule', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Route to delete a schedule (its run history is kept)
+router.delete('/:name', async (req, res) => {
+  try {
+    await scheduler.deleteSchedule(req.params.name);
+    
+    res.json({
+      success: true,
+      message: `Deleted schedule ${req.params.name}`
+    });
+    
+  } catch (error) {
+    logger.error('Error deleting schedule', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Route to run a schedule now. The run continues in the background; a run
+// that is already in progress answers 409.
+router.post('/:name/run', async (req, res) => {
+  try {
+    const { run, done } = await scheduler.startRun(req.params.name, { trigger: 'manual' });
+    done.catch(error => logger.error('Error in manual schedule run', { schedule: req.params.name, error: error }));
+    
+    if (run.status === 'skipped') {
+      return res.status(409).json({
+        success: false,
+        error: run.reason,
+        run: run
+      });
+    }
+    
+    res.status(202).json({
+      success: true,
+      message: `Started schedule ${req.params.name}`,
+      run: run,
+      runs_url: `/schedules/${req.params.name}/runs`
+    });
+    
+  } catch (error) {
+    logger.error('Error running schedule', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Route to list a schedule's runs, newest first: ?status=&page=&limit=
+router.get('/:name/runs', async (req, res) => {
+  try {
+    const filter = { schedule: req.params.name };
+    if (req.query.status) {
+      filter.status = req.query.status;
+    }
+    
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 200);
+    
+    const [data, totalItems] = await Promise.all([
+      ScheduleRun.find(filter)
+        .sort({ started_at: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      ScheduleRun.countDocuments(filter)
+    ]);
+    
+    res.json({
+      success: true,
+      data: data,
+      pagination: {
+        current_page: page,
+        total_pages: Math.ceil(totalItems / limit),
+        total_items: totalItems,
+        items_per_page: limit
+      }
+    });
+    
+  } catch (error) {
+    logger.error('Error listing schedule runs', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,38 @@
+const express = require('express');
+const settings = require('../services/settings');
+const logger = require('../services/logger');
+
+const router = express.Router();
+
+// Route to get the settings in effect, their defaults and who changed them
+router.get('/', (req, res) => {
+  res.json({
+    success: true,
+    ...settings.describeSettings()
+  });
+});
+
+// Route to change settings: { key: value, ... }; null resets a key to its
+// default. Schedules and worker parameters apply without a restart.
+router.put('/', async (req, res) => {
+  try {
+    const result = await settings.updateSettings(req.body, {
+      updatedBy: req.apiKey ? req.apiKey.name : req.get('X-Editor')
+    });
+    
+    res.json({
+      success: true,
+      message: 'Settings saved',
+      ...result
+    });
+    
+  } catch (error) {
+    logger.error('Error saving settings', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
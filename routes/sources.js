@@ -0,0 +1,141 @@
+const express = require('express');
+const SourceProfile = require('../models/SourceProfile');
+const RAW_STATUS = require('../models/rawStatus');
+const { getRawCollection } = require('../db');
+const sourceProfiles = require('../services/sourceProfiles');
+const logger = require('../services/logger');
+
+const router = express.Router();
+
+// Route to list the source profiles in effect (file defaults + database)
+router.get('/', async (req, res) => {
+  try {
+    const profiles = await sourceProfiles.getProfiles({ refresh: true });
+    
+    res.json({
+      success: true,
+      canonical_fields: sourceProfiles.CANONICAL_FIELDS,
+      data: profiles
+    });
+    
+  } catch (error) {
+    logger.error('Error listing source profiles', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Route to create or replace a source profile in the database
+router.put('/:name', async (req, res) => {
+  try {
+    const profile = {
+      name: req.params.name,
+      description: req.body.description,
+      detect: req.body.detect || [],
+      fields: req.body.fields,
+      required: req.body.required || [],
+      priority: parseInt(req.body.priority) || 0
+    };
+    
+    sourceProfiles.validateProfile(profile);
+    
+    const saved = await SourceProfile.findOneAndUpdate(
+      { name: profile.name },
+      { $set: profile },
+      { new: true, upsert: true, runValidators: true }
+    );
+    sourceProfiles.invalidateCache();
+    
+    res.json({
+      success: true,
+      message: `Source profile ${profile.name} saved`,
+      data: saved
+    });
+    
+  } catch (error) {
+    logger.error('Error saving source profile', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Route to delete a database profile (a file profile of the same name applies again)
+router.delete('/:name', async (req, res) => {
+  try {
+    const result = await SourceProfile.deleteOne({ name: req.params.name });
+    sourceProfiles.invalidateCache();
+    
+    if (result.deletedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Source profile not found in database'
+      });
+    }
+    
+    res.json({
+      success: true,
+      message: `Source profile ${req.params.name} deleted`
+    });
+    
+  } catch (error) {
+    logger.error('Error deleting source profile', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Route to dry-run the profiles over pending raw items and report the ones
+// missing required fields, without changing anything
+router.post('/validate', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 1000, 10000);
+    const profiles = await sourceProfiles.getProfiles({ refresh: true });
+    const cursor = getRawCollection()
+      .find({ status: { $in: [RAW_STATUS.PENDING, RAW_STATUS.INVALID_INPUT] } })
+      .limit(limit);
+    
+    const byProfile = {};
+    const invalid = [];
+    let checked = 0;
+    
+    for await (const item of cursor) {
+      const profile = sourceProfiles.selectProfile(item, profiles);
+      const { input, missing } = sourceProfiles.mapRawItem(item, profile);
+      const profileName = profile ? profile.name : 'none';
+      
+      byProfile[profileName] = byProfile[profileName] || { valid: 0, invalid: 0 };
+      checked++;
+      
+      if (!profile || missing.length > 0) {
+        byProfile[profileName].invalid++;
+        if (invalid.length < 100) {
+          invalid.push({ _id: item._id, profile: profileName, missing: profile ? missing : ['profile'], input: input });
+        }
+      } else {
+        byProfile[profileName].valid++;
+      }
+    }
+    
+    res.json({
+      success: true,
+      checked: checked,
+      by_profile: byProfile,
+      invalid: invalid
+    });
+    
+  } catch (error) {
+    logger.error('Error validating raw items', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,220 @@
+const express = require('express');
+const taxonomy = require('../services/taxonomy');
+const logger = require('../services/logger');
+
+const router = express.Router();
+
+function getActor(req) {
+  return req.apiKey ? req.apiKey.name : req.get('X-Editor');
+}
+
+// Route to list the taxonomy: ?kind=category|integration, ?format=tree
+router.get('/', async (req, res) => {
+  try {
+    const data = await taxonomy.listTerms({
+      kind: req.query.kind,
+      tree: req.query.format === 'tree'
+    });
+    
+    res.json({
+      success: true,
+      kinds: Object.keys(taxonomy.KINDS),
+      modes: taxonomy.MODES,
+      data: data
+    });
+    
+  } catch (error) {
+    logger.error('Error listing taxonomy', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Route to list names on tools that are not canonical terms, with the term
+// each would map to: ?kind=category|integration&limit=
+router.get('/unmatched', async (req, res) => {
+  try {
+    const data = await taxonomy.findUnmatched(req.query.kind || 'category', {
+      limit: Math.min(parseInt(req.query.limit) || 100, 1000)
+    });
+    
+    res.json({
+      success: true,
+      data: data
+    });
+    
+  } catch (error) {
+    logger.error('Error listing unmatched taxonomy names', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Route to show how names would map: { kind, values }
+router.post('/resolve', async (req, res) => {
+  try {
+    const body = req.body || {};
+    const data = await taxonomy.previewMapping(body.kind, body.values);
+    
+    res.json({
+      success: true,
+      data: data
+    });
+    
+  } catch (error) {
+    logger.error('Error resolving taxonomy names', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Route to rewrite existing tools to canonical names:
+// { kinds, values, drop_unmatched, dry_run }
+router.post('/remap', async (req, res) => {
+  try {
+    const body = req.body || {};
+    const report = await taxonomy.remapTools({
+      kinds: body.kinds,
+      values: body.values,
+      dropUnmatched: body.drop_unmatched === true,
+      dryRun: body.dry_run === true,
+      editor: getActor(req)
+    });
+    
+    res.json({
+      success: true,
+      message: body.dry_run === true
+        ? `${report.changed} tools would change`
+        : `Remapped ${report.changed - report.failed} tools`,
+      report: report
+    });
+    
+  } catch (error) {
+    logger.error('Error remapping tools', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Route to add a term: { kind, name, synonyms, parent, description }
+router.post('/', async (req, res) => {
+  try {
+    const term = await taxonomy.createTerm(req.body || {}, { createdBy: getActor(req) });
+    const index = await taxonomy.getIndex({ refresh: true });
+    
+    res.status(201).json({
+      success: true,
+      message: `Created ${term.kind} ${term.name}`,
+      data: taxonomy.describeTerm(index, term)
+    });
+    
+  } catch (error) {
+    logger.error('Error creating taxonomy term', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Route to get one term
+router.get('/:id', async (req, res) => {
+  try {
+    const term = await taxonomy.findTerm(req.params.id);
+    const index = await taxonomy.getIndex({ refresh: true });
+    
+    res.json({
+      success: true,
+      data: taxonomy.describeTerm(index, term)
+    });
+    
+  } catch (error) {
+    logger.error('Error getting taxonomy term', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Route to change a term: { name, synonyms, parent, description }. A new
+// name keeps the old one as a synonym; POST /taxonomy/remap applies it to tools.
+router.patch('/:id', async (req, res) => {
+  try {
+    const term = await taxonomy.updateTerm(req.params.id, req.body || {}, { updatedBy: getActor(req) });
+    const index = await taxonomy.getIndex({ refresh: true });
+    
+    res.json({
+      success: true,
+      message: `Updated ${term.kind} ${term.name}`,
+      data: taxonomy.describeTerm(index, term)
+    });
+    
+  } catch (error) {
+    logger.error('Error updating taxonomy term', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Route to delete a term without children (tools keep the name)
+router.delete('/:id', async (req, res) => {
+  try {
+    const term = await taxonomy.deleteTerm(req.params.id);
+    
+    res.json({
+      success: true,
+      message: `Deleted ${term.kind} ${term.name}`
+    });
+    
+  } catch (error) {
+    logger.error('Error deleting taxonomy term', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Route to merge a term into another: { into, remap }. The term's names
+// become synonyms of `into`; remap (default true) also rewrites the tools
+// that carry them.
+router.post('/:id/merge', async (req, res) => {
+  try {
+    const body = req.body || {};
+    const { target, mergedNames } = await taxonomy.mergeTerm(req.params.id, body.into, { updatedBy: getActor(req) });
+    const index = await taxonomy.getIndex({ refresh: true });
+    
+    const report = body.remap === false ? null : await taxonomy.remapTools({
+      kinds: [target.kind],
+      values: mergedNames,
+      editor: getActor(req)
+    });
+    
+    res.json({
+      success: true,
+      message: `Merged ${mergedNames[0]} into ${target.name}`,
+      data: taxonomy.describeTerm(index, target),
+      report: report
+    });
+    
+  } catch (error) {
+    logger.error('Error merging taxonomy terms', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,413 @@
+const express = require('express');
+const Tool = require('../models/Tool');
+const { TOOL_STATUS, STATUS_NAMES, TRANSITIONS } = require('../models/toolStatus');
+const toolSearch = require('../services/toolSearch');
+const toolEditor = require('../services/toolEditor');
+const revisions = require('../services/revisions');
+const webhooks = require('../services/webhooks');
+const { requestHasRole } = require('../services/auth');
+const logger = require('../services/logger');
+
+const router = express.Router();
+
+// Who made an editorial change: the caller's API key, or with authentication
+// disabled the X-Editor header or "editor" in the body
+function getEditor(req) {
+  if (req.apiKey) {
+    return req.apiKey.name;
+  }
+  return req.get('X-Editor') || (req.body && req.body.editor) || 'anonymous';
+}
+
+// Unpublished tools, their status filters and their revisions are for editors
+function canSeeUnpublished(req) {
+  return requestHasRole(req, 'editor');
+}
+
+// Loads the tool for :slug, answering 404 (or redirecting renamed slugs) itself
+async function loadTool(req, res, { publicOnly = false } = {}) {
+  const found = await toolEditor.findBySlug(req.params.slug);
+  
+  if (!found || (publicOnly && found.tool.status !== TOOL_STATUS.PUBLISHED)) {
+    res.status(404).json({
+      success: false,
+      error: 'Tool not found'
+    });
+    return null;
+  }
+  
+  if (found.redirected && req.method === 'GET') {
+    const suffix = req.originalUrl.slice(req.baseUrl.length).replace(`/${req.params.slug}`, `/${found.tool.slug}`);
+    res.redirect(301, req.baseUrl + suffix);
+    return null;
+  }
+  
+  return found.tool;
+}
+
+// Route to search processed tools. Only published tools are returned unless
+// an editor's ?status= asks for others (names or numbers, comma separated, or "all").
+// ?q= full text, ?categories=&integrations=&company= filters (comma
+// separated, ?match=all for categories/integrations), ?sort=relevance|newest|oldest|name,
+// ?limit=&cursor= pagination, ?facets=false to skip facet counts
+router.get('/', async (req, res) => {
+  try {
+    const result = await toolSearch.searchTools(req.query, { includeUnpublished: canSeeUnpublished(req) });
+    
+    res.json({
+      success: true,
+      data: result.data,
+      facets: result.facets,
+      pagination: {
+        next_cursor: result.next_cursor,
+        items_per_page: result.data.length
+      }
+    });
+    
+  } catch (error) {
+    logger.error('Error searching tools', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Route to describe the review lifecycle
+router.get('/statuses', (req, res) => {
+  res.json({
+    success: true,
+    statuses: STATUS_NAMES,
+    transitions: Object.fromEntries(
+      Object.entries(TRANSITIONS).map(([from, targets]) => [STATUS_NAMES[from], targets.map(to => STATUS_NAMES[to])])
+    )
+  });
+});
+
+// Route to get one tool. Unpublished tools need ?include_unpublished=true
+// from an editor
+router.get('/:slug', async (req, res) => {
+  try {
+    const includeUnpublished = req.query.include_unpublished === 'true';
+    if (includeUnpublished && !canSeeUnpublished(req)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Only editors can see unpublished tools'
+      });
+    }
+    
+    const tool = await loadTool(req, res, { publicOnly: !includeUnpublished });
+    if (!tool) {
+      return;
+    }
+    
+    res.json({
+      success: true,
+      data: toolEditor.withStatusName(tool)
+    });
+    
+  } catch (error) {
+    logger.error('Error getting tool', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Route to edit a tool's content
+router.patch('/:slug', async (req, res) => {
+  try {
+    const tool = await loadTool(req, res);
+    if (!tool) {
+      return;
+    }
+    
+    const changedFields = await toolEditor.updateTool(tool, req.body, { editor: getEditor(req) });
+    
+    res.json({
+      success: true,
+      message: 'Tool updated',
+      changed_fields: changedFields,
+      data: toolEditor.withStatusName(tool)
+    });
+    
+  } catch (error) {
+    logger.error('Error updating tool', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Route to delete a tool
+router.delete('/:slug', async (req, res) => {
+  try {
+    const tool = await loadTool(req, res);
+    if (!tool) {
+      return;
+    }
+    
+    await Tool.deleteOne({ _id: tool._id });
+    await webhooks.emitEvent('tool.deleted', {
+      tool: webhooks.toolSummary(tool),
+      reason: 'deleted',
+      by: getEditor(req)
+    });
+    
+    res.json({
+      success: true,
+      message: `Tool ${tool.slug} deleted`
+    });
+    
+  } catch (error) {
+    logger.error('Error deleting tool', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Route to move a tool to another lifecycle status: { status, note }
+router.post('/:slug/status', async (req, res) => {
+  try {
+    const tool = await loadTool(req, res);
+    if (!tool) {
+      return;
+    }
+    
+    await toolEditor.transitionTool(tool, req.body && req.body.status, {
+      by: getEditor(req),
+      note: req.body && req.body.note
+    });
+    
+    res.json({
+      success: true,
+      message: `Tool moved to ${STATUS_NAMES[tool.status]}`,
+      data: toolEditor.withStatusName(tool)
+    });
+    
+  } catch (error) {
+    logger.error('Error changing tool status', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Route to approve or reject AI-generated content: { decision, note }
+router.post('/:slug/review', async (req, res) => {
+  try {
+    const tool = await loadTool(req, res);
+    if (!tool) {
+      return;
+    }
+    
+    const decision = req.body && req.body.decision;
+    await toolEditor.reviewTool(tool, decision, {
+      by: getEditor(req),
+      note: req.body && req.body.note
+    });
+    
+    res.json({
+      success: true,
+      message: decision === 'approve' ? 'Tool approved and published' : 'Tool rejected',
+      data: toolEditor.withStatusName(tool)
+    });
+    
+  } catch (error) {
+    logger.error('Error reviewing tool', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+function parseRevision(value) {
+  const revision = parseInt(value);
+  return revision > 0 ? revision : null;
+}
+
+// Route to list a tool's revision history (newest first, without snapshots)
+router.get('/:slug/revisions', async (req, res) => {
+  try {
+    const tool = await loadTool(req, res, { publicOnly: !canSeeUnpublished(req) });
+    if (!tool) {
+      return;
+    }
+    
+    const data = await revisions.listRevisions(tool._id);
+    
+    res.json({
+      success: true,
+      slug: tool.slug,
+      data: data
+    });
+    
+  } catch (error) {
+    logger.error('Error listing revisions', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Route to get one revision including its snapshot
+router.get('/:slug/revisions/:revision', async (req, res) => {
+  try {
+    const tool = await loadTool(req, res, { publicOnly: !canSeeUnpublished(req) });
+    if (!tool) {
+      return;
+    }
+    
+    const revision = parseRevision(req.params.revision);
+    const data = revision && await revisions.getRevision(tool._id, revision);
+    
+    if (!data) {
+      return res.status(404).json({
+        success: false,
+        error: 'Revision not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: data
+    });
+    
+  } catch (error) {
+    logger.error('Error getting revision', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Route to diff a revision against ?against=<revision>|current
+// (defaults to the revision before it)
+router.get('/:slug/revisions/:revision/diff', async (req, res) => {
+  try {
+    const tool = await loadTool(req, res, { publicOnly: !canSeeUnpublished(req) });
+    if (!tool) {
+      return;
+    }
+    
+    const revision = parseRevision(req.params.revision);
+    const target = revision && await revisions.getRevision(tool._id, revision);
+    
+    if (!target) {
+      return res.status(404).json({
+        success: false,
+        error: 'Revision not found'
+      });
+    }
+    
+    // against=current shows what rolling back to this revision would change
+    if (req.query.against === 'current') {
+      return res.json({
+        success: true,
+        from: revision,
+        to: 'current',
+        changes: revisions.diffSnapshots(target.snapshot, revisions.snapshotOf(tool))
+      });
+    }
+    
+    const against = req.query.against ? parseRevision(req.query.against) : revision - 1;
+    let base = null;
+    
+    if (against) {
+      const other = await revisions.getRevision(tool._id, against);
+      if (!other) {
+        return res.status(404).json({
+          success: false,
+          error: `Revision ${against} not found`
+        });
+      }
+      base = other.snapshot;
+    }
+    
+    res.json({
+      success: true,
+      from: against || null,
+      to: revision,
+      changes: revisions.diffSnapshots(base, target.snapshot)
+    });
+    
+  } catch (error) {
+    logger.error('Error diffing revisions', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Route to download, validate and store a tool's logo again: { logo_url }
+router.post('/:slug/logo', async (req, res) => {
+  try {
+    const tool = await loadTool(req, res);
+    if (!tool) {
+      return;
+    }
+    
+    const logo = await toolEditor.refreshLogo(tool, {
+      logoUrl: req.body && req.body.logo_url,
+      editor: getEditor(req)
+    });
+    
+    res.json({
+      success: true,
+      message: `Stored ${logo.source} logo ${logo.path}`,
+      logo: logo
+    });
+    
+  } catch (error) {
+    logger.error('Error storing tool logo', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Route to restore a tool's content to a prior revision
+router.post('/:slug/revisions/:revision/rollback', async (req, res) => {
+  try {
+    const tool = await loadTool(req, res);
+    if (!tool) {
+      return;
+    }
+    
+    const revision = parseRevision(req.params.revision);
+    const created = revision && await revisions.rollbackTool(tool, revision, { editor: getEditor(req) });
+    
+    if (!created) {
+      return res.status(404).json({
+        success: false,
+        error: 'Revision not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      message: `Rolled back to revision ${revision}`,
+      revision: created.revision,
+      data: toolEditor.withStatusName(tool)
+    });
+    
+  } catch (error) {
+    logger.error('Error rolling back tool', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,96 @@
+const express = require('express');
+const LlmCall = require('../models/LlmCall');
+const usage = require('../services/usage');
+const logger = require('../services/logger');
+
+const router = express.Router();
+
+// Route to get token and cost totals:
+// ?group_by=day|model|provider|job|purpose&from=&to=&job_id=&model=&provider=&purpose=
+router.get('/summary', async (req, res) => {
+  try {
+    const data = await usage.aggregateUsage(req.query);
+    const totals = data.reduce((sum, row) => ({
+      calls: sum.calls + row.calls,
+      total_tokens: sum.total_tokens + row.total_tokens,
+      cost_usd: Math.round((sum.cost_usd + row.cost_usd) * 1e6) / 1e6
+    }), { calls: 0, total_tokens: 0, cost_usd: 0 });
+    
+    res.json({
+      success: true,
+      group_by: req.query.group_by || 'day',
+      totals: totals,
+      data: data
+    });
+    
+  } catch (error) {
+    logger.error('Error summarizing LLM usage', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Route to list individual LLM calls, newest first (same filters as /summary)
+router.get('/calls', async (req, res) => {
+  try {
+    const filter = usage.buildUsageFilter(req.query);
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+    
+    const [data, totalItems] = await Promise.all([
+      LlmCall.find(filter)
+        .sort({ created_at: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      LlmCall.countDocuments(filter)
+    ]);
+    
+    res.json({
+      success: true,
+      data: data,
+      pagination: {
+        current_page: page,
+        total_pages: Math.ceil(totalItems / limit),
+        total_items: totalItems,
+        items_per_page: limit
+      }
+    });
+    
+  } catch (error) {
+    logger.error('Error listing LLM calls', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Route to get today's spend against the daily budget
+router.get('/budget', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      budget: await usage.checkBudget()
+    });
+    
+  } catch (error) {
+    logger.error('Error checking LLM budget', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Route to get the price table used for cost accounting
+router.get('/prices', (req, res) => {
+  res.json({
+    success: true,
+    unit: 'USD per 1M tokens',
+    models: usage.getPrices()
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,243 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const webhooks = require('../services/webhooks');
+const logger = require('../services/logger');
+
+const router = express.Router();
+
+function getActor(req) {
+  return req.apiKey ? req.apiKey.name : req.get('X-Editor');
+}
+
+// The webhook as stored, without its secret
+function withoutSecret(webhook) {
+  const data = webhook.toObject();
+  delete data.secret;
+  return data;
+}
+
+// Route to list webhooks (secrets are never returned)
+router.get('/', async (req, res) => {
+  try {
+    const data = await Webhook.find({}).sort({ createdAt: -1 });
+    
+    res.json({
+      success: true,
+      events: webhooks.EVENTS,
+      data: data
+    });
+    
+  } catch (error) {
+    logger.error('Error listing webhooks', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Route to subscribe: { url, events, secret, description }. The secret is
+// generated unless given and only shown in this response.
+router.post('/', async (req, res) => {
+  try {
+    const webhook = await webhooks.createWebhook(req.body || {}, { createdBy: getActor(req) });
+    
+    res.status(201).json({
+      success: true,
+      message: 'Store this secret now; it cannot be shown again',
+      secret: webhook.secret,
+      data: withoutSecret(webhook)
+    });
+    
+  } catch (error) {
+    logger.error('Error creating webhook', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Route to list the events a webhook can subscribe to
+router.get('/events', (req, res) => {
+  res.json({
+    success: true,
+    events: webhooks.EVENTS
+  });
+});
+
+// Route to get one delivery with its attempt log and payload
+router.get('/deliveries/:id', async (req, res) => {
+  try {
+    const delivery = mongoose.isValidObjectId(req.params.id) && await WebhookDelivery.findById(req.params.id);
+    
+    if (!delivery) {
+      return res.status(404).json({
+        success: false,
+        error: 'Delivery not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: delivery
+    });
+    
+  } catch (error) {
+    logger.error('Error getting webhook delivery', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Route to send a delivery's payload again (same event id, new delivery)
+router.post('/deliveries/:id/replay', async (req, res) => {
+  try {
+    const delivery = await webhooks.replayDelivery(req.params.id);
+    
+    res.status(202).json({
+      success: true,
+      message: `Queued replay of delivery ${req.params.id}`,
+      data: delivery
+    });
+    
+  } catch (error) {
+    logger.error('Error replaying webhook delivery', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Route to get one webhook
+router.get('/:id', async (req, res) => {
+  try {
+    const webhook = await webhooks.findWebhook(req.params.id);
+    
+    res.json({
+      success: true,
+      data: webhook
+    });
+    
+  } catch (error) {
+    logger.error('Error getting webhook', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Route to change a webhook: { url, events, description, active, rotate_secret }.
+// A rotated secret is only shown in this response.
+router.patch('/:id', async (req, res) => {
+  try {
+    const body = req.body || {};
+    const webhook = await webhooks.updateWebhook(req.params.id, body);
+    
+    res.json({
+      success: true,
+      message: 'Webhook updated',
+      secret: body.rotate_secret ? webhook.secret : undefined,
+      data: withoutSecret(webhook)
+    });
+    
+  } catch (error) {
+    logger.error('Error updating webhook', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Route to delete a webhook (its delivery log is kept)
+router.delete('/:id', async (req, res) => {
+  try {
+    const webhook = await webhooks.deleteWebhook(req.params.id);
+    
+    res.json({
+      success: true,
+      message: `Deleted webhook for ${webhook.url}`
+    });
+    
+  } catch (error) {
+    logger.error('Error deleting webhook', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Route to send a webhook.test event, also to a disabled webhook
+router.post('/:id/test', async (req, res) => {
+  try {
+    const delivery = await webhooks.sendTestEvent(req.params.id);
+    
+    res.status(202).json({
+      success: true,
+      message: 'Queued test event',
+      data: delivery,
+      delivery_url: delivery ? `/webhooks/deliveries/${delivery._id}` : undefined
+    });
+    
+  } catch (error) {
+    logger.error('Error sending webhook test event', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Route to list a webhook's deliveries, newest first: ?status=&event=&page=&limit=
+router.get('/:id/deliveries', async (req, res) => {
+  try {
+    const webhook = await webhooks.findWebhook(req.params.id);
+    const filter = { webhook_id: webhook._id };
+    if (req.query.status) {
+      filter.status = req.query.status;
+    }
+    if (req.query.event) {
+      filter.event = req.query.event;
+    }
+    
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 200);
+    
+    const [data, totalItems] = await Promise.all([
+      WebhookDelivery.find(filter)
+        .select('-payload')
+        .sort({ created_at: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      WebhookDelivery.countDocuments(filter)
+    ]);
+    
+    res.json({
+      success: true,
+      data: data,
+      pagination: {
+        current_page: page,
+        total_pages: Math.ceil(totalItems / limit),
+        total_items: totalItems,
+        items_per_page: limit
+      }
+    });
+    
+  } catch (error) {
+    logger.error('Error listing webhook deliveries', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
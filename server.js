@@ -1,250 +1,132 @@
 // server.js
+// Loaded before anything else: several modules read their settings from the
+// environment when they are first required
+require('dotenv').config();
+const crypto = require('crypto');
 const express = require('express');
-const { MongoClient, ObjectId } = require('mongodb');
-const OpenAI = require('openai');
-const cron = require('node-cron');
-const mongoose = require('mongoose');
+const { ObjectId } = require('mongodb');
 const Tool = require('./models/Tool');
-require('dotenv').config();
+const { TOOL_STATUS } = require('./models/toolStatus');
+const RAW_STATUS = require('./models/rawStatus');
+const providers = require('./providers');
+const { connectToMongo, getRawCollection, closeMongo } = require('./db');
+const queue = require('./services/queue');
+const jobs = require('./services/jobs');
+const jobsRouter = require('./routes/jobs');
+const failuresRouter = require('./routes/failures');
+const duplicatesRouter = require('./routes/duplicates');
+const sourcesRouter = require('./routes/sources');
+const rawDataRouter = require('./routes/rawData');
+const exportsRouter = require('./routes/exports');
+const toolsRouter = require('./routes/tools');
+const refreshRouter = require('./routes/refresh');
+const { getLogoStorage, setLogoHeaders } = require('./services/logoStorage');
+const promptTemplates = require('./services/promptTemplates');
+const promptsRouter = require('./routes/prompts');
+const usageRouter = require('./routes/usage');
+const llmCacheRouter = require('./routes/llmCache');
+const apiKeysRouter = require('./routes/apiKeys');
+const auditLogRouter = require('./routes/auditLog');
+const auth = require('./services/auth');
+const settingsRouter = require('./routes/settings');
+const settings = require('./services/settings');
+const { validateConfig } = require('./services/config');
+const schedulesRouter = require('./routes/schedules');
+const scheduler = require('./services/scheduler');
+const webhooksRouter = require('./routes/webhooks');
+const webhooks = require('./services/webhooks');
+const taxonomyRouter = require('./routes/taxonomy');
+const taxonomy = require('./services/taxonomy');
+const logger = require('./services/logger');
+const metrics = require('./services/metrics');
+const { ensureImportIndexes } = require('./services/rawImport');
+const { validateMergePolicy } = require('./services/toolUpsert');
 
 const app = express();
+// Imports carry whole files, so they are read as text before the JSON parser
+app.use('/raw-data/import', express.text({ type: '*/*', limit: process.env.IMPORT_BODY_LIMIT || '20mb' }));
 app.use(express.json());
 
+// Every request gets an id (a sane incoming X-Request-Id is kept) that is
+// echoed back and attached to every log line written while handling it.
+// Registered after the body parsers, which would otherwise lose the context.
+app.use((req, res, next) => {
+  const incoming = req.get('X-Request-Id');
+  const requestId = incoming && /^[\w.:-]{1,128}$/.test(incoming) ? incoming : crypto.randomUUID();
+  const startedAt = process.hrtime.bigint();
+  
+  req.id = requestId;
+  res.set('X-Request-Id', requestId);
+  
+  res.on('finish', () => {
+    const quiet = req.path === '/metrics' || req.path === '/health';
+    logger[quiet ? 'debug' : 'info']('HTTP request', {
+      request_id: requestId,
+      method: req.method,
+      path: req.baseUrl + req.path,
+      status: res.statusCode,
+      duration_ms: Number(process.hrtime.bigint() - startedAt) / 1e6
+    });
+  });
+  
+  logger.withLogContext({ request_id: requestId }, next);
+});
+app.use(metrics.httpMetricsMiddleware);
+
+// API keys and roles (see services/auth.js). The audit trail goes before
+// authorize so calls refused for lacking the role are recorded too.
+app.use(auth.authenticate);
+app.use(auth.auditTrail);
+app.use(auth.authorize);
+
 // Configuration
 const PORT = process.env.PORT || 3000;
-const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017';
+const MONGODB_URI = process.env.MONGODB_URI;
 const DB_NAME = process.env.DB_NAME || 'ai_tools_db';
-const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
-const AUTO_PROCESS = process.env.AUTO_PROCESS !== 'false'; // Default: true
+// LLM_PROVIDER selects the default provider (openai, deepseek, compatible, mock).
+// Batch size, concurrency and the default provider and models are runtime
+// settings (GET/PUT /settings); cron schedules are managed under /schedules.
 
-// Initialize OpenAI
-const openai = new OpenAI({
-  apiKey: OPENAI_API_KEY,
-});
-
-// MongoDB connection
-let db;
-
-async function connectToMongo() {
-  try {
-    await mongoose.connect(MONGODB_URI, {
-      dbName: DB_NAME
-    });
-    console.log('Connected to MongoDB');
-    
-    // Initialize the db variable for raw data operations
-    const client = new MongoClient(MONGODB_URI);
-    await client.connect();
-    db = client.db(DB_NAME);
-  } catch (error) {
-    console.error('MongoDB connection error:', error);
-    process.exit(1);
+// Reads an optional provider override from the request body or query string
+function getRequestedProvider(req) {
+  const name = (req.body && req.body.provider) || req.query.provider;
+  
+  if (name && !providers.hasProvider(name)) {
+    const error = new Error(`Unknown LLM provider: ${name}`);
+    error.statusCode = 400;
+    throw error;
   }
+  
+  return name;
 }
 
-// Function to get AI analysis from OpenAI
-async function getAIAnalysis(toolName, appUrl) {
-  try {
-    // Handle undefined/null values
-    const safeName = toolName || 'Unknown Tool';
-    const safeUrl = appUrl || 'No URL provided';
-    
-    const prompt = `
-    Analyze this AI tool and provide detailed information:
-    
-    Tool Name: ${safeName}
-    App URL: ${safeUrl}
-    
-    IMPORTANT: Return ONLY a valid JSON object, no markdown formatting, no code blocks, no backticks.
-    
-    Provide a JSON response with exactly this structure:
-    {
-      "name": "The official name of the tool",
-      "slug": "lowercase-hyphenated-name",
-      "website": "The official website URL",
-      "tagline": "A short, catchy one-line description",
-      "description": "A brief one-sentence description",
-      "company": "The company that owns/develops the tool",
-      "longDescription": "A comprehensive 2-3 paragraph description of the tool's capabilities and value proposition",
-      "categories": [
-        "List of relevant categories this tool belongs to",
-        "Each category should be specific and relevant"
-      ],
-      "features": [
-        {
-          "name": "Feature name",
-          "description": "Detailed description of the feature"
-        }
-      ],
-      "integrations": [
-        "List of major integrations and platforms supported"
-      ],
-      "prosCons": {
-        "pros": [
-          "List of advantages and benefits"
-        ],
-        "cons": [
-          "List of potential drawbacks or limitations"
-        ]
-      },
-      "useCases": [
-        "List of specific use cases and applications"
-      ]
-    }
-    `;
-
-    const response = await openai.chat.completions.create({
-      model: "gpt-4",
-      messages: [
-        {
-          role: "system",
-          content: "You are a helpful AI that analyzes tools and returns responses in pure JSON format without any markdown formatting or code blocks."
-        },
-        {
-          role: "user",
-          content: prompt
-        }
-      ],
-      max_tokens: 2000,
-      temperature: 0.7
-    });
-
-    let content = response.choices[0].message.content.trim();
-    
-    // Clean up the response by removing markdown code blocks if present
-    if (content.startsWith('```json')) {
-      content = content.replace(/```json\s*/, '').replace(/```\s*$/, '').trim();
-    } else if (content.startsWith('```')) {
-      content = content.replace(/```\s*/, '').replace(/```\s*$/, '').trim();
-    }
-    
-    // Try to parse JSON response
-    try {
-      const parsed = JSON.parse(content);
-      
-      // Validate that required fields exist
-      if (!parsed.name || !parsed.description || !Array.isArray(parsed.features) || 
-          !parsed.prosCons || !Array.isArray(parsed.useCases)) {
-        throw new Error('Invalid JSON structure');
-      }
-      
-      return parsed;
-    } catch (parseError) {
-      console.error('Failed to parse OpenAI response as JSON:', parseError);
-      console.error('Raw content:', content);
-      
-      // Return a fallback structure if JSON parsing fails
-      return {
-        name: safeName,
-        slug: safeName.toLowerCase().replace(/\s+/g, '-'),
-        website: safeUrl,
-        tagline: `AI tool analysis for ${safeName}`,
-        description: `AI tool analysis for ${safeName}. ${content.substring(0, 200)}...`,
-        company: "Unknown",
-        longDescription: "Analysis pending - JSON parse error",
-        categories: ["AI Tools"],
-        features: [],
-        integrations: [],
-        prosCons: {
-          pros: [],
-          cons: []
-        },
-        useCases: []
-      };
-    }
-  } catch (error) {
-    console.error('OpenAI API error:', error);
-    throw error;
+// Reads an optional analysis prompt version from the body and checks it exists
+async function getRequestedPromptVersion(req) {
+  const version = req.body && req.body.prompt_version;
+  
+  if (version) {
+    await promptTemplates.getTemplate(promptTemplates.ANALYSIS_TEMPLATE, version);
   }
+  
+  return version;
 }
 
-// Function to process a single raw data item
-async function processRawDataItem(item) {
-  try {
-    // Debug: Log the entire item to see what fields are available
-    console.log('Raw item data:', JSON.stringify(item, null, 2));
-    
-    // Handle cases where item properties might be undefined/null
-    const toolName = item.appName || item.ai_tool_name || item.name || item.tool_name || 'Unknown Tool';
-    const appUrl = item.appUrl || item.app_url || item.url || item.website || '';
-    const logoUrl = item.appLogoUrl || item.logo_url || item.logo || item.image_url || '';
-    
-    console.log(`Processing item: ${toolName} (ID: ${item._id})`);
-    console.log(`App URL: ${appUrl}`);
-    
-    // Get AI analysis from OpenAI
-    const aiAnalysis = await getAIAnalysis(toolName, appUrl);
-    
-    console.log('AI Analysis result:', aiAnalysis);
-    
-    // Create a new tool document using the Mongoose model
-    const tool = new Tool({
-      ...aiAnalysis,
-      logo_url: logoUrl,
-      status: 10,
-      processed_at: new Date(),
-      original_id: item._id.toString()
-    });
-    
-    // Save the tool document
-    const savedTool = await tool.save();
-    console.log('Saved tool document:', savedTool._id);
-    
-    // Update status in raw-data collection
-    const rawCollection = db.collection('Raw-test-data');
-    const updateResult = await rawCollection.updateOne(
-      { _id: item._id },
-      { 
-        $set: { 
-          status: 1,
-          processed_at: new Date()
-        }
-      }
-    );
-    
-    console.log('Update result:', updateResult.modifiedCount);
-    console.log(`Successfully processed: ${toolName}`);
-    
-    return {
-      success: true,
-      processedId: savedTool._id,
-      originalId: item._id
-    };
-    
-  } catch (error) {
-    const toolName = item.appName || item.ai_tool_name || item.name || item.tool_name || 'Unknown Tool';
-    console.error(`Error processing item ${toolName}:`, error);
-    
-    // Update status to indicate error (status = -1)
-    const rawCollection = db.collection('Raw-test-data');
-    await rawCollection.updateOne(
-      { _id: item._id },
-      { 
-        $set: { 
-          status: -1,
-          error_message: error.message,
-          error_at: new Date()
-        }
-      }
-    );
-    
-    return {
-      success: false,
-      error: error.message,
-      originalId: item._id
-    };
-  }
+// Reads an optional merge policy override ({ field: strategy }) from the body
+function getRequestedMergePolicy(req) {
+  const policy = req.body && req.body.merge_policy;
+  validateMergePolicy(policy);
+  return policy;
 }
 
 // Route to process all pending raw data
 app.post('/process-raw-data', async (req, res) => {
   try {
-    const rawCollection = db.collection('Raw-test-data');
-    
-    // Find all items with status = 0
-    const pendingItems = await rawCollection.find({ status: 0 }).toArray();
+    const providerName = getRequestedProvider(req);
+    const mergePolicy = getRequestedMergePolicy(req);
+    const promptVersion = await getRequestedPromptVersion(req);
+    const pendingCount = await queue.countPending();
     
-    if (pendingItems.length === 0) {
+    if (pendingCount === 0) {
       return res.json({
         success: true,
         message: 'No pending items to process',
@@ -252,33 +134,28 @@ app.post('/process-raw-data', async (req, res) => {
       });
     }
     
-    console.log(`Found ${pendingItems.length} items to process`);
-    
-    const results = [];
-    
-    // Process items one by one to avoid rate limiting
-    for (const item of pendingItems) {
-      const result = await processRawDataItem(item);
-      results.push(result);
-      
-      // Add delay to respect OpenAI rate limits (can be reduced for higher tier accounts)
-      await new Promise(resolve => setTimeout(resolve, 1000));
-    }
-    
-    const successful = results.filter(r => r.success).length;
-    const failed = results.filter(r => !r.success).length;
+    // Processing runs in the background; progress is reported under /jobs/:id
+    const { job, done } = await jobs.startJob({
+      provider: providerName,
+      mergePolicy: mergePolicy,
+      promptVersion: promptVersion,
+      bypassCache: Boolean(req.body && req.body.bypass_cache),
+      concurrency: req.body && req.body.concurrency,
+      limit: req.body && req.body.limit
+    });
+    done.catch(error => logger.error('Processing job crashed', { job_id: job._id.toString(), error: error }));
     
-    res.json({
+    res.status(202).json({
       success: true,
-      message: `Processing completed. Success: ${successful}, Failed: ${failed}`,
-      processed: successful,
-      failed: failed,
-      results: results
+      message: `Processing started for ${pendingCount} pending items`,
+      job_id: job._id,
+      status_url: `/jobs/${job._id}`,
+      events_url: `/jobs/${job._id}/events`
     });
     
   } catch (error) {
-    console.error('Error in process-raw-data:', error);
-    res.status(500).json({
+    logger.error('Error in process-raw-data', error);
+    res.status(error.statusCode || 500).json({
       success: false,
       error: error.message
     });
@@ -289,38 +166,79 @@ app.post('/process-raw-data', async (req, res) => {
 app.post('/process-item/:id', async (req, res) => {
   try {
     const itemId = req.params.id;
-    const rawCollection = db.collection('Raw-test-data');
     
-    const item = await rawCollection.findOne({ 
-      _id: new ObjectId(itemId),
-      status: 0 
+    if (!ObjectId.isValid(itemId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid item id'
+      });
+    }
+    
+    const providerName = getRequestedProvider(req);
+    const mergePolicy = getRequestedMergePolicy(req);
+    const promptVersion = await getRequestedPromptVersion(req);
+    
+    const result = await queue.processQueuedItem(new ObjectId(itemId), {
+      provider: providerName,
+      mergePolicy: mergePolicy,
+      promptVersion: promptVersion,
+      skipDedup: Boolean(req.body && req.body.skip_dedup),
+      bypassCache: Boolean(req.body && req.body.bypass_cache)
     });
     
-    if (!item) {
+    if (!result) {
       return res.status(404).json({
         success: false,
-        error: 'Item not found or already processed'
+        error: 'Item not found, already processed or currently being processed'
       });
     }
     
-    const result = await processRawDataItem(item);
-    
     if (result.success) {
+      let message = result.created ? 'Item processed successfully' : 'Item merged into existing tool';
+      if (result.duplicate) {
+        message = 'Item linked to existing tool';
+      }
+      
       res.json({
         success: true,
-        message: 'Item processed successfully',
-        processedId: result.processedId
+        message: message,
+        processedId: result.processedId,
+        created: result.created,
+        duplicate: Boolean(result.duplicate),
+        changed_fields: result.changedFields
+      });
+    } else if (result.possibleDuplicate) {
+      res.status(409).json({
+        success: false,
+        possible_duplicate: true,
+        error: result.error
+      });
+    } else if (result.invalidInput) {
+      res.status(422).json({
+        success: false,
+        invalid_input: true,
+        error: result.error
+      });
+    } else if (result.needsReview) {
+      res.status(422).json({
+        success: false,
+        needs_review: true,
+        error: result.error,
+        validation_errors: result.validationErrors
       });
     } else {
       res.status(500).json({
         success: false,
-        error: result.error
+        error: result.error,
+        error_type: result.errorType,
+        retry_scheduled: Boolean(result.retryScheduled),
+        next_attempt_at: result.nextAttemptAt
       });
     }
     
   } catch (error) {
-    console.error('Error in process-item:', error);
-    res.status(500).json({
+    logger.error('Error in process-item', error);
+    res.status(error.statusCode || 500).json({
       success: false,
       error: error.message
     });
@@ -330,25 +248,43 @@ app.post('/process-item/:id', async (req, res) => {
 // Route to get processing status
 app.get('/status', async (req, res) => {
   try {
-    const rawCollection = db.collection('Raw-test-data');
-    
-    const pending = await rawCollection.countDocuments({ status: 0 });
-    const processed = await rawCollection.countDocuments({ status: 1 });
-    const errors = await rawCollection.countDocuments({ status: -1 });
+    const rawCollection = getRawCollection();
+    
+    const pending = await rawCollection.countDocuments({ status: RAW_STATUS.PENDING });
+    const processed = await rawCollection.countDocuments({ status: RAW_STATUS.PROCESSED });
+    const errors = await rawCollection.countDocuments({ status: RAW_STATUS.DEAD_LETTER });
+    const retryScheduled = await rawCollection.countDocuments({
+      status: RAW_STATUS.PENDING,
+      next_attempt_at: { $gt: new Date() }
+    });
+    const needsReview = await rawCollection.countDocuments({ status: RAW_STATUS.NEEDS_REVIEW });
+    const duplicates = await rawCollection.countDocuments({ status: RAW_STATUS.DUPLICATE });
+    const possibleDuplicates = await rawCollection.countDocuments({ status: RAW_STATUS.POSSIBLE_DUPLICATE });
+    const invalidInput = await rawCollection.countDocuments({ status: RAW_STATUS.INVALID_INPUT });
+    const inProgress = await rawCollection.countDocuments({
+      status: RAW_STATUS.PENDING,
+      lease_expires_at: { $gt: new Date() }
+    });
     const totalProcessed = await Tool.countDocuments();
     
     res.json({
       success: true,
       status: {
         pending: pending,
+        in_progress: inProgress,
         processed: processed,
         errors: errors,
+        retry_scheduled: retryScheduled,
+        needs_review: needsReview,
+        duplicates: duplicates,
+        possible_duplicates: possibleDuplicates,
+        invalid_input: invalidInput,
         total_in_processed_collection: totalProcessed
       }
     });
     
   } catch (error) {
-    console.error('Error getting status:', error);
+    logger.error('Error getting status', error);
     res.status(500).json({
       success: false,
       error: error.message
@@ -356,19 +292,20 @@ app.get('/status', async (req, res) => {
   }
 });
 
-// Route to get processed data
+// Route to get processed data. Only editors see unreviewed tools.
 app.get('/processed-data', async (req, res) => {
   try {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 10;
     const skip = (page - 1) * limit;
+    const filter = auth.requestHasRole(req, 'editor') ? {} : { status: TOOL_STATUS.PUBLISHED };
     
     const [data, total] = await Promise.all([
-      Tool.find()
+      Tool.find(filter)
         .sort({ processed_at: -1 })
         .skip(skip)
         .limit(limit),
-      Tool.countDocuments()
+      Tool.countDocuments(filter)
     ]);
     
     res.json({
@@ -383,7 +320,7 @@ app.get('/processed-data', async (req, res) => {
     });
     
   } catch (error) {
-    console.error('Error getting processed data:', error);
+    logger.error('Error getting processed data', error);
     res.status(500).json({
       success: false,
       error: error.message
@@ -391,127 +328,165 @@ app.get('/processed-data', async (req, res) => {
   }
 });
 
-// Route to toggle auto-processing
-app.post('/toggle-auto-process', (req, res) => {
-  const { enabled } = req.body;
-  
-  if (enabled !== undefined) {
-    process.env.AUTO_PROCESS = enabled ? 'true' : 'false';
+// Route to toggle auto-processing (shorthand for PUT /settings { auto_process })
+app.post('/toggle-auto-process', async (req, res) => {
+  try {
+    const { enabled } = req.body;
+    
+    if (enabled === undefined) {
+      return res.json({
+        success: true,
+        auto_process_enabled: settings.getSettings().auto_process
+      });
+    }
+    
+    await settings.updateSettings(
+      { auto_process: Boolean(enabled) },
+      { updatedBy: req.apiKey ? req.apiKey.name : undefined }
+    );
+    
     res.json({
       success: true,
       message: `Auto-processing ${enabled ? 'enabled' : 'disabled'}`,
-      auto_process_enabled: enabled
+      auto_process_enabled: settings.getSettings().auto_process
     });
-  } else {
-    res.json({
-      success: true,
-      auto_process_enabled: process.env.AUTO_PROCESS !== 'false'
+    
+  } catch (error) {
+    logger.error('Error toggling auto-processing', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
     });
   }
 });
 
-// Health check route
-app.get('/health', (req, res) => {
+app.use('/jobs', jobsRouter);
+app.use('/failures', failuresRouter);
+app.use('/duplicates', duplicatesRouter);
+app.use('/sources', sourcesRouter);
+app.use('/raw-data', rawDataRouter);
+app.use('/exports', exportsRouter);
+app.use('/tools', toolsRouter);
+app.use('/refresh', refreshRouter);
+app.use('/prompts', promptsRouter);
+app.use('/usage', usageRouter);
+app.use('/llm-cache', llmCacheRouter);
+app.use('/api-keys', apiKeysRouter);
+app.use('/audit-log', auditLogRouter);
+app.use('/settings', settingsRouter);
+app.use('/schedules', schedulesRouter);
+app.use('/webhooks', webhooksRouter);
+app.use('/taxonomy', taxonomyRouter);
+
+// Logos stored by the filesystem backend are served by this app. The storage
+// is set up on the first request, after startServer has validated the config.
+let serveLogos = null;
+app.use('/logos', (req, res, next) => {
+  const storage = getLogoStorage();
+  if (storage.name !== 'fs') {
+    return next();
+  }
+  if (!serveLogos) {
+    serveLogos = express.static(storage.dir, {
+      immutable: true,
+      maxAge: '365d',
+      setHeaders: setLogoHeaders
+    });
+  }
+  serveLogos(req, res, next);
+});
+
+// Route to list the available LLM providers
+app.get('/providers', (req, res) => {
   res.json({
     success: true,
-    message: 'Server is running',
-    timestamp: new Date().toISOString()
+    default_provider: providers.getDefaultProviderName(),
+    providers: providers.listProviders()
   });
 });
 
-// Function to auto-process pending data
-async function autoProcessPendingData() {
+// Prometheus metrics
+app.get('/metrics', async (req, res) => {
   try {
-    console.log('🔍 Checking for pending data to process...');
-    
-    const rawCollection = db.collection('Raw-test-data');
-    const pendingCount = await rawCollection.countDocuments({ status: 0 });
-    
-    if (pendingCount === 0) {
-      console.log('✅ No pending items found');
-      return;
-    }
-    
-    console.log(`🚀 Found ${pendingCount} pending items. Starting auto-processing...`);
-    
-    const pendingItems = await rawCollection.find({ status: 0 }).toArray();
-    let processed = 0;
-    let failed = 0;
-    
-    for (const item of pendingItems) {
-      const toolName = item.ai_tool_name || item.name || 'Unknown Tool';
-      const result = await processRawDataItem(item);
-      if (result.success) {
-        processed++;
-        console.log(`✅ Processed: ${toolName} (${processed}/${pendingCount})`);
-      } else {
-        failed++;
-        console.log(`❌ Failed: ${toolName} - ${result.error}`);
-      }
-      
-      // Add delay to respect OpenAI rate limits
-      await new Promise(resolve => setTimeout(resolve, 1000));
-    }
-    
-    console.log(`🎉 Auto-processing completed! Success: ${processed}, Failed: ${failed}`);
-    
+    res.set('Content-Type', metrics.register.contentType);
+    res.end(await metrics.register.metrics());
   } catch (error) {
-    console.error('❌ Auto-processing error:', error);
+    logger.error('Error collecting metrics', error);
+    res.status(500).end(error.message);
   }
-}
+});
+
+// Health check route
+app.get('/health', (req, res) => {
+  res.json({
+    success: true,
+    message: 'Server is running',
+    timestamp: new Date().toISOString()
+  });
+});
 
 // Start server
 async function startServer() {
-  await connectToMongo();
+  // Fail fast on a broken environment rather than at the first request
+  const problems = validateConfig();
+  if (problems.length > 0) {
+    logger.error('Invalid configuration', { problems: problems });
+    process.exit(1);
+  }
+  
+  await connectToMongo(MONGODB_URI, DB_NAME);
+  await queue.ensureQueueIndexes();
+  await ensureImportIndexes();
+  await settings.watchSettings();
+  await taxonomy.seedTaxonomy();
+  await scheduler.startScheduler();
+  webhooks.startDeliveryWorker();
   
   const server = app.listen(PORT, async () => {
-    console.log(`Server running on port ${PORT}`);
-    console.log(`Health check: http://localhost:${PORT}/health`);
-    console.log(`Process data: POST http://localhost:${PORT}/process-raw-data`);
-    console.log(`Check status: GET http://localhost:${PORT}/status`);
+    logger.info('Server running', {
+      port: PORT,
+      health: `http://localhost:${PORT}/health`,
+      metrics: `http://localhost:${PORT}/metrics`,
+      default_provider: providers.getDefaultProviderName()
+    });
     
     // Auto-process pending data on startup (if enabled)
-    if (AUTO_PROCESS) {
+    if (settings.getSettings().auto_process) {
       setTimeout(() => {
-        autoProcessPendingData();
-      }, 2000);
-      
-      // Schedule automatic processing every 2 hours
-      cron.schedule('0 */2 * * *', () => {
-        if (process.env.AUTO_PROCESS !== 'false') {
-          console.log('⏰ Scheduled processing triggered...');
-          autoProcessPendingData();
-        }
-      });
-      
-      console.log('⏰ Auto-processing enabled: On startup + Every 2 hours');
+        scheduler.runOnStartup().catch(error => logger.error('Startup processing error', error));
+      }, settings.getSettings().startup_delay_ms);
     } else {
-      console.log('⏸️  Auto-processing disabled. Use POST /process-raw-data to process manually');
+      logger.info('Auto-processing disabled; use POST /process-raw-data to process manually');
     }
   });
 
   // Handle server errors
   server.on('error', (error) => {
     if (error.code === 'EADDRINUSE') {
-      console.error(`Port ${PORT} is already in use. Please try a different port or close the application using this port.`);
+      logger.error('Port is already in use. Please try a different port or close the application using this port.', { port: PORT });
       process.exit(1);
     } else {
-      console.error('Server error:', error);
+      logger.error('Server error', error);
     }
   });
 }
 
-// Handle process termination
-process.on('SIGTERM', () => {
-  console.log('SIGTERM received. Closing server...');
-  mongoose.connection.close();
+// Handle process termination: release queue leases so in-flight items are
+// picked up again straight away by the next run
+async function shutdown(signal) {
+  logger.info('Closing server', { signal: signal });
+  try {
+    scheduler.stopScheduler();
+    webhooks.stopDeliveryWorker();
+    await queue.shutdownQueue();
+    await closeMongo();
+  } catch (error) {
+    logger.error('Error during shutdown', error);
+  }
   process.exit(0);
-});
+}
 
-process.on('SIGINT', () => {
-  console.log('SIGINT received. Closing server...');
-  mongoose.connection.close();
-  process.exit(0);
-});
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
 
-startServer().catch(console.error);
\ No newline at end of file
+startServer().catch(error => logger.error('Server failed to start', error));
\ No newline at end of file
@@ -0,0 +1,226 @@
+const { validateAnalysis } = require('./toolJsonSchema');
+const { getProviderLimiter } = require('./rateLimiter');
+const promptTemplates = require('./promptTemplates');
+const usage = require('./usage');
+const llmCache = require('./llmCache');
+const settings = require('./settings');
+const taxonomy = require('./taxonomy');
+const logger = require('./logger');
+
+const MAX_ATTEMPTS = parseInt(process.env.LLM_MAX_ATTEMPTS) || 3;
+
+// Thrown when the model never produced output that passes schema validation.
+// The raw item should be parked for review rather than saved as a tool.
+class AnalysisValidationError extends Error {
+  constructor(message, { errors, rawContent, attempts }) {
+    super(message);
+    this.name = 'AnalysisValidationError';
+    this.errors = errors;
+    this.rawContent = rawContent;
+    this.attempts = attempts;
+  }
+}
+
+// Removes markdown code fences the model may wrap around the JSON
+function stripCodeFences(content) {
+  let cleaned = content.trim();
+  
+  if (cleaned.startsWith('```json')) {
+    cleaned = cleaned.replace(/```json\s*/, '').replace(/```\s*$/, '').trim();
+  } else if (cleaned.startsWith('```')) {
+    cleaned = cleaned.replace(/```\s*/, '').replace(/```\s*$/, '').trim();
+  }
+  
+  return cleaned;
+}
+
+// Parses and validates a model response, returning { analysis, errors }
+function parseAnalysis(content) {
+  let parsed;
+  
+  try {
+    parsed = JSON.parse(stripCodeFences(content));
+  } catch (parseError) {
+    return { analysis: null, errors: [`Response is not valid JSON: ${parseError.message}`] };
+  }
+  
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    return { analysis: null, errors: ['Response must be a single JSON object'] };
+  }
+  
+  return { analysis: parsed, errors: validateAnalysis(parsed) };
+}
+
+function buildRepairPrompt(errors) {
+  return [
+    'Your previous response did not match the required JSON structure.',
+    'Validation errors:',
+    ...errors.map(error => `- ${error}`),
+    '',
+    'Return the corrected JSON object only, with every required field filled in. No markdown, no code blocks, no backticks.'
+  ].join('\n');
+}
+
+// Model an analysis with `template` runs on: a template that names a model
+// wins over the per-provider model setting
+function resolveModel(template, provider) {
+  return template.model || settings.getModelFor(provider.name) || provider.model;
+}
+
+// User prompt for a template. In constrained taxonomy mode the allowed
+// categories and integrations go where the template puts {{taxonomy}}, or at
+// the end for templates that do not mention it.
+function buildAnalysisMessages(template, vars) {
+  const messages = promptTemplates.buildMessages(template, vars);
+  
+  if (vars.taxonomy && !/\{\{#?taxonomy\}\}/.test(template.user)) {
+    messages[1].content += `\n\n${vars.taxonomy}`;
+  }
+  return messages;
+}
+
+// Function to get AI analysis from the selected LLM provider.
+// Invalid output is sent back to the model with the validation errors and
+// retried up to LLM_MAX_ATTEMPTS times before giving up. Categories and
+// integrations are mapped onto the taxonomy (see services/taxonomy.js).
+// options.template: prompt template to use (default version of tool-analysis)
+// options.siteContext: extracted website text to ground the analysis on
+// options.usageContext: { purpose, job_id, raw_id } stored with each call's usage
+// options.bypassCache: call the provider even if an identical request is cached
+// options.cacheOnly: never call the provider; resolves to null on a cache miss
+// options.taxonomyMode: off, map or constrained instead of the taxonomy_mode setting
+async function getAIAnalysis(toolName, appUrl, provider, options = {}) {
+  const maxAttempts = options.maxAttempts || MAX_ATTEMPTS;
+  const template = options.template || await promptTemplates.getTemplate(promptTemplates.ANALYSIS_TEMPLATE);
+  const taxonomyMode = options.taxonomyMode || settings.getSettings().taxonomy_mode;
+  
+  // Handle undefined/null values
+  const safeName = toolName || 'Unknown Tool';
+  const safeUrl = appUrl || 'No URL provided';
+  
+  const messages = buildAnalysisMessages(template, {
+    toolName: safeName,
+    appUrl: safeUrl,
+    siteContext: options.siteContext,
+    ...(await taxonomy.getPromptVars(taxonomyMode))
+  });
+  
+  const model = resolveModel(template, provider);
+  const key = llmCache.cacheKey({
+    provider: provider.name,
+    model: model,
+    promptVersion: template.version,
+    temperature: template.temperature,
+    maxTokens: template.max_tokens,
+    messages: messages
+  });
+  
+  // The cache holds the model's answer, so taxonomy changes apply to it too
+  if (!options.bypassCache) {
+    const cached = await llmCache.getCachedAnalysis(key);
+    const mapped = cached && await taxonomy.applyTaxonomy(cached, taxonomyMode);
+    if (mapped && mapped.errors.length === 0) {
+      logger.info('Using cached analysis', { tool_name: safeName, provider: provider.name, prompt_version: template.version });
+      return mapped.analysis;
+    }
+  }
+  if (options.cacheOnly) {
+    return null;
+  }
+  
+  const usageContext = {
+    purpose: 'analysis',
+    ...(options.usageContext || {}),
+    prompt_version: template.version,
+    tool_name: safeName
+  };
+  
+  let content = '';
+  let errors = [];
+  
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    let response;
+    
+    // Every call, including repair attempts, counts against the provider limit
+    await getProviderLimiter(provider.name).take();
+    
+    const startedAt = Date.now();
+    
+    try {
+      response = await provider.complete({
+        messages: messages,
+        maxTokens: template.max_tokens,
+        temperature: template.temperature,
+        model: model
+      });
+    } catch (error) {
+      logger.error('LLM provider error', { provider: provider.name, attempt: attempt, error: error });
+      await usage.recordCall({
+        provider: provider.name,
+        model: model,
+        latencyMs: Date.now() - startedAt,
+        attempt: attempt,
+        success: false,
+        error: error,
+        context: usageContext
+      });
+      throw error;
+    }
+    
+    await usage.recordCall({
+      provider: provider.name,
+      model: response.model || model,
+      usage: response.usage,
+      latencyMs: Date.now() - startedAt,
+      attempt: attempt,
+      context: usageContext
+    });
+    
+    content = response.content;
+    const result = parseAnalysis(content);
+    errors = result.errors;
+    
+    let mapped = null;
+    if (errors.length === 0) {
+      mapped = await taxonomy.applyTaxonomy(result.analysis, taxonomyMode);
+      errors = mapped.errors;
+    }
+    
+    if (errors.length === 0) {
+      await llmCache.storeAnalysis(key, {
+        provider: provider.name,
+        model: model,
+        promptVersion: template.version,
+        toolName: safeName
+      }, result.analysis);
+      return mapped.analysis;
+    }
+    
+    logger.warn('Invalid analysis, asking the model to repair it', {
+      tool_name: safeName,
+      provider: provider.name,
+      attempt: attempt,
+      max_attempts: maxAttempts,
+      validation_errors: errors
+    });
+    
+    // Ask the model to repair its own output
+    messages.push(
+      { role: "assistant", content: content },
+      { role: "user", content: buildRepairPrompt(errors) }
+    );
+  }
+  
+  throw new AnalysisValidationError(
+    `Analysis failed validation after ${maxAttempts} attempts`,
+    { errors: errors, rawContent: content, attempts: maxAttempts }
+  );
+}
+
+module.exports = {
+  getAIAnalysis,
+  resolveModel,
+  parseAnalysis,
+  stripCodeFences,
+  AnalysisValidationError
+};
@@ -0,0 +1,374 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const ApiKey = require('../models/ApiKey');
+const AuditLog = require('../models/AuditLog');
+const { createTokenBucket } = require('./rateLimiter');
+const logger = require('./logger');
+
+// API keys are sent as "Authorization: Bearer <key>" or "X-API-Key: <key>".
+// AUTH_ENABLED=false turns enforcement off (keys are still identified).
+// ADMIN_API_KEY is an admin key from the environment, used to create the first
+// stored keys; API_RATE_LIMIT_PER_MINUTE is the default per-key limit.
+const AUTH_ENABLED = process.env.AUTH_ENABLED !== 'false';
+const ADMIN_API_KEY = process.env.ADMIN_API_KEY;
+const DEFAULT_RATE_LIMIT = parseFloat(process.env.API_RATE_LIMIT_PER_MINUTE) || 120;
+
+// Lowest to highest; every role can do what the roles before it can
+const ROLES = ApiKey.ROLES;
+
+const KEY_PREFIX = 'aitk_';
+const KEY_CACHE_MS = 30 * 1000;
+
+// Access rules, first match wins. `action` names the entry written to the
+// audit log. Unlisted GETs need reader, anything else unlisted needs admin,
+// so new routes start out locked down.
+const ACCESS_RULES = [
+  { method: 'GET', pattern: /^\/health$/, public: true },
+  { method: 'GET', pattern: /^\/logos\//, public: true },
+  
+  { method: 'POST', pattern: /^\/api-keys$/, role: 'admin', action: 'api_key.create' },
+  { method: 'DELETE', pattern: /^\/api-keys\/[^/]+$/, role: 'admin', action: 'api_key.revoke' },
+  { method: '*', pattern: /^\/(api-keys|audit-log)(\/|$)/, role: 'admin' },
+  { method: 'PUT', pattern: /^\/settings$/, role: 'admin', action: 'settings.update' },
+  { method: 'PUT', pattern: /^\/sources\/[^/]+$/, role: 'admin', action: 'source.update' },
+  { method: 'DELETE', pattern: /^\/sources\/[^/]+$/, role: 'admin', action: 'source.delete' },
+  { method: 'POST', pattern: /^\/webhooks$/, role: 'admin', action: 'webhook.create' },
+  { method: 'PATCH', pattern: /^\/webhooks\/[^/]+$/, role: 'admin', action: 'webhook.update' },
+  { method: 'DELETE', pattern: /^\/webhooks\/[^/]+$/, role: 'admin', action: 'webhook.delete' },
+  { method: 'POST', pattern: /^\/webhooks\/[^/]+\/test$/, role: 'admin', action: 'webhook.test' },
+  { method: 'POST', pattern: /^\/webhooks\/deliveries\/[^/]+\/replay$/, role: 'admin', action: 'webhook.replay' },
+  { method: '*', pattern: /^\/webhooks(\/|$)/, role: 'admin' },
+  
+  { method: 'POST', pattern: /^\/process-raw-data$/, role: 'operator', action: 'process.run' },
+  { method: 'POST', pattern: /^\/process-item\/[^/]+$/, role: 'operator', action: 'process.item' },
+  { method: 'POST', pattern: /^\/toggle-auto-process$/, role: 'operator', action: 'settings.auto_process' },
+  { method: 'POST', pattern: /^\/schedules$/, role: 'operator', action: 'schedule.create' },
+  { method: 'PATCH', pattern: /^\/schedules\/[^/]+$/, role: 'operator', action: 'schedule.update' },
+  { method: 'DELETE', pattern: /^\/schedules\/[^/]+$/, role: 'operator', action: 'schedule.delete' },
+  { method: 'POST', pattern: /^\/schedules\/[^/]+\/run$/, role: 'operator', action: 'schedule.run' },
+  { method: 'POST', pattern: /^\/jobs\/[^/]+\/cancel$/, role: 'operator', action: 'job.cancel' },
+  { method: 'POST', pattern: /^\/failures\/([^/]+\/)?requeue$/, role: 'operator', action: 'failures.requeue' },
+  { method: 'POST', pattern: /^\/raw-data\/import$/, role: 'operator', action: 'raw_data.import', auditBody: false },
+  { method: 'POST', pattern: /^\/refresh\/run$/, role: 'operator', action: 'refresh.run' },
+  { method: 'POST', pattern: /^\/duplicates\/tools\/backfill$/, role: 'operator', action: 'duplicates.backfill' },
+  { method: 'POST', pattern: /^\/prompts\/evaluate$/, role: 'operator', action: 'prompts.evaluate' },
+  { method: 'POST', pattern: /^\/prompts\/[^/]+$/, role: 'operator', action: 'prompts.create' },
+  { method: 'DELETE', pattern: /^\/llm-cache$/, role: 'operator', action: 'llm_cache.purge' },
+  { method: 'POST', pattern: /^\/taxonomy\/remap$/, role: 'operator', action: 'taxonomy.remap' },
+  
+  { method: 'PATCH', pattern: /^\/tools\/[^/]+$/, role: 'editor', action: 'tool.update' },
+  { method: 'DELETE', pattern: /^\/tools\/[^/]+$/, role: 'editor', action: 'tool.delete' },
+  { method: 'POST', pattern: /^\/tools\/[^/]+\/status$/, role: 'editor', action: 'tool.status' },
+  { method: 'POST', pattern: /^\/tools\/[^/]+\/review$/, role: 'editor', action: 'tool.review' },
+  { method: 'POST', pattern: /^\/tools\/[^/]+\/logo$/, role: 'editor', action: 'tool.logo' },
+  { method: 'POST', pattern: /^\/tools\/[^/]+\/revisions\/[^/]+\/rollback$/, role: 'editor', action: 'tool.rollback' },
+  { method: 'POST', pattern: /^\/duplicates\/tools\/merge$/, role: 'editor', action: 'duplicates.merge' },
+  { method: 'POST', pattern: /^\/duplicates\/raw\/[^/]+\/confirm$/, role: 'editor', action: 'duplicates.confirm' },
+  { method: 'POST', pattern: /^\/duplicates\/raw\/[^/]+\/dismiss$/, role: 'editor', action: 'duplicates.dismiss' },
+  { method: 'POST', pattern: /^\/refresh\/flag$/, role: 'editor', action: 'refresh.flag' },
+  { method: 'POST', pattern: /^\/sources\/validate$/, role: 'editor' },
+  { method: 'POST', pattern: /^\/taxonomy\/resolve$/, role: 'reader' },
+  { method: 'POST', pattern: /^\/taxonomy$/, role: 'editor', action: 'taxonomy.create' },
+  { method: 'PATCH', pattern: /^\/taxonomy\/[^/]+$/, role: 'editor', action: 'taxonomy.update' },
+  { method: 'DELETE', pattern: /^\/taxonomy\/[^/]+$/, role: 'editor', action: 'taxonomy.delete' },
+  { method: 'POST', pattern: /^\/taxonomy\/[^/]+\/merge$/, role: 'editor', action: 'taxonomy.merge' }
+];
+
+function hasRole(role, required) {
+  return ROLES.indexOf(role) >= ROLES.indexOf(required);
+}
+
+// Whether the caller of a request holds `role`; with enforcement off every
+// caller does, as every route is open then
+function requestHasRole(req, role) {
+  if (!AUTH_ENABLED) {
+    return true;
+  }
+  return Boolean(req.apiKey) && hasRole(req.apiKey.role, role);
+}
+
+// Finds the access rule for a request
+function matchRule(method, path) {
+  const ruleMethod = method === 'HEAD' ? 'GET' : method;
+  // Express routes ignore case, so "/API-KEYS" must hit the /api-keys rule
+  const routePath = path.toLowerCase();
+  const rule = ACCESS_RULES.find(entry =>
+    (entry.method === '*' || entry.method === ruleMethod) && entry.pattern.test(routePath)
+  );
+  
+  if (rule) {
+    return rule;
+  }
+  return { role: ruleMethod === 'GET' ? 'reader' : 'admin' };
+}
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+// Compares hashes so the comparison time does not depend on the key
+function safeEqual(a, b) {
+  return crypto.timingSafeEqual(Buffer.from(hashKey(a), 'hex'), Buffer.from(hashKey(b), 'hex'));
+}
+
+function badRequest(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+// Creates a key and returns it with its document. The key itself is not
+// stored, so this is the only time it can be shown.
+async function createApiKey({ name, role, rateLimitPerMinute, expiresAt, createdBy } = {}) {
+  if (!name || typeof name !== 'string') {
+    throw badRequest('name is required');
+  }
+  if (!ROLES.includes(role)) {
+    throw badRequest(`role must be one of: ${ROLES.join(', ')}`);
+  }
+  if (rateLimitPerMinute !== undefined && rateLimitPerMinute !== null && !(Number(rateLimitPerMinute) > 0)) {
+    throw badRequest('rate_limit_per_minute must be a positive number');
+  }
+  if (expiresAt && isNaN(new Date(expiresAt).getTime())) {
+    throw badRequest('expires_at must be a date');
+  }
+  
+  const key = KEY_PREFIX + crypto.randomBytes(24).toString('base64url');
+  const apiKey = await ApiKey.create({
+    name: name,
+    prefix: key.slice(0, KEY_PREFIX.length + 6),
+    key_hash: hashKey(key),
+    role: role,
+    rate_limit_per_minute: rateLimitPerMinute ? Number(rateLimitPerMinute) : undefined,
+    expires_at: expiresAt ? new Date(expiresAt) : undefined,
+    created_by: createdBy
+  });
+  
+  return { key: key, apiKey: apiKey };
+}
+
+// Looked-up keys by hash, so a busy client does not cost a query per request.
+// Misses are not cached; revokeApiKey clears the cache.
+const keyCache = new Map();
+
+async function findKey(key) {
+  const keyHash = hashKey(key);
+  const cached = keyCache.get(keyHash);
+  
+  if (cached && Date.now() - cached.cachedAt < KEY_CACHE_MS) {
+    return cached.apiKey;
+  }
+  
+  const apiKey = await ApiKey.findOne({ key_hash: keyHash }).lean();
+  
+  if (apiKey) {
+    keyCache.set(keyHash, { apiKey: apiKey, cachedAt: Date.now() });
+    // Updated once per cache period rather than on every request
+    ApiKey.updateOne({ _id: apiKey._id }, { $set: { last_used_at: new Date() } })
+      .catch(error => logger.warn('Could not update API key last use', { key_id: apiKey._id, error: error.message }));
+  }
+  
+  return apiKey;
+}
+
+async function revokeApiKey(id) {
+  if (!mongoose.isValidObjectId(id)) {
+    throw badRequest('Invalid API key id');
+  }
+  
+  const apiKey = await ApiKey.findByIdAndUpdate(
+    id,
+    { $set: { active: false, revoked_at: new Date() } },
+    { new: true }
+  ).select('-key_hash');
+  
+  if (!apiKey) {
+    const error = new Error('API key not found');
+    error.statusCode = 404;
+    throw error;
+  }
+  
+  keyCache.clear();
+  return apiKey;
+}
+
+// The identity behind a presented key, or null when it is unknown, revoked or expired
+async function resolveIdentity(key) {
+  if (ADMIN_API_KEY && safeEqual(key, ADMIN_API_KEY)) {
+    return { name: 'bootstrap-admin', role: 'admin' };
+  }
+  if (!key.startsWith(KEY_PREFIX)) {
+    return null;
+  }
+  
+  const apiKey = await findKey(key);
+  
+  if (!apiKey || !apiKey.active || (apiKey.expires_at && apiKey.expires_at <= new Date())) {
+    return null;
+  }
+  
+  return {
+    id: apiKey._id,
+    name: apiKey.name,
+    role: apiKey.role,
+    rate_limit_per_minute: apiKey.rate_limit_per_minute
+  };
+}
+
+function getPresentedKey(req) {
+  const header = req.get('Authorization');
+  const match = header && header.match(/^Bearer\s+(\S+)$/i);
+  return match ? match[1] : req.get('X-API-Key');
+}
+
+// One bucket per key; a burst may use up a whole minute's allowance
+const rateBuckets = new Map();
+
+function takeRateToken(identity) {
+  const perMinute = identity.rate_limit_per_minute || DEFAULT_RATE_LIMIT;
+  const bucketKey = String(identity.id || identity.name);
+  let bucket = rateBuckets.get(bucketKey);
+  
+  if (!bucket || bucket.capacity !== Math.max(1, Math.ceil(perMinute))) {
+    bucket = createTokenBucket({ capacity: Math.max(1, Math.ceil(perMinute)), refillPerSecond: perMinute / 60 });
+    rateBuckets.set(bucketKey, bucket);
+  }
+  
+  return { limit: bucket.capacity, result: bucket.tryTake(), remaining: bucket.available() };
+}
+
+function deny(res, statusCode, message) {
+  res.status(statusCode).json({
+    success: false,
+    error: message
+  });
+}
+
+// Identifies the caller from their API key and applies their rate limit.
+// Sets req.accessRule and, for a valid key, req.apiKey ({ id, name, role }).
+async function authenticate(req, res, next) {
+  req.accessRule = matchRule(req.method, req.path);
+  
+  if (req.accessRule.public) {
+    return next();
+  }
+  
+  try {
+    const key = getPresentedKey(req);
+    const identity = key ? await resolveIdentity(key) : null;
+    
+    if (!identity) {
+      if (!AUTH_ENABLED) {
+        return next();
+      }
+      return deny(res, 401, key ? 'Invalid, revoked or expired API key' : 'API key required');
+    }
+    
+    req.apiKey = identity;
+    
+    const { limit, result, remaining } = takeRateToken(identity);
+    res.set('X-RateLimit-Limit', String(limit));
+    res.set('X-RateLimit-Remaining', String(remaining));
+    
+    if (!result.allowed) {
+      res.set('Retry-After', String(Math.ceil(result.retryAfterMs / 1000)));
+      return deny(res, 429, 'Rate limit exceeded');
+    }
+    
+    next();
+    
+  } catch (error) {
+    logger.error('Error authenticating request', error);
+    deny(res, 500, error.message);
+  }
+}
+
+// Rejects callers whose role is below the one the route needs
+function authorize(req, res, next) {
+  const rule = req.accessRule || matchRule(req.method, req.path);
+  
+  if (rule.public || !AUTH_ENABLED) {
+    return next();
+  }
+  if (!hasRole(req.apiKey.role, rule.role)) {
+    return deny(res, 403, `This route requires the ${rule.role} role`);
+  }
+  
+  next();
+}
+
+// Writes an audit entry; never throws, and skips the write without a database
+async function recordAudit(entry) {
+  logger.info('Audit', {
+    action: entry.action,
+    actor: entry.actor,
+    role: entry.role,
+    status: entry.status
+  });
+  
+  if (mongoose.connection.readyState !== 1) {
+    return;
+  }
+  
+  try {
+    await AuditLog.create(entry);
+  } catch (error) {
+    logger.error('Error writing audit log', error);
+  }
+}
+
+// Records audited routes (those whose rule has an action) once the response
+// is sent, including calls refused for lacking the role
+function auditTrail(req, res, next) {
+  const rule = req.accessRule;
+  
+  if (!rule || !rule.action) {
+    return next();
+  }
+  
+  let details;
+  if (rule.auditBody === false) {
+    details = { body_bytes: typeof req.body === 'string' ? Buffer.byteLength(req.body) : undefined };
+  } else if (req.body && Object.keys(req.body).length > 0) {
+    details = { body: logger.redact(req.body) };
+  }
+  if (Object.keys(req.query).length > 0) {
+    details = Object.assign({}, details, { query: logger.redact(req.query) });
+  }
+  
+  res.on('finish', () => {
+    recordAudit({
+      action: rule.action,
+      actor: req.apiKey ? req.apiKey.name : 'anonymous',
+      key_id: req.apiKey && req.apiKey.id,
+      role: req.apiKey && req.apiKey.role,
+      method: req.method,
+      path: req.originalUrl.split('?')[0],
+      status: res.statusCode,
+      request_id: req.id,
+      ip: req.ip,
+      details: details
+    });
+  });
+  
+  next();
+}
+
+if (!AUTH_ENABLED) {
+  logger.warn('API authentication is disabled (AUTH_ENABLED=false); every route is open');
+}
+
+module.exports = {
+  ROLES,
+  ACCESS_RULES,
+  hasRole,
+  requestHasRole,
+  matchRule,
+  hashKey,
+  createApiKey,
+  revokeApiKey,
+  authenticate,
+  authorize,
+  auditTrail,
+  recordAudit
+};
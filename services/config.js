@@ -0,0 +1,71 @@
+const cron = require('node-cron');
+
+// Environment each built-in provider needs before it can be the default
+const PROVIDER_ENV = {
+  openai: ['OPENAI_API_KEY'],
+  deepseek: ['DEEPSEEK_API_KEY'],
+  compatible: ['LLM_BASE_URL', 'LLM_MODEL'],
+  mock: []
+};
+
+const CRON_ENV = ['PROCESS_CRON', 'REFRESH_CRON'];
+
+const NUMBER_ENV = [
+  'PORT', 'QUEUE_CONCURRENCY', 'QUEUE_LEASE_MS', 'QUEUE_ITEM_DELAY_MS', 'PROCESS_BATCH_SIZE',
+  'LLM_MAX_ATTEMPTS', 'LLM_RATE_LIMIT_RPM', 'LLM_DAILY_BUDGET_USD', 'API_RATE_LIMIT_PER_MINUTE',
+  'WEBHOOK_MAX_ATTEMPTS', 'WEBHOOK_TIMEOUT_MS', 'WEBHOOK_POLL_MS', 'WEBHOOK_DELIVERY_TTL_DAYS',
+  'TAXONOMY_MATCH_THRESHOLD'
+];
+
+// Checks the environment the server starts with and returns a list of
+// problems, so a misconfigured deploy stops at startup instead of at the
+// first request or LLM call
+function validateConfig(env = process.env) {
+  const problems = [];
+  
+  if (!env.MONGODB_URI) {
+    problems.push('MONGODB_URI is required');
+  } else if (!/^mongodb(\+srv)?:\/\//.test(env.MONGODB_URI)) {
+    problems.push('MONGODB_URI must start with mongodb:// or mongodb+srv://');
+  }
+  
+  const provider = env.LLM_PROVIDER || 'openai';
+  if (!PROVIDER_ENV[provider]) {
+    problems.push(`LLM_PROVIDER must be one of: ${Object.keys(PROVIDER_ENV).join(', ')}`);
+  } else {
+    for (const name of PROVIDER_ENV[provider]) {
+      if (!env[name]) {
+        problems.push(`${name} is required when LLM_PROVIDER is ${provider}`);
+      }
+    }
+  }
+  
+  for (const name of CRON_ENV) {
+    if (env[name] && !cron.validate(env[name])) {
+      problems.push(`${name} is not a valid cron expression`);
+    }
+  }
+  
+  for (const name of NUMBER_ENV) {
+    if (env[name] && !(Number(env[name]) >= 0)) {
+      problems.push(`${name} must be a non-negative number`);
+    }
+  }
+  
+  if (env.TAXONOMY_MODE && !['off', 'map', 'constrained'].includes(env.TAXONOMY_MODE)) {
+    problems.push('TAXONOMY_MODE must be one of: off, map, constrained');
+  }
+  
+  if (env.LOGO_STORAGE && !['fs', 's3'].includes(env.LOGO_STORAGE)) {
+    problems.push('LOGO_STORAGE must be one of: fs, s3');
+  }
+  if (env.LOGO_STORAGE === 's3' && !env.LOGO_S3_BUCKET) {
+    problems.push('LOGO_S3_BUCKET is required when LOGO_STORAGE is s3');
+  }
+  
+  return problems;
+}
+
+module.exports = {
+  validateConfig
+};
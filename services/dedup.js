@@ -0,0 +1,240 @@
+const Tool = require('../models/Tool');
+const RAW_STATUS = require('../models/rawStatus');
+const { getRawCollection } = require('../db');
+const { normalizeWebsite, normalizeDomain, normalizeName, nameSimilarity } = require('./normalize');
+const { mergeInto, isDuplicateKeyError } = require('./toolUpsert');
+const revisions = require('./revisions');
+const webhooks = require('./webhooks');
+
+// Minimum name similarity (0..1) for two tools to be flagged as duplicates
+const NAME_THRESHOLD = parseFloat(process.env.DEDUP_NAME_THRESHOLD) || 0.85;
+
+// Hosts that serve many unrelated products, so only the full path identifies a tool
+const SHARED_HOSTS = [
+  'github.com', 'gitlab.com', 'huggingface.co', 'chrome.google.com', 'chromewebstore.google.com',
+  'apps.apple.com', 'play.google.com', 'producthunt.com', 'twitter.com', 'x.com',
+  'linkedin.com', 'youtube.com', 'medium.com', 'notion.so'
+];
+
+// Field policy when folding a duplicate tool into the one being kept
+const DUPLICATE_MERGE_POLICY = {
+  name: 'keep',
+  website: 'keep',
+  tagline: 'fill',
+  description: 'fill',
+  company: 'fill',
+  longDescription: 'fill',
+  categories: 'union',
+  features: 'fill',
+  integrations: 'union',
+  prosCons: 'fill',
+  useCases: 'union',
+  logo_url: 'fill'
+};
+
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Tool whose website is the same page ({ tool, exact: true }), else one on the
+// same domain for non-shared hosts ({ tool, exact: false }), else null
+async function findToolByWebsite(url) {
+  const websiteKey = normalizeWebsite(url);
+  if (!websiteKey) {
+    return null;
+  }
+  
+  const samePage = await Tool.findOne({ $or: [{ website_key: websiteKey }, { merged_website_keys: websiteKey }] });
+  if (samePage) {
+    return { tool: samePage, exact: true };
+  }
+  
+  const domain = normalizeDomain(url);
+  if (SHARED_HOSTS.includes(domain)) {
+    return null;
+  }
+  
+  const sameDomain = await Tool.findOne({ website_key: { $regex: `^${escapeRegex(domain)}(/|$)` } });
+  return sameDomain ? { tool: sameDomain, exact: false } : null;
+}
+
+// Tools whose normalized name is at least `threshold` similar, best first
+async function findToolsByName(name, { threshold = NAME_THRESHOLD, excludeId, limit = 5 } = {}) {
+  const nameKey = normalizeName(name);
+  if (!nameKey) {
+    return [];
+  }
+  
+  // Narrow the scan to names sharing the first few characters
+  const prefix = escapeRegex(nameKey.slice(0, 3));
+  const filter = { name_key: { $regex: `^${prefix}` } };
+  if (excludeId) {
+    filter._id = { $ne: excludeId };
+  }
+  
+  const tools = await Tool.find(filter, { name: 1, slug: 1, website: 1, name_key: 1 }).limit(500).lean();
+  
+  return tools
+    .map(tool => ({ tool: tool, similarity: nameSimilarity(name, tool.name) }))
+    .filter(candidate => candidate.similarity >= threshold)
+    .sort((a, b) => b.similarity - a.similarity)
+    .slice(0, limit);
+}
+
+// Looks for an existing tool matching a raw item before it is sent to the LLM.
+// Returns { type: 'exact', tool }, { type: 'possible', candidates } or null.
+// Only the same website page counts as exact; a tool elsewhere on the domain
+// may be another product of the same company, so a reviewer decides.
+async function checkRawItem(toolName, appUrl) {
+  const byWebsite = await findToolByWebsite(appUrl);
+  if (byWebsite && byWebsite.exact) {
+    return { type: 'exact', tool: byWebsite.tool };
+  }
+  
+  const candidates = await findToolsByName(toolName);
+  if (byWebsite && !candidates.some(candidate => String(candidate.tool._id) === String(byWebsite.tool._id))) {
+    candidates.unshift({ tool: byWebsite.tool, similarity: nameSimilarity(toolName, byWebsite.tool.name) });
+  }
+  if (candidates.length > 0) {
+    return { type: 'possible', candidates: candidates };
+  }
+  
+  return null;
+}
+
+// Links a raw item to an existing tool without analysing it again
+async function linkRawItem(item, tool) {
+  const originalId = item._id.toString();
+  
+  await Tool.updateOne({ _id: tool._id }, { $addToSet: { original_ids: originalId } });
+  await getRawCollection().updateOne(
+    { _id: item._id },
+    {
+      $set: {
+        status: RAW_STATUS.DUPLICATE,
+        duplicate_of: tool._id.toString(),
+        processed_at: new Date()
+      },
+      $unset: { duplicate_candidates: '', next_attempt_at: '' }
+    }
+  );
+}
+
+// Parks a raw item until someone confirms or dismisses the name or domain matches
+async function flagRawItem(item, candidates) {
+  await getRawCollection().updateOne(
+    { _id: item._id },
+    {
+      $set: {
+        status: RAW_STATUS.POSSIBLE_DUPLICATE,
+        duplicate_candidates: candidates.map(candidate => ({
+          tool_id: candidate.tool._id.toString(),
+          name: candidate.tool.name,
+          slug: candidate.tool.slug,
+          website: candidate.tool.website,
+          similarity: Math.round(candidate.similarity * 1000) / 1000
+        })),
+        flagged_at: new Date()
+      }
+    }
+  );
+}
+
+// Groups of tools sharing a website or normalized name
+async function findDuplicateGroups({ limit = 50 } = {}) {
+  const groupBy = async (field) => Tool.aggregate([
+    { $match: { [field]: { $nin: [null, ''] } } },
+    { $group: { _id: `$${field}`, count: { $sum: 1 }, tools: { $push: { _id: '$_id', name: '$name', slug: '$slug', website: '$website' } } } },
+    { $match: { count: { $gt: 1 } } },
+    { $sort: { count: -1 } },
+    { $limit: limit }
+  ]);
+  
+  const [byWebsite, byName] = await Promise.all([groupBy('website_key'), groupBy('name_key')]);
+  
+  return [
+    ...byWebsite.map(group => ({ reason: 'website', key: group._id, tools: group.tools })),
+    ...byName.map(group => ({ reason: 'name', key: group._id, tools: group.tools }))
+  ];
+}
+
+// Folds `sourceIds` into `targetId`: fills gaps on the target, keeps every
+// original_id link, remembers the merged slugs and websites and deletes the sources
+async function mergeTools(targetId, sourceIds) {
+  const target = await Tool.findById(targetId);
+  if (!target) {
+    return null;
+  }
+  
+  const sources = await Tool.find({ _id: { $in: sourceIds, $ne: target._id } });
+  const before = revisions.snapshotOf(target);
+  const changedFields = new Set();
+  
+  for (const source of sources) {
+    mergeInto(target, source.toObject(), DUPLICATE_MERGE_POLICY).forEach(field => changedFields.add(field));
+    
+    const links = [source.original_id, ...(source.original_ids || [])].filter(Boolean);
+    links.forEach(originalId => target.original_ids.addToSet(originalId));
+    target.merged_slugs.addToSet(source.slug);
+    (source.merged_slugs || []).forEach(slug => target.merged_slugs.addToSet(slug));
+    [source.website_key, ...(source.merged_website_keys || [])]
+      .filter(key => key && key !== target.website_key)
+      .forEach(key => target.merged_website_keys.addToSet(key));
+  }
+  
+  await target.save();
+  if (changedFields.size > 0) {
+    await revisions.recordRevision(target, { type: 'merge' }, { before: before, changedFields: Array.from(changedFields) });
+  }
+  
+  const mergedIds = sources.map(source => source._id);
+  await Tool.deleteMany({ _id: { $in: mergedIds } });
+  await getRawCollection().updateMany(
+    { duplicate_of: { $in: mergedIds.map(id => id.toString()) } },
+    { $set: { duplicate_of: target._id.toString() } }
+  );
+  
+  for (const source of sources) {
+    await webhooks.emitEvent('tool.deleted', {
+      tool: webhooks.toolSummary(source),
+      reason: 'merged',
+      merged_into: target.slug
+    });
+  }
+  
+  return { tool: target, merged: sources.map(source => source.slug) };
+}
+
+// Sets website_key/name_key on tools saved before dedup existed
+async function backfillKeys() {
+  const cursor = Tool.find({ $or: [{ website_key: null }, { name_key: null }] }).cursor();
+  let updated = 0;
+  
+  for await (const tool of cursor) {
+    const keys = { website_key: normalizeWebsite(tool.website), name_key: normalizeName(tool.name) };
+    try {
+      await Tool.updateOne({ _id: tool._id }, { $set: keys });
+    } catch (error) {
+      // Another tool already has this website; the name key still lets
+      // the duplicate finder pair them up for a merge
+      if (!isDuplicateKeyError(error, 'website_key')) {
+        throw error;
+      }
+      await Tool.updateOne({ _id: tool._id }, { $set: { name_key: keys.name_key } });
+    }
+    updated++;
+  }
+  
+  return updated;
+}
+
+module.exports = {
+  checkRawItem,
+  linkRawItem,
+  flagRawItem,
+  findToolByWebsite,
+  findToolsByName,
+  findDuplicateGroups,
+  mergeTools,
+  backfillKeys
+};
@@ -0,0 +1,70 @@
+const { ObjectId } = require('mongodb');
+const RAW_STATUS = require('../models/rawStatus');
+const { getRawCollection } = require('../db');
+const { ERROR_TYPES } = require('./retryPolicy');
+
+// Failure states that can be listed and requeued
+const FAILURE_STATES = {
+  dead_letter: { status: RAW_STATUS.DEAD_LETTER },
+  needs_review: { status: RAW_STATUS.NEEDS_REVIEW },
+  invalid_input: { status: RAW_STATUS.INVALID_INPUT },
+  retrying: { status: RAW_STATUS.PENDING, next_attempt_at: { $ne: null } }
+};
+
+// Builds a raw-data filter from ?state=&error_type= (query or body)
+function buildFailureFilter(params) {
+  const states = params.state ? [params.state] : Object.keys(FAILURE_STATES);
+  
+  for (const state of states) {
+    if (!FAILURE_STATES[state]) {
+      const error = new Error(`Unknown failure state: ${state}`);
+      error.statusCode = 400;
+      throw error;
+    }
+  }
+  if (params.error_type && !Object.values(ERROR_TYPES).includes(params.error_type)) {
+    const error = new Error(`Unknown error type: ${params.error_type}`);
+    error.statusCode = 400;
+    throw error;
+  }
+  
+  const filter = { $or: states.map(state => FAILURE_STATES[state]) };
+  if (params.error_type) {
+    filter.error_type = params.error_type;
+  }
+  return filter;
+}
+
+// Puts items back in the queue with a fresh attempt budget
+function requeueUpdate() {
+  return {
+    $set: { status: RAW_STATUS.PENDING, attempts: 0, requeued_at: new Date() },
+    $unset: { next_attempt_at: '', lease_owner: '', leased_at: '', lease_expires_at: '' }
+  };
+}
+
+// Requeues failures by { state, error_type } and optionally a list of ids.
+// Returns the number of items requeued.
+async function requeueFailures(params = {}) {
+  const filter = buildFailureFilter(params);
+  
+  if (params.ids !== undefined) {
+    // A malformed list must not widen the requeue to every failure
+    if (!Array.isArray(params.ids) || !params.ids.every(id => ObjectId.isValid(id))) {
+      const error = new Error('ids must be an array of item ids');
+      error.statusCode = 400;
+      throw error;
+    }
+    filter._id = { $in: params.ids.map(id => new ObjectId(id)) };
+  }
+  
+  const result = await getRawCollection().updateMany(filter, requeueUpdate());
+  return result.modifiedCount;
+}
+
+module.exports = {
+  FAILURE_STATES,
+  buildFailureFilter,
+  requeueUpdate,
+  requeueFailures
+};
@@ -0,0 +1,288 @@
+const EventEmitter = require('events');
+const Job = require('../models/Job');
+const JobItem = require('../models/JobItem');
+const queue = require('./queue');
+const { getRawToolName, outcomeOf } = require('./processor');
+const refresh = require('./refresh');
+const usage = require('./usage');
+const webhooks = require('./webhooks');
+const logger = require('./logger');
+
+// Emits `job:<id>` events ({ type: 'item' | 'progress' | 'done', ... })
+// for jobs running in this process, consumed by the SSE route
+const jobEvents = new EventEmitter();
+jobEvents.setMaxListeners(0);
+
+// Ids of jobs running in this process whose cancellation was requested
+const cancelledJobs = new Set();
+
+const FINISHED_STATUSES = ['completed', 'cancelled', 'failed'];
+
+// Progress snapshot reported by GET /jobs/:id and the event stream
+function getProgress(job) {
+  const done = job.processed + job.duplicate + job.failed + job.needs_review +
+    job.retry_scheduled + job.invalid_input;
+  const remaining = FINISHED_STATUSES.includes(job.status) ? 0 : Math.max(job.total - done, 0);
+  let etaSeconds = null;
+  
+  if (job.started_at && done > 0 && remaining > 0) {
+    const end = job.finished_at || new Date();
+    const perItemMs = (end - job.started_at) / done;
+    etaSeconds = Math.round((perItemMs * remaining) / 1000);
+  }
+  
+  return {
+    id: job._id,
+    type: job.type,
+    status: job.status,
+    trigger: job.trigger,
+    provider: job.provider,
+    total: job.total,
+    processed: job.processed,
+    duplicate: job.duplicate,
+    failed: job.failed,
+    needs_review: job.needs_review,
+    retry_scheduled: job.retry_scheduled,
+    invalid_input: job.invalid_input,
+    remaining: remaining,
+    eta_seconds: etaSeconds,
+    started_at: job.started_at,
+    finished_at: job.finished_at,
+    report_id: job.report_id,
+    error_message: job.error_message
+  };
+}
+
+function emit(jobId, event) {
+  jobEvents.emit(`job:${jobId}`, event);
+}
+
+// Items the job will work through: everything pending, up to its limit
+async function countTotal(job) {
+  const pending = await queue.countPending();
+  return job.limit ? Math.min(pending, job.limit) : pending;
+}
+
+async function runJob(job) {
+  const jobId = job._id.toString();
+  
+  try {
+    job = await Job.findByIdAndUpdate(
+      job._id,
+      { $set: { status: 'running', started_at: new Date(), total: await countTotal(job) } },
+      { new: true }
+    );
+    emit(jobId, { type: 'progress', progress: getProgress(job) });
+    
+    await queue.runQueue({
+      provider: job.provider,
+      concurrency: job.concurrency,
+      limit: job.limit,
+      mergePolicy: job.merge_policy,
+      promptVersion: job.prompt_version,
+      jobId: job._id,
+      bypassCache: job.bypass_cache,
+      shouldStop: () => cancelledJobs.has(jobId),
+      onResult: async (result, item) => {
+        const outcome = outcomeOf(result);
+        
+        const jobItem = await JobItem.create({
+          job_id: job._id,
+          raw_id: item._id.toString(),
+          tool_name: getRawToolName(item),
+          outcome: outcome,
+          processed_id: result.processedId ? result.processedId.toString() : undefined,
+          error_type: result.errorType,
+          error_message: result.error
+        });
+        
+        const updated = await Job.findByIdAndUpdate(
+          job._id,
+          { $inc: { [outcome]: 1 } },
+          { new: true }
+        );
+        
+        // A cancel issued through another instance only shows up in the database
+        if (updated.cancel_requested) {
+          cancelledJobs.add(jobId);
+        }
+        
+        // Scheduled runs stop once the daily LLM budget is spent
+        if (job.trigger === 'schedule' && !cancelledJobs.has(jobId) && (await usage.checkBudget()).exceeded) {
+          logger.warn('Job stopped: daily LLM budget reached');
+          cancelledJobs.add(jobId);
+          await Job.updateOne({ _id: job._id }, { $set: { error_message: 'Stopped: daily LLM budget reached' } });
+        }
+        
+        emit(jobId, { type: 'item', item: jobItem.toObject() });
+        emit(jobId, { type: 'progress', progress: getProgress(updated) });
+      }
+    });
+    
+    const finalStatus = cancelledJobs.has(jobId) ? 'cancelled' : 'completed';
+    job = await Job.findByIdAndUpdate(
+      job._id,
+      { $set: { status: finalStatus, finished_at: new Date() } },
+      { new: true }
+    );
+  } catch (error) {
+    logger.error('Job failed', error);
+    job = await Job.findByIdAndUpdate(
+      job._id,
+      { $set: { status: 'failed', error_message: error.message, finished_at: new Date() } },
+      { new: true }
+    );
+  } finally {
+    cancelledJobs.delete(jobId);
+  }
+  
+  const progress = getProgress(job);
+  emit(jobId, { type: 'progress', progress: progress });
+  emit(jobId, { type: 'done', progress: progress });
+  
+  await webhooks.emitEvent('batch.completed', { type: 'process', job: progress });
+  
+  return job;
+}
+
+// Creates a processing job and starts it in the background.
+// Returns { job, done } where `done` resolves with the finished job.
+async function startJob({ provider, concurrency, limit, mergePolicy, promptVersion, bypassCache, trigger = 'api' } = {}) {
+  const job = await Job.create({
+    provider: provider,
+    prompt_version: promptVersion,
+    bypass_cache: Boolean(bypassCache),
+    merge_policy: mergePolicy,
+    concurrency: parseInt(concurrency) || undefined,
+    limit: parseInt(limit) || undefined,
+    trigger: trigger,
+    instance_id: queue.INSTANCE_ID
+  });
+  
+  // Everything the job logs carries its id
+  const done = logger.withLogContext({ job_id: job._id.toString() }, () => runJob(job));
+  
+  return { job: job, done: done };
+}
+
+async function runRefreshJob(job, options) {
+  const jobId = job._id.toString();
+  
+  try {
+    job = await Job.findByIdAndUpdate(
+      job._id,
+      { $set: { status: 'running', started_at: new Date() } },
+      { new: true }
+    );
+    emit(jobId, { type: 'progress', progress: getProgress(job) });
+    
+    const report = await refresh.runRefresh(options, {
+      trigger: job.trigger,
+      jobId: job._id,
+      claimed: true,
+      shouldStop: () => cancelledJobs.has(jobId),
+      onStart: async total => {
+        const updated = await Job.findByIdAndUpdate(job._id, { $set: { total: total } }, { new: true });
+        emit(jobId, { type: 'progress', progress: getProgress(updated) });
+      },
+      onResult: async entry => {
+        // Updated, unchanged and skipped tools all count as processed
+        const counter = entry.outcome === 'failed' ? 'failed' : 'processed';
+        const updated = await Job.findByIdAndUpdate(job._id, { $inc: { [counter]: 1 } }, { new: true });
+        
+        if (updated.cancel_requested) {
+          cancelledJobs.add(jobId);
+        }
+        
+        emit(jobId, { type: 'item', item: entry });
+        emit(jobId, { type: 'progress', progress: getProgress(updated) });
+      }
+    });
+    
+    const finalStatus = cancelledJobs.has(jobId) ? 'cancelled' : 'completed';
+    job = await Job.findByIdAndUpdate(
+      job._id,
+      { $set: { status: finalStatus, report_id: report._id, finished_at: new Date() } },
+      { new: true }
+    );
+  } catch (error) {
+    logger.error('Refresh job failed', error);
+    job = await Job.findByIdAndUpdate(
+      job._id,
+      { $set: { status: 'failed', error_message: error.message, finished_at: new Date() } },
+      { new: true }
+    );
+  } finally {
+    refresh.releaseRun();
+    cancelledJobs.delete(jobId);
+  }
+  
+  // runRefresh sends the batch.completed webhook with the report
+  const progress = getProgress(job);
+  emit(jobId, { type: 'progress', progress: progress });
+  emit(jobId, { type: 'done', progress: progress });
+  
+  return job;
+}
+
+// Creates a staleness refresh job (services/refresh.js) and starts it in the
+// background. Options are checked first, so bad input fails the request with
+// a 400 instead of failing the job. Returns { job, done } like startJob.
+async function startRefreshJob(options = {}, { trigger = 'api' } = {}) {
+  const resolved = refresh.resolveOptions(options);
+  
+  // Claimed before the first await so two requests cannot both start one
+  refresh.claimRun();
+  
+  let job;
+  try {
+    job = await Job.create({
+      type: 'refresh',
+      provider: resolved.provider,
+      prompt_version: resolved.promptVersion,
+      limit: resolved.limit,
+      trigger: trigger,
+      instance_id: queue.INSTANCE_ID
+    });
+  } catch (error) {
+    refresh.releaseRun();
+    throw error;
+  }
+  
+  const done = logger.withLogContext({ job_id: job._id.toString() }, () => runRefreshJob(job, options));
+  
+  return { job: job, done: done };
+}
+
+// Requests cancellation: workers finish their current item and stop claiming
+async function cancelJob(jobId) {
+  const job = await Job.findById(jobId);
+  
+  if (!job) {
+    return null;
+  }
+  if (FINISHED_STATUSES.includes(job.status)) {
+    return job;
+  }
+  
+  cancelledJobs.add(job._id.toString());
+  
+  return Job.findByIdAndUpdate(
+    job._id,
+    { $set: { cancel_requested: true, status: 'cancelling' } },
+    { new: true }
+  );
+}
+
+function isFinished(job) {
+  return FINISHED_STATUSES.includes(job.status);
+}
+
+module.exports = {
+  startJob,
+  startRefreshJob,
+  cancelJob,
+  getProgress,
+  isFinished,
+  jobEvents
+};
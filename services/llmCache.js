@@ -0,0 +1,119 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const LlmCache = require('../models/LlmCache');
+const { validateAnalysis } = require('./toolJsonSchema');
+const logger = require('./logger');
+const metrics = require('./metrics');
+
+// Set LLM_CACHE_ENABLED=false to always call the provider
+const CACHE_ENABLED = process.env.LLM_CACHE_ENABLED !== 'false';
+const CACHE_TTL_HOURS = parseFloat(process.env.LLM_CACHE_TTL_HOURS) || 7 * 24;
+
+function cacheAvailable() {
+  return CACHE_ENABLED && mongoose.connection.readyState === 1;
+}
+
+// Content address of an analysis request. The rendered messages carry the
+// tool name, URL and website text, so any change to the inputs is a new key.
+function cacheKey({ provider, model, promptVersion, temperature, maxTokens, messages }) {
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify([provider, model, promptVersion, temperature, maxTokens, messages]))
+    .digest('hex');
+}
+
+// Cached analysis for a key, or null. Entries that no longer pass the
+// current schema are ignored.
+async function getCachedAnalysis(key) {
+  if (!cacheAvailable()) {
+    return null;
+  }
+  
+  try {
+    const entry = await LlmCache.findOneAndUpdate(
+      { key: key, expires_at: { $gt: new Date() } },
+      { $inc: { hits: 1 }, $set: { last_hit_at: new Date() } },
+      { new: true }
+    ).lean();
+    
+    const hit = Boolean(entry) && validateAnalysis(entry.analysis).length === 0;
+    metrics.recordCacheLookup(hit);
+    return hit ? entry.analysis : null;
+  } catch (error) {
+    logger.error('LLM cache lookup failed', error);
+    return null;
+  }
+}
+
+async function storeAnalysis(key, { provider, model, promptVersion, toolName }, analysis) {
+  if (!cacheAvailable()) {
+    return;
+  }
+  
+  const now = new Date();
+  
+  try {
+    await LlmCache.updateOne(
+      { key: key },
+      {
+        $set: {
+          provider: provider,
+          model: model,
+          prompt_version: promptVersion,
+          tool_name: toolName,
+          analysis: analysis,
+          created_at: now,
+          expires_at: new Date(now.getTime() + CACHE_TTL_HOURS * 60 * 60 * 1000)
+        },
+        $setOnInsert: { hits: 0 }
+      },
+      { upsert: true }
+    );
+  } catch (error) {
+    logger.error('LLM cache write failed', error);
+  }
+}
+
+// Query filter for cache entries: { provider, model, prompt_version, tool_name }
+function buildCacheFilter(query = {}) {
+  const filter = {};
+  for (const field of ['provider', 'model', 'prompt_version', 'tool_name']) {
+    if (query[field]) {
+      filter[field] = String(query[field]);
+    }
+  }
+  return filter;
+}
+
+async function cacheStats() {
+  const [totals] = await LlmCache.aggregate([
+    { $match: { expires_at: { $gt: new Date() } } },
+    { $group: { _id: null, entries: { $sum: 1 }, hits: { $sum: '$hits' } } }
+  ]);
+  const byPromptVersion = await LlmCache.aggregate([
+    { $match: { expires_at: { $gt: new Date() } } },
+    { $group: { _id: { provider: '$provider', model: '$model', prompt_version: '$prompt_version' }, entries: { $sum: 1 }, hits: { $sum: '$hits' } } },
+    { $sort: { entries: -1 } }
+  ]);
+  
+  return {
+    enabled: CACHE_ENABLED,
+    ttl_hours: CACHE_TTL_HOURS,
+    entries: totals ? totals.entries : 0,
+    hits: totals ? totals.hits : 0,
+    by_prompt: byPromptVersion.map(row => ({ ...row._id, entries: row.entries, hits: row.hits }))
+  };
+}
+
+async function purgeCache(query) {
+  const result = await LlmCache.deleteMany(buildCacheFilter(query));
+  return result.deletedCount;
+}
+
+module.exports = {
+  cacheKey,
+  getCachedAnalysis,
+  storeAnalysis,
+  cacheStats,
+  purgeCache
+};
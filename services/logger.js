@@ -0,0 +1,154 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Structured JSON logs, one object per line on stdout (stderr for errors).
+// LOG_LEVEL: debug, info (default), warn, error
+// LOG_FORMAT: json (default) or pretty for local development
+// Both are read on every write, so values loaded from .env after this module
+// was required still apply.
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+function getLogLevel() {
+  return LEVELS[process.env.LOG_LEVEL] ? process.env.LOG_LEVEL : 'info';
+}
+
+// Where non-error lines go; CLIs that write data to stdout move logs to stderr
+let outStream = process.stdout;
+
+// Correlation ids (request_id, job_id, raw_id, ...) for the current async flow
+const context = new AsyncLocalStorage();
+
+// Field names whose values are never logged
+const SECRET_KEYS = /^(authorization|cookie|set-cookie|x-api-key|api[_-]?key|apikey|password|passwd|secret|client[_-]?secret|access[_-]?token|refresh[_-]?token|secret[_-]?access[_-]?key|access[_-]?key[_-]?id)$/i;
+
+// Secret-looking values inside strings
+const SECRET_PATTERNS = [
+  [/\bsk-[A-Za-z0-9_-]{16,}/g, 'sk-[REDACTED]'],
+  [/\baitk_[A-Za-z0-9_-]{16,}/g, 'aitk_[REDACTED]'],
+  [/\b(Bearer|Basic)\s+[A-Za-z0-9._~+/=-]{8,}/gi, '$1 [REDACTED]'],
+  [/(\b[a-z][a-z0-9+.-]*:\/\/[^:/@\s]+:)[^@\s]+@/gi, '$1[REDACTED]@']
+];
+
+// Values of secret environment variables, masked wherever they show up.
+// Collected per redact() call rather than once, so keys from .env are covered.
+function getSecretEnvValues() {
+  return Object.entries(process.env)
+    .filter(([name, value]) => /(_KEY|_SECRET|_TOKEN|_PASSWORD)$/.test(name) && value && value.length >= 8)
+    .map(([, value]) => value);
+}
+
+const REDACTED = '[REDACTED]';
+
+function redactString(text, secretValues) {
+  let result = text;
+  for (const value of secretValues) {
+    if (result.includes(value)) {
+      result = result.split(value).join(REDACTED);
+    }
+  }
+  for (const [pattern, replacement] of SECRET_PATTERNS) {
+    result = result.replace(pattern, replacement);
+  }
+  return result;
+}
+
+function serializeError(error, secretValues) {
+  return {
+    name: error.name,
+    message: redactString(String(error.message), secretValues),
+    code: error.code,
+    status_code: error.statusCode || error.status,
+    stack: error.stack ? redactString(error.stack, secretValues) : undefined
+  };
+}
+
+function redactValue(value, depth, secretValues) {
+  if (value instanceof Error) {
+    return serializeError(value, secretValues);
+  }
+  if (typeof value === 'string') {
+    return redactString(value, secretValues);
+  }
+  if (!value || typeof value !== 'object' || value instanceof Date) {
+    return value;
+  }
+  if (depth > 8) {
+    return '[Truncated]';
+  }
+  if (typeof value.toHexString === 'function') {
+    return value.toHexString();
+  }
+  if (Array.isArray(value)) {
+    return value.map(entry => redactValue(entry, depth + 1, secretValues));
+  }
+  
+  const copy = {};
+  for (const [key, entry] of Object.entries(value)) {
+    copy[key] = SECRET_KEYS.test(key) ? REDACTED : redactValue(entry, depth + 1, secretValues);
+  }
+  return copy;
+}
+
+// Copy of a value with secret fields and secret-looking strings masked
+function redact(value) {
+  return redactValue(value, 0, getSecretEnvValues());
+}
+
+function write(level, bindings, message, fields) {
+  if (LEVELS[level] < LEVELS[getLogLevel()]) {
+    return;
+  }
+  
+  const extra = fields instanceof Error ? { error: fields } : fields;
+  const entry = redact({
+    time: new Date().toISOString(),
+    level: level,
+    msg: message,
+    ...(context.getStore() || {}),
+    ...bindings,
+    ...extra
+  });
+  
+  const stream = level === 'error' ? process.stderr : outStream;
+  
+  if (process.env.LOG_FORMAT === 'pretty') {
+    const { time, level: entryLevel, msg, ...rest } = entry;
+    const details = Object.keys(rest).length > 0 ? ` ${JSON.stringify(rest)}` : '';
+    stream.write(`${time} ${entryLevel.toUpperCase().padEnd(5)} ${msg}${details}\n`);
+    return;
+  }
+  
+  stream.write(`${JSON.stringify(entry)}\n`);
+}
+
+// logger.info('message', { field: value }); the second argument may be an Error
+function createLogger(bindings = {}) {
+  return {
+    debug: (message, fields) => write('debug', bindings, message, fields),
+    info: (message, fields) => write('info', bindings, message, fields),
+    warn: (message, fields) => write('warn', bindings, message, fields),
+    error: (message, fields) => write('error', bindings, message, fields),
+    child: childBindings => createLogger({ ...bindings, ...childBindings })
+  };
+}
+
+// Runs fn with extra correlation ids added to every log line inside it
+function withLogContext(fields, fn) {
+  return context.run({ ...(context.getStore() || {}), ...fields }, fn);
+}
+
+function getLogContext() {
+  return context.getStore() || {};
+}
+
+function setLogStream(stream) {
+  outStream = stream;
+}
+
+module.exports = {
+  ...createLogger(),
+  createLogger,
+  withLogContext,
+  getLogContext,
+  setLogStream,
+  redact
+};
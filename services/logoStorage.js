@@ -0,0 +1,153 @@
+const fs = require('fs');
+const path = require('path');
+
+// Where stored logos go:
+//   fs - local directory served by this app at LOGO_PUBLIC_BASE_URL (dev default)
+//   s3 - any S3-compatible bucket (AWS, MinIO, R2, ...)
+// set with LOGO_STORAGE, read when the backend is first created.
+
+// Logos are untrusted files served from our own origin. These headers stop an
+// SVG that slipped past validateImage from running scripts or loading anything.
+const LOGO_RESPONSE_HEADERS = {
+  'Content-Security-Policy': "default-src 'none'; style-src 'unsafe-inline'; sandbox",
+  'X-Content-Type-Options': 'nosniff'
+};
+
+function setLogoHeaders(res) {
+  for (const [name, value] of Object.entries(LOGO_RESPONSE_HEADERS)) {
+    res.setHeader(name, value);
+  }
+}
+
+function createFsStorage({ dir, publicBaseUrl }) {
+  return {
+    name: 'fs',
+    dir: dir,
+    
+    async exists(key) {
+      try {
+        await fs.promises.access(path.join(dir, key));
+        return true;
+      } catch (error) {
+        return false;
+      }
+    },
+    
+    async put(key, body) {
+      const target = path.join(dir, key);
+      await fs.promises.mkdir(path.dirname(target), { recursive: true });
+      
+      // Write then rename so readers never see a half-written file
+      const temp = `${target}.${process.pid}.tmp`;
+      await fs.promises.writeFile(temp, body);
+      await fs.promises.rename(temp, target);
+      
+      return { path: key, url: this.urlFor(key) };
+    },
+    
+    urlFor(key) {
+      return `${publicBaseUrl.replace(/\/$/, '')}/${key}`;
+    }
+  };
+}
+
+function createS3Storage({ bucket, region, endpoint, accessKeyId, secretAccessKey, prefix, publicBaseUrl, forcePathStyle }) {
+  if (!bucket) {
+    throw new Error('LOGO_S3_BUCKET is required for the s3 logo storage backend');
+  }
+  
+  // Loaded lazily so the fs backend works without the AWS SDK being touched
+  const { S3Client, PutObjectCommand, HeadObjectCommand } = require('@aws-sdk/client-s3');
+  
+  const client = new S3Client({
+    region: region,
+    endpoint: endpoint,
+    forcePathStyle: forcePathStyle,
+    // Fall back to the SDK's default credential chain when no keys are set
+    credentials: accessKeyId && secretAccessKey
+      ? { accessKeyId: accessKeyId, secretAccessKey: secretAccessKey }
+      : undefined
+  });
+  
+  const objectKey = key => `${prefix}${key}`;
+  
+  return {
+    name: 's3',
+    bucket: bucket,
+    
+    async exists(key) {
+      try {
+        await client.send(new HeadObjectCommand({ Bucket: bucket, Key: objectKey(key) }));
+        return true;
+      } catch (error) {
+        if (error.name === 'NotFound' || (error.$metadata && error.$metadata.httpStatusCode === 404)) {
+          return false;
+        }
+        throw error;
+      }
+    },
+    
+    async put(key, body, contentType) {
+      await client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: objectKey(key),
+        Body: body,
+        ContentType: contentType,
+        // Keys are content hashes, so an object never changes
+        CacheControl: 'public, max-age=31536000, immutable'
+      }));
+      
+      return { path: objectKey(key), url: this.urlFor(key) };
+    },
+    
+    urlFor(key) {
+      if (publicBaseUrl) {
+        return `${publicBaseUrl.replace(/\/$/, '')}/${objectKey(key)}`;
+      }
+      if (endpoint) {
+        return `${endpoint.replace(/\/$/, '')}/${bucket}/${objectKey(key)}`;
+      }
+      return `https://${bucket}.s3.${region}.amazonaws.com/${objectKey(key)}`;
+    }
+  };
+}
+
+let storage = null;
+
+// Returns the configured storage backend, created on first use
+function getLogoStorage() {
+  if (storage) {
+    return storage;
+  }
+  
+  const backend = process.env.LOGO_STORAGE || 'fs';
+  if (backend === 'fs') {
+    storage = createFsStorage({
+      dir: process.env.LOGO_STORAGE_DIR || path.join(__dirname, '..', 'storage', 'logos'),
+      publicBaseUrl: process.env.LOGO_PUBLIC_BASE_URL || '/logos'
+    });
+  } else if (backend === 's3') {
+    storage = createS3Storage({
+      bucket: process.env.LOGO_S3_BUCKET,
+      region: process.env.LOGO_S3_REGION || 'us-east-1',
+      endpoint: process.env.LOGO_S3_ENDPOINT,
+      accessKeyId: process.env.LOGO_S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.LOGO_S3_SECRET_ACCESS_KEY,
+      prefix: process.env.LOGO_S3_PREFIX !== undefined ? process.env.LOGO_S3_PREFIX : 'logos/',
+      publicBaseUrl: process.env.LOGO_PUBLIC_BASE_URL,
+      forcePathStyle: process.env.LOGO_S3_FORCE_PATH_STYLE === 'true'
+    });
+  } else {
+    throw new Error(`Unknown LOGO_STORAGE backend: ${backend} (expected fs or s3)`);
+  }
+  
+  return storage;
+}
+
+module.exports = {
+  getLogoStorage,
+  setLogoHeaders,
+  LOGO_RESPONSE_HEADERS,
+  createFsStorage,
+  createS3Storage
+};
@@ -0,0 +1,348 @@
+const crypto = require('crypto');
+const { fetchFollowingRedirects, toPageUrl } = require('./siteContent');
+const { getLogoStorage } = require('./logoStorage');
+const logger = require('./logger');
+
+// Set LOGO_FETCH_ENABLED=false to copy raw logo URLs without checking them
+const LOGO_FETCH_ENABLED = process.env.LOGO_FETCH_ENABLED !== 'false';
+
+// Logo acceptance rules
+const MAX_BYTES = parseInt(process.env.LOGO_MAX_BYTES) || 1024 * 1024;
+const MIN_SIZE = parseInt(process.env.LOGO_MIN_SIZE) || 16;
+const MAX_SIZE = parseInt(process.env.LOGO_MAX_SIZE) || 4096;
+
+// Content types we store, by file extension
+const IMAGE_TYPES = {
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  gif: 'image/gif',
+  webp: 'image/webp',
+  svg: 'image/svg+xml',
+  ico: 'image/x-icon'
+};
+
+// Header types that are trusted only if the bytes agree
+const GENERIC_TYPES = ['application/octet-stream', 'binary/octet-stream', ''];
+
+function logoError(message) {
+  const error = new Error(message);
+  error.logoRejected = true;
+  return error;
+}
+
+function jpegSize(buffer) {
+  let offset = 2;
+  
+  while (offset + 9 < buffer.length) {
+    if (buffer[offset] !== 0xFF) {
+      return null;
+    }
+    
+    const marker = buffer[offset + 1];
+    // SOF0-SOF15 carry the frame size; C4, C8 and CC are other segments
+    if (marker >= 0xC0 && marker <= 0xCF && marker !== 0xC4 && marker !== 0xC8 && marker !== 0xCC) {
+      return { height: buffer.readUInt16BE(offset + 5), width: buffer.readUInt16BE(offset + 7) };
+    }
+    
+    offset += 2 + buffer.readUInt16BE(offset + 2);
+  }
+  
+  return null;
+}
+
+function webpSize(buffer) {
+  const chunk = buffer.toString('ascii', 12, 16);
+  
+  if (chunk === 'VP8 ' && buffer.length >= 30) {
+    return { width: buffer.readUInt16LE(26) & 0x3FFF, height: buffer.readUInt16LE(28) & 0x3FFF };
+  }
+  if (chunk === 'VP8L' && buffer.length >= 25) {
+    const b = buffer.subarray(21, 25);
+    return {
+      width: 1 + (((b[1] & 0x3F) << 8) | b[0]),
+      height: 1 + (((b[3] & 0x0F) << 10) | (b[2] << 2) | ((b[1] & 0xC0) >> 6))
+    };
+  }
+  if (chunk === 'VP8X' && buffer.length >= 30) {
+    return { width: 1 + buffer.readUIntLE(24, 3), height: 1 + buffer.readUIntLE(27, 3) };
+  }
+  
+  return null;
+}
+
+// Largest image in an .ico directory; a stored 0 means 256
+function icoSize(buffer) {
+  const count = buffer.readUInt16LE(4);
+  let best = null;
+  
+  for (let i = 0; i < count && 6 + i * 16 + 16 <= buffer.length; i++) {
+    const entry = 6 + i * 16;
+    const width = buffer[entry] || 256;
+    const height = buffer[entry + 1] || 256;
+    if (!best || width * height > best.width * best.height) {
+      best = { width: width, height: height };
+    }
+  }
+  
+  return best;
+}
+
+// Pixel size from width/height attributes, else the viewBox; null if unsized
+function svgSize(markup) {
+  const tag = (markup.match(/<svg\b[^>]*>/i) || [''])[0];
+  const attribute = name => {
+    const match = tag.match(new RegExp(`\\s${name}=["']\\s*([\\d.]+)(px)?\\s*["']`, 'i'));
+    return match ? parseFloat(match[1]) : null;
+  };
+  
+  const width = attribute('width');
+  const height = attribute('height');
+  if (width && height) {
+    return { width: Math.round(width), height: Math.round(height) };
+  }
+  
+  const viewBox = tag.match(/viewBox=["']\s*[-\d.]+[\s,]+[-\d.]+[\s,]+([\d.]+)[\s,]+([\d.]+)\s*["']/i);
+  if (viewBox) {
+    return { width: Math.round(parseFloat(viewBox[1])), height: Math.round(parseFloat(viewBox[2])) };
+  }
+  
+  return { width: null, height: null };
+}
+
+// Identifies an image from its bytes: { ext, width, height } or null
+function sniffImage(buffer) {
+  if (buffer.length < 12) {
+    return null;
+  }
+  
+  if (buffer.readUInt32BE(0) === 0x89504E47 && buffer.length >= 24) {
+    return { ext: 'png', width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+  }
+  if (buffer[0] === 0xFF && buffer[1] === 0xD8) {
+    const size = jpegSize(buffer);
+    return size ? { ext: 'jpg', ...size } : null;
+  }
+  if (buffer.toString('ascii', 0, 4) === 'GIF8') {
+    return { ext: 'gif', width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+  }
+  if (buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') {
+    const size = webpSize(buffer);
+    return size ? { ext: 'webp', ...size } : null;
+  }
+  if (buffer.readUInt32BE(0) === 0x00000100) {
+    const size = icoSize(buffer);
+    return size ? { ext: 'ico', ...size } : null;
+  }
+  
+  const head = buffer.toString('utf8', 0, Math.min(buffer.length, 1024)).trimStart();
+  if (/^(<\?xml[^>]*>\s*)?(<!--[\s\S]*?-->\s*)*(<!DOCTYPE svg[^>]*>\s*)?<svg\b/i.test(head)) {
+    return { ext: 'svg', ...svgSize(buffer.toString('utf8')) };
+  }
+  
+  return null;
+}
+
+// Checks a downloaded image against the declared type and size limits.
+// Returns { ext, contentType, width, height } or throws a rejection.
+function validateImage(buffer, declaredType) {
+  const image = sniffImage(buffer);
+  if (!image) {
+    throw logoError('Not a supported image (png, jpeg, gif, webp, svg, ico)');
+  }
+  
+  const contentType = String(declaredType || '').split(';')[0].trim().toLowerCase();
+  const isIcoType = contentType === 'image/vnd.microsoft.icon' && image.ext === 'ico';
+  if (!GENERIC_TYPES.includes(contentType) && contentType !== IMAGE_TYPES[image.ext] && !isIcoType) {
+    throw logoError(`Content type ${contentType} does not match ${image.ext} image data`);
+  }
+  
+  if (image.ext === 'svg') {
+    // SVGs are served from our storage, so anything scriptable is refused.
+    // This is a first filter only; logos are also served with a CSP that
+    // blocks scripts (see setLogoHeaders in services/logoStorage.js).
+    const markup = buffer.toString('utf8');
+    if (/<script\b|[\s/"']on[a-z]+\s*=|javascript:|<foreignObject\b|<(iframe|embed|object)\b|&#/i.test(markup)) {
+      throw logoError('SVG contains scripts or event handlers');
+    }
+    // Links may only point inside the document
+    if (/\bhref\s*=\s*["']?\s*(?!#)[^\s"'>]/i.test(markup)) {
+      throw logoError('SVG links to external resources');
+    }
+  }
+  
+  // Unsized SVGs scale to anything
+  if (image.width !== null || image.height !== null) {
+    if (!(image.width >= MIN_SIZE && image.height >= MIN_SIZE)) {
+      throw logoError(`Image is ${image.width}x${image.height}, smaller than ${MIN_SIZE}x${MIN_SIZE}`);
+    }
+    if (image.width > MAX_SIZE || image.height > MAX_SIZE) {
+      throw logoError(`Image is ${image.width}x${image.height}, larger than ${MAX_SIZE}x${MAX_SIZE}`);
+    }
+  }
+  
+  return {
+    ext: image.ext,
+    contentType: IMAGE_TYPES[image.ext],
+    width: image.width,
+    height: image.height
+  };
+}
+
+async function downloadImage(url) {
+  const { response, finalUrl, skipped_reason } = await fetchFollowingRedirects(url, {
+    maxBytes: MAX_BYTES + 1,
+    accept: 'image/*'
+  });
+  
+  if (skipped_reason) {
+    throw logoError(`Not fetched: ${skipped_reason}`);
+  }
+  if (response.statusCode < 200 || response.statusCode >= 300) {
+    throw logoError(`HTTP ${response.statusCode}`);
+  }
+  if (response.truncated) {
+    throw logoError(`Image is larger than ${MAX_BYTES} bytes`);
+  }
+  
+  return { body: response.body, contentType: response.headers['content-type'], finalUrl: finalUrl };
+}
+
+// Icon links declared on the website's homepage, largest kinds first,
+// followed by the conventional /favicon.ico
+async function discoverFavicons(website) {
+  const homepage = toPageUrl(website);
+  if (!homepage) {
+    return [];
+  }
+  
+  const candidates = [];
+  
+  try {
+    const { response, finalUrl } = await fetchFollowingRedirects(homepage, { maxBytes: 512 * 1024 });
+    
+    if (response && response.statusCode >= 200 && response.statusCode < 300) {
+      const html = response.body.toString('utf8');
+      const links = html.match(/<link\b[^>]*>/gi) || [];
+      const ranked = [];
+      
+      for (const link of links) {
+        const rel = (link.match(/\brel=["']([^"']+)["']/i) || [])[1];
+        const href = (link.match(/\bhref=["']([^"']+)["']/i) || [])[1];
+        if (!rel || !href || !/\bicon\b/i.test(rel)) {
+          continue;
+        }
+        
+        const rank = /apple-touch-icon/i.test(rel) ? 0 : /mask-icon/i.test(rel) ? 2 : 1;
+        try {
+          ranked.push({ rank: rank, url: new URL(href.replace(/&amp;/g, '&'), finalUrl).href });
+        } catch (error) {
+          // Ignore unparseable hrefs
+        }
+      }
+      
+      ranked.sort((a, b) => a.rank - b.rank);
+      candidates.push(...ranked.map(entry => entry.url));
+    }
+  } catch (error) {
+    logger.warn('Could not read icon links', { url: homepage.href, error: error.message });
+  }
+  
+  candidates.push(new URL('/favicon.ico', homepage).href);
+  return [...new Set(candidates)];
+}
+
+// Downloads, validates and stores one candidate image
+async function storeLogo(sourceUrl, source) {
+  const url = toPageUrl(sourceUrl);
+  if (!url) {
+    throw logoError('Invalid logo URL');
+  }
+  
+  const image = await downloadImage(url);
+  const { ext, contentType, width, height } = validateImage(image.body, image.contentType);
+  
+  // Content-addressed: the same image is stored once however many tools use it
+  const hash = crypto.createHash('sha256').update(image.body).digest('hex');
+  const key = `${hash.slice(0, 2)}/${hash}.${ext}`;
+  let stored;
+  
+  try {
+    const storage = getLogoStorage();
+    stored = (await storage.exists(key))
+      ? { path: key, url: storage.urlFor(key) }
+      : await storage.put(key, image.body, contentType);
+  } catch (error) {
+    error.storageFailed = true;
+    throw error;
+  }
+  
+  return {
+    source_url: url.href,
+    source: source,
+    path: stored.path,
+    url: stored.url,
+    hash: hash,
+    content_type: contentType,
+    width: width,
+    height: height,
+    bytes: image.body.length,
+    stored_at: new Date()
+  };
+}
+
+// One candidate: the stored logo, or null when the image was rejected.
+// Storage failures are not the image's fault and are rethrown.
+async function tryLogo(url, source) {
+  try {
+    const logo = await storeLogo(url, source);
+    logger.info('Stored logo', {
+      source: source,
+      path: logo.path,
+      width: logo.width,
+      height: logo.height,
+      source_url: logo.source_url
+    });
+    return logo;
+  } catch (error) {
+    if (error.storageFailed) {
+      throw error;
+    }
+    logger.info('Rejected logo', { source: source, url: url, reason: error.message });
+    return null;
+  }
+}
+
+// Stores the provided logo, or the best favicon of `website` when the
+// provided one is missing or fails validation. Returns the Tool.logo
+// fields, or null when no usable image was found. Never throws: a logo
+// problem must not fail the tool it belongs to.
+async function resolveLogo(logoUrl, website) {
+  try {
+    if (logoUrl) {
+      const logo = await tryLogo(logoUrl, 'provided');
+      if (logo) {
+        return logo;
+      }
+    }
+    
+    for (const url of await discoverFavicons(website)) {
+      const logo = await tryLogo(url, 'favicon');
+      if (logo) {
+        return logo;
+      }
+    }
+  } catch (error) {
+    logger.error('Could not store logo', error);
+  }
+  
+  return null;
+}
+
+module.exports = {
+  LOGO_FETCH_ENABLED,
+  resolveLogo,
+  storeLogo,
+  discoverFavicons,
+  validateImage,
+  sniffImage
+};
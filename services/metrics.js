@@ -0,0 +1,129 @@
+const client = require('prom-client');
+const RAW_STATUS = require('../models/rawStatus');
+const { getRawCollection } = require('../db');
+
+// Prometheus metrics served at GET /metrics
+const register = new client.Registry();
+client.collectDefaultMetrics({ register: register });
+
+const itemsProcessed = new client.Counter({
+  name: 'tool_pipeline_items_total',
+  help: 'Raw items handled by the processing pipeline, by outcome',
+  labelNames: ['outcome'],
+  registers: [register]
+});
+
+const llmRequestDuration = new client.Histogram({
+  name: 'llm_request_duration_seconds',
+  help: 'Latency of LLM provider calls',
+  labelNames: ['provider', 'model', 'status'],
+  buckets: [0.5, 1, 2, 5, 10, 20, 30, 60, 120],
+  registers: [register]
+});
+
+const llmTokens = new client.Counter({
+  name: 'llm_tokens_total',
+  help: 'Tokens used by LLM provider calls',
+  labelNames: ['provider', 'model', 'type'],
+  registers: [register]
+});
+
+const llmCost = new client.Counter({
+  name: 'llm_cost_usd_total',
+  help: 'Cost of LLM provider calls in USD, from the price table',
+  labelNames: ['provider', 'model'],
+  registers: [register]
+});
+
+const llmCacheLookups = new client.Counter({
+  name: 'llm_cache_lookups_total',
+  help: 'LLM analysis cache lookups, by result',
+  labelNames: ['result'],
+  registers: [register]
+});
+
+const httpRequestDuration = new client.Histogram({
+  name: 'http_request_duration_seconds',
+  help: 'Duration of HTTP requests',
+  labelNames: ['method', 'route', 'status_code'],
+  buckets: [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+  registers: [register]
+});
+
+// Raw collection counts, read from Mongo when Prometheus scrapes
+// (same definitions as GET /status)
+const QUEUE_STATES = {
+  pending: () => ({ status: RAW_STATUS.PENDING }),
+  in_progress: () => ({ status: RAW_STATUS.PENDING, lease_expires_at: { $gt: new Date() } }),
+  retry_scheduled: () => ({ status: RAW_STATUS.PENDING, next_attempt_at: { $gt: new Date() } }),
+  needs_review: () => ({ status: RAW_STATUS.NEEDS_REVIEW }),
+  possible_duplicate: () => ({ status: RAW_STATUS.POSSIBLE_DUPLICATE }),
+  dead_letter: () => ({ status: RAW_STATUS.DEAD_LETTER })
+};
+
+new client.Gauge({
+  name: 'tool_pipeline_queue_depth',
+  help: 'Raw items by queue state',
+  labelNames: ['state'],
+  registers: [register],
+  async collect() {
+    let rawCollection;
+    try {
+      rawCollection = getRawCollection();
+    } catch (error) {
+      // Not connected yet
+      return;
+    }
+    
+    const counts = await Promise.all(
+      Object.entries(QUEUE_STATES).map(async ([state, filter]) => [state, await rawCollection.countDocuments(filter())])
+    );
+    for (const [state, count] of counts) {
+      this.set({ state: state }, count);
+    }
+  }
+});
+
+// Express middleware timing every request. Routes are labelled by their
+// pattern (/tools/:slug), never the concrete path, to keep cardinality low.
+function httpMetricsMiddleware(req, res, next) {
+  const end = httpRequestDuration.startTimer();
+  
+  res.on('finish', () => {
+    const route = req.route ? `${req.baseUrl}${req.route.path}` : (req.baseUrl || 'unmatched');
+    end({ method: req.method, route: route, status_code: res.statusCode });
+  });
+  
+  next();
+}
+
+function recordItemOutcome(outcome) {
+  itemsProcessed.inc({ outcome: outcome });
+}
+
+function recordLlmCall({ provider, model, latencyMs, success, promptTokens, completionTokens, costUsd }) {
+  const labels = { provider: provider, model: model || 'unknown' };
+  
+  llmRequestDuration.observe({ ...labels, status: success ? 'success' : 'error' }, (latencyMs || 0) / 1000);
+  if (promptTokens) {
+    llmTokens.inc({ ...labels, type: 'prompt' }, promptTokens);
+  }
+  if (completionTokens) {
+    llmTokens.inc({ ...labels, type: 'completion' }, completionTokens);
+  }
+  if (costUsd) {
+    llmCost.inc(labels, costUsd);
+  }
+}
+
+function recordCacheLookup(hit) {
+  llmCacheLookups.inc({ result: hit ? 'hit' : 'miss' });
+}
+
+module.exports = {
+  register,
+  httpMetricsMiddleware,
+  recordItemOutcome,
+  recordLlmCall,
+  recordCacheLookup
+};
@@ -0,0 +1,103 @@
+// Normalization helpers shared by slug generation, upserts and dedup
+
+// "Café AI: Writer!" -> "cafe-ai-writer"
+function slugify(value) {
+  return String(value || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 80)
+    .replace(/-+$/, '');
+}
+
+// Canonical key for a website: host without "www." plus path, no protocol,
+// query, hash or trailing slash. "https://www.Foo.ai/app/" -> "foo.ai/app"
+function normalizeWebsite(url) {
+  if (!url) {
+    return '';
+  }
+  
+  let parsed;
+  try {
+    parsed = new URL(/^[a-z][a-z0-9+.-]*:\/\//i.test(url) ? url : `https://${url}`);
+  } catch (error) {
+    return '';
+  }
+  
+  const host = parsed.hostname.toLowerCase().replace(/^www\./, '');
+  const path = parsed.pathname.replace(/\/+$/, '');
+  
+  return host + path;
+}
+
+// Host part of a website without "www.": "https://www.foo.ai/x" -> "foo.ai"
+function normalizeDomain(url) {
+  return normalizeWebsite(url).split('/')[0];
+}
+
+// Words that vary between sources without changing which product is meant
+const NAME_NOISE = /\b(ai|app|apps|inc|llc|ltd|io|the|tool|tools|official)\b/g;
+
+// "The Foo.ai App" -> "foo"
+function normalizeName(name) {
+  return String(name || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/\.(ai|io|com|app|so|co)\b/g, ' ')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .replace(NAME_NOISE, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function bigrams(value) {
+  const compact = value.replace(/\s+/g, '');
+  const grams = [];
+  for (let i = 0; i < compact.length - 1; i++) {
+    grams.push(compact.slice(i, i + 2));
+  }
+  return grams;
+}
+
+// Dice coefficient over character bigrams of the normalized names (0..1)
+function nameSimilarity(a, b) {
+  const left = normalizeName(a);
+  const right = normalizeName(b);
+  
+  if (!left || !right) {
+    return 0;
+  }
+  if (left === right) {
+    return 1;
+  }
+  
+  const leftGrams = bigrams(left);
+  const rightGrams = bigrams(right);
+  if (leftGrams.length === 0 || rightGrams.length === 0) {
+    return 0;
+  }
+  
+  const counts = new Map();
+  leftGrams.forEach(gram => counts.set(gram, (counts.get(gram) || 0) + 1));
+  
+  let overlap = 0;
+  for (const gram of rightGrams) {
+    if (counts.get(gram) > 0) {
+      overlap++;
+      counts.set(gram, counts.get(gram) - 1);
+    }
+  }
+  
+  return (2 * overlap) / (leftGrams.length + rightGrams.length);
+}
+
+module.exports = {
+  slugify,
+  normalizeWebsite,
+  normalizeDomain,
+  normalizeName,
+  nameSimilarity
+};
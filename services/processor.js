@@ -0,0 +1,302 @@
+const RAW_STATUS = require('../models/rawStatus');
+const providers = require('../providers');
+const { getRawCollection } = require('../db');
+const { getAIAnalysis, resolveModel, AnalysisValidationError } = require('./analysis');
+const promptTemplates = require('./promptTemplates');
+const { planRetry, ERROR_TYPES } = require('./retryPolicy');
+const { upsertTool } = require('./toolUpsert');
+const dedup = require('./dedup');
+const { resolveRawInput } = require('./sourceProfiles');
+const { getSiteContext } = require('./siteContent');
+const { resolveLogo, LOGO_FETCH_ENABLED } = require('./logos');
+const logger = require('./logger');
+
+// Number of past failures kept on each raw item
+const ERROR_HISTORY_LIMIT = 10;
+
+// Best-effort tool name for log lines; processing itself maps fields
+// through the item's source profile (see services/sourceProfiles.js)
+function getRawToolName(item) {
+  return item.appName || item.ai_tool_name || item.name || item.tool_name || 'Unknown Tool';
+}
+
+// Outcome name of a processing result, as counted on jobs and in metrics
+function outcomeOf(result) {
+  if (result.success) {
+    return result.duplicate ? 'duplicate' : 'processed';
+  }
+  if (result.needsReview) {
+    return 'needs_review';
+  }
+  if (result.invalidInput) {
+    return 'invalid_input';
+  }
+  return result.retryScheduled ? 'retry_scheduled' : 'failed';
+}
+
+// Function to process a single raw data item
+// options.provider: name of the LLM provider to use instead of the default
+// options.mergePolicy: per-field overrides of the merge policy for existing tools
+// options.skipDedup: analyse even if the item looks like an existing tool
+// options.promptVersion: version of the analysis prompt template to use
+// options.jobId: processing job the item belongs to, for usage accounting
+// options.bypassCache: ask the provider again even if the analysis is cached
+async function processRawDataItem(item, options = {}) {
+  try {
+    const provider = providers.getProvider(options.provider);
+    
+    logger.debug('Raw item fields', { fields: Object.keys(item) });
+    
+    // Map the raw fields through the item's source profile
+    const { profile, input, missing } = await resolveRawInput(item);
+    
+    if (missing.length > 0) {
+      const message = `Missing required fields for source profile "${profile}": ${missing.join(', ')}`;
+      logger.warn('Invalid raw item', { source_profile: profile, missing: missing });
+      
+      await getRawCollection().updateOne(
+        { _id: item._id },
+        { 
+          $set: { 
+            status: RAW_STATUS.INVALID_INPUT,
+            source_profile: profile,
+            input_errors: missing,
+            error_type: ERROR_TYPES.INVALID_INPUT,
+            error_message: message,
+            error_at: new Date()
+          }
+        }
+      );
+      
+      return {
+        success: false,
+        invalidInput: true,
+        error: message,
+        originalId: item._id
+      };
+    }
+    
+    const toolName = input.name;
+    const appUrl = input.website;
+    const logoUrl = input.logo_url;
+    
+    logger.info('Processing item', {
+      tool_name: toolName,
+      website: appUrl,
+      source_profile: profile,
+      provider: provider.name,
+      model: provider.model
+    });
+    
+    // Check for an existing tool first so duplicates don't cost an LLM call.
+    // Items a reviewer already cleared carry dedup_checked.
+    if (!options.skipDedup && !item.dedup_checked) {
+      const duplicate = await dedup.checkRawItem(toolName, appUrl);
+      
+      if (duplicate && duplicate.type === 'exact') {
+        await dedup.linkRawItem(item, duplicate.tool);
+        logger.info('Duplicate of existing tool', { tool_name: toolName, slug: duplicate.tool.slug });
+        
+        return {
+          success: true,
+          duplicate: true,
+          processedId: duplicate.tool._id,
+          created: false,
+          originalId: item._id
+        };
+      }
+      
+      if (duplicate && duplicate.type === 'possible') {
+        await dedup.flagRawItem(item, duplicate.candidates);
+        const names = duplicate.candidates.map(candidate => candidate.tool.slug).join(', ');
+        logger.info('Possible duplicate, flagged for review', { tool_name: toolName, candidates: names });
+        
+        return {
+          success: false,
+          needsReview: true,
+          possibleDuplicate: true,
+          error: `Possible duplicate of ${names}`,
+          originalId: item._id
+        };
+      }
+    }
+    
+    // Ground the analysis in the tool's own website text where we can read it
+    const siteContext = await getSiteContext(appUrl);
+    if (siteContext) {
+      logger.info('Fetched website content', {
+        chars: siteContext.text.length,
+        pages: siteContext.pages.map(page => ({ url: page.url, skipped_reason: page.skipped_reason }))
+      });
+    }
+    
+    // Get AI analysis from the LLM provider
+    const template = await promptTemplates.getTemplate(promptTemplates.ANALYSIS_TEMPLATE, options.promptVersion);
+    const aiAnalysis = await getAIAnalysis(toolName, appUrl, provider, {
+      template: template,
+      siteContext: siteContext && siteContext.text,
+      usageContext: { purpose: 'analysis', job_id: options.jobId, raw_id: item._id.toString() },
+      bypassCache: options.bypassCache
+    });
+    
+    // Keep only a logo that downloads and validates, else the site's favicon
+    const logo = LOGO_FETCH_ENABLED ? await resolveLogo(logoUrl, appUrl) : null;
+    
+    // Create the tool, or merge into the one already built from this item/website
+    const { tool: savedTool, created, changedFields } = await upsertTool(aiAnalysis, {
+      originalId: item._id.toString(),
+      logoUrl: LOGO_FETCH_ENABLED ? (logo && logo.source_url) : logoUrl,
+      logo: logo,
+      mergePolicy: options.mergePolicy,
+      revisionSource: {
+        type: 'analysis',
+        provider: provider.name,
+        model: resolveModel(template, provider),
+        prompt_version: template.version
+      }
+    });
+    
+    // Update status in raw-data collection
+    const rawCollection = getRawCollection();
+    await rawCollection.updateOne(
+      { _id: item._id },
+      { 
+        $set: { 
+          status: RAW_STATUS.PROCESSED,
+          attempts: (item.attempts || 0) + 1,
+          processed_at: new Date(),
+          site_pages: siteContext ? siteContext.pages : []
+        },
+        $unset: { next_attempt_at: '', error_type: '', error_message: '' }
+      }
+    );
+    
+    logger.info(created ? 'Created tool' : 'Updated tool', {
+      tool_name: toolName,
+      tool_id: savedTool._id,
+      slug: savedTool.slug,
+      prompt_version: template.version,
+      changed_fields: created ? undefined : changedFields
+    });
+    
+    return {
+      success: true,
+      processedId: savedTool._id,
+      slug: savedTool.slug,
+      created: created,
+      changedFields: changedFields,
+      originalId: item._id
+    };
+    
+  } catch (error) {
+    const toolName = getRawToolName(item);
+    const rawCollection = getRawCollection();
+    const attempts = (item.attempts || 0) + 1;
+    const { errorType, retry, nextAttemptAt } = planRetry(error, attempts);
+    const now = new Date();
+    
+    const failureFields = {
+      attempts: attempts,
+      error_type: errorType,
+      error_message: error.message,
+      error_at: now
+    };
+    const historyEntry = {
+      attempt: attempts,
+      error_type: errorType,
+      error_message: error.message,
+      at: now
+    };
+    const pushHistory = { error_history: { $each: [historyEntry], $slice: -ERROR_HISTORY_LIMIT } };
+    
+    // The model kept returning invalid output: park the item for review
+    // instead of saving a placeholder tool
+    if (error instanceof AnalysisValidationError) {
+      logger.warn('Analysis failed validation, needs review', { tool_name: toolName, validation_errors: error.errors });
+      
+      await rawCollection.updateOne(
+        { _id: item._id },
+        { 
+          $set: { 
+            ...failureFields,
+            status: RAW_STATUS.NEEDS_REVIEW,
+            validation_errors: error.errors,
+            last_llm_output: error.rawContent
+          },
+          $unset: { next_attempt_at: '' },
+          $push: pushHistory
+        }
+      );
+      
+      return {
+        success: false,
+        needsReview: true,
+        errorType: errorType,
+        error: error.message,
+        validationErrors: error.errors,
+        originalId: item._id
+      };
+    }
+    
+    if (retry) {
+      logger.warn('Processing failed, retry scheduled', {
+        tool_name: toolName,
+        error_type: errorType,
+        attempt: attempts,
+        next_attempt_at: nextAttemptAt,
+        error: error
+      });
+      
+      // Leave the item pending; the queue skips it until next_attempt_at
+      await rawCollection.updateOne(
+        { _id: item._id },
+        { 
+          $set: { 
+            ...failureFields,
+            status: RAW_STATUS.PENDING,
+            next_attempt_at: nextAttemptAt
+          },
+          $push: pushHistory
+        }
+      );
+      
+      return {
+        success: false,
+        retryScheduled: true,
+        errorType: errorType,
+        error: error.message,
+        nextAttemptAt: nextAttemptAt,
+        originalId: item._id
+      };
+    }
+    
+    logger.error('Processing failed, moved to dead letter', {
+      tool_name: toolName,
+      error_type: errorType,
+      attempt: attempts,
+      error: error
+    });
+    
+    await rawCollection.updateOne(
+      { _id: item._id },
+      { 
+        $set: { 
+          ...failureFields,
+          status: RAW_STATUS.DEAD_LETTER
+        },
+        $unset: { next_attempt_at: '' },
+        $push: pushHistory
+      }
+    );
+    
+    return {
+      success: false,
+      deadLettered: true,
+      errorType: errorType,
+      error: error.message,
+      originalId: item._id
+    };
+  }
+}
+
+module.exports = { processRawDataItem, getRawToolName, outcomeOf };
@@ -0,0 +1,133 @@
+const { ObjectId } = require('mongodb');
+const providers = require('../providers');
+const { getRawCollection } = require('../db');
+const { getAIAnalysis, AnalysisValidationError } = require('./analysis');
+const promptTemplates = require('./promptTemplates');
+const { resolveRawInput } = require('./sourceProfiles');
+const { getSiteContext } = require('./siteContent');
+const revisions = require('./revisions');
+
+// Each sampled item costs two analyses, so keep evaluations small
+const DEFAULT_SAMPLE_SIZE = 5;
+const MAX_SAMPLE_SIZE = parseInt(process.env.PROMPT_EVAL_MAX_SAMPLE) || 10;
+
+function evalError(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+async function loadSample({ rawIds, sampleSize }) {
+  const rawCollection = getRawCollection();
+  
+  if (rawIds && rawIds.length > 0) {
+    if (rawIds.length > MAX_SAMPLE_SIZE) {
+      throw evalError(`At most ${MAX_SAMPLE_SIZE} raw items can be evaluated at once`);
+    }
+    if (!rawIds.every(id => ObjectId.isValid(id))) {
+      throw evalError('raw_ids must be valid ObjectIds');
+    }
+    return rawCollection.find({ _id: { $in: rawIds.map(id => new ObjectId(id)) } }).toArray();
+  }
+  
+  const size = Math.min(Math.max(parseInt(sampleSize) || DEFAULT_SAMPLE_SIZE, 1), MAX_SAMPLE_SIZE);
+  return rawCollection.aggregate([{ $sample: { size: size } }]).toArray();
+}
+
+// One side of a comparison; never throws so the other side still shows
+async function runSide(template, input, provider, siteContext) {
+  const startedAt = Date.now();
+  
+  try {
+    const analysis = await getAIAnalysis(input.name, input.website, provider, {
+      template: template,
+      siteContext: siteContext,
+      usageContext: { purpose: 'evaluation' },
+      bypassCache: true
+    });
+    return { valid: true, duration_ms: Date.now() - startedAt, analysis: analysis };
+  } catch (error) {
+    if (error instanceof AnalysisValidationError) {
+      return {
+        valid: false,
+        duration_ms: Date.now() - startedAt,
+        validation_errors: error.errors,
+        raw_output: error.rawContent
+      };
+    }
+    return { valid: false, duration_ms: Date.now() - startedAt, error: error.message };
+  }
+}
+
+function summarize(template, sides) {
+  const valid = sides.filter(side => side.valid).length;
+  const totalMs = sides.reduce((sum, side) => sum + side.duration_ms, 0);
+  
+  return {
+    version: template.version,
+    valid: valid,
+    invalid: sides.length - valid,
+    avg_duration_ms: sides.length > 0 ? Math.round(totalMs / sides.length) : 0
+  };
+}
+
+// Runs two versions of a prompt template over the same raw items and
+// returns their analyses side by side. Nothing is saved.
+async function evaluatePrompts({ name = promptTemplates.ANALYSIS_TEMPLATE, versionA, versionB, rawIds, sampleSize, provider: providerName } = {}) {
+  if (!versionA || !versionB) {
+    throw evalError('version_a and version_b are required');
+  }
+  
+  const templateA = await promptTemplates.getTemplate(name, versionA);
+  const templateB = await promptTemplates.getTemplate(name, versionB);
+  const provider = providers.getProvider(providerName);
+  const items = await loadSample({ rawIds: rawIds, sampleSize: sampleSize });
+  
+  const results = [];
+  
+  for (const item of items) {
+    const { input, missing } = await resolveRawInput(item);
+    
+    if (missing.length > 0) {
+      results.push({ raw_id: item._id, skipped: `Missing required fields: ${missing.join(', ')}` });
+      continue;
+    }
+    
+    // Both versions see the same page text
+    const siteContext = await getSiteContext(input.website);
+    const text = siteContext && siteContext.text;
+    
+    const a = await runSide(templateA, input, provider, text);
+    const b = await runSide(templateB, input, provider, text);
+    
+    const differences = a.valid && b.valid
+      ? revisions.diffSnapshots(revisions.snapshotOf(a.analysis), revisions.snapshotOf(b.analysis)).map(change => change.field)
+      : [];
+    
+    results.push({
+      raw_id: item._id,
+      name: input.name,
+      website: input.website,
+      a: a,
+      b: b,
+      differences: differences
+    });
+  }
+  
+  const compared = results.filter(result => !result.skipped);
+  
+  return {
+    template: name,
+    provider: provider.name,
+    model: provider.model,
+    summary: {
+      a: summarize(templateA, compared.map(result => result.a)),
+      b: summarize(templateB, compared.map(result => result.b)),
+      items: results.length,
+      skipped: results.length - compared.length
+    },
+    results: results
+  };
+}
+
+module.exports = { evaluatePrompts, MAX_SAMPLE_SIZE };
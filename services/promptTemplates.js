@@ -0,0 +1,212 @@
+const fs = require('fs');
+const path = require('path');
+const PromptTemplate = require('../models/PromptTemplate');
+
+// Template used for tool analysis (services/analysis.js)
+const ANALYSIS_TEMPLATE = 'tool-analysis';
+
+const TEMPLATES_FILE = process.env.PROMPT_TEMPLATES_FILE ||
+  path.join(__dirname, '..', 'config', 'prompt-templates.json');
+
+// How long templates loaded from Mongo are reused before reloading
+const CACHE_TTL_MS = 60 * 1000;
+
+const NAME_PATTERN = /^[a-z0-9][a-z0-9_-]*$/;
+const VERSION_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]*$/;
+
+let fileTemplates = null;
+let cache = null;
+let cacheLoadedAt = 0;
+
+function templateError(message, statusCode = 400) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+// Long prompts may be written as an array of lines
+function joinLines(value) {
+  return Array.isArray(value) ? value.join('\n') : value;
+}
+
+// Throws a 400-style error describing the first problem with a template
+function validateTemplate(template) {
+  if (!template || typeof template.name !== 'string' || !NAME_PATTERN.test(template.name)) {
+    throw templateError('Template name must be lowercase letters, digits, "-" or "_"');
+  }
+  if (typeof template.version !== 'string' || !VERSION_PATTERN.test(template.version)) {
+    throw templateError('Template version must be letters, digits, ".", "-" or "_"');
+  }
+  
+  for (const field of ['system', 'user']) {
+    const text = joinLines(template[field]);
+    if (typeof text !== 'string' || text.trim() === '') {
+      throw templateError(`Template ${field} prompt must be a non-empty string`);
+    }
+  }
+  
+  const opened = (joinLines(template.user).match(/\{\{#\w+\}\}/g) || []).length;
+  const closed = (joinLines(template.user).match(/\{\{\/\w+\}\}/g) || []).length;
+  if (opened !== closed) {
+    throw templateError('Template user prompt has unbalanced {{#section}} / {{/section}} tags');
+  }
+  
+  if (template.temperature !== undefined && !(template.temperature >= 0 && template.temperature <= 2)) {
+    throw templateError('temperature must be between 0 and 2');
+  }
+  if (template.max_tokens !== undefined && !(Number.isInteger(template.max_tokens) && template.max_tokens > 0)) {
+    throw templateError('max_tokens must be a positive integer');
+  }
+}
+
+function toPlainTemplate(template, origin) {
+  return {
+    name: template.name,
+    version: template.version,
+    description: template.description,
+    system: joinLines(template.system),
+    user: joinLines(template.user),
+    temperature: template.temperature !== undefined && template.temperature !== null ? template.temperature : 0.7,
+    max_tokens: template.max_tokens || 2000,
+    model: template.model || undefined,
+    default: Boolean(template.default),
+    origin: origin,
+    created_at: template.createdAt
+  };
+}
+
+function loadFileTemplates() {
+  if (!fileTemplates) {
+    const templates = JSON.parse(fs.readFileSync(TEMPLATES_FILE, 'utf8'));
+    templates.forEach(validateTemplate);
+    fileTemplates = templates.map(template => toPlainTemplate(template, 'file'));
+  }
+  return fileTemplates;
+}
+
+// File templates followed by the versions stored in Mongo
+async function getTemplates({ refresh = false } = {}) {
+  if (!refresh && cache && Date.now() - cacheLoadedAt < CACHE_TTL_MS) {
+    return cache;
+  }
+  
+  const stored = await PromptTemplate.find().sort({ createdAt: 1 }).lean();
+  
+  cache = loadFileTemplates().concat(stored.map(doc => toPlainTemplate(doc, 'database')));
+  cacheLoadedAt = Date.now();
+  return cache;
+}
+
+function invalidateCache() {
+  cache = null;
+}
+
+// Unknown templates are a bad request where a template is an option of
+// something else; code UNKNOWN_TEMPLATE lets GET /prompts answer 404
+function unknownTemplateError(message) {
+  const error = templateError(message);
+  error.code = 'UNKNOWN_TEMPLATE';
+  return error;
+}
+
+// The requested version of a template, or its default version: the newest
+// database version marked default, else the file default, else the newest
+async function getTemplate(name = ANALYSIS_TEMPLATE, version) {
+  const versions = (await getTemplates()).filter(template => template.name === name);
+  
+  if (versions.length === 0) {
+    throw unknownTemplateError(`Unknown prompt template: ${name}`);
+  }
+  
+  if (version) {
+    const match = versions.find(template => template.version === version);
+    if (!match) {
+      throw unknownTemplateError(`Unknown version "${version}" of prompt template ${name}`);
+    }
+    return match;
+  }
+  
+  const defaults = versions.filter(template => template.default);
+  const fromDatabase = defaults.filter(template => template.origin === 'database');
+  
+  if (fromDatabase.length > 0) {
+    return fromDatabase[fromDatabase.length - 1];
+  }
+  if (defaults.length > 0) {
+    return defaults[defaults.length - 1];
+  }
+  return versions[versions.length - 1];
+}
+
+// Stores a new template version. Versions are immutable so that the
+// version recorded on a tool always means the same prompt.
+async function createTemplate(data, { createdBy } = {}) {
+  const template = {
+    name: data.name,
+    version: data.version,
+    description: data.description,
+    system: joinLines(data.system),
+    user: joinLines(data.user),
+    temperature: data.temperature,
+    max_tokens: data.max_tokens,
+    model: data.model,
+    default: Boolean(data.default),
+    created_by: createdBy
+  };
+  
+  validateTemplate(template);
+  
+  const exists = () => templateError(`Version ${template.version} of ${template.name} already exists; create a new version instead`, 409);
+  const existing = (await getTemplates({ refresh: true }))
+    .find(entry => entry.name === template.name && entry.version === template.version);
+  if (existing) {
+    throw exists();
+  }
+  
+  let saved;
+  try {
+    saved = await PromptTemplate.create(template);
+  } catch (error) {
+    // A concurrent request stored the same version first
+    if (error.code === 11000) {
+      throw exists();
+    }
+    throw error;
+  }
+  
+  if (template.default) {
+    await PromptTemplate.updateMany(
+      { name: template.name, default: true, _id: { $ne: saved._id } },
+      { $set: { default: false } }
+    );
+  }
+  invalidateCache();
+  return toPlainTemplate(saved.toObject(), 'database');
+}
+
+// Fills {{var}} placeholders; {{#var}}...{{/var}} sections are kept only
+// when var has a value
+function renderTemplate(text, vars = {}) {
+  return text
+    .replace(/\{\{#(\w+)\}\}\n?([\s\S]*?)\{\{\/\1\}\}\n?/g, (match, name, body) => (vars[name] ? body : ''))
+    .replace(/\{\{(\w+)\}\}/g, (match, name) => (vars[name] !== undefined && vars[name] !== null ? String(vars[name]) : ''));
+}
+
+// Chat messages for a template and its variables
+function buildMessages(template, vars) {
+  return [
+    { role: 'system', content: renderTemplate(template.system, vars) },
+    { role: 'user', content: renderTemplate(template.user, vars) }
+  ];
+}
+
+module.exports = {
+  ANALYSIS_TEMPLATE,
+  getTemplates,
+  getTemplate,
+  createTemplate,
+  validateTemplate,
+  invalidateCache,
+  renderTemplate,
+  buildMessages
+};
@@ -0,0 +1,251 @@
+const os = require('os');
+const RAW_STATUS = require('../models/rawStatus');
+const { getRawCollection } = require('../db');
+const { processRawDataItem, getRawToolName, outcomeOf } = require('./processor');
+const logger = require('./logger');
+const metrics = require('./metrics');
+const settings = require('./settings');
+const webhooks = require('./webhooks');
+
+// Queue configuration. Default concurrency and the pause between items are
+// runtime settings (see services/settings.js).
+const LEASE_MS = parseInt(process.env.QUEUE_LEASE_MS) || 5 * 60 * 1000;
+const INSTANCE_ID = `${os.hostname()}:${process.pid}`;
+
+// Worker ids currently holding (or about to hold) leases in this process
+const activeWorkers = new Set();
+let runCounter = 0;
+let stopping = false;
+
+// A raw item can be claimed when it is pending, any retry backoff has passed
+// and nobody holds a live lease. Leases left behind by a crashed instance
+// expire and become claimable again.
+function claimableFilter(filter = {}) {
+  const now = new Date();
+  
+  return {
+    ...filter,
+    status: RAW_STATUS.PENDING,
+    $and: [
+      { $or: [{ lease_expires_at: null }, { lease_expires_at: { $lt: now } }] },
+      { $or: [{ next_attempt_at: null }, { next_attempt_at: { $lte: now } }] }
+    ]
+  };
+}
+
+async function ensureQueueIndexes() {
+  await getRawCollection().createIndex({ status: 1, lease_expires_at: 1 });
+  await getRawCollection().createIndex({ status: 1, error_type: 1 });
+}
+
+// Atomically leases the next pending raw item to `workerId`
+async function claimNext(workerId, filter) {
+  const now = new Date();
+  
+  return getRawCollection().findOneAndUpdate(
+    claimableFilter(filter),
+    {
+      $set: {
+        lease_owner: workerId,
+        leased_at: now,
+        lease_expires_at: new Date(now.getTime() + LEASE_MS)
+      }
+    },
+    { sort: { _id: 1 }, returnDocument: 'after' }
+  );
+}
+
+async function renewLease(itemId, workerId) {
+  await getRawCollection().updateOne(
+    { _id: itemId, lease_owner: workerId },
+    { $set: { lease_expires_at: new Date(Date.now() + LEASE_MS) } }
+  );
+}
+
+async function releaseLease(itemId, workerId) {
+  await getRawCollection().updateOne(
+    { _id: itemId, lease_owner: workerId },
+    { $unset: { lease_owner: '', leased_at: '', lease_expires_at: '' } }
+  );
+}
+
+// Tells webhook subscribers how an item ended. Duplicates change nothing and
+// items waiting for a retry have not ended yet.
+async function emitItemEvent(result, item, options) {
+  if (result.success && !result.duplicate) {
+    await webhooks.emitEvent('tool.processed', {
+      tool_id: result.processedId,
+      slug: result.slug,
+      created: result.created,
+      changed_fields: result.created ? undefined : result.changedFields,
+      raw_id: item._id,
+      job_id: options.jobId
+    });
+  } else if (!result.success && !result.retryScheduled) {
+    await webhooks.emitEvent('tool.failed', {
+      raw_id: item._id,
+      tool_name: getRawToolName(item),
+      outcome: outcomeOf(result),
+      error_type: result.errorType,
+      error: result.error,
+      job_id: options.jobId
+    });
+  }
+}
+
+// Processes a leased item with its id on every log line, counting the outcome
+async function processItem(item, workerId, options) {
+  return logger.withLogContext({ raw_id: item._id.toString(), worker_id: workerId }, async () => {
+    const result = await processRawDataItem(item, options);
+    metrics.recordItemOutcome(outcomeOf(result));
+    await emitItemEvent(result, item, options);
+    return result;
+  });
+}
+
+// Runs one worker until the queue is empty, the limit is hit or it is stopped
+async function runWorker(workerId, state, options) {
+  while (!stopping && !state.stopped && (!options.limit || state.claimed < options.limit)) {
+    if (options.shouldStop && options.shouldStop()) {
+      break;
+    }
+    
+    const item = await claimNext(workerId, options.filter);
+    if (!item) {
+      break;
+    }
+    state.claimed++;
+    
+    // Keep the lease alive while the LLM call is in flight
+    const heartbeat = setInterval(() => {
+      renewLease(item._id, workerId).catch(error => {
+        logger.error('Failed to renew lease', { raw_id: item._id, error: error });
+      });
+    }, Math.floor(LEASE_MS / 3));
+    
+    let result;
+    try {
+      result = await processItem(item, workerId, {
+        provider: options.provider,
+        mergePolicy: options.mergePolicy,
+        promptVersion: options.promptVersion,
+        jobId: options.jobId,
+        bypassCache: options.bypassCache
+      });
+    } finally {
+      clearInterval(heartbeat);
+      await releaseLease(item._id, workerId);
+    }
+    
+    if (result.success) {
+      state.processed++;
+    } else if (result.needsReview) {
+      state.needsReview++;
+    } else if (result.retryScheduled) {
+      state.retryScheduled++;
+    } else if (result.invalidInput) {
+      state.invalidInput++;
+    } else {
+      state.failed++;
+    }
+    
+    if (options.onResult) {
+      await options.onResult(result, item);
+    }
+    
+    // Read on every item so a changed setting applies to runs in progress
+    const delayMs = settings.getSettings().item_delay_ms;
+    if (delayMs > 0) {
+      await new Promise(resolve => setTimeout(resolve, delayMs));
+    }
+  }
+}
+
+// Processes pending raw items with `concurrency` workers sharing the queue.
+// options: { concurrency, provider, mergePolicy, promptVersion, jobId, bypassCache, filter, limit, onResult, shouldStop }
+async function runQueue(options = {}) {
+  const concurrency = Math.max(1, parseInt(options.concurrency) || settings.getSettings().concurrency);
+  const runId = ++runCounter;
+  const state = { claimed: 0, processed: 0, failed: 0, needsReview: 0, retryScheduled: 0, invalidInput: 0, stopped: false };
+  
+  const workerIds = [];
+  for (let i = 1; i <= concurrency; i++) {
+    const workerId = `${INSTANCE_ID}#${runId}-${i}`;
+    workerIds.push(workerId);
+    activeWorkers.add(workerId);
+  }
+  
+  try {
+    await Promise.all(workerIds.map(workerId => runWorker(workerId, state, options)));
+  } catch (error) {
+    state.stopped = true;
+    throw error;
+  } finally {
+    workerIds.forEach(workerId => activeWorkers.delete(workerId));
+  }
+  
+  return {
+    claimed: state.claimed,
+    processed: state.processed,
+    failed: state.failed,
+    needsReview: state.needsReview,
+    retryScheduled: state.retryScheduled,
+    invalidInput: state.invalidInput
+  };
+}
+
+// Leases and processes one specific raw item. Returns null if the item is
+// not pending or is currently leased by another worker.
+async function processQueuedItem(itemId, options = {}) {
+  const workerId = `${INSTANCE_ID}#item-${itemId}`;
+  activeWorkers.add(workerId);
+  
+  try {
+    const item = await claimNext(workerId, { _id: itemId });
+    if (!item) {
+      return null;
+    }
+    
+    try {
+      return await processItem(item, workerId, {
+        provider: options.provider,
+        mergePolicy: options.mergePolicy,
+        promptVersion: options.promptVersion,
+        skipDedup: options.skipDedup,
+        bypassCache: options.bypassCache
+      });
+    } finally {
+      await releaseLease(item._id, workerId);
+    }
+  } finally {
+    activeWorkers.delete(workerId);
+  }
+}
+
+async function countPending() {
+  return getRawCollection().countDocuments(claimableFilter());
+}
+
+// Stops claiming new items and hands back leases held by this process so
+// another instance can pick them up immediately instead of waiting them out
+async function shutdownQueue() {
+  stopping = true;
+  
+  if (activeWorkers.size === 0) {
+    return;
+  }
+  
+  await getRawCollection().updateMany(
+    { lease_owner: { $in: Array.from(activeWorkers) } },
+    { $unset: { lease_owner: '', leased_at: '', lease_expires_at: '' } }
+  );
+}
+
+module.exports = {
+  runQueue,
+  processQueuedItem,
+  countPending,
+  ensureQueueIndexes,
+  shutdownQueue,
+  INSTANCE_ID
+};
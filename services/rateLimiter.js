@@ -0,0 +1,79 @@
+// Token bucket limiter: `capacity` tokens, refilled continuously at
+// `refillPerSecond`. take() resolves once a token is available; tryTake()
+// answers straight away for callers that reject instead of waiting.
+function createTokenBucket({ capacity, refillPerSecond }) {
+  let tokens = capacity;
+  let lastRefill = Date.now();
+  let queue = Promise.resolve();
+
+  function refill() {
+    const now = Date.now();
+    tokens = Math.min(capacity, tokens + ((now - lastRefill) / 1000) * refillPerSecond);
+    lastRefill = now;
+  }
+
+  async function waitForToken() {
+    refill();
+    while (tokens < 1) {
+      const waitMs = Math.ceil(((1 - tokens) / refillPerSecond) * 1000);
+      await new Promise(resolve => setTimeout(resolve, waitMs));
+      refill();
+    }
+    tokens -= 1;
+  }
+
+  return {
+    capacity: capacity,
+    refillPerSecond: refillPerSecond,
+
+    // Callers are served in order so a busy worker cannot starve the others
+    take() {
+      const next = queue.then(waitForToken);
+      queue = next.catch(() => {});
+      return next;
+    },
+
+    // { allowed, retryAfterMs }
+    tryTake() {
+      refill();
+      if (tokens >= 1) {
+        tokens -= 1;
+        return { allowed: true, retryAfterMs: 0 };
+      }
+      return { allowed: false, retryAfterMs: Math.ceil(((1 - tokens) / refillPerSecond) * 1000) };
+    },
+
+    available() {
+      refill();
+      return Math.floor(tokens);
+    }
+  };
+}
+
+const buckets = new Map();
+
+// Requests per minute for a provider: <PROVIDER>_RPM, else LLM_RATE_LIMIT_RPM
+function getProviderRpm(providerName) {
+  const specific = parseFloat(process.env[`${providerName.toUpperCase()}_RPM`]);
+  if (specific > 0) {
+    return specific;
+  }
+  return parseFloat(process.env.LLM_RATE_LIMIT_RPM) || 60;
+}
+
+// Returns the shared limiter for an LLM provider
+function getProviderLimiter(providerName) {
+  if (!buckets.has(providerName)) {
+    const rpm = getProviderRpm(providerName);
+    buckets.set(providerName, createTokenBucket({
+      capacity: Math.max(1, Math.ceil(rpm / 60)),
+      refillPerSecond: rpm / 60
+    }));
+  }
+  return buckets.get(providerName);
+}
+
+module.exports = {
+  createTokenBucket,
+  getProviderLimiter
+};
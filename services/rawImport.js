@@ -0,0 +1,259 @@
+const path = require('path');
+const { parse: parseCsv } = require('csv-parse/sync');
+const Tool = require('../models/Tool');
+const RAW_STATUS = require('../models/rawStatus');
+const { getRawCollection } = require('../db');
+const sourceProfiles = require('./sourceProfiles');
+const { normalizeWebsite, normalizeName } = require('./normalize');
+
+const FORMATS = ['csv', 'json', 'ndjson'];
+const INSERT_BATCH_SIZE = 500;
+
+function importError(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+// Guesses the format from an explicit value, a content type or a file name
+function detectFormat({ format, contentType, fileName } = {}) {
+  if (format) {
+    if (!FORMATS.includes(format)) {
+      throw importError(`Unsupported import format: ${format} (expected ${FORMATS.join(', ')})`);
+    }
+    return format;
+  }
+  
+  const type = (contentType || '').toLowerCase();
+  if (type.includes('csv')) {
+    return 'csv';
+  }
+  if (type.includes('ndjson') || type.includes('jsonl')) {
+    return 'ndjson';
+  }
+  if (type.includes('json')) {
+    return 'json';
+  }
+  
+  const extension = path.extname(fileName || '').slice(1).toLowerCase();
+  if (extension === 'jsonl') {
+    return 'ndjson';
+  }
+  if (FORMATS.includes(extension)) {
+    return extension;
+  }
+  
+  throw importError('Could not detect the import format; pass format=csv|json|ndjson');
+}
+
+// Parses the import body into a list of { row, data } (row numbers are 1-based)
+function parseRows(content, format) {
+  const text = String(content || '');
+  
+  if (format === 'csv') {
+    let records;
+    try {
+      records = parseCsv(text, { columns: true, skip_empty_lines: true, trim: true, bom: true });
+    } catch (error) {
+      throw importError(`Invalid CSV: ${error.message}`);
+    }
+    return records.map((data, index) => ({ row: index + 1, data: data }));
+  }
+  
+  if (format === 'json') {
+    let parsed;
+    try {
+      parsed = JSON.parse(text);
+    } catch (error) {
+      throw importError(`Invalid JSON: ${error.message}`);
+    }
+    if (!Array.isArray(parsed)) {
+      throw importError('JSON imports must be an array of objects');
+    }
+    return parsed.map((data, index) => ({ row: index + 1, data: data }));
+  }
+  
+  // NDJSON: one object per line; a bad line only rejects that row
+  return text.split(/\r?\n/)
+    .map((line, index) => ({ line: line.trim(), row: index + 1 }))
+    .filter(entry => entry.line)
+    .map(entry => {
+      try {
+        return { row: entry.row, data: JSON.parse(entry.line) };
+      } catch (error) {
+        return { row: entry.row, data: null, error: `Invalid JSON: ${error.message}` };
+      }
+    });
+}
+
+// Maps a parsed row to the canonical raw document, or returns { error }
+function normalizeRow(data, profiles, sourceName) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return { error: 'Row must be an object' };
+  }
+  
+  const row = sourceName ? { ...data, source: sourceName } : data;
+  const profile = sourceProfiles.selectProfile(row, profiles);
+  if (!profile) {
+    return { error: 'No source profile matches this row' };
+  }
+  
+  const { input, missing } = sourceProfiles.mapRawItem(row, profile);
+  if (missing.length > 0) {
+    return { error: `Missing required fields: ${missing.join(', ')}` };
+  }
+  
+  const websiteKey = normalizeWebsite(input.website);
+  if (input.website && !websiteKey) {
+    return { error: `Invalid website URL: ${input.website}` };
+  }
+  
+  return {
+    doc: {
+      name: input.name,
+      website: input.website,
+      logo_url: input.logo_url,
+      // Informational only: the stored fields are already canonical, so
+      // processing reads them through the default profile
+      source_profile: profile.name,
+      website_key: websiteKey,
+      name_key: normalizeName(input.name),
+      original_row: data
+    }
+  };
+}
+
+// Key used to spot the same tool twice: the website if there is one, else the name
+function dedupKey(doc) {
+  return doc.website_key ? `website:${doc.website_key}` : `name:${doc.name_key}`;
+}
+
+// Finds which of the candidate docs already exist as raw items or tools
+async function findExistingKeys(docs) {
+  const websiteKeys = docs.map(doc => doc.website_key).filter(Boolean);
+  const nameKeys = docs.filter(doc => !doc.website_key).map(doc => doc.name_key).filter(Boolean);
+  const existing = new Map();
+  
+  if (websiteKeys.length === 0 && nameKeys.length === 0) {
+    return existing;
+  }
+  
+  const filter = { $or: [{ website_key: { $in: websiteKeys } }, { name_key: { $in: nameKeys } }] };
+  const [rawItems, tools] = await Promise.all([
+    getRawCollection().find(filter, { projection: { website_key: 1, name_key: 1 } }).toArray(),
+    Tool.find(filter, { website_key: 1, name_key: 1, slug: 1 }).lean()
+  ]);
+  
+  for (const item of rawItems) {
+    if (item.website_key) {
+      existing.set(`website:${item.website_key}`, `raw item ${item._id}`);
+    }
+    if (item.name_key) {
+      existing.set(`name:${item.name_key}`, `raw item ${item._id}`);
+    }
+  }
+  for (const tool of tools) {
+    if (tool.website_key) {
+      existing.set(`website:${tool.website_key}`, `tool ${tool.slug}`);
+    }
+    if (tool.name_key) {
+      existing.set(`name:${tool.name_key}`, `tool ${tool.slug}`);
+    }
+  }
+  
+  return existing;
+}
+
+// Validates, normalizes, dedupes and inserts raw records with status 0.
+// Returns { import_id, total, accepted, rejected, duplicates, rows: [...] }.
+async function importRawData(content, { format, source, dryRun = false } = {}) {
+  const profiles = await sourceProfiles.getProfiles();
+  if (source && !profiles.some(profile => profile.name === source)) {
+    throw importError(`Unknown source profile: ${source}`);
+  }
+  
+  const importId = `import-${Date.now().toString(36)}`;
+  const parsed = parseRows(content, format);
+  const report = [];
+  const candidates = [];
+  
+  for (const entry of parsed) {
+    if (entry.error) {
+      report.push({ row: entry.row, status: 'rejected', reason: entry.error });
+      continue;
+    }
+    
+    const { doc, error } = normalizeRow(entry.data, profiles, source);
+    if (error) {
+      report.push({ row: entry.row, status: 'rejected', reason: error });
+    } else {
+      candidates.push({ row: entry.row, doc: doc });
+    }
+  }
+  
+  const existing = await findExistingKeys(candidates.map(candidate => candidate.doc));
+  const seen = new Map();
+  const toInsert = [];
+  
+  for (const candidate of candidates) {
+    const key = dedupKey(candidate.doc);
+    
+    if (existing.has(key)) {
+      report.push({ row: candidate.row, status: 'duplicate', reason: `Already exists as ${existing.get(key)}` });
+    } else if (seen.has(key)) {
+      report.push({ row: candidate.row, status: 'duplicate', reason: `Same tool as row ${seen.get(key)}` });
+    } else {
+      seen.set(key, candidate.row);
+      toInsert.push(candidate);
+    }
+  }
+  
+  const now = new Date();
+  for (let i = 0; i < toInsert.length; i += INSERT_BATCH_SIZE) {
+    const batch = toInsert.slice(i, i + INSERT_BATCH_SIZE);
+    const docs = batch.map(candidate => ({
+      ...candidate.doc,
+      status: RAW_STATUS.PENDING,
+      import_id: importId,
+      imported_at: now
+    }));
+    
+    if (!dryRun) {
+      const result = await getRawCollection().insertMany(docs);
+      batch.forEach((candidate, index) => {
+        candidate.id = result.insertedIds[index];
+      });
+    }
+  }
+  
+  for (const candidate of toInsert) {
+    report.push({ row: candidate.row, status: 'accepted', id: candidate.id, name: candidate.doc.name });
+  }
+  report.sort((a, b) => a.row - b.row);
+  
+  const count = status => report.filter(entry => entry.status === status).length;
+  
+  return {
+    import_id: dryRun ? null : importId,
+    dry_run: dryRun,
+    format: format,
+    total: report.length,
+    accepted: count('accepted'),
+    rejected: count('rejected'),
+    duplicates: count('duplicate'),
+    rows: report
+  };
+}
+
+async function ensureImportIndexes() {
+  await getRawCollection().createIndex({ website_key: 1 });
+  await getRawCollection().createIndex({ name_key: 1 });
+}
+
+module.exports = {
+  FORMATS,
+  detectFormat,
+  parseRows,
+  importRawData,
+  ensureImportIndexes
+};
@@ -0,0 +1,305 @@
+const Tool = require('../models/Tool');
+const RefreshReport = require('../models/RefreshReport');
+const { TOOL_STATUS, STATUS_NAMES } = require('../models/toolStatus');
+const providers = require('../providers');
+const { getAIAnalysis, resolveModel } = require('./analysis');
+const promptTemplates = require('./promptTemplates');
+const { mergeInto, DEFAULT_MERGE_POLICY } = require('./toolUpsert');
+const revisions = require('./revisions');
+const { transitionTool } = require('./toolEditor');
+const { getSiteContext } = require('./siteContent');
+const webhooks = require('./webhooks');
+const logger = require('./logger');
+
+// Refresh policy defaults
+const DEFAULT_MAX_AGE_DAYS = parseInt(process.env.REFRESH_MAX_AGE_DAYS) || 90;
+const DEFAULT_BATCH_SIZE = parseInt(process.env.REFRESH_BATCH_SIZE) || 20;
+const DEFAULT_FIELDS = process.env.REFRESH_FIELDS
+  ? process.env.REFRESH_FIELDS.split(',').map(field => field.trim()).filter(Boolean)
+  : ['tagline', 'description', 'longDescription', 'features', 'integrations', 'prosCons', 'useCases'];
+
+// Fields a refresh can never overwrite: identity is owned by editors and dedup
+const PROTECTED_FIELDS = ['name', 'slug', 'website'];
+
+// A tool whose refresh failed waits this long before the next try, doubling
+// with every further failure up to MAX_FAILURE_BACKOFF_HOURS
+const FAILURE_BACKOFF_HOURS = parseFloat(process.env.REFRESH_FAILURE_BACKOFF_HOURS) || 24;
+const MAX_FAILURE_BACKOFF_HOURS = 30 * 24;
+
+let running = false;
+
+function refreshError(message, statusCode = 400) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+// Reads refresh options from a request body or query string
+function getRefreshOptions(params) {
+  return {
+    maxAgeDays: params.max_age_days,
+    limit: params.limit,
+    fields: typeof params.fields === 'string' ? params.fields.split(',').map(field => field.trim()) : params.fields,
+    provider: params.provider,
+    promptVersion: params.prompt_version,
+    dryRun: params.dry_run === true || params.dry_run === 'true'
+  };
+}
+
+// Normalizes and validates refresh options, filling in the policy defaults
+function resolveOptions(options = {}) {
+  const maxAgeDays = options.maxAgeDays !== undefined ? Number(options.maxAgeDays) : DEFAULT_MAX_AGE_DAYS;
+  if (!(maxAgeDays >= 0)) {
+    throw refreshError('max_age_days must be a non-negative number');
+  }
+  
+  const fields = options.fields || DEFAULT_FIELDS;
+  if (!Array.isArray(fields)) {
+    throw refreshError('fields must be an array or a comma-separated list');
+  }
+  const unknown = fields.filter(field => !Object.prototype.hasOwnProperty.call(DEFAULT_MERGE_POLICY, field));
+  if (unknown.length > 0) {
+    throw refreshError(`Unknown refresh fields: ${unknown.join(', ')}`);
+  }
+  const protectedFields = fields.filter(field => PROTECTED_FIELDS.includes(field));
+  if (protectedFields.length > 0) {
+    throw refreshError(`A refresh may not overwrite: ${protectedFields.join(', ')}`);
+  }
+  
+  return {
+    maxAgeDays: maxAgeDays,
+    limit: Math.max(1, parseInt(options.limit) || DEFAULT_BATCH_SIZE),
+    fields: fields,
+    provider: options.provider,
+    promptVersion: options.promptVersion,
+    dryRun: Boolean(options.dryRun)
+  };
+}
+
+// Tools flagged for refresh or analysed longer ago than maxAgeDays, leaving
+// out those backing off after a failed refresh
+function staleFilter(maxAgeDays) {
+  const now = new Date();
+  const cutoff = new Date(now.getTime() - maxAgeDays * 24 * 60 * 60 * 1000);
+  
+  return {
+    status: { $nin: [TOOL_STATUS.ARCHIVED, TOOL_STATUS.REJECTED] },
+    $and: [
+      { $or: [{ refresh_requested: true }, { processed_at: { $lt: cutoff } }] },
+      { $or: [{ refresh_retry_at: null }, { refresh_retry_at: { $lte: now } }] }
+    ]
+  };
+}
+
+// Flagged tools first, then those that failed least often, then the stalest
+async function findStaleTools({ maxAgeDays = DEFAULT_MAX_AGE_DAYS, limit = DEFAULT_BATCH_SIZE } = {}) {
+  return Tool.find(staleFilter(maxAgeDays))
+    .sort({ refresh_requested: -1, refresh_failures: 1, processed_at: 1 })
+    .limit(limit);
+}
+
+function failureBackoffMs(failures) {
+  const hours = Math.min(FAILURE_BACKOFF_HOURS * 2 ** (failures - 1), MAX_FAILURE_BACKOFF_HOURS);
+  return hours * 60 * 60 * 1000;
+}
+
+// processed_at only moves on success, so without this a tool that keeps
+// failing would be picked first by every run
+async function recordFailure(tool) {
+  const failures = (tool.refresh_failures || 0) + 1;
+  
+  await Tool.updateOne({ _id: tool._id }, {
+    $set: {
+      refresh_failures: failures,
+      refresh_retry_at: new Date(Date.now() + failureBackoffMs(failures))
+    }
+  });
+}
+
+// The overwrite policy for a refresh: chosen fields overwrite, the rest stay
+function refreshPolicy(fields) {
+  const policy = {};
+  for (const field of Object.keys(DEFAULT_MERGE_POLICY)) {
+    policy[field] = fields.includes(field) ? 'overwrite' : 'keep';
+  }
+  return policy;
+}
+
+// Returns the changes made, or null when a dry run has no cached answer
+async function refreshTool(tool, provider, template, options) {
+  const siteContext = await getSiteContext(tool.website);
+  const analysis = await getAIAnalysis(tool.name, tool.website, provider, {
+    template: template,
+    siteContext: siteContext && siteContext.text,
+    usageContext: { purpose: 'refresh' },
+    // A refresh exists to get a new answer; a dry run never calls the
+    // provider and previews the last cached answer instead
+    bypassCache: !options.dryRun,
+    cacheOnly: options.dryRun
+  });
+  if (!analysis) {
+    return null;
+  }
+  const before = revisions.snapshotOf(tool);
+  
+  mergeInto(tool, analysis, refreshPolicy(options.fields));
+  const changes = revisions.diffSnapshots(before, revisions.snapshotOf(tool));
+  
+  if (options.dryRun) {
+    return changes;
+  }
+  
+  tool.processed_at = new Date();
+  tool.refreshed_at = new Date();
+  tool.refresh_requested = false;
+  tool.refresh_failures = 0;
+  tool.refresh_retry_at = undefined;
+  tool.prompt_version = template.version;
+  await tool.save();
+  
+  if (changes.length > 0) {
+    await revisions.recordRevision(tool, {
+      type: 'refresh',
+      provider: provider.name,
+      model: resolveModel(template, provider),
+      prompt_version: template.version
+    }, { before: before, changedFields: changes.map(change => change.field) });
+  }
+  
+  // Rewritten content on a published tool is unreviewed, so it goes back
+  // to an editor before the public listing shows more of it
+  if (changes.length > 0 && tool.status === TOOL_STATUS.PUBLISHED) {
+    await transitionTool(tool, TOOL_STATUS.IN_REVIEW, {
+      by: 'refresh',
+      note: `Refreshed ${changes.map(change => change.field).join(', ')}`
+    });
+  }
+  
+  return changes;
+}
+
+function isRunning() {
+  return running;
+}
+
+// Takes the per-process refresh slot, or throws 409 if a refresh holds it.
+// Synchronous, so callers claim it before their first await.
+function claimRun() {
+  if (running) {
+    throw refreshError('A refresh is already running', 409);
+  }
+  running = true;
+}
+
+function releaseRun() {
+  running = false;
+}
+
+// Re-analyses stale tools and stores a report of what changed per tool.
+// Only one refresh runs at a time per process. Run through
+// jobs.startRefreshJob, which claims and releases the run itself (`claimed`)
+// and passes:
+//   onStart(total)   once the stale tools are picked
+//   onResult(entry)  after each tool, with its report entry
+//   shouldStop()     checked before each tool, true once cancelled
+async function runRefresh(options = {}, { trigger = 'api', jobId, claimed = false, onStart, onResult, shouldStop = () => false } = {}) {
+  const resolved = resolveOptions(options);
+  
+  if (!claimed) {
+    claimRun();
+  }
+  
+  try {
+    const provider = providers.getProvider(resolved.provider);
+    const template = await promptTemplates.getTemplate(promptTemplates.ANALYSIS_TEMPLATE, resolved.promptVersion);
+    const report = new RefreshReport({
+      trigger: trigger,
+      job_id: jobId,
+      dry_run: resolved.dryRun,
+      options: resolved,
+      started_at: new Date()
+    });
+    
+    const tools = await findStaleTools(resolved);
+    if (onStart) {
+      await onStart(tools.length);
+    }
+    
+    for (const tool of tools) {
+      if (shouldStop()) {
+        break;
+      }
+      
+      const status = STATUS_NAMES[tool.status];
+      let entry;
+      try {
+        const changes = await refreshTool(tool, provider, template, resolved);
+        if (changes === null) {
+          entry = { tool_id: tool._id, slug: tool.slug, outcome: 'skipped', error_message: 'No cached analysis to preview' };
+        } else {
+          const outcome = changes.length > 0 ? 'updated' : 'unchanged';
+          entry = { tool_id: tool._id, slug: tool.slug, outcome: outcome, changes: changes };
+          if (STATUS_NAMES[tool.status] !== status) {
+            entry.status = STATUS_NAMES[tool.status];
+          }
+        }
+      } catch (error) {
+        logger.error('Refresh failed', { slug: tool.slug, error: error });
+        entry = { tool_id: tool._id, slug: tool.slug, outcome: 'failed', error_message: error.message };
+        if (!resolved.dryRun) {
+          await recordFailure(tool).catch(saveError => logger.error('Could not record refresh failure', saveError));
+        }
+      }
+      
+      report.tools.push(entry);
+      report[entry.outcome]++;
+      if (onResult) {
+        await onResult(entry);
+      }
+    }
+    
+    report.finished_at = new Date();
+    await report.save();
+    
+    await webhooks.emitEvent('batch.completed', {
+      type: 'refresh',
+      report: {
+        id: report._id,
+        trigger: report.trigger,
+        dry_run: report.dry_run,
+        updated: report.updated,
+        unchanged: report.unchanged,
+        skipped: report.skipped,
+        failed: report.failed,
+        started_at: report.started_at,
+        finished_at: report.finished_at
+      }
+    });
+    return report;
+  } finally {
+    if (!claimed) {
+      releaseRun();
+    }
+  }
+}
+
+// Flagged tools are refreshed on the next run even while backing off
+async function flagForRefresh(slugs) {
+  const result = await Tool.updateMany(
+    { slug: { $in: slugs } },
+    { $set: { refresh_requested: true }, $unset: { refresh_retry_at: '' } }
+  );
+  return result.modifiedCount;
+}
+
+module.exports = {
+  DEFAULT_FIELDS,
+  getRefreshOptions,
+  resolveOptions,
+  findStaleTools,
+  isRunning,
+  claimRun,
+  releaseRun,
+  runRefresh,
+  flagForRefresh
+};
@@ -0,0 +1,81 @@
+const ERROR_TYPES = Object.freeze({
+  RATE_LIMIT: 'rate_limit',
+  TRANSIENT: 'transient',
+  INVALID_OUTPUT: 'invalid_output',
+  INVALID_INPUT: 'invalid_input',
+  PERMANENT: 'permanent'
+});
+
+// Retry configuration
+const MAX_ATTEMPTS = parseInt(process.env.RETRY_MAX_ATTEMPTS) || 5;
+const BASE_DELAY_MS = parseInt(process.env.RETRY_BASE_DELAY_MS) || 30 * 1000;
+const MAX_DELAY_MS = parseInt(process.env.RETRY_MAX_DELAY_MS) || 60 * 60 * 1000;
+
+const TRANSIENT_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE', 'ENETUNREACH', 'ESOCKETTIMEDOUT'];
+const TRANSIENT_ERROR_NAMES = ['APIConnectionError', 'APIConnectionTimeoutError', 'MongoNetworkError', 'MongoServerSelectionError'];
+
+// Maps an error thrown while processing a raw item to one of ERROR_TYPES
+function classifyError(error) {
+  // Matched by name: analysis.js sits in a require cycle with this module
+  // (analysis -> taxonomy -> revisions -> webhooks -> retryPolicy)
+  if (error.name === 'AnalysisValidationError') {
+    return ERROR_TYPES.INVALID_OUTPUT;
+  }
+  
+  const status = error.status || error.statusCode;
+  
+  if (status === 429 || /rate limit/i.test(error.message || '')) {
+    return ERROR_TYPES.RATE_LIMIT;
+  }
+  if (status === 408 || status >= 500 ||
+      TRANSIENT_CODES.includes(error.code) ||
+      TRANSIENT_ERROR_NAMES.includes(error.name || (error.constructor && error.constructor.name))) {
+    return ERROR_TYPES.TRANSIENT;
+  }
+  
+  return ERROR_TYPES.PERMANENT;
+}
+
+function isRetryable(errorType) {
+  return errorType === ERROR_TYPES.RATE_LIMIT || errorType === ERROR_TYPES.TRANSIENT;
+}
+
+// Seconds the provider asked us to wait, from a Retry-After header if present
+function getRetryAfterMs(error) {
+  const headers = error.headers || {};
+  const value = typeof headers.get === 'function' ? headers.get('retry-after') : headers['retry-after'];
+  const seconds = parseFloat(value);
+  return seconds > 0 ? seconds * 1000 : 0;
+}
+
+// Exponential backoff with jitter: base * 2^(attempt - 1), capped at MAX_DELAY_MS
+function getBackoffMs(attempt, error) {
+  const exponential = Math.min(BASE_DELAY_MS * Math.pow(2, attempt - 1), MAX_DELAY_MS);
+  const jitter = Math.random() * exponential * 0.2;
+  return Math.max(Math.round(exponential + jitter), error ? getRetryAfterMs(error) : 0);
+}
+
+// Decides what happens to a raw item after a failed attempt.
+// Returns { errorType, retry, nextAttemptAt }.
+function planRetry(error, attempts) {
+  const errorType = classifyError(error);
+  
+  if (!isRetryable(errorType) || attempts >= MAX_ATTEMPTS) {
+    return { errorType: errorType, retry: false, nextAttemptAt: null };
+  }
+  
+  return {
+    errorType: errorType,
+    retry: true,
+    nextAttemptAt: new Date(Date.now() + getBackoffMs(attempts, error))
+  };
+}
+
+module.exports = {
+  ERROR_TYPES,
+  MAX_ATTEMPTS,
+  classifyError,
+  isRetryable,
+  getBackoffMs,
+  planRetry
+};
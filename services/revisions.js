@@ -0,0 +1,167 @@
+const { isDeepStrictEqual } = require('util');
+const ToolRevision = require('../models/ToolRevision');
+const { normalizeWebsite, normalizeName } = require('./normalize');
+const webhooks = require('./webhooks');
+
+// Tool fields captured in every revision (slug is recorded but never rolled back)
+const REVISIONED_FIELDS = [
+  'name', 'slug', 'website', 'tagline', 'description', 'company', 'longDescription',
+  'categories', 'features', 'integrations', 'prosCons', 'useCases', 'logo_url'
+];
+
+// Attempts at claiming the next revision number when two writers race
+const MAX_WRITE_ATTEMPTS = 3;
+
+// Plain copy of the revisioned fields, without mongoose subdocument ids
+function snapshotOf(tool) {
+  const data = typeof tool.toObject === 'function' ? tool.toObject({ versionKey: false }) : tool;
+  const snapshot = {};
+  
+  for (const field of REVISIONED_FIELDS) {
+    snapshot[field] = stripIds(data[field]);
+  }
+  return snapshot;
+}
+
+function stripIds(value) {
+  if (Array.isArray(value)) {
+    return value.map(stripIds);
+  }
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    const copy = {};
+    for (const [key, entry] of Object.entries(value)) {
+      if (key !== '_id') {
+        copy[key] = stripIds(entry);
+      }
+    }
+    return copy;
+  }
+  return value === undefined ? null : value;
+}
+
+async function nextRevisionNumber(toolId) {
+  const latest = await ToolRevision.findOne({ tool_id: toolId }, { revision: 1 }).sort({ revision: -1 });
+  return latest ? latest.revision + 1 : 1;
+}
+
+async function writeRevision(toolId, slug, snapshot, source, changedFields) {
+  for (let attempt = 1; attempt <= MAX_WRITE_ATTEMPTS; attempt++) {
+    try {
+      return await ToolRevision.create({
+        tool_id: toolId,
+        slug: slug,
+        revision: await nextRevisionNumber(toolId),
+        snapshot: snapshot,
+        changed_fields: changedFields,
+        source: source
+      });
+    } catch (error) {
+      if (error.code !== 11000 || attempt === MAX_WRITE_ATTEMPTS) {
+        throw error;
+      }
+    }
+  }
+}
+
+// Records the tool's current content as a new revision.
+// `before` is the snapshot taken before the change; for tools that predate
+// revision history it is stored first as a baseline so the change can be diffed.
+// source: { type, provider, model, prompt_version, editor, rolled_back_to }
+// Every change except a new analysis (reported as tool.processed) is also
+// sent to webhook subscribers as tool.updated.
+async function recordRevision(tool, source, { before, changedFields } = {}) {
+  if (before && !(await ToolRevision.exists({ tool_id: tool._id }))) {
+    await writeRevision(tool._id, before.slug, before, { type: 'baseline' }, []);
+  }
+  
+  const snapshot = snapshotOf(tool);
+  const fields = changedFields || (before ? diffSnapshots(before, snapshot).map(change => change.field) : REVISIONED_FIELDS);
+  
+  const revision = await writeRevision(tool._id, tool.slug, snapshot, source, fields);
+  
+  if (source.type !== 'analysis') {
+    await webhooks.emitEvent('tool.updated', {
+      tool: webhooks.toolSummary(tool),
+      change: source.type,
+      changed_fields: fields,
+      revision: revision.revision,
+      by: source.editor
+    });
+  }
+  
+  return revision;
+}
+
+// Field-level differences between two snapshots. String arrays also list
+// the entries added and removed.
+function diffSnapshots(before, after) {
+  const changes = [];
+  
+  for (const field of REVISIONED_FIELDS) {
+    const oldValue = before ? before[field] : null;
+    const newValue = after ? after[field] : null;
+    
+    if (isDeepStrictEqual(oldValue, newValue)) {
+      continue;
+    }
+    
+    const change = { field: field, before: oldValue, after: newValue };
+    const isStringList = value => Array.isArray(value) && value.every(entry => typeof entry === 'string');
+    if (isStringList(oldValue || []) && isStringList(newValue || [])) {
+      change.added = (newValue || []).filter(entry => !(oldValue || []).includes(entry));
+      change.removed = (oldValue || []).filter(entry => !(newValue || []).includes(entry));
+    }
+    changes.push(change);
+  }
+  
+  return changes;
+}
+
+async function listRevisions(toolId) {
+  return ToolRevision.find({ tool_id: toolId }, { snapshot: 0 }).sort({ revision: -1 });
+}
+
+async function getRevision(toolId, revision) {
+  return ToolRevision.findOne({ tool_id: toolId, revision: revision });
+}
+
+// Restores a revision's content onto the tool and records that as a new revision
+async function rollbackTool(tool, revision, { editor } = {}) {
+  const target = await getRevision(tool._id, revision);
+  if (!target) {
+    return null;
+  }
+  
+  const before = snapshotOf(tool);
+  
+  for (const field of REVISIONED_FIELDS) {
+    if (field !== 'slug') {
+      tool.set(field, target.snapshot[field]);
+    }
+  }
+  tool.website_key = normalizeWebsite(tool.website);
+  tool.name_key = normalizeName(tool.name);
+  
+  try {
+    await tool.save();
+  } catch (error) {
+    if (error.code === 11000 && error.keyPattern && error.keyPattern.website_key) {
+      const conflict = new Error(`Another tool now has the website ${tool.website}`);
+      conflict.statusCode = 409;
+      throw conflict;
+    }
+    throw error;
+  }
+  
+  return recordRevision(tool, { type: 'rollback', editor: editor, rolled_back_to: revision }, { before: before });
+}
+
+module.exports = {
+  REVISIONED_FIELDS,
+  snapshotOf,
+  recordRevision,
+  diffSnapshots,
+  listRevisions,
+  getRevision,
+  rollbackTool
+};
@@ -0,0 +1,539 @@
+const fs = require('fs');
+const path = require('path');
+const { once } = require('events');
+const cron = require('node-cron');
+const mongoose = require('mongoose');
+const Schedule = require('../models/Schedule');
+const ScheduleRun = require('../models/ScheduleRun');
+const RefreshReport = require('../models/RefreshReport');
+const providers = require('../providers');
+const queue = require('./queue');
+const jobs = require('./jobs');
+const refresh = require('./refresh');
+const failures = require('./failures');
+const toolExport = require('./toolExport');
+const promptTemplates = require('./promptTemplates');
+const { validateMergePolicy } = require('./toolUpsert');
+const settings = require('./settings');
+const usage = require('./usage');
+const logger = require('./logger');
+
+// Scheduler configuration
+const LOCK_MS = parseInt(process.env.SCHEDULE_LOCK_MS) || 5 * 60 * 1000;
+const RELOAD_INTERVAL_MS = parseInt(process.env.SCHEDULE_RELOAD_MS) || 60 * 1000;
+const TIMEZONE = process.env.SCHEDULE_TIMEZONE;
+const EXPORT_DIR = process.env.SCHEDULE_EXPORT_DIR || path.join(__dirname, '..', 'storage', 'exports');
+
+// cron tasks registered in this process, by schedule name
+const tasks = new Map();
+let reloadTimer = null;
+
+function scheduleError(message, statusCode = 400) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+// Why LLM-spending pipelines should not run now, or null
+async function checkBudget() {
+  const budget = await usage.checkBudget();
+  return budget.exceeded ? `Daily LLM budget reached (resets ${budget.resets_at.toISOString()})` : null;
+}
+
+// What a schedule can run. validate() throws 400-style errors for bad
+// options; run() returns a summary stored with the run, or { skipped: reason }.
+const PIPELINES = {
+  'process-pending': {
+    description: 'Process pending raw items as a job (options: limit, concurrency, provider, prompt_version, bypass_cache, merge_policy)',
+    async validate(options) {
+      if (options.provider && !providers.hasProvider(options.provider)) {
+        throw scheduleError(`Unknown LLM provider: ${options.provider}`);
+      }
+      if (options.prompt_version) {
+        await promptTemplates.getTemplate(promptTemplates.ANALYSIS_TEMPLATE, options.prompt_version);
+      }
+      for (const name of ['limit', 'concurrency']) {
+        if (options[name] !== undefined && !(Number.isInteger(options[name]) && options[name] >= 0)) {
+          throw scheduleError(`${name} must be a whole number`);
+        }
+      }
+      validateMergePolicy(options.merge_policy);
+    },
+    async run(options) {
+      if (!settings.getSettings().auto_process) {
+        return { skipped: 'Auto-processing is disabled' };
+      }
+      const overBudget = await checkBudget();
+      if (overBudget) {
+        return { skipped: overBudget };
+      }
+      
+      const pending = await queue.countPending();
+      if (pending === 0) {
+        return { pending: 0 };
+      }
+      
+      const { done } = await jobs.startJob({
+        trigger: 'schedule',
+        limit: options.limit !== undefined ? options.limit : settings.getSettings().batch_size,
+        concurrency: options.concurrency,
+        provider: options.provider,
+        promptVersion: options.prompt_version,
+        bypassCache: options.bypass_cache,
+        mergePolicy: options.merge_policy
+      });
+      const finished = await done;
+      
+      if (finished.status === 'failed') {
+        throw new Error(`Job ${finished._id} failed: ${finished.error_message}`);
+      }
+      
+      return {
+        job_id: finished._id,
+        job_status: finished.status,
+        pending: pending,
+        processed: finished.processed,
+        failed: finished.failed,
+        needs_review: finished.needs_review,
+        duplicate: finished.duplicate
+      };
+    }
+  },
+  
+  'retry-failures': {
+    description: 'Requeue failed raw items (options: state, default dead_letter; error_type)',
+    async validate(options) {
+      failures.buildFailureFilter({ state: 'dead_letter', ...options });
+    },
+    async run(options) {
+      const requeued = await failures.requeueFailures({ state: 'dead_letter', ...options });
+      return { requeued: requeued };
+    }
+  },
+  
+  'refresh-stale': {
+    description: 'Re-analyse stale tools (options: max_age_days, limit, fields, provider, prompt_version, dry_run)',
+    async validate(options) {
+      refresh.resolveOptions(refresh.getRefreshOptions(options));
+    },
+    async run(options) {
+      const overBudget = await checkBudget();
+      if (overBudget) {
+        return { skipped: overBudget };
+      }
+      
+      const { done } = await jobs.startRefreshJob(refresh.getRefreshOptions(options), { trigger: 'schedule' });
+      const finished = await done;
+      
+      if (finished.status === 'failed') {
+        throw new Error(`Job ${finished._id} failed: ${finished.error_message}`);
+      }
+      
+      const report = await RefreshReport.findById(finished.report_id);
+      return {
+        job_id: finished._id,
+        job_status: finished.status,
+        report_id: finished.report_id,
+        updated: report ? report.updated : 0,
+        unchanged: report ? report.unchanged : 0,
+        skipped: report ? report.skipped : 0,
+        failed: report ? report.failed : 0
+      };
+    }
+  },
+  
+  'export': {
+    description: `Write an export file under ${path.relative(path.join(__dirname, '..'), EXPORT_DIR)} (options: format, status, categories, date_field, keep)`,
+    async validate(options) {
+      const format = options.format || 'json';
+      if (!toolExport.FORMATS.includes(format)) {
+        throw scheduleError(`Unsupported export format: ${format} (expected ${toolExport.FORMATS.join(', ')})`);
+      }
+      if (options.keep !== undefined && !(Number.isInteger(options.keep) && options.keep >= 1)) {
+        throw scheduleError('keep must be a whole number of at least 1');
+      }
+      toolExport.buildExportFilter(options);
+    },
+    async run(options, { schedule }) {
+      const format = options.format || 'json';
+      const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+      const fileName = `${schedule.name}-${stamp}.${toolExport.EXTENSIONS[format]}`;
+      const filePath = path.join(EXPORT_DIR, fileName);
+      
+      await fs.promises.mkdir(EXPORT_DIR, { recursive: true });
+      const out = fs.createWriteStream(filePath);
+      // Listening from the start turns a write error into a rejection, not a crash
+      const finished = once(out, 'finish');
+      try {
+        await toolExport.exportTools(format, toolExport.buildExportFilter(options), out);
+        out.end();
+        await finished;
+      } catch (error) {
+        finished.catch(() => {});
+        await discardExport(out, filePath);
+        throw error;
+      }
+      
+      // Keep the newest `keep` exports of this schedule
+      const keep = options.keep || 10;
+      const previous = (await fs.promises.readdir(EXPORT_DIR))
+        .filter(name => name.startsWith(`${schedule.name}-`) && /^\d{4}-/.test(name.slice(schedule.name.length + 1)))
+        .sort()
+        .reverse();
+      for (const name of previous.slice(keep)) {
+        await fs.promises.unlink(path.join(EXPORT_DIR, name));
+      }
+      
+      return { file: fileName, bytes: (await fs.promises.stat(filePath)).size };
+    }
+  }
+};
+
+// Closes a failed export's stream and removes the partial file
+async function discardExport(out, filePath) {
+  if (!out.closed) {
+    const closed = once(out, 'close');
+    out.destroy();
+    await closed;
+  }
+  await fs.promises.rm(filePath, { force: true });
+}
+
+async function validateSchedule(data) {
+  if (typeof data.name !== 'string' || !/^[a-z0-9][a-z0-9_-]*$/.test(data.name)) {
+    throw scheduleError('Schedule name must be lowercase letters, digits, "-" or "_"');
+  }
+  if (!PIPELINES[data.pipeline]) {
+    throw scheduleError(`Unknown pipeline: ${data.pipeline} (expected one of ${Object.keys(PIPELINES).join(', ')})`);
+  }
+  if (typeof data.cron !== 'string' || !cron.validate(data.cron)) {
+    throw scheduleError('cron must be a valid cron expression');
+  }
+  if (data.enabled !== undefined && typeof data.enabled !== 'boolean') {
+    throw scheduleError('enabled must be true or false');
+  }
+  if (data.options !== undefined && (!data.options || typeof data.options !== 'object' || Array.isArray(data.options))) {
+    throw scheduleError('options must be an object');
+  }
+  
+  await PIPELINES[data.pipeline].validate(data.options || {});
+}
+
+// Acquires the schedule's lock; null when a run is already in progress
+function acquireLock(name, owner) {
+  const now = new Date();
+  
+  return Schedule.findOneAndUpdate(
+    {
+      name: name,
+      $or: [{ lock_expires_at: null }, { lock_expires_at: { $lt: now } }]
+    },
+    { $set: { lock_owner: owner, lock_expires_at: new Date(now.getTime() + LOCK_MS) } },
+    { new: true }
+  );
+}
+
+async function finishRun(run, schedule, owner, update) {
+  const finishedAt = new Date();
+  const durationMs = finishedAt - run.started_at;
+  
+  Object.assign(run, update, { finished_at: finishedAt, duration_ms: durationMs });
+  await run.save();
+  
+  await Schedule.updateOne(
+    { _id: schedule._id, lock_owner: owner },
+    {
+      $set: {
+        last_run_at: run.started_at,
+        last_status: run.status,
+        last_duration_ms: durationMs,
+        last_error: run.error_message || null
+      },
+      $unset: { lock_owner: '', lock_expires_at: '' }
+    }
+  );
+}
+
+async function recordSkipped(schedule, trigger, reason) {
+  logger.info('Schedule run skipped', { schedule: schedule.name, reason: reason });
+  
+  return ScheduleRun.create({
+    schedule: schedule.name,
+    pipeline: schedule.pipeline,
+    trigger: trigger,
+    status: 'skipped',
+    reason: reason,
+    instance_id: queue.INSTANCE_ID,
+    finished_at: new Date(),
+    duration_ms: 0
+  });
+}
+
+// Runs a schedule's pipeline now unless a run is already in progress
+// (anywhere), which is recorded as a skipped run. Returns { run, done }
+// where `done` resolves with the finished run.
+async function startRun(name, { trigger = 'cron' } = {}) {
+  const schedule = await Schedule.findOne({ name: name });
+  
+  if (!schedule) {
+    throw scheduleError('Schedule not found', 404);
+  }
+  
+  const owner = `${queue.INSTANCE_ID}:${name}:${Date.now()}`;
+  const locked = await acquireLock(name, owner);
+  
+  if (!locked) {
+    const run = await recordSkipped(schedule, trigger, 'Previous run still in progress');
+    return { run: run, done: Promise.resolve(run) };
+  }
+  
+  const run = await ScheduleRun.create({
+    schedule: schedule.name,
+    pipeline: schedule.pipeline,
+    trigger: trigger,
+    instance_id: queue.INSTANCE_ID
+  });
+  
+  // Keep the lock alive while the pipeline runs
+  const heartbeat = setInterval(() => {
+    Schedule.updateOne(
+      { _id: schedule._id, lock_owner: owner },
+      { $set: { lock_expires_at: new Date(Date.now() + LOCK_MS) } }
+    ).catch(error => logger.error('Failed to renew schedule lock', { schedule: name, error: error }));
+  }, Math.floor(LOCK_MS / 3));
+  
+  const done = logger.withLogContext({ schedule: name, schedule_run_id: run._id.toString() }, async () => {
+    logger.info('Schedule run started', { pipeline: schedule.pipeline, trigger: trigger });
+    
+    try {
+      const result = await PIPELINES[schedule.pipeline].run(schedule.options || {}, { trigger: trigger, schedule: schedule });
+      
+      if (result && result.skipped) {
+        await finishRun(run, schedule, owner, { status: 'skipped', reason: result.skipped });
+      } else {
+        await finishRun(run, schedule, owner, { status: 'completed', result: result });
+      }
+      logger.info('Schedule run finished', { status: run.status, duration_ms: run.duration_ms, result: run.result });
+    } catch (error) {
+      logger.error('Schedule run failed', error);
+      await finishRun(run, schedule, owner, { status: 'failed', error_message: error.message });
+    } finally {
+      clearInterval(heartbeat);
+    }
+    
+    return run;
+  });
+  
+  return { run: run, done: done };
+}
+
+// Registers, replaces or removes the cron task of one schedule so it
+// matches what is stored
+function syncTask(schedule) {
+  const existing = tasks.get(schedule.name);
+  
+  if (existing && existing.enabled === schedule.enabled && existing.cron === schedule.cron) {
+    return;
+  }
+  if (existing) {
+    existing.task.destroy();
+    tasks.delete(schedule.name);
+  }
+  if (!schedule.enabled) {
+    return;
+  }
+  
+  const task = cron.schedule(schedule.cron, () => {
+    startRun(schedule.name, { trigger: 'cron' })
+      .then(({ done }) => done)
+      .catch(error => logger.error('Error in scheduled run', { schedule: schedule.name, error: error }));
+  }, TIMEZONE ? { timezone: TIMEZONE } : undefined);
+  
+  tasks.set(schedule.name, { task: task, cron: schedule.cron, enabled: schedule.enabled });
+  logger.info('Schedule registered', { schedule: schedule.name, cron: schedule.cron, pipeline: schedule.pipeline });
+}
+
+// Brings the registered cron tasks in line with the stored schedules
+async function syncTasks() {
+  const schedules = await Schedule.find({}).lean();
+  const names = new Set(schedules.map(schedule => schedule.name));
+  
+  for (const [name, entry] of tasks) {
+    if (!names.has(name)) {
+      entry.task.destroy();
+      tasks.delete(name);
+      logger.info('Schedule removed', { schedule: name });
+    }
+  }
+  schedules.forEach(syncTask);
+}
+
+function getNextRun(name) {
+  const entry = tasks.get(name);
+  return entry ? entry.task.getNextRun() : null;
+}
+
+// The schedules this server has always had, created the first time it starts
+// with an empty Schedules collection. PROCESS_CRON, REFRESH_CRON and
+// AUTO_REFRESH only matter for this first start.
+async function seedDefaultSchedules() {
+  if (await Schedule.estimatedDocumentCount() > 0) {
+    return;
+  }
+  
+  await Schedule.create([
+    {
+      name: 'process-pending',
+      pipeline: 'process-pending',
+      cron: process.env.PROCESS_CRON || '0 */2 * * *',
+      description: 'Process pending raw items',
+      created_by: 'system'
+    },
+    {
+      name: 'refresh-stale',
+      pipeline: 'refresh-stale',
+      cron: process.env.REFRESH_CRON || '0 3 * * *',
+      enabled: process.env.AUTO_REFRESH === 'true',
+      description: 'Re-analyse stale tools',
+      created_by: 'system'
+    }
+  ]);
+  logger.info('Created default schedules');
+}
+
+// Seeds the defaults, registers every enabled schedule and keeps re-reading
+// them so changes made through another instance are picked up
+async function startScheduler() {
+  await seedDefaultSchedules();
+  await syncTasks();
+  
+  if (!reloadTimer) {
+    reloadTimer = setInterval(() => {
+      if (mongoose.connection.readyState !== 1) {
+        return;
+      }
+      syncTasks().catch(error => logger.error('Error reloading schedules', error));
+    }, RELOAD_INTERVAL_MS);
+    reloadTimer.unref();
+  }
+}
+
+function stopScheduler() {
+  for (const entry of tasks.values()) {
+    entry.task.destroy();
+  }
+  tasks.clear();
+  if (reloadTimer) {
+    clearInterval(reloadTimer);
+    reloadTimer = null;
+  }
+}
+
+// Schedule as returned by the API: stored fields plus the next run time
+function describeSchedule(schedule) {
+  const data = typeof schedule.toObject === 'function' ? schedule.toObject() : { ...schedule };
+  data.running = Boolean(data.lock_expires_at && data.lock_expires_at > new Date());
+  data.next_run_at = data.enabled ? getNextRun(data.name) : null;
+  delete data.lock_owner;
+  delete data.lock_expires_at;
+  return data;
+}
+
+async function createSchedule(data, { createdBy } = {}) {
+  const schedule = {
+    name: data.name,
+    pipeline: data.pipeline,
+    cron: data.cron,
+    enabled: data.enabled !== undefined ? data.enabled : true,
+    description: data.description,
+    options: data.options || {}
+  };
+  await validateSchedule(schedule);
+  
+  if (await Schedule.exists({ name: schedule.name })) {
+    throw scheduleError(`Schedule "${schedule.name}" already exists`, 409);
+  }
+  
+  const created = await Schedule.create({ ...schedule, created_by: createdBy, updated_by: createdBy });
+  syncTask(created);
+  return created;
+}
+
+// Changes cron, enabled, description or options; the pipeline is fixed
+async function updateSchedule(name, changes, { updatedBy } = {}) {
+  const schedule = await Schedule.findOne({ name: name });
+  if (!schedule) {
+    throw scheduleError('Schedule not found', 404);
+  }
+  
+  const editable = ['cron', 'enabled', 'description', 'options'];
+  const unknown = Object.keys(changes || {}).filter(key => !editable.includes(key));
+  if (unknown.length > 0) {
+    throw scheduleError(`Cannot change: ${unknown.join(', ')} (editable: ${editable.join(', ')})`);
+  }
+  
+  const next = {
+    name: schedule.name,
+    pipeline: schedule.pipeline,
+    cron: schedule.cron,
+    enabled: schedule.enabled,
+    description: schedule.description,
+    options: schedule.options,
+    ...changes
+  };
+  await validateSchedule(next);
+  
+  schedule.set({ ...changes, updated_by: updatedBy });
+  if (changes.options) {
+    schedule.markModified('options');
+  }
+  await schedule.save();
+  
+  syncTask(schedule);
+  return schedule;
+}
+
+async function deleteSchedule(name) {
+  const schedule = await Schedule.findOneAndDelete({ name: name });
+  if (!schedule) {
+    throw scheduleError('Schedule not found', 404);
+  }
+  
+  const entry = tasks.get(name);
+  if (entry) {
+    entry.task.destroy();
+    tasks.delete(name);
+  }
+  return schedule;
+}
+
+// Runs every enabled process-pending schedule once, for the startup run
+async function runOnStartup() {
+  const schedules = await Schedule.find({ pipeline: 'process-pending', enabled: true });
+  
+  for (const schedule of schedules) {
+    const { done } = await startRun(schedule.name, { trigger: 'startup' });
+    done.catch(error => logger.error('Error in startup run', { schedule: schedule.name, error: error }));
+  }
+}
+
+function listPipelines() {
+  return Object.entries(PIPELINES).map(([name, pipeline]) => ({
+    name: name,
+    description: pipeline.description
+  }));
+}
+
+module.exports = {
+  PIPELINES,
+  listPipelines,
+  validateSchedule,
+  createSchedule,
+  updateSchedule,
+  deleteSchedule,
+  describeSchedule,
+  startRun,
+  runOnStartup,
+  startScheduler,
+  stopScheduler
+};
@@ -0,0 +1,257 @@
+const EventEmitter = require('events');
+const mongoose = require('mongoose');
+const Setting = require('../models/Setting');
+const providers = require('../providers');
+const logger = require('./logger');
+
+// Runtime settings: defaults come from the environment, values saved through
+// PUT /settings override them and are picked up without a restart. When
+// things run is up to the schedules (see services/scheduler.js).
+const SETTINGS = {
+  auto_process: {
+    type: 'boolean',
+    description: 'Process pending raw items on startup and in process-pending schedules',
+    default: () => process.env.AUTO_PROCESS !== 'false'
+  },
+  startup_delay_ms: {
+    type: 'integer',
+    min: 0,
+    max: 10 * 60 * 1000,
+    description: 'Wait before processing on startup',
+    default: () => 2000
+  },
+  batch_size: {
+    type: 'integer',
+    min: 0,
+    description: 'Most items one scheduled run processes unless its schedule sets a limit (0: all pending)',
+    default: () => parseInt(process.env.PROCESS_BATCH_SIZE) || 0
+  },
+  concurrency: {
+    type: 'integer',
+    min: 1,
+    max: 32,
+    description: 'Queue workers per run unless the request sets its own',
+    default: () => parseInt(process.env.QUEUE_CONCURRENCY) || 2
+  },
+  item_delay_ms: {
+    type: 'integer',
+    min: 0,
+    max: 10 * 60 * 1000,
+    description: 'Pause each worker takes between items',
+    default: () => parseInt(process.env.QUEUE_ITEM_DELAY_MS) || 0
+  },
+  provider: {
+    type: 'provider',
+    description: 'Default LLM provider',
+    default: () => process.env.LLM_PROVIDER || 'openai'
+  },
+  models: {
+    type: 'models',
+    description: 'Model per provider ({ "openai": "gpt-4o" }); a prompt template model still wins',
+    default: () => ({})
+  },
+  taxonomy_mode: {
+    type: 'choice',
+    values: ['off', 'map', 'constrained'],
+    description: 'How analyses use the category/integration taxonomy: off, map (to canonical names) or constrained (prompt lists the taxonomy, other names are dropped)',
+    default: () => process.env.TAXONOMY_MODE || 'map'
+  }
+};
+
+// How often stored settings are re-read, so changes made through another
+// instance are applied here too
+const RELOAD_INTERVAL_MS = parseInt(process.env.SETTINGS_RELOAD_MS) || 60 * 1000;
+
+// Emits `change` ({ changed: [keys], settings }) whenever a value changes
+const settingsEvents = new EventEmitter();
+
+let current = Object.freeze(getDefaults());
+let overrides = {};
+let reloadTimer = null;
+
+function getDefaults() {
+  const defaults = {};
+  for (const [key, definition] of Object.entries(SETTINGS)) {
+    defaults[key] = definition.default();
+  }
+  return defaults;
+}
+
+function validationError(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+// Throws a 400-style error if `value` is not valid for setting `key`
+function validateValue(key, value) {
+  const definition = SETTINGS[key];
+  
+  if (!definition) {
+    throw validationError(`Unknown setting "${key}" (expected one of ${Object.keys(SETTINGS).join(', ')})`);
+  }
+  
+  switch (definition.type) {
+    case 'boolean':
+      if (typeof value !== 'boolean') {
+        throw validationError(`${key} must be true or false`);
+      }
+      break;
+    case 'integer':
+      if (!Number.isInteger(value) || value < definition.min || (definition.max !== undefined && value > definition.max)) {
+        const range = definition.max !== undefined ? `between ${definition.min} and ${definition.max}` : `at least ${definition.min}`;
+        throw validationError(`${key} must be a whole number ${range}`);
+      }
+      break;
+    case 'choice':
+      if (!definition.values.includes(value)) {
+        throw validationError(`${key} must be one of: ${definition.values.join(', ')}`);
+      }
+      break;
+    case 'provider':
+      if (typeof value !== 'string' || !providers.hasProvider(value)) {
+        throw validationError(`${key} must be one of: ${providers.listProviders().join(', ')}`);
+      }
+      try {
+        providers.getProvider(value);
+      } catch (error) {
+        throw validationError(`Provider "${value}" is not usable: ${error.message}`);
+      }
+      break;
+    case 'models':
+      if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        throw validationError(`${key} must map provider names to model names`);
+      }
+      for (const [providerName, model] of Object.entries(value)) {
+        if (!providers.hasProvider(providerName)) {
+          throw validationError(`Unknown LLM provider in ${key}: ${providerName}`);
+        }
+        if (typeof model !== 'string' || !model.trim()) {
+          throw validationError(`${key}.${providerName} must be a model name`);
+        }
+      }
+      break;
+  }
+}
+
+// Validates a partial update; null resets a setting to its default
+function validateSettings(patch) {
+  if (!patch || typeof patch !== 'object' || Array.isArray(patch) || Object.keys(patch).length === 0) {
+    throw validationError('Send an object of settings to change');
+  }
+  
+  for (const [key, value] of Object.entries(patch)) {
+    if (value === null && SETTINGS[key]) {
+      continue;
+    }
+    validateValue(key, value);
+  }
+}
+
+// The settings in effect right now
+function getSettings() {
+  return current;
+}
+
+function apply(next, nextOverrides) {
+  const changed = Object.keys(SETTINGS).filter(key => JSON.stringify(next[key]) !== JSON.stringify(current[key]));
+  
+  current = Object.freeze(next);
+  overrides = nextOverrides;
+  providers.setDefaultProviderName(current.provider);
+  
+  if (changed.length > 0) {
+    logger.info('Settings changed', { keys: changed });
+    settingsEvents.emit('change', { changed: changed, settings: current });
+  }
+}
+
+// Reads stored settings over the defaults. Stored values that no longer
+// validate (e.g. a provider whose key was removed) are ignored with a warning.
+async function loadSettings() {
+  const docs = await Setting.find({ key: { $in: Object.keys(SETTINGS) } }).lean();
+  const next = getDefaults();
+  const nextOverrides = {};
+  
+  for (const doc of docs) {
+    try {
+      validateValue(doc.key, doc.value);
+    } catch (error) {
+      logger.warn('Ignoring invalid stored setting', { key: doc.key, error: error.message });
+      continue;
+    }
+    next[doc.key] = doc.value;
+    nextOverrides[doc.key] = { updated_by: doc.updated_by, updated_at: doc.updatedAt };
+  }
+  
+  apply(next, nextOverrides);
+  return current;
+}
+
+// Saves a partial update ({ key: value }, null resets) and applies it
+async function updateSettings(patch, { updatedBy } = {}) {
+  validateSettings(patch);
+  
+  for (const [key, value] of Object.entries(patch)) {
+    if (value === null) {
+      await Setting.deleteOne({ key: key });
+    } else {
+      await Setting.updateOne(
+        { key: key },
+        { $set: { value: value, updated_by: updatedBy } },
+        { upsert: true }
+      );
+    }
+  }
+  
+  await loadSettings();
+  return describeSettings();
+}
+
+// Current values with their defaults and who last changed each override
+function describeSettings() {
+  const defaults = getDefaults();
+  const descriptions = {};
+  for (const [key, definition] of Object.entries(SETTINGS)) {
+    descriptions[key] = definition.description;
+  }
+  
+  return {
+    settings: current,
+    defaults: defaults,
+    overrides: overrides,
+    descriptions: descriptions
+  };
+}
+
+// Loads the stored settings and keeps re-reading them in the background
+async function watchSettings() {
+  await loadSettings();
+  
+  if (!reloadTimer) {
+    reloadTimer = setInterval(() => {
+      if (mongoose.connection.readyState !== 1) {
+        return;
+      }
+      loadSettings().catch(error => logger.error('Error reloading settings', error));
+    }, RELOAD_INTERVAL_MS);
+    reloadTimer.unref();
+  }
+}
+
+// Model to use for a provider when the prompt template does not name one
+function getModelFor(providerName) {
+  return current.models[providerName];
+}
+
+module.exports = {
+  SETTINGS,
+  settingsEvents,
+  getSettings,
+  getModelFor,
+  validateSettings,
+  loadSettings,
+  updateSettings,
+  describeSettings,
+  watchSettings
+};
@@ -0,0 +1,519 @@
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const mongoose = require('mongoose');
+const PageCache = require('../models/PageCache');
+const logger = require('./logger');
+
+// Fetch limits and behaviour
+const ENABLED = process.env.SITE_FETCH_ENABLED !== 'false'; // Default: true
+const TIMEOUT_MS = parseInt(process.env.SITE_FETCH_TIMEOUT_MS) || 10000;
+const MAX_BYTES = parseInt(process.env.SITE_FETCH_MAX_BYTES) || 2 * 1024 * 1024;
+const MAX_REDIRECTS = 5;
+const USER_AGENT = process.env.SITE_FETCH_USER_AGENT || 'AIToolAnalyzerBot/1.0';
+const CACHE_TTL_HOURS = parseFloat(process.env.SITE_CACHE_TTL_HOURS) || 24;
+const CONTEXT_MAX_CHARS = parseInt(process.env.SITE_CONTEXT_MAX_CHARS) || 8000;
+// Extra pages fetched alongside the homepage, e.g. "/pricing,/features"
+const EXTRA_PATHS = (process.env.SITE_EXTRA_PATHS || '')
+  .split(',')
+  .map(path => path.trim())
+  .filter(Boolean);
+
+const ROBOTS_CACHE_TTL_MS = 60 * 60 * 1000;
+const robotsCache = new Map();
+
+// Addresses a fetch may never connect to, so a tool URL, a DNS answer or a
+// redirect cannot reach this host, the cloud metadata service or the internal
+// network. IPv4-mapped IPv6 addresses are matched against the IPv4 ranges.
+const PRIVATE_RANGES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16],
+  ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => PRIVATE_RANGES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => PRIVATE_RANGES.addSubnet(address, prefix, 'ipv6'));
+
+// Comma-separated private addresses in the `allowedEnv` variable that may
+// still be reached, e.g. "127.0.0.1" for a site served locally
+function getAllowedAddresses(allowedEnv) {
+  return (process.env[allowedEnv] || '')
+    .split(',')
+    .map(address => address.trim())
+    .filter(Boolean);
+}
+
+function blockedAddressError(hostname, address) {
+  const error = new Error(`Refusing to connect to ${hostname}: ${address} is a private address`);
+  error.code = 'EPRIVATEADDRESS';
+  return error;
+}
+
+// Keeps outgoing requests away from private addresses, except those listed in
+// the `allowedEnv` variable. Returns:
+//   isPrivateAddress(address)
+//   lookup             dns.lookup for http.request that fails when any address
+//                      the name resolves to is private. Checking at connect time
+//                      covers every redirect hop and DNS answers that change
+//                      between lookups.
+//   checkUrl(url)      the error for a private IP literal, which never goes
+//                      through the lookup, else null
+function createAddressGuard(allowedEnv) {
+  function isPrivateAddress(address) {
+    const type = net.isIPv6(address) ? 'ipv6' : 'ipv4';
+    return PRIVATE_RANGES.check(address, type) && !getAllowedAddresses(allowedEnv).includes(address);
+  }
+  
+  function lookup(hostname, options, callback) {
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+      if (error) {
+        return callback(error);
+      }
+      
+      const blocked = addresses.find(entry => isPrivateAddress(entry.address));
+      if (blocked) {
+        return callback(blockedAddressError(hostname, blocked.address));
+      }
+      if (options.all) {
+        return callback(null, addresses);
+      }
+      callback(null, addresses[0].address, addresses[0].family);
+    });
+  }
+  
+  function checkUrl(url) {
+    const host = url.hostname.replace(/^\[|\]$/g, '');
+    return net.isIP(host) && isPrivateAddress(host) ? blockedAddressError(url.hostname, host) : null;
+  }
+  
+  return { isPrivateAddress, lookup, checkUrl };
+}
+
+// SITE_FETCH_ALLOWED_ADDRESSES lists the private addresses a site fetch may reach
+const addressGuard = createAddressGuard('SITE_FETCH_ALLOWED_ADDRESSES');
+
+// Adds a scheme to bare hosts and rejects anything that isn't http(s)
+function toPageUrl(appUrl) {
+  if (!appUrl || typeof appUrl !== 'string') {
+    return null;
+  }
+  
+  const candidate = /^[a-z][a-z0-9+.-]*:\/\//i.test(appUrl.trim()) ? appUrl.trim() : `https://${appUrl.trim()}`;
+  
+  try {
+    const url = new URL(candidate);
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+      return null;
+    }
+    url.hash = '';
+    return url;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Single GET without following redirects. Bodies over maxBytes are cut off
+// and flagged as truncated rather than failing the fetch.
+function requestUrl(url, { timeoutMs = TIMEOUT_MS, maxBytes = MAX_BYTES, accept = 'text/html,text/plain;q=0.9,*/*;q=0.1' } = {}) {
+  const client = url.protocol === 'https:' ? https : http;
+  
+  const blocked = addressGuard.checkUrl(url);
+  if (blocked) {
+    return Promise.reject(blocked);
+  }
+  
+  return new Promise((resolve, reject) => {
+    const req = client.get(url, {
+      lookup: addressGuard.lookup,
+      headers: {
+        'User-Agent': USER_AGENT,
+        'Accept': accept,
+        'Accept-Encoding': 'identity'
+      }
+    }, res => {
+      const chunks = [];
+      let size = 0;
+      let truncated = false;
+      
+      res.on('data', chunk => {
+        if (truncated) {
+          return;
+        }
+        
+        if (size + chunk.length > maxBytes) {
+          chunks.push(chunk.subarray(0, maxBytes - size));
+          size = maxBytes;
+          truncated = true;
+          res.destroy();
+          finish();
+          return;
+        }
+        
+        chunks.push(chunk);
+        size += chunk.length;
+      });
+      res.on('end', finish);
+      res.on('error', error => {
+        if (!truncated) {
+          reject(error);
+        }
+      });
+      
+      let done = false;
+      function finish() {
+        if (done) {
+          return;
+        }
+        done = true;
+        clearTimeout(timer);
+        resolve({
+          statusCode: res.statusCode,
+          headers: res.headers,
+          body: Buffer.concat(chunks),
+          truncated: truncated
+        });
+      }
+    });
+    
+    // Covers the whole request, not just socket inactivity
+    const timer = setTimeout(() => {
+      const error = new Error(`Timed out after ${timeoutMs}ms fetching ${url.href}`);
+      error.code = 'ETIMEDOUT';
+      req.destroy(error);
+    }, timeoutMs);
+    
+    req.on('error', error => {
+      clearTimeout(timer);
+      reject(error);
+    });
+  });
+}
+
+// Parses robots.txt into the allow/disallow rules that apply to our user agent.
+// The most specific matching group wins; "*" is the fallback.
+function parseRobots(text, userAgent = USER_AGENT) {
+  const agentToken = userAgent.split('/')[0].toLowerCase();
+  const groups = [];
+  let current = null;
+  let lastWasAgent = false;
+  
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    const separator = line.indexOf(':');
+    if (separator === -1) {
+      continue;
+    }
+    
+    const key = line.slice(0, separator).trim().toLowerCase();
+    const value = line.slice(separator + 1).trim();
+    
+    if (key === 'user-agent') {
+      if (!lastWasAgent) {
+        current = { agents: [], rules: [] };
+        groups.push(current);
+      }
+      current.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+      continue;
+    }
+    
+    lastWasAgent = false;
+    if (!current || (key !== 'allow' && key !== 'disallow')) {
+      continue;
+    }
+    // An empty Disallow allows everything
+    if (value === '') {
+      continue;
+    }
+    current.rules.push({ allow: key === 'allow', path: value });
+  }
+  
+  const specific = groups.filter(group => group.agents.some(agent => agent !== '*' && agentToken.includes(agent)));
+  const selected = specific.length > 0 ? specific : groups.filter(group => group.agents.includes('*'));
+  
+  return selected.reduce((rules, group) => rules.concat(group.rules), []);
+}
+
+function robotsPatternToRegex(pattern) {
+  const anchored = pattern.endsWith('$');
+  const body = (anchored ? pattern.slice(0, -1) : pattern)
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${body}${anchored ? '$' : ''}`);
+}
+
+// Longest matching rule decides; Allow wins a tie
+function isAllowedByRobots(rules, path) {
+  let best = null;
+  
+  for (const rule of rules) {
+    if (!robotsPatternToRegex(rule.path).test(path)) {
+      continue;
+    }
+    if (!best || rule.path.length > best.path.length || (rule.path.length === best.path.length && rule.allow)) {
+      best = rule;
+    }
+  }
+  
+  return !best || best.allow;
+}
+
+// A missing or unreadable robots.txt means no restrictions
+async function getRobotsRules(origin) {
+  const cached = robotsCache.get(origin);
+  if (cached && Date.now() - cached.loadedAt < ROBOTS_CACHE_TTL_MS) {
+    return cached.rules;
+  }
+  
+  let rules = [];
+  try {
+    const response = await requestUrl(new URL('/robots.txt', origin), { maxBytes: 512 * 1024, accept: 'text/plain' });
+    if (response.statusCode >= 200 && response.statusCode < 300) {
+      rules = parseRobots(response.body.toString('utf8'));
+    }
+  } catch (error) {
+    logger.warn('Could not read robots.txt', { origin: origin, error: error.message });
+  }
+  
+  robotsCache.set(origin, { rules: rules, loadedAt: Date.now() });
+  return rules;
+}
+
+async function isFetchAllowed(url) {
+  const rules = await getRobotsRules(url.origin);
+  return isAllowedByRobots(rules, url.pathname + url.search);
+}
+
+const NAMED_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ',
+  mdash: '—', ndash: '–', hellip: '…', copy: '©', reg: '®', trade: '™',
+  rsquo: '’', lsquo: '‘', rdquo: '”', ldquo: '“', bull: '•'
+};
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return Number.isFinite(code) && code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : match;
+    }
+    const decoded = NAMED_ENTITIES[entity.toLowerCase()];
+    return decoded !== undefined ? decoded : match;
+  });
+}
+
+// Reduces an HTML page to its readable text: scripts, styles, navigation,
+// footers and other boilerplate are dropped, blocks become lines and
+// repeated lines (menus, cookie banners) are kept once.
+function extractText(html) {
+  const titleMatch = html.match(/<title[^>]*>([\s\S]*?)<\/title>/i);
+  const title = titleMatch ? decodeEntities(titleMatch[1]).replace(/\s+/g, ' ').trim() : '';
+  
+  const descriptionMatch = html.match(/<meta[^>]+name=["']description["'][^>]*content=["']([^"']*)["']/i)
+    || html.match(/<meta[^>]+content=["']([^"']*)["'][^>]*name=["']description["']/i);
+  const description = descriptionMatch ? decodeEntities(descriptionMatch[1]).trim() : '';
+  
+  let body = html
+    .replace(/<!--[\s\S]*?-->/g, ' ')
+    .replace(/<head[\s>][\s\S]*?<\/head>/gi, ' ')
+    .replace(/<(script|style|noscript|svg|iframe|template|nav|footer|aside|form)[\s>][\s\S]*?<\/\1>/gi, ' ')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/?(p|div|section|article|main|header|li|ul|ol|tr|table|h[1-6]|blockquote|pre|dd|dt)[^>]*>/gi, '\n')
+    .replace(/<[^>]+>/g, ' ');
+  
+  body = decodeEntities(body);
+  
+  const seen = new Set();
+  const lines = [];
+  for (const rawLine of body.split('\n')) {
+    const line = rawLine.replace(/\s+/g, ' ').trim();
+    if (line.length < 2 || seen.has(line)) {
+      continue;
+    }
+    seen.add(line);
+    lines.push(line);
+  }
+  
+  if (description && !seen.has(description)) {
+    lines.unshift(description);
+  }
+  
+  return { title: title, text: lines.join('\n') };
+}
+
+function cacheAvailable() {
+  return mongoose.connection.readyState === 1;
+}
+
+// GET that follows redirects and honours robots.txt on every hop. Returns
+// { response, finalUrl } or { finalUrl, skipped_reason } when it stopped early.
+async function fetchFollowingRedirects(url, requestOptions = {}) {
+  let current = url;
+  
+  for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+    if (!(await isFetchAllowed(current))) {
+      return { finalUrl: current, skipped_reason: 'robots' };
+    }
+    
+    const response = await requestUrl(current, requestOptions);
+    const location = response.headers.location;
+    
+    if (response.statusCode >= 300 && response.statusCode < 400 && location) {
+      current = new URL(location, current);
+      if (current.protocol !== 'http:' && current.protocol !== 'https:') {
+        return { finalUrl: current, skipped_reason: 'unsupported_redirect' };
+      }
+      continue;
+    }
+    
+    return { response: response, finalUrl: current };
+  }
+  
+  return { finalUrl: current, skipped_reason: 'too_many_redirects' };
+}
+
+// Fetches and extracts one page:
+// { url, final_url, status_code, title, text, truncated, skipped_reason }
+async function fetchPageUncached(url) {
+  const { response, finalUrl, skipped_reason } = await fetchFollowingRedirects(url);
+  
+  if (skipped_reason) {
+    return { url: url.href, final_url: finalUrl.href, skipped_reason: skipped_reason };
+  }
+  
+  if (response.statusCode < 200 || response.statusCode >= 300) {
+    return { url: url.href, final_url: finalUrl.href, status_code: response.statusCode, skipped_reason: 'http_error' };
+  }
+  
+  const contentType = String(response.headers['content-type'] || 'text/html').toLowerCase();
+  if (!contentType.includes('html') && !contentType.includes('text/plain')) {
+    return { url: url.href, final_url: finalUrl.href, status_code: response.statusCode, skipped_reason: 'unsupported_type' };
+  }
+  
+  const raw = response.body.toString('utf8');
+  const extracted = contentType.includes('html')
+    ? extractText(raw)
+    : { title: '', text: raw.replace(/[ \t]+/g, ' ').trim() };
+  
+  return {
+    url: url.href,
+    final_url: finalUrl.href,
+    status_code: response.statusCode,
+    title: extracted.title,
+    text: extracted.text,
+    truncated: response.truncated
+  };
+}
+
+// Cached fetch of one page. Pass { cache: false } to always hit the network.
+async function fetchPage(pageUrl, options = {}) {
+  const url = pageUrl instanceof URL ? pageUrl : toPageUrl(pageUrl);
+  if (!url) {
+    return { url: String(pageUrl), skipped_reason: 'invalid_url' };
+  }
+  
+  const useCache = options.cache !== false && cacheAvailable();
+  
+  if (useCache) {
+    const cached = await PageCache.findOne({ url: url.href, expires_at: { $gt: new Date() } }).lean();
+    if (cached) {
+      return { ...cached, cached: true };
+    }
+  }
+  
+  const page = await fetchPageUncached(url);
+  
+  if (useCache) {
+    const now = new Date();
+    await PageCache.updateOne(
+      { url: url.href },
+      {
+        $set: {
+          ...page,
+          fetched_at: now,
+          expires_at: new Date(now.getTime() + CACHE_TTL_HOURS * 60 * 60 * 1000)
+        }
+      },
+      { upsert: true }
+    );
+  }
+  
+  return { ...page, cached: false };
+}
+
+// skipped_reason for fetch errors that have one of their own
+const SKIP_REASONS = {
+  ETIMEDOUT: 'timeout',
+  EPRIVATEADDRESS: 'private_address'
+};
+
+// Fetches the tool's homepage plus any extra paths and assembles the
+// page text the analysis prompt is grounded on: { text, pages }. Returns null
+// when fetching is disabled or the URL is unusable; text is empty when no
+// page could be read.
+async function getSiteContext(appUrl, options = {}) {
+  if (options.enabled === false || (options.enabled === undefined && !ENABLED)) {
+    return null;
+  }
+  
+  const homepage = toPageUrl(appUrl);
+  if (!homepage) {
+    return null;
+  }
+  
+  const maxChars = options.maxChars || CONTEXT_MAX_CHARS;
+  const extraPaths = options.extraPaths || EXTRA_PATHS;
+  const urls = [homepage].concat(extraPaths.map(path => new URL(path, homepage)));
+  
+  const pages = [];
+  const sections = [];
+  let remaining = maxChars;
+  
+  for (const url of urls) {
+    let page;
+    try {
+      page = await fetchPage(url, options);
+    } catch (error) {
+      logger.warn('Could not fetch page', { url: url.href, error: error.message });
+      page = { url: url.href, skipped_reason: SKIP_REASONS[error.code] || 'fetch_error' };
+    }
+    
+    pages.push({
+      url: page.url,
+      final_url: page.final_url,
+      title: page.title,
+      chars: page.text ? page.text.length : 0,
+      cached: page.cached,
+      truncated: page.truncated,
+      skipped_reason: page.skipped_reason
+    });
+    
+    if (!page.text || remaining <= 0) {
+      continue;
+    }
+    
+    const text = page.text.length > remaining ? page.text.slice(0, remaining) : page.text;
+    remaining -= text.length;
+    sections.push(`Page: ${page.final_url || page.url}${page.title ? ` (${page.title})` : ''}\n${text}`);
+  }
+  
+  if (sections.length === 0) {
+    return { text: '', pages: pages };
+  }
+  
+  return { text: sections.join('\n\n'), pages: pages };
+}
+
+module.exports = {
+  getSiteContext,
+  fetchPage,
+  fetchFollowingRedirects,
+  extractText,
+  parseRobots,
+  isAllowedByRobots,
+  toPageUrl,
+  createAddressGuard,
+  isPrivateAddress: addressGuard.isPrivateAddress
+};
@@ -0,0 +1,161 @@
+const fs = require('fs');
+const path = require('path');
+const SourceProfile = require('../models/SourceProfile');
+
+// Canonical input every raw item is mapped to before analysis
+const CANONICAL_FIELDS = ['name', 'website', 'logo_url'];
+
+const PROFILES_FILE = process.env.SOURCE_PROFILES_FILE ||
+  path.join(__dirname, '..', 'config', 'source-profiles.json');
+
+// How long profiles loaded from Mongo are reused before reloading
+const CACHE_TTL_MS = 60 * 1000;
+
+let fileProfiles = null;
+let cache = null;
+let cacheLoadedAt = 0;
+
+function validationError(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+// Throws a 400-style error describing the first problem with a profile
+function validateProfile(profile) {
+  if (!profile || typeof profile.name !== 'string' || !/^[a-z0-9][a-z0-9_-]*$/.test(profile.name)) {
+    throw validationError('Profile name must be lowercase letters, digits, "-" or "_"');
+  }
+  
+  const fields = profile.fields || {};
+  if (Object.keys(fields).length === 0) {
+    throw validationError(`Profile "${profile.name}" must map at least one field`);
+  }
+  
+  for (const [field, sources] of Object.entries(fields)) {
+    if (!CANONICAL_FIELDS.includes(field)) {
+      throw validationError(`Unknown canonical field "${field}" (expected one of ${CANONICAL_FIELDS.join(', ')})`);
+    }
+    if (!Array.isArray(sources) || sources.length === 0 || !sources.every(source => typeof source === 'string' && source)) {
+      throw validationError(`Field "${field}" must map to a non-empty list of raw field names`);
+    }
+  }
+  
+  for (const field of profile.required || []) {
+    if (!fields[field]) {
+      throw validationError(`Required field "${field}" is not mapped`);
+    }
+  }
+  
+  if (profile.detect && (!Array.isArray(profile.detect) || !profile.detect.every(key => typeof key === 'string'))) {
+    throw validationError('detect must be a list of raw field names');
+  }
+}
+
+function loadFileProfiles() {
+  if (!fileProfiles) {
+    const profiles = JSON.parse(fs.readFileSync(PROFILES_FILE, 'utf8'));
+    profiles.forEach(validateProfile);
+    fileProfiles = profiles.map(profile => ({ ...profile, origin: 'file' }));
+  }
+  return fileProfiles;
+}
+
+function toPlainProfile(doc) {
+  const profile = doc.toObject({ flattenMaps: true });
+  return {
+    name: profile.name,
+    description: profile.description,
+    detect: profile.detect,
+    fields: profile.fields,
+    required: profile.required,
+    priority: profile.priority,
+    origin: 'database'
+  };
+}
+
+// File profiles overlaid with the ones stored in Mongo (same name wins)
+async function getProfiles({ refresh = false } = {}) {
+  if (!refresh && cache && Date.now() - cacheLoadedAt < CACHE_TTL_MS) {
+    return cache;
+  }
+  
+  const byName = new Map(loadFileProfiles().map(profile => [profile.name, profile]));
+  const stored = await SourceProfile.find();
+  stored.forEach(doc => byName.set(doc.name, toPlainProfile(doc)));
+  
+  cache = Array.from(byName.values());
+  cacheLoadedAt = Date.now();
+  return cache;
+}
+
+function invalidateCache() {
+  cache = null;
+}
+
+function getPath(item, fieldPath) {
+  return fieldPath.split('.').reduce((value, key) => (value == null ? undefined : value[key]), item);
+}
+
+function hasValue(value) {
+  return value !== undefined && value !== null && String(value).trim() !== '';
+}
+
+// Picks the profile for a raw item: an explicit `source` field first, then
+// the highest-priority profile whose detect fields are all present, then "default"
+function selectProfile(item, profiles) {
+  if (item.source) {
+    const named = profiles.find(profile => profile.name === item.source);
+    if (named) {
+      return named;
+    }
+  }
+  
+  const detected = profiles
+    .filter(profile => profile.detect && profile.detect.length > 0)
+    .filter(profile => profile.detect.every(key => hasValue(getPath(item, key))))
+    .sort((a, b) => (b.priority || 0) - (a.priority || 0));
+  
+  if (detected.length > 0) {
+    return detected[0];
+  }
+  
+  return profiles.find(profile => profile.name === 'default') || null;
+}
+
+// Maps a raw item to { profile, input: { name, website, logo_url }, missing }
+function mapRawItem(item, profile) {
+  const input = {};
+  
+  for (const field of CANONICAL_FIELDS) {
+    const sources = (profile && profile.fields[field]) || [];
+    const source = sources.find(key => hasValue(getPath(item, key)));
+    input[field] = source ? String(getPath(item, source)).trim() : '';
+  }
+  
+  const required = (profile && profile.required) || [];
+  const missing = required.filter(field => !input[field]);
+  
+  return { profile: profile ? profile.name : null, input: input, missing: missing };
+}
+
+async function resolveRawInput(item) {
+  const profiles = await getProfiles();
+  const profile = selectProfile(item, profiles);
+  
+  if (!profile) {
+    return { profile: null, input: mapRawItem(item, null).input, missing: ['profile'] };
+  }
+  
+  return mapRawItem(item, profile);
+}
+
+module.exports = {
+  CANONICAL_FIELDS,
+  getProfiles,
+  invalidateCache,
+  validateProfile,
+  selectProfile,
+  mapRawItem,
+  resolveRawInput
+};
@@ -0,0 +1,696 @@
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const TaxonomyTerm = require('../models/TaxonomyTerm');
+const Tool = require('../models/Tool');
+const { normalizeName, nameSimilarity } = require('./normalize');
+const revisions = require('./revisions');
+const settings = require('./settings');
+const logger = require('./logger');
+
+// Term kinds and the Tool field each one normalizes
+const KINDS = {
+  category: 'categories',
+  integration: 'integrations'
+};
+
+// How analyses use the taxonomy (the taxonomy_mode setting):
+//   off         - keep whatever the model returns
+//   map         - map returned names onto canonical terms, keep the rest
+//   constrained - also tell the model to pick from the taxonomy and drop
+//                 names that do not map to a term
+const MODES = ['off', 'map', 'constrained'];
+
+// Minimum name similarity (0..1) for a free-text name to map to a term it
+// does not match exactly
+const MATCH_THRESHOLD = parseFloat(process.env.TAXONOMY_MATCH_THRESHOLD) || 0.85;
+
+// Terms created when the collection is empty
+const TAXONOMY_FILE = process.env.TAXONOMY_FILE ||
+  path.join(__dirname, '..', 'config', 'taxonomy.json');
+
+// How long the term index is reused before reloading
+const CACHE_TTL_MS = 60 * 1000;
+
+// Changes listed in a remap report
+const REPORT_CHANGES_LIMIT = 100;
+
+let cache = null;
+let cacheLoadedAt = 0;
+
+function taxonomyError(message, statusCode = 400) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+// Key two names share when they mean the same term:
+// "AI Image Generator" -> "image generator", "image-gen" -> "image gen"
+function termKey(value) {
+  const text = String(value || '').trim();
+  return normalizeName(text) || text.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+// Per kind: the terms, a lookup by id and by name or synonym key, and children
+function buildIndex(terms) {
+  const index = {};
+  
+  for (const kind of Object.keys(KINDS)) {
+    index[kind] = { terms: [], byId: new Map(), byKey: new Map(), children: new Map() };
+  }
+  
+  for (const term of terms) {
+    const entry = index[term.kind];
+    if (!entry) {
+      continue;
+    }
+    entry.terms.push(term);
+    entry.byId.set(term._id.toString(), term);
+    entry.byKey.set(term.key, term);
+    for (const key of term.synonym_keys || []) {
+      if (!entry.byKey.has(key)) {
+        entry.byKey.set(key, term);
+      }
+    }
+    if (term.parent) {
+      const parentId = term.parent.toString();
+      entry.children.set(parentId, (entry.children.get(parentId) || []).concat(term));
+    }
+  }
+  
+  return index;
+}
+
+async function getIndex({ refresh = false } = {}) {
+  if (!refresh && cache && Date.now() - cacheLoadedAt < CACHE_TTL_MS) {
+    return cache;
+  }
+  
+  cache = buildIndex(await TaxonomyTerm.find().sort({ name: 1 }).lean());
+  cacheLoadedAt = Date.now();
+  return cache;
+}
+
+function invalidateCache() {
+  cache = null;
+}
+
+// Whether `term` is `ancestorId` or sits somewhere below it
+function isWithin(entry, term, ancestorId) {
+  for (let current = term; current; current = current.parent && entry.byId.get(current.parent.toString())) {
+    if (current._id.equals(ancestorId)) {
+      return true;
+    }
+  }
+  return false;
+}
+
+function validateKind(kind) {
+  if (!Object.prototype.hasOwnProperty.call(KINDS, kind)) {
+    throw taxonomyError(`kind must be one of: ${Object.keys(KINDS).join(', ')}`);
+  }
+}
+
+// The term a free-text name maps to: { term, match: 'name' | 'synonym' | 'similar', score }
+// or null. `similar` matches are the closest term at or above MATCH_THRESHOLD.
+function resolveName(index, kind, value) {
+  const entry = index[kind];
+  const key = termKey(value);
+  
+  if (!entry || !key) {
+    return null;
+  }
+  
+  const exact = entry.byKey.get(key);
+  if (exact) {
+    return { term: exact, match: exact.key === key ? 'name' : 'synonym', score: 1 };
+  }
+  
+  let best = null;
+  let bestScore = 0;
+  for (const [candidate, term] of entry.byKey) {
+    const score = nameSimilarity(key, candidate);
+    if (score > bestScore) {
+      best = term;
+      bestScore = score;
+    }
+  }
+  
+  return bestScore >= MATCH_THRESHOLD ? { term: best, match: 'similar', score: bestScore } : null;
+}
+
+// Maps a list of names onto canonical term names, without duplicates.
+// Names that match no term are kept, or dropped with dropUnmatched.
+// Returns { values, unmatched }.
+function mapNames(index, kind, values, { dropUnmatched = false } = {}) {
+  const mapped = [];
+  const unmatched = [];
+  const add = name => {
+    if (!mapped.some(existing => existing.toLowerCase() === name.toLowerCase())) {
+      mapped.push(name);
+    }
+  };
+  
+  for (const value of values || []) {
+    const name = typeof value === 'string' ? value.trim() : '';
+    if (!name) {
+      continue;
+    }
+    
+    const resolved = resolveName(index, kind, name);
+    if (resolved) {
+      add(resolved.term.name);
+    } else {
+      unmatched.push(name);
+      if (!dropUnmatched) {
+        add(name);
+      }
+    }
+  }
+  
+  return { values: mapped, unmatched: unmatched };
+}
+
+// Normalizes the categories and integrations of a validated analysis.
+// Returns { analysis, unmatched: { categories, integrations }, errors }; in
+// constrained mode an analysis left without any category is an error, so the
+// model is asked to choose again.
+async function applyTaxonomy(analysis, mode = settings.getSettings().taxonomy_mode) {
+  if (mode === 'off') {
+    return { analysis: analysis, unmatched: {}, errors: [] };
+  }
+  
+  const index = await getIndex();
+  const result = { ...analysis };
+  const unmatched = {};
+  const errors = [];
+  
+  for (const [kind, field] of Object.entries(KINDS)) {
+    if (!Array.isArray(analysis[field])) {
+      continue;
+    }
+    
+    // A kind without terms is not constrained
+    const constrained = mode === 'constrained' && index[kind].terms.length > 0;
+    const mapped = mapNames(index, kind, analysis[field], { dropUnmatched: constrained });
+    result[field] = mapped.values;
+    
+    if (mapped.unmatched.length > 0) {
+      unmatched[field] = mapped.unmatched;
+    }
+    if (constrained && kind === 'category' && mapped.values.length === 0) {
+      errors.push(`None of the categories ${JSON.stringify(analysis[field])} are in the list given; choose categories from that list`);
+    }
+  }
+  
+  if (Object.keys(unmatched).length > 0) {
+    logger.debug(mode === 'constrained' ? 'Dropped names outside the taxonomy' : 'Names outside the taxonomy', {
+      tool_name: analysis.name,
+      unmatched: unmatched
+    });
+  }
+  
+  return { analysis: result, unmatched: unmatched, errors: errors };
+}
+
+function listLines(index, kind) {
+  const entry = index[kind];
+  const lines = [];
+  const visit = (term, depth) => {
+    lines.push(`${'  '.repeat(depth)}- ${term.name}`);
+    (entry.children.get(term._id.toString()) || []).forEach(child => visit(child, depth + 1));
+  };
+  
+  entry.terms
+    .filter(term => !term.parent || !entry.byId.has(term.parent.toString()))
+    .forEach(term => visit(term, 0));
+  return lines;
+}
+
+// Prompt variables for an analysis: in constrained mode {{taxonomy}} holds
+// the instructions listing the allowed categories and integrations
+async function getPromptVars(mode = settings.getSettings().taxonomy_mode) {
+  if (mode !== 'constrained') {
+    return {};
+  }
+  
+  const index = await getIndex();
+  const sections = [];
+  
+  if (index.category.terms.length > 0) {
+    sections.push(
+      'Choose "categories" only from this list and use the names exactly as written (indented entries are more specific; prefer them where they fit):',
+      ...listLines(index, 'category')
+    );
+  }
+  if (index.integration.terms.length > 0) {
+    sections.push(
+      '',
+      'Choose "integrations" only from this list, using the names exactly as written; leave out integrations that are not listed:',
+      ...listLines(index, 'integration')
+    );
+  }
+  
+  return sections.length > 0 ? { taxonomy: sections.join('\n').trim() } : {};
+}
+
+// Names to search for when filtering on `value`: the term it maps to and all
+// of its descendants, plus the value itself
+function withDescendants(index, kind, value) {
+  const names = [value];
+  const resolved = resolveName(index, kind, value);
+  
+  if (resolved && resolved.match !== 'similar') {
+    const entry = index[kind];
+    const visit = term => {
+      if (!names.includes(term.name)) {
+        names.push(term.name);
+      }
+      (entry.children.get(term._id.toString()) || []).forEach(visit);
+    };
+    visit(resolved.term);
+  }
+  
+  return names;
+}
+
+// Term with its parent's name, as returned by the API
+function describeTerm(index, term) {
+  const entry = index[term.kind];
+  const parent = term.parent && entry.byId.get(term.parent.toString());
+  
+  return {
+    id: term._id,
+    kind: term.kind,
+    name: term.name,
+    synonyms: term.synonyms,
+    parent: parent ? parent.name : null,
+    parent_id: term.parent || null,
+    children: (entry.children.get(term._id.toString()) || []).map(child => child.name),
+    description: term.description,
+    created_by: term.created_by,
+    updated_by: term.updated_by,
+    created_at: term.createdAt,
+    updated_at: term.updatedAt
+  };
+}
+
+// Terms of one kind (or all), flat or as a tree of { ...term, children: [terms] }
+async function listTerms({ kind, tree = false } = {}) {
+  if (kind) {
+    validateKind(kind);
+  }
+  
+  const index = await getIndex({ refresh: true });
+  const kinds = kind ? [kind] : Object.keys(KINDS);
+  
+  if (!tree) {
+    return kinds.flatMap(name => index[name].terms.map(term => describeTerm(index, term)));
+  }
+  
+  const build = term => ({
+    ...describeTerm(index, term),
+    children: (index[term.kind].children.get(term._id.toString()) || []).map(build)
+  });
+  return kinds.flatMap(name => index[name].terms
+    .filter(term => !term.parent || !index[name].byId.has(term.parent.toString()))
+    .map(build));
+}
+
+async function findTerm(id) {
+  if (!mongoose.isValidObjectId(id)) {
+    throw taxonomyError('Invalid term id');
+  }
+  
+  const term = await TaxonomyTerm.findById(id);
+  if (!term) {
+    throw taxonomyError('Term not found', 404);
+  }
+  return term;
+}
+
+// Finds the parent given by id or name, refusing one that would make a cycle
+async function resolveParent(kind, parent, termId) {
+  if (parent === null || parent === undefined || parent === '') {
+    return null;
+  }
+  
+  const index = await getIndex({ refresh: true });
+  const entry = index[kind];
+  let found = mongoose.isValidObjectId(parent) ? entry.byId.get(String(parent)) : null;
+  
+  if (!found) {
+    const resolved = resolveName(index, kind, parent);
+    found = resolved && resolved.match !== 'similar' ? resolved.term : null;
+  }
+  if (!found) {
+    throw taxonomyError(`Unknown parent ${kind}: ${parent}`);
+  }
+  
+  if (termId && isWithin(entry, found, termId)) {
+    throw taxonomyError(`${found.name} cannot be the parent: it is this term or one of its children`);
+  }
+  return found._id;
+}
+
+function validateNames(name, synonyms) {
+  if (typeof name !== 'string' || !name.trim() || name.length > 100) {
+    throw taxonomyError('name must be a non-empty string of at most 100 characters');
+  }
+  if (!termKey(name)) {
+    throw taxonomyError('name must contain letters or digits');
+  }
+  if (!Array.isArray(synonyms) || !synonyms.every(synonym => typeof synonym === 'string' && synonym.trim())) {
+    throw taxonomyError('synonyms must be a list of names');
+  }
+}
+
+// Refuses names another term of the same kind already uses
+async function checkConflicts(kind, keys, termId) {
+  const filter = { kind: kind, $or: [{ key: { $in: keys } }, { synonym_keys: { $in: keys } }] };
+  if (termId) {
+    filter._id = { $ne: termId };
+  }
+  
+  const other = await TaxonomyTerm.findOne(filter).lean();
+  if (other) {
+    const taken = keys.filter(key => other.key === key || other.synonym_keys.includes(key));
+    throw taxonomyError(`"${taken.join('", "')}" already belongs to ${kind} ${other.name}`, 409);
+  }
+}
+
+function cleanSynonyms(name, synonyms) {
+  const nameKey = termKey(name);
+  const kept = [];
+  const keys = [];
+  
+  for (const synonym of synonyms) {
+    const key = termKey(synonym);
+    if (key && key !== nameKey && !keys.includes(key)) {
+      kept.push(synonym.trim());
+      keys.push(key);
+    }
+  }
+  return { synonyms: kept, synonym_keys: keys };
+}
+
+// Adds a term: { kind, name, synonyms, parent (id or name), description }
+async function createTerm({ kind, name, synonyms = [], parent, description } = {}, { createdBy } = {}) {
+  validateKind(kind);
+  validateNames(name, synonyms);
+  
+  const cleaned = cleanSynonyms(name, synonyms);
+  await checkConflicts(kind, [termKey(name), ...cleaned.synonym_keys]);
+  
+  const term = await TaxonomyTerm.create({
+    kind: kind,
+    name: name.trim(),
+    key: termKey(name),
+    ...cleaned,
+    parent: await resolveParent(kind, parent),
+    description: description,
+    created_by: createdBy,
+    updated_by: createdBy
+  });
+  
+  invalidateCache();
+  return term;
+}
+
+// Changes name, synonyms, parent or description. A renamed term keeps its
+// old name as a synonym, so tools still carrying it can be remapped.
+async function updateTerm(id, changes = {}, { updatedBy } = {}) {
+  const term = await findTerm(id);
+  const editable = ['name', 'synonyms', 'parent', 'description'];
+  const unknown = Object.keys(changes).filter(key => !editable.includes(key));
+  
+  if (unknown.length > 0) {
+    throw taxonomyError(`Cannot change: ${unknown.join(', ')} (editable: ${editable.join(', ')})`);
+  }
+  
+  const name = changes.name !== undefined ? changes.name : term.name;
+  let synonyms = changes.synonyms !== undefined ? changes.synonyms : term.synonyms;
+  validateNames(name, synonyms);
+  
+  if (termKey(name) !== term.key) {
+    synonyms = synonyms.concat(term.name);
+  }
+  
+  const cleaned = cleanSynonyms(name, synonyms);
+  await checkConflicts(term.kind, [termKey(name), ...cleaned.synonym_keys], term._id);
+  
+  term.name = name.trim();
+  term.key = termKey(name);
+  term.synonyms = cleaned.synonyms;
+  term.synonym_keys = cleaned.synonym_keys;
+  if (changes.parent !== undefined) {
+    term.parent = await resolveParent(term.kind, changes.parent, term._id);
+  }
+  if (changes.description !== undefined) {
+    term.description = changes.description;
+  }
+  term.updated_by = updatedBy;
+  
+  await term.save();
+  invalidateCache();
+  return term;
+}
+
+// Deletes a term that has no children. Tools keep the name until remapped.
+async function deleteTerm(id) {
+  const term = await findTerm(id);
+  
+  const children = await TaxonomyTerm.countDocuments({ parent: term._id });
+  if (children > 0) {
+    throw taxonomyError(`${term.name} has ${children} child terms; move or delete them first`, 409);
+  }
+  
+  await TaxonomyTerm.deleteOne({ _id: term._id });
+  invalidateCache();
+  return term;
+}
+
+// Folds one term into another: its name and synonyms become synonyms of the
+// target and its children move to the target. Returns { target, mergedNames }.
+async function mergeTerm(id, into, { updatedBy } = {}) {
+  const source = await findTerm(id);
+  const target = await findTerm(into);
+  
+  if (source._id.equals(target._id)) {
+    throw taxonomyError('A term cannot be merged into itself');
+  }
+  if (source.kind !== target.kind) {
+    throw taxonomyError(`Cannot merge a ${source.kind} into a ${target.kind}`);
+  }
+  
+  // A target below the source takes the source's place in the hierarchy
+  const entry = (await getIndex({ refresh: true }))[target.kind];
+  if (isWithin(entry, entry.byId.get(target._id.toString()), source._id)) {
+    target.parent = source.parent;
+  }
+  
+  const mergedNames = [source.name, ...source.synonyms];
+  const cleaned = cleanSynonyms(target.name, target.synonyms.concat(mergedNames));
+  target.synonyms = cleaned.synonyms;
+  target.synonym_keys = cleaned.synonym_keys;
+  target.updated_by = updatedBy;
+  
+  await TaxonomyTerm.deleteOne({ _id: source._id });
+  await target.save();
+  await TaxonomyTerm.updateMany(
+    { parent: source._id, _id: { $ne: target._id } },
+    { $set: { parent: target._id, updated_by: updatedBy } }
+  );
+  
+  invalidateCache();
+  return { target: target, mergedNames: mergedNames };
+}
+
+// How names would map: { value, term, match, score } per value
+async function previewMapping(kind, values) {
+  validateKind(kind);
+  if (!Array.isArray(values) || values.length === 0) {
+    throw taxonomyError('values must be a non-empty list of names');
+  }
+  
+  const index = await getIndex();
+  return values.map(value => {
+    const resolved = resolveName(index, kind, String(value));
+    return {
+      value: value,
+      term: resolved ? resolved.term.name : null,
+      match: resolved ? resolved.match : null,
+      score: resolved ? Math.round(resolved.score * 100) / 100 : null
+    };
+  });
+}
+
+// Names on tools that no term covers, most used first, each with the closest
+// term as a suggestion: { value, count, suggestion }
+async function findUnmatched(kind, { limit = 100 } = {}) {
+  validateKind(kind);
+  
+  const field = KINDS[kind];
+  const index = await getIndex({ refresh: true });
+  const counts = await Tool.aggregate([
+    { $unwind: `$${field}` },
+    { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+    { $sort: { count: -1, _id: 1 } }
+  ]);
+  
+  const unmatched = [];
+  for (const { _id: value, count } of counts) {
+    const resolved = resolveName(index, kind, value);
+    if (resolved && resolved.term.name === value) {
+      continue;
+    }
+    unmatched.push({
+      value: value,
+      count: count,
+      maps_to: resolved ? resolved.term.name : null,
+      match: resolved ? resolved.match : null
+    });
+    if (unmatched.length >= limit) {
+      break;
+    }
+  }
+  return unmatched;
+}
+
+// Rewrites the categories/integrations of existing tools to canonical names.
+// options.kinds: kinds to remap (default both)
+// options.values: only tools carrying one of these names
+// options.dropUnmatched: also remove names no term covers
+// options.dryRun: report the changes without saving them
+// Every changed tool gets a "taxonomy" revision.
+async function remapTools({ kinds = Object.keys(KINDS), values, dropUnmatched = false, dryRun = false, editor } = {}) {
+  if (!Array.isArray(kinds) || kinds.length === 0) {
+    throw taxonomyError(`kinds must list at least one of: ${Object.keys(KINDS).join(', ')}`);
+  }
+  kinds.forEach(validateKind);
+  if (values !== undefined && (!Array.isArray(values) || values.length === 0)) {
+    throw taxonomyError('values must be a non-empty list of names');
+  }
+  
+  const index = await getIndex({ refresh: true });
+  
+  // Only tools with a name that is not already canonical need a look
+  const conditions = kinds.map(kind => {
+    const field = KINDS[kind];
+    if (values) {
+      return { [field]: { $in: values } };
+    }
+    return { [field]: { $elemMatch: { $nin: index[kind].terms.map(term => term.name) } } };
+  });
+  
+  const report = {
+    dry_run: dryRun,
+    kinds: kinds,
+    scanned: 0,
+    changed: 0,
+    unchanged: 0,
+    failed: 0,
+    changes: []
+  };
+  
+  const cursor = Tool.find({ $or: conditions }).cursor();
+  
+  for (let tool = await cursor.next(); tool; tool = await cursor.next()) {
+    report.scanned++;
+    const before = revisions.snapshotOf(tool);
+    const changedFields = [];
+    
+    for (const kind of kinds) {
+      const field = KINDS[kind];
+      const current = tool.get(field) || [];
+      const mapped = mapNames(index, kind, current, { dropUnmatched: dropUnmatched }).values;
+      
+      if (JSON.stringify(mapped) !== JSON.stringify([...current])) {
+        changedFields.push(field);
+        if (report.changes.length < REPORT_CHANGES_LIMIT) {
+          report.changes.push({ slug: tool.slug, field: field, from: [...current], to: mapped });
+        }
+        tool.set(field, mapped);
+      }
+    }
+    
+    if (changedFields.length === 0) {
+      report.unchanged++;
+      continue;
+    }
+    report.changed++;
+    
+    if (dryRun) {
+      continue;
+    }
+    
+    try {
+      await tool.save();
+      await revisions.recordRevision(tool, { type: 'taxonomy', editor: editor }, { before: before, changedFields: changedFields });
+    } catch (error) {
+      report.failed++;
+      logger.error('Error remapping tool', { slug: tool.slug, error: error });
+    }
+  }
+  
+  logger.info('Taxonomy remap finished', {
+    dry_run: dryRun,
+    kinds: kinds,
+    scanned: report.scanned,
+    changed: report.changed,
+    failed: report.failed
+  });
+  return report;
+}
+
+// Creates the terms in config/taxonomy.json when there are none yet
+async function seedTaxonomy() {
+  if (await TaxonomyTerm.estimatedDocumentCount() > 0) {
+    return;
+  }
+  
+  const seed = JSON.parse(fs.readFileSync(TAXONOMY_FILE, 'utf8'));
+  let created = 0;
+  
+  for (const [kind, terms] of Object.entries(seed)) {
+    validateKind(kind);
+    
+    // Parents first, so children can refer to them by name
+    const pending = [...terms];
+    while (pending.length > 0) {
+      const ready = pending.findIndex(term => !term.parent || !pending.some(other => other.name === term.parent));
+      if (ready === -1) {
+        throw taxonomyError(`Taxonomy file has a parent cycle among: ${pending.map(term => term.name).join(', ')}`);
+      }
+      const [term] = pending.splice(ready, 1);
+      await createTerm({ ...term, kind: kind }, { createdBy: 'system' });
+      created++;
+    }
+  }
+  
+  logger.info('Created default taxonomy', { terms: created });
+}
+
+module.exports = {
+  KINDS,
+  MODES,
+  termKey,
+  getIndex,
+  invalidateCache,
+  resolveName,
+  mapNames,
+  applyTaxonomy,
+  getPromptVars,
+  withDescendants,
+  listTerms,
+  findTerm,
+  describeTerm,
+  createTerm,
+  updateTerm,
+  deleteTerm,
+  mergeTerm,
+  previewMapping,
+  findUnmatched,
+  remapTools,
+  seedTaxonomy
+};
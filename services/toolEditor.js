@@ -0,0 +1,190 @@
+const Tool = require('../models/Tool');
+const { TOOL_STATUS, STATUS_NAMES, parseToolStatus, canTransition } = require('../models/toolStatus');
+const { slugify, normalizeWebsite, normalizeName } = require('./normalize');
+const revisions = require('./revisions');
+const { RESERVED_SLUGS, isDuplicateKeyError } = require('./toolUpsert');
+const { resolveLogo } = require('./logos');
+const webhooks = require('./webhooks');
+
+// Fields an editor may change through PATCH /tools/:slug
+const EDITABLE_FIELDS = [
+  'name', 'slug', 'website', 'tagline', 'description', 'company', 'longDescription',
+  'categories', 'features', 'integrations', 'prosCons', 'useCases', 'logo_url'
+];
+
+function editorError(message, statusCode = 400) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+// Finds a tool by slug, following slugs of tools that were merged or renamed.
+// Returns { tool, redirected } or null.
+async function findBySlug(slug) {
+  const tool = await Tool.findOne({ slug: slug });
+  if (tool) {
+    return { tool: tool, redirected: false };
+  }
+  
+  const renamed = await Tool.findOne({ merged_slugs: slug });
+  return renamed ? { tool: renamed, redirected: true } : null;
+}
+
+// Applies an editor's changes and records them as a revision. Unknown fields
+// and status changes are refused; status goes through transitionTool.
+async function updateTool(tool, changes, { editor } = {}) {
+  const fields = Object.keys(changes || {});
+  
+  if (fields.length === 0) {
+    throw editorError('No changes given');
+  }
+  const refused = fields.filter(field => !EDITABLE_FIELDS.includes(field));
+  if (refused.length > 0) {
+    throw editorError(`Fields cannot be edited: ${refused.join(', ')}`);
+  }
+  
+  if (changes.slug !== undefined && changes.slug !== tool.slug) {
+    if (changes.slug !== slugify(changes.slug)) {
+      throw editorError('slug must be lowercase letters, digits and hyphens');
+    }
+    if (RESERVED_SLUGS.includes(changes.slug)) {
+      throw editorError(`Slug is reserved: ${changes.slug}`);
+    }
+    if (await Tool.exists({ _id: { $ne: tool._id }, $or: [{ slug: changes.slug }, { merged_slugs: changes.slug }] })) {
+      throw editorError(`Slug already in use: ${changes.slug}`, 409);
+    }
+    // Keep the old slug resolvable for existing links
+    tool.merged_slugs.addToSet(tool.slug);
+  }
+  
+  const before = revisions.snapshotOf(tool);
+  
+  for (const field of fields) {
+    tool.set(field, changes[field]);
+  }
+  if (changes.website !== undefined) {
+    tool.website_key = normalizeWebsite(tool.website);
+  }
+  if (changes.name !== undefined) {
+    tool.name_key = normalizeName(tool.name);
+  }
+  // The stored logo belongs to the old URL; POST /tools/:slug/logo stores the new one
+  if (tool.logo && tool.logo.source_url !== tool.logo_url) {
+    tool.logo = undefined;
+  }
+  
+  const changedFields = fields.filter(field => tool.isModified(field));
+  
+  try {
+    await tool.save();
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      throw editorError(error.message);
+    }
+    if (isDuplicateKeyError(error, 'website_key')) {
+      throw editorError(`Another tool already has the website ${tool.website}`, 409);
+    }
+    throw error;
+  }
+  
+  if (changedFields.length > 0) {
+    await revisions.recordRevision(tool, { type: 'edit', editor: editor }, { before: before, changedFields: changedFields });
+  }
+  
+  return changedFields;
+}
+
+// Moves a tool through the review lifecycle, recording who did it and why
+async function transitionTool(tool, target, { by, note } = {}) {
+  const to = parseToolStatus(target);
+  
+  if (to === null) {
+    throw editorError(`Unknown status: ${target}`);
+  }
+  if (!canTransition(tool.status, to)) {
+    const from = STATUS_NAMES[tool.status] || tool.status;
+    throw editorError(`Cannot move a tool from ${from} to ${STATUS_NAMES[to]}`, 409);
+  }
+  
+  const previous = tool.status;
+  tool.status_history.push({ from: previous, to: to, by: by, note: note, at: new Date() });
+  tool.status = to;
+  
+  if (to === TOOL_STATUS.PUBLISHED || to === TOOL_STATUS.REJECTED) {
+    tool.reviewed_by = by;
+    tool.reviewed_at = new Date();
+    tool.review_note = note;
+  }
+  
+  await tool.save();
+  
+  await webhooks.emitEvent('tool.updated', {
+    tool: webhooks.toolSummary(tool),
+    change: 'status',
+    from_status: STATUS_NAMES[previous] || previous,
+    to_status: STATUS_NAMES[to],
+    by: by,
+    note: note
+  });
+  
+  return tool;
+}
+
+// Approve publishes the AI content; reject marks it rejected.
+// Drafts can be approved directly without passing through in_review.
+async function reviewTool(tool, decision, { by, note } = {}) {
+  if (decision === 'approve') {
+    return transitionTool(tool, TOOL_STATUS.PUBLISHED, { by: by, note: note });
+  }
+  if (decision === 'reject') {
+    if (tool.status === TOOL_STATUS.DRAFT) {
+      tool.status_history.push({ from: tool.status, to: TOOL_STATUS.IN_REVIEW, by: by, at: new Date() });
+      tool.status = TOOL_STATUS.IN_REVIEW;
+    }
+    return transitionTool(tool, TOOL_STATUS.REJECTED, { by: by, note: note });
+  }
+  throw editorError('decision must be "approve" or "reject"');
+}
+
+// Adds the readable status name next to the number
+function withStatusName(tool) {
+  const data = typeof tool.toObject === 'function' ? tool.toObject() : { ...tool };
+  data.status_name = STATUS_NAMES[data.status] || null;
+  delete data.website_key;
+  delete data.merged_website_keys;
+  delete data.name_key;
+  delete data.__v;
+  return data;
+}
+
+// Downloads and stores the tool's logo again, from `logoUrl` if given,
+// otherwise from the current logo_url, falling back to the website favicon
+async function refreshLogo(tool, { logoUrl, editor } = {}) {
+  const logo = await resolveLogo(logoUrl || tool.logo_url, tool.website);
+  if (!logo) {
+    throw editorError('No usable logo image found', 422);
+  }
+  
+  const before = revisions.snapshotOf(tool);
+  tool.logo_url = logo.source_url;
+  tool.logo = logo;
+  const changedFields = tool.isModified('logo_url') ? ['logo_url'] : [];
+  
+  await tool.save();
+  
+  if (changedFields.length > 0) {
+    await revisions.recordRevision(tool, { type: 'edit', editor: editor }, { before: before, changedFields: changedFields });
+  }
+  
+  return logo;
+}
+
+module.exports = {
+  EDITABLE_FIELDS,
+  findBySlug,
+  updateTool,
+  refreshLogo,
+  transitionTool,
+  reviewTool,
+  withStatusName
+};
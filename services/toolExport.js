@@ -0,0 +1,247 @@
+const { once } = require('events');
+const { stringify } = require('csv-stringify');
+const archiver = require('archiver');
+const Tool = require('../models/Tool');
+const { parseToolStatus } = require('../models/toolStatus');
+const logger = require('./logger');
+
+const FORMATS = ['json', 'ndjson', 'csv', 'bundle'];
+const DATE_FIELDS = ['processed_at', 'createdAt', 'updatedAt'];
+
+// Internal bookkeeping fields that are not part of an exported tool
+const INTERNAL_FIELDS = { __v: 0, website_key: 0, merged_website_keys: 0, name_key: 0 };
+
+const CSV_COLUMNS = [
+  'slug', 'name', 'website', 'tagline', 'description', 'company', 'longDescription',
+  'categories', 'features', 'integrations', 'pros', 'cons', 'useCases',
+  'logo_url', 'status', 'processed_at'
+];
+
+function exportError(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+function parseDate(value, name) {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw exportError(`Invalid ${name} date: ${value}`);
+  }
+  return date;
+}
+
+// Builds the Tool filter from ?status=&categories=a,b&from=&to=&date_field=
+// (status accepts numbers or lifecycle names, e.g. status=published)
+function buildExportFilter(query = {}) {
+  const filter = {};
+  
+  if (query.status !== undefined && query.status !== '') {
+    const statuses = String(query.status).split(',').map(value => parseToolStatus(value.trim()));
+    if (statuses.includes(null)) {
+      throw exportError(`Invalid status: ${query.status}`);
+    }
+    filter.status = { $in: statuses };
+  }
+  
+  if (query.categories) {
+    filter.categories = { $in: String(query.categories).split(',').map(value => value.trim()).filter(Boolean) };
+  }
+  
+  const dateField = query.date_field || 'processed_at';
+  if (!DATE_FIELDS.includes(dateField)) {
+    throw exportError(`date_field must be one of ${DATE_FIELDS.join(', ')}`);
+  }
+  if (query.from || query.to) {
+    filter[dateField] = {};
+    if (query.from) {
+      filter[dateField].$gte = parseDate(query.from, 'from');
+    }
+    if (query.to) {
+      filter[dateField].$lte = parseDate(query.to, 'to');
+    }
+  }
+  
+  return filter;
+}
+
+function toolCursor(filter) {
+  return Tool.find(filter, INTERNAL_FIELDS).sort({ slug: 1 }).lean().cursor();
+}
+
+// One CSV row per tool, with the nested fields flattened to text
+function flattenForCsv(tool) {
+  const join = values => (values || []).join('; ');
+  const prosCons = tool.prosCons || {};
+  
+  return {
+    slug: tool.slug,
+    name: tool.name,
+    website: tool.website,
+    tagline: tool.tagline,
+    description: tool.description,
+    company: tool.company,
+    longDescription: tool.longDescription,
+    categories: join(tool.categories),
+    features: (tool.features || []).map(feature => `${feature.name}: ${feature.description}`).join(' | '),
+    integrations: join(tool.integrations),
+    pros: join(prosCons.pros),
+    cons: join(prosCons.cons),
+    useCases: join(tool.useCases),
+    logo_url: tool.logo_url,
+    status: tool.status,
+    processed_at: tool.processed_at ? new Date(tool.processed_at).toISOString() : ''
+  };
+}
+
+// Writes to a stream, waiting for 'drain' so large exports stay flat in memory.
+// `signal` is aborted when the output goes away, which ends the wait.
+async function write(stream, chunk, signal) {
+  signal.throwIfAborted();
+  if (!stream.write(chunk)) {
+    await once(stream, 'drain', { signal: signal });
+  }
+}
+
+async function writeJson(cursor, out, signal) {
+  let first = true;
+  await write(out, '[', signal);
+  for await (const tool of cursor) {
+    await write(out, (first ? '\n' : ',\n') + JSON.stringify(tool), signal);
+    first = false;
+  }
+  await write(out, '\n]\n', signal);
+}
+
+async function writeNdjson(cursor, out, signal) {
+  for await (const tool of cursor) {
+    await write(out, JSON.stringify(tool) + '\n', signal);
+  }
+}
+
+async function writeCsv(cursor, out, signal) {
+  const csv = stringify({ header: true, columns: CSV_COLUMNS });
+  csv.pipe(out, { end: false });
+  
+  try {
+    for await (const tool of cursor) {
+      await write(csv, flattenForCsv(tool), signal);
+    }
+    
+    csv.end();
+    await once(csv, 'end', { signal: signal });
+  } catch (error) {
+    csv.destroy();
+    throw error;
+  }
+}
+
+// Zip with tools/<slug>.json per tool plus an index.json summary, the layout
+// static site generators read
+async function writeBundle(cursor, out, signal) {
+  const archive = archiver('zip', { zlib: { level: 9 } });
+  archive.on('warning', error => logger.warn('Export bundle warning', error));
+  archive.pipe(out, { end: false });
+  
+  try {
+    const index = [];
+    for await (const tool of cursor) {
+      // archiver queues appended entries in memory; waiting for each one to be
+      // written keeps a slow reader from making us buffer the whole catalogue
+      const written = once(archive, 'entry', { signal: signal });
+      archive.append(JSON.stringify(tool, null, 2), { name: `tools/${tool.slug}.json` });
+      await written;
+      
+      index.push({
+        slug: tool.slug,
+        name: tool.name,
+        tagline: tool.tagline,
+        categories: tool.categories,
+        logo_url: tool.logo_url,
+        processed_at: tool.processed_at
+      });
+    }
+    
+    archive.append(JSON.stringify({ generated_at: new Date().toISOString(), count: index.length, tools: index }, null, 2), {
+      name: 'index.json'
+    });
+    const finished = once(archive, 'end', { signal: signal });
+    await archive.finalize();
+    await finished;
+  } catch (error) {
+    archive.abort();
+    throw error;
+  }
+}
+
+const WRITERS = {
+  json: writeJson,
+  ndjson: writeNdjson,
+  csv: writeCsv,
+  bundle: writeBundle
+};
+
+const CONTENT_TYPES = {
+  json: 'application/json',
+  ndjson: 'application/x-ndjson',
+  csv: 'text/csv; charset=utf-8',
+  bundle: 'application/zip'
+};
+
+const EXTENSIONS = {
+  json: 'json',
+  ndjson: 'ndjson',
+  csv: 'csv',
+  bundle: 'zip'
+};
+
+// Streams every tool matching `filter` to `out` in the given format. If `out`
+// closes or fails first (e.g. the HTTP client went away), the export stops,
+// the cursor is closed and the promise rejects with code EXPORT_ABORTED.
+async function exportTools(format, filter, out) {
+  if (!FORMATS.includes(format)) {
+    throw exportError(`Unsupported export format: ${format} (expected ${FORMATS.join(', ')})`);
+  }
+  
+  const cursor = toolCursor(filter);
+  const controller = new AbortController();
+  const abort = cause => {
+    if (!controller.signal.aborted) {
+      const error = new Error(`Export aborted: ${cause ? cause.message : 'the output was closed'}`);
+      error.code = 'EXPORT_ABORTED';
+      controller.abort(error);
+      // Stops a for-await that is waiting on the next document
+      cursor.close().catch(() => {});
+    }
+  };
+  const onClose = () => {
+    if (!out.writableFinished) {
+      abort();
+    }
+  };
+  out.on('close', onClose);
+  out.on('error', abort);
+  
+  try {
+    if (out.destroyed) {
+      abort();
+    }
+    await WRITERS[format](cursor, out, controller.signal);
+    controller.signal.throwIfAborted();
+  } catch (error) {
+    throw controller.signal.aborted ? controller.signal.reason : error;
+  } finally {
+    out.off('close', onClose);
+    out.off('error', abort);
+    await cursor.close();
+  }
+}
+
+module.exports = {
+  FORMATS,
+  CONTENT_TYPES,
+  EXTENSIONS,
+  buildExportFilter,
+  flattenForCsv,
+  exportTools
+};
@@ -0,0 +1,108 @@
+const Ajv = require('ajv');
+const Tool = require('../models/Tool');
+
+// Fields on Tool that are set by the pipeline, never by the LLM
+const SYSTEM_FIELDS = [
+  '_id', '__v', 'createdAt', 'updatedAt', 'logo_url', 'logo', 'status', 'processed_at',
+  'original_id', 'original_ids', 'website_key', 'name_key', 'merged_slugs', 'merged_website_keys',
+  'status_history', 'reviewed_by', 'reviewed_at', 'review_note',
+  'refresh_requested', 'refreshed_at', 'refresh_failures', 'refresh_retry_at', 'prompt_version'
+];
+
+// Fields the mongoose schema leaves optional but an analysis must still contain
+const ANALYSIS_REQUIRED = ['categories', 'features', 'prosCons', 'useCases'];
+
+const SLUG_PATTERN = '^[a-z0-9]+(?:-[a-z0-9]+)*$';
+
+function scalarSchema(instance) {
+  switch (instance) {
+    case 'String':
+      return { type: 'string' };
+    case 'Number':
+      return { type: 'number' };
+    case 'Boolean':
+      return { type: 'boolean' };
+    default:
+      return {};
+  }
+}
+
+// Converts a mongoose schema into a JSON schema describing the same document
+function toJsonSchema(mongooseSchema, exclude = []) {
+  const properties = {};
+  const required = [];
+
+  for (const [path, schemaType] of Object.entries(mongooseSchema.paths)) {
+    if (exclude.includes(path) || path === '_id' || path === '__v') {
+      continue;
+    }
+
+    let property;
+
+    if (schemaType.instance === 'Embedded') {
+      property = toJsonSchema(schemaType.schema);
+    } else if (schemaType.instance === 'Array' && schemaType.schema) {
+      property = { type: 'array', items: toJsonSchema(schemaType.schema) };
+    } else if (schemaType.instance === 'Array') {
+      const caster = schemaType.caster || {};
+      property = { type: 'array', items: scalarSchema(caster.instance) };
+      if (caster.isRequired) {
+        property.minItems = 1;
+      }
+      if (caster.instance === 'String') {
+        property.items.minLength = 1;
+      }
+    } else {
+      property = scalarSchema(schemaType.instance);
+      if (schemaType.isRequired && schemaType.instance === 'String') {
+        property.minLength = 1;
+      }
+    }
+
+    properties[path] = property;
+
+    if (schemaType.isRequired) {
+      required.push(path);
+    }
+  }
+
+  return { type: 'object', properties: properties, required: required };
+}
+
+// JSON schema for the analysis the LLM must return, derived from toolSchema
+function buildAnalysisSchema() {
+  const schema = toJsonSchema(Tool.schema, SYSTEM_FIELDS);
+
+  for (const field of ANALYSIS_REQUIRED) {
+    if (!schema.required.includes(field)) {
+      schema.required.push(field);
+    }
+  }
+
+  schema.properties.slug.pattern = SLUG_PATTERN;
+  schema.properties.website.pattern = '^https?://';
+
+  return schema;
+}
+
+const analysisSchema = buildAnalysisSchema();
+const ajv = new Ajv({ allErrors: true });
+const validate = ajv.compile(analysisSchema);
+
+// Validates a parsed analysis and returns a list of readable error strings
+function validateAnalysis(analysis) {
+  if (validate(analysis)) {
+    return [];
+  }
+
+  return validate.errors.map(error => {
+    const location = error.instancePath || '(root)';
+    return `${location}: ${error.message}`;
+  });
+}
+
+module.exports = {
+  analysisSchema,
+  validateAnalysis,
+  toJsonSchema
+};
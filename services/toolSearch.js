@@ -0,0 +1,215 @@
+const mongoose = require('mongoose');
+const Tool = require('../models/Tool');
+const { TOOL_STATUS, parseToolStatus } = require('../models/toolStatus');
+const taxonomy = require('./taxonomy');
+
+const SORTS = ['relevance', 'newest', 'oldest', 'name'];
+const FACET_FIELDS = ['categories', 'integrations', 'company'];
+const MAX_LIMIT = 100;
+
+// Fields left out of search results
+const RESULT_PROJECTION = { __v: 0, website_key: 0, merged_website_keys: 0, name_key: 0 };
+
+function searchError(message, statusCode = 400) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+function splitList(value) {
+  return String(value).split(',').map(entry => entry.trim()).filter(Boolean);
+}
+
+// Condition on a category/integration field. With a taxonomy index each
+// value also matches its synonyms' canonical term and that term's children,
+// so ?categories=Image finds tools filed under Image Generation.
+function termCondition(filter, field, kind, values, matchAll, index) {
+  const alternatives = values.map(value => (index ? taxonomy.withDescendants(index, kind, value) : [value]));
+  
+  if (!matchAll) {
+    filter[field] = { $in: [...new Set(alternatives.flat())] };
+  } else if (!index) {
+    filter[field] = { $all: values };
+  } else {
+    filter.$and = (filter.$and || []).concat(alternatives.map(names => ({ [field]: { $in: names } })));
+  }
+}
+
+// Builds the $match filter from the query string. List filters accept
+// comma-separated values; ?match=all requires every listed category/integration.
+// `taxonomyIndex` (see services/taxonomy.js) widens category/integration filters.
+// Statuses other than published are only searched with includeUnpublished.
+function buildSearchFilter(query = {}, { taxonomyIndex, includeUnpublished = false } = {}) {
+  const filter = {};
+  const matchAll = query.match === 'all';
+  
+  if (query.q) {
+    filter.$text = { $search: String(query.q) };
+  }
+  if (query.categories) {
+    termCondition(filter, 'categories', 'category', splitList(query.categories), matchAll, taxonomyIndex);
+  }
+  if (query.integrations) {
+    termCondition(filter, 'integrations', 'integration', splitList(query.integrations), matchAll, taxonomyIndex);
+  }
+  if (query.company) {
+    filter.company = { $in: splitList(query.company) };
+  }
+  // Public by default: only published tools unless other statuses are asked for
+  if (query.status === undefined || query.status === '') {
+    filter.status = TOOL_STATUS.PUBLISHED;
+  } else if (query.status === 'all') {
+    if (!includeUnpublished) {
+      throw searchError('Only editors can search unpublished tools', 403);
+    }
+  } else {
+    const statuses = splitList(query.status).map(parseToolStatus);
+    if (statuses.includes(null)) {
+      throw searchError(`Invalid status: ${query.status}`);
+    }
+    if (!includeUnpublished && statuses.some(status => status !== TOOL_STATUS.PUBLISHED)) {
+      throw searchError('Only editors can search unpublished tools', 403);
+    }
+    filter.status = { $in: statuses };
+  }
+  
+  return filter;
+}
+
+// Sort spec plus the fields a cursor has to remember to resume after a result
+function getSortSpec(sort) {
+  switch (sort) {
+    case 'relevance':
+      return { score: -1, _id: -1 };
+    case 'oldest':
+      return { processed_at: 1, _id: 1 };
+    case 'name':
+      return { name: 1, _id: 1 };
+    default:
+      return { processed_at: -1, _id: -1 };
+  }
+}
+
+function encodeCursor(doc, sortSpec) {
+  const values = {};
+  for (const field of Object.keys(sortSpec)) {
+    values[field] = doc[field] instanceof Date ? { $date: doc[field].toISOString() } : doc[field];
+  }
+  return Buffer.from(JSON.stringify(values)).toString('base64url');
+}
+
+function decodeCursor(cursor, sortSpec) {
+  let values;
+  try {
+    values = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch (error) {
+    throw searchError('Invalid cursor');
+  }
+  
+  for (const field of Object.keys(sortSpec)) {
+    if (!(field in values)) {
+      throw searchError('Cursor does not match the requested sort');
+    }
+    const value = values[field];
+    if (value && value.$date) {
+      values[field] = new Date(value.$date);
+    } else if (field === '_id') {
+      if (!mongoose.isValidObjectId(value)) {
+        throw searchError('Invalid cursor');
+      }
+      values[field] = new mongoose.Types.ObjectId(value);
+    }
+  }
+  return values;
+}
+
+// Keyset condition selecting documents strictly after the cursor position
+function afterCursor(values, sortSpec) {
+  const fields = Object.keys(sortSpec);
+  
+  return {
+    $or: fields.map((field, index) => {
+      const condition = {};
+      fields.slice(0, index).forEach(previous => {
+        condition[previous] = values[previous];
+      });
+      condition[field] = { [sortSpec[field] === 1 ? '$gt' : '$lt']: values[field] };
+      return condition;
+    })
+  };
+}
+
+// Searches tools. Returns { data, next_cursor, facets }.
+// options.includeUnpublished: let ?status= ask for unpublished tools
+async function searchTools(query = {}, { includeUnpublished = false } = {}) {
+  const sort = query.sort || (query.q ? 'relevance' : 'newest');
+  if (!SORTS.includes(sort)) {
+    throw searchError(`sort must be one of ${SORTS.join(', ')}`);
+  }
+  if (sort === 'relevance' && !query.q) {
+    throw searchError('sort=relevance requires a q search term');
+  }
+  
+  const limit = Math.min(Math.max(parseInt(query.limit) || 20, 1), MAX_LIMIT);
+  const filter = buildSearchFilter(query, {
+    taxonomyIndex: await taxonomy.getIndex(),
+    includeUnpublished: includeUnpublished
+  });
+  const sortSpec = getSortSpec(sort);
+  
+  const pipeline = [{ $match: filter }];
+  if (query.q) {
+    pipeline.push({ $addFields: { score: { $meta: 'textScore' } } });
+  }
+  if (query.cursor) {
+    pipeline.push({ $match: afterCursor(decodeCursor(query.cursor, sortSpec), sortSpec) });
+  }
+  pipeline.push(
+    { $sort: sortSpec },
+    { $limit: limit + 1 },
+    { $project: RESULT_PROJECTION }
+  );
+  
+  const [docs, facets] = await Promise.all([
+    Tool.aggregate(pipeline),
+    query.facets === 'false' ? null : getFacets(filter, parseInt(query.facet_limit) || 20)
+  ]);
+  
+  const hasMore = docs.length > limit;
+  const data = hasMore ? docs.slice(0, limit) : docs;
+  
+  return {
+    data: data,
+    next_cursor: hasMore ? encodeCursor(data[data.length - 1], sortSpec) : null,
+    facets: facets
+  };
+}
+
+// Counts per category, integration and company over the filtered tools
+async function getFacets(filter, limit) {
+  const facetStage = {};
+  
+  for (const field of FACET_FIELDS) {
+    const stages = [];
+    if (field !== 'company') {
+      stages.push({ $unwind: `$${field}` });
+    }
+    stages.push(
+      { $match: { [field]: { $nin: [null, ''] } } },
+      { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } },
+      { $limit: limit },
+      { $project: { _id: 0, value: '$_id', count: 1 } }
+    );
+    facetStage[field] = stages;
+  }
+  
+  const [facets] = await Tool.aggregate([{ $match: filter }, { $facet: facetStage }]);
+  return facets;
+}
+
+module.exports = {
+  SORTS,
+  buildSearchFilter,
+  searchTools
+};
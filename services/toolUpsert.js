@@ -0,0 +1,233 @@
+const Tool = require('../models/Tool');
+const { TOOL_STATUS } = require('../models/toolStatus');
+const { slugify, normalizeWebsite, normalizeName } = require('./normalize');
+const revisions = require('./revisions');
+
+// What a reprocess may do to each field of an existing tool:
+//   overwrite - replace with the new analysis
+//   fill      - only set when the existing value is empty
+//   union     - merge arrays, keeping existing entries first
+//   keep      - never change once set
+const DEFAULT_MERGE_POLICY = Object.freeze({
+  name: 'fill',
+  slug: 'keep',
+  website: 'fill',
+  tagline: 'overwrite',
+  description: 'overwrite',
+  company: 'fill',
+  longDescription: 'overwrite',
+  categories: 'union',
+  features: 'overwrite',
+  integrations: 'union',
+  prosCons: 'overwrite',
+  useCases: 'overwrite',
+  logo_url: 'fill'
+});
+
+const MERGE_STRATEGIES = ['overwrite', 'fill', 'union', 'keep'];
+
+// Attempts at finding a free slug before giving up on a race
+const MAX_SLUG_ATTEMPTS = 5;
+
+// Slugs taken by routes under /tools (GET /tools/statuses), never given to a tool
+const RESERVED_SLUGS = ['statuses'];
+
+function isEmpty(value) {
+  if (Array.isArray(value)) {
+    return value.length === 0;
+  }
+  if (value && typeof value === 'object') {
+    return Object.keys(value).length === 0;
+  }
+  return value === undefined || value === null || value === '';
+}
+
+// Throws a 400-style error for unknown fields or strategies
+function validateMergePolicy(policy) {
+  for (const [field, strategy] of Object.entries(policy || {})) {
+    if (!Object.prototype.hasOwnProperty.call(DEFAULT_MERGE_POLICY, field)) {
+      const error = new Error(`Merge policy field not supported: ${field}`);
+      error.statusCode = 400;
+      throw error;
+    }
+    if (!MERGE_STRATEGIES.includes(strategy)) {
+      const error = new Error(`Unknown merge strategy "${strategy}" for ${field}`);
+      error.statusCode = 400;
+      throw error;
+    }
+  }
+}
+
+// Applies `incoming` onto `tool` according to `policy`; returns changed fields
+function mergeInto(tool, incoming, policy) {
+  const changed = [];
+  
+  for (const [field, strategy] of Object.entries(policy)) {
+    const next = incoming[field];
+    const current = tool.get(field);
+    
+    if (isEmpty(next) || (strategy === 'keep' && !isEmpty(current))) {
+      continue;
+    }
+    
+    if (strategy === 'overwrite' || isEmpty(current)) {
+      tool.set(field, next);
+    } else if (strategy === 'union' && Array.isArray(current) && Array.isArray(next)) {
+      const merged = [...current];
+      for (const value of next) {
+        if (!merged.some(existing => String(existing).toLowerCase() === String(value).toLowerCase())) {
+          merged.push(value);
+        }
+      }
+      tool.set(field, merged);
+    }
+    
+    if (tool.isModified(field)) {
+      changed.push(field);
+    }
+  }
+  
+  return changed;
+}
+
+// Returns `base` if free, otherwise the first free `base-2`, `base-3`, ...
+async function generateUniqueSlug(base, excludeId) {
+  const root = base || 'tool';
+  const taken = await Tool.find(
+    { slug: new RegExp(`^${root}(-\\d+)?$`) },
+    { slug: 1 }
+  ).lean();
+  
+  const used = new Set(
+    taken
+      .filter(doc => !excludeId || !doc._id.equals(excludeId))
+      .map(doc => doc.slug)
+      .concat(RESERVED_SLUGS)
+  );
+  
+  if (!used.has(root)) {
+    return root;
+  }
+  
+  let suffix = 2;
+  while (used.has(`${root}-${suffix}`)) {
+    suffix++;
+  }
+  return `${root}-${suffix}`;
+}
+
+function isDuplicateKeyError(error, field) {
+  return Boolean(error && error.code === 11000 && error.keyPattern && error.keyPattern[field]);
+}
+
+// Finds the tool a raw item maps to: first by raw item id, then by website
+async function findExistingTool(originalId, websiteKey) {
+  if (originalId) {
+    const byOriginal = await Tool.findOne({
+      $or: [{ original_id: originalId }, { original_ids: originalId }]
+    });
+    if (byOriginal) {
+      return byOriginal;
+    }
+  }
+  
+  if (websiteKey) {
+    return Tool.findOne({ $or: [{ website_key: websiteKey }, { merged_website_keys: websiteKey }] });
+  }
+  
+  return null;
+}
+
+// Merges an analysis into a tool that already exists
+async function updateExistingTool(existing, incoming, { originalId, logo, policy, source, websiteKey }) {
+  const before = revisions.snapshotOf(existing);
+  const changedFields = mergeInto(existing, incoming, policy);
+  
+  if (!existing.website_key) {
+    existing.website_key = normalizeWebsite(existing.website) || websiteKey;
+  }
+  existing.name_key = normalizeName(existing.name);
+  if (originalId) {
+    existing.original_ids.addToSet(originalId);
+    if (!existing.original_id) {
+      existing.original_id = originalId;
+    }
+  }
+  if (logo && existing.logo_url === logo.source_url) {
+    existing.logo = logo;
+  }
+  if (source.prompt_version) {
+    existing.prompt_version = source.prompt_version;
+  }
+  existing.processed_at = new Date();
+  
+  await existing.save();
+  if (changedFields.length > 0) {
+    await revisions.recordRevision(existing, source, { before: before, changedFields: changedFields });
+  }
+  return { tool: existing, created: false, changedFields: changedFields };
+}
+
+// Creates or updates the Tool for an analysis. Reprocessing the same raw item
+// or another raw item for the same website updates the existing tool according
+// to the merge policy instead of failing on the unique slug or website.
+// Every content change is stored as a revision tagged with `revisionSource`.
+// `logo` is the stored copy of `logoUrl` and is kept only while logo_url points at it.
+// Returns { tool, created, changedFields }.
+async function upsertTool(analysis, { originalId, logoUrl, logo, mergePolicy, revisionSource } = {}) {
+  const source = revisionSource || { type: 'analysis' };
+  const policy = { ...DEFAULT_MERGE_POLICY, ...(mergePolicy || {}) };
+  const incoming = { ...analysis, logo_url: logoUrl };
+  const websiteKey = normalizeWebsite(analysis.website);
+  const updateOptions = { originalId, logo, policy, source, websiteKey };
+  const existing = await findExistingTool(originalId, websiteKey);
+  
+  if (existing) {
+    return updateExistingTool(existing, incoming, updateOptions);
+  }
+  
+  const baseSlug = slugify(analysis.name) || slugify(analysis.slug);
+  
+  for (let attempt = 1; attempt <= MAX_SLUG_ATTEMPTS; attempt++) {
+    const tool = new Tool({
+      ...incoming,
+      logo: logo || undefined,
+      slug: await generateUniqueSlug(baseSlug),
+      website_key: websiteKey,
+      name_key: normalizeName(analysis.name),
+      status: TOOL_STATUS.DRAFT,
+      prompt_version: source.prompt_version,
+      processed_at: new Date(),
+      original_id: originalId,
+      original_ids: originalId ? [originalId] : []
+    });
+    
+    try {
+      await tool.save();
+      await revisions.recordRevision(tool, source);
+      return { tool: tool, created: true, changedFields: Object.keys(policy) };
+    } catch (error) {
+      // Another worker created a tool for this website since the lookup
+      if (isDuplicateKeyError(error, 'website_key')) {
+        const winner = await Tool.findOne({ website_key: websiteKey });
+        if (winner) {
+          return updateExistingTool(winner, incoming, updateOptions);
+        }
+      }
+      // Another worker took the slug between the lookup and the insert
+      if (!isDuplicateKeyError(error, 'slug') || attempt === MAX_SLUG_ATTEMPTS) {
+        throw error;
+      }
+    }
+  }
+}
+
+module.exports = {
+  upsertTool,
+  mergeInto,
+  generateUniqueSlug,
+  RESERVED_SLUGS,
+  isDuplicateKeyError,
+  validateMergePolicy,
+  DEFAULT_MERGE_POLICY
+};
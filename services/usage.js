@@ -0,0 +1,239 @@
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const LlmCall = require('../models/LlmCall');
+const logger = require('./logger');
+const metrics = require('./metrics');
+
+const PRICES_FILE = process.env.LLM_PRICES_FILE ||
+  path.join(__dirname, '..', 'config', 'llm-prices.json');
+
+// Daily spend cap in USD (UTC days); scheduled processing pauses once reached.
+// Unset or 0 means no cap.
+const DAILY_BUDGET_USD = parseFloat(process.env.LLM_DAILY_BUDGET_USD) || 0;
+
+const GROUPINGS = ['day', 'model', 'provider', 'job', 'purpose'];
+
+let prices = null;
+
+function usageError(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+function getPrices() {
+  if (!prices) {
+    prices = JSON.parse(fs.readFileSync(PRICES_FILE, 'utf8')).models || {};
+  }
+  return prices;
+}
+
+// Price entry for a model: exact name, else the longest listed prefix
+// (so dated snapshots like gpt-4o-2024-08-06 use the gpt-4o price)
+function priceFor(model) {
+  const table = getPrices();
+  if (!model) {
+    return null;
+  }
+  if (table[model]) {
+    return table[model];
+  }
+  
+  const prefix = Object.keys(table)
+    .filter(name => model.startsWith(`${name}-`))
+    .sort((a, b) => b.length - a.length)[0];
+  
+  return prefix ? table[prefix] : null;
+}
+
+// { prompt_tokens, completion_tokens, total_tokens, cost_usd, priced }
+function computeCost(model, usage) {
+  const promptTokens = (usage && usage.prompt_tokens) || 0;
+  const completionTokens = (usage && usage.completion_tokens) || 0;
+  const price = priceFor(model);
+  
+  return {
+    prompt_tokens: promptTokens,
+    completion_tokens: completionTokens,
+    total_tokens: (usage && usage.total_tokens) || promptTokens + completionTokens,
+    cost_usd: price ? (promptTokens * price.input + completionTokens * price.output) / 1e6 : 0,
+    priced: Boolean(price)
+  };
+}
+
+// Stores one provider call. Accounting must never fail an analysis, so
+// errors are only logged.
+async function recordCall({ provider, model, usage, latencyMs, attempt, success = true, error, context = {} }) {
+  const cost = computeCost(model, usage);
+  
+  metrics.recordLlmCall({
+    provider: provider,
+    model: model,
+    latencyMs: latencyMs,
+    success: success,
+    promptTokens: cost.prompt_tokens,
+    completionTokens: cost.completion_tokens,
+    costUsd: cost.cost_usd
+  });
+  
+  logger.info('LLM call', {
+    provider: provider,
+    model: model,
+    attempt: attempt,
+    success: success,
+    latency_ms: latencyMs,
+    prompt_tokens: cost.prompt_tokens,
+    completion_tokens: cost.completion_tokens,
+    cost_usd: cost.cost_usd
+  });
+  
+  if (!cost.priced && success) {
+    logger.warn('No price for model; add it to the price table', { model: model, prices_file: path.basename(PRICES_FILE) });
+  }
+  
+  if (mongoose.connection.readyState !== 1) {
+    return;
+  }
+  
+  try {
+    await LlmCall.create({
+      provider: provider,
+      model: model,
+      purpose: context.purpose,
+      prompt_version: context.prompt_version,
+      job_id: context.job_id,
+      raw_id: context.raw_id,
+      tool_name: context.tool_name,
+      attempt: attempt,
+      ...cost,
+      latency_ms: latencyMs,
+      success: success,
+      error_message: error ? error.message : undefined
+    });
+  } catch (recordError) {
+    logger.error('Failed to record LLM usage', recordError);
+  }
+}
+
+function parseDate(value, name) {
+  if (!value) {
+    return null;
+  }
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw usageError(`${name} must be a date`);
+  }
+  return date;
+}
+
+// Query filter for calls: { from, to, job_id, model, provider, purpose }
+function buildUsageFilter(query = {}) {
+  const filter = {};
+  const from = parseDate(query.from, 'from');
+  const to = parseDate(query.to, 'to');
+  
+  if (from || to) {
+    filter.created_at = {};
+    if (from) {
+      filter.created_at.$gte = from;
+    }
+    if (to) {
+      filter.created_at.$lt = to;
+    }
+  }
+  if (query.job_id) {
+    if (!mongoose.isValidObjectId(query.job_id)) {
+      throw usageError('job_id must be a valid ObjectId');
+    }
+    filter.job_id = new mongoose.Types.ObjectId(String(query.job_id));
+  }
+  for (const field of ['model', 'provider', 'purpose']) {
+    if (query[field]) {
+      filter[field] = String(query[field]);
+    }
+  }
+  
+  return filter;
+}
+
+const GROUP_KEYS = {
+  day: { $dateToString: { format: '%Y-%m-%d', date: '$created_at' } },
+  model: '$model',
+  provider: '$provider',
+  job: '$job_id',
+  purpose: '$purpose'
+};
+
+// Token and cost totals grouped by day, model, provider, job or purpose
+async function aggregateUsage(query = {}) {
+  const groupBy = query.group_by || 'day';
+  if (!GROUPINGS.includes(groupBy)) {
+    throw usageError(`group_by must be one of: ${GROUPINGS.join(', ')}`);
+  }
+  
+  const rows = await LlmCall.aggregate([
+    { $match: buildUsageFilter(query) },
+    {
+      $group: {
+        _id: GROUP_KEYS[groupBy],
+        calls: { $sum: 1 },
+        retries: { $sum: { $cond: [{ $gt: ['$attempt', 1] }, 1, 0] } },
+        failed: { $sum: { $cond: ['$success', 0, 1] } },
+        prompt_tokens: { $sum: '$prompt_tokens' },
+        completion_tokens: { $sum: '$completion_tokens' },
+        total_tokens: { $sum: '$total_tokens' },
+        cost_usd: { $sum: '$cost_usd' },
+        unpriced_calls: { $sum: { $cond: ['$priced', 0, 1] } },
+        avg_latency_ms: { $avg: '$latency_ms' }
+      }
+    },
+    { $sort: groupBy === 'day' ? { _id: -1 } : { cost_usd: -1 } }
+  ]);
+  
+  return rows.map(row => ({
+    [groupBy]: row._id,
+    calls: row.calls,
+    retries: row.retries,
+    failed: row.failed,
+    prompt_tokens: row.prompt_tokens,
+    completion_tokens: row.completion_tokens,
+    total_tokens: row.total_tokens,
+    cost_usd: Math.round(row.cost_usd * 1e6) / 1e6,
+    unpriced_calls: row.unpriced_calls,
+    avg_latency_ms: row.avg_latency_ms === null ? null : Math.round(row.avg_latency_ms)
+  }));
+}
+
+function startOfUtcDay(date = new Date()) {
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+}
+
+// Today's spend against the daily cap
+async function checkBudget() {
+  const since = startOfUtcDay();
+  const [row] = await LlmCall.aggregate([
+    { $match: { created_at: { $gte: since } } },
+    { $group: { _id: null, cost_usd: { $sum: '$cost_usd' } } }
+  ]);
+  const spent = row ? row.cost_usd : 0;
+  
+  return {
+    daily_limit_usd: DAILY_BUDGET_USD || null,
+    spent_today_usd: Math.round(spent * 1e6) / 1e6,
+    remaining_usd: DAILY_BUDGET_USD ? Math.max(0, Math.round((DAILY_BUDGET_USD - spent) * 1e6) / 1e6) : null,
+    exceeded: DAILY_BUDGET_USD > 0 && spent >= DAILY_BUDGET_USD,
+    resets_at: new Date(since.getTime() + 24 * 60 * 60 * 1000)
+  };
+}
+
+module.exports = {
+  GROUPINGS,
+  getPrices,
+  priceFor,
+  computeCost,
+  recordCall,
+  buildUsageFilter,
+  aggregateUsage,
+  checkBudget
+};
@@ -0,0 +1,465 @@
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const os = require('os');
+const mongoose = require('mongoose');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { STATUS_NAMES } = require('../models/toolStatus');
+const { getBackoffMs } = require('./retryPolicy');
+const { createAddressGuard } = require('./siteContent');
+const logger = require('./logger');
+
+// Events a webhook can subscribe to ("*" subscribes to all of them)
+const EVENTS = ['tool.processed', 'tool.failed', 'tool.updated', 'tool.deleted', 'batch.completed'];
+// Sent only by POST /webhooks/:id/test
+const TEST_EVENT = 'webhook.test';
+
+// Delivery configuration
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 8;
+const TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10 * 1000;
+const POLL_MS = parseInt(process.env.WEBHOOK_POLL_MS) || 5 * 1000;
+const USER_AGENT = process.env.WEBHOOK_USER_AGENT || 'AIToolAnalyzer-Webhooks/1.0';
+const RESPONSE_LOG_BYTES = 2048;
+const ATTEMPT_LOG_LIMIT = 10;
+// Receivers should reject signatures older than this
+const SIGNATURE_TOLERANCE_SECONDS = 5 * 60;
+
+const INSTANCE_ID = `${os.hostname()}:${process.pid}`;
+
+// Receivers on private addresses are refused like site fetches, so a webhook
+// cannot be pointed at this host or the internal network.
+// WEBHOOK_ALLOWED_ADDRESSES lists exceptions, e.g. "127.0.0.1,::1" for
+// cli/webhook-receiver.js
+const addressGuard = createAddressGuard('WEBHOOK_ALLOWED_ADDRESSES');
+
+let pollTimer = null;
+let draining = false;
+let drainAgain = false;
+
+function webhookError(message, statusCode = 400) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+function generateSecret() {
+  return `whsec_${crypto.randomBytes(24).toString('base64url')}`;
+}
+
+// Signature header value: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>">
+function signPayload(secret, timestamp, body) {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${digest}`;
+}
+
+// Checks an X-Webhook-Signature header against the raw request body, for
+// receivers (see cli/webhook-receiver.js)
+function verifySignature(secret, header, body, { toleranceSeconds = SIGNATURE_TOLERANCE_SECONDS, now = Date.now() } = {}) {
+  const parts = Object.fromEntries(String(header || '').split(',').map(part => part.split('=')));
+  const timestamp = parseInt(parts.t);
+  
+  if (!timestamp || !parts.v1 || Math.abs(now / 1000 - timestamp) > toleranceSeconds) {
+    return false;
+  }
+  
+  const expected = Buffer.from(signPayload(secret, timestamp, body).split('v1=')[1], 'hex');
+  const received = Buffer.from(parts.v1, 'hex');
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+function validateWebhook({ url, events }) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    throw webhookError('url must be an absolute http(s) URL');
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    throw webhookError('url must be an absolute http(s) URL');
+  }
+  if (addressGuard.checkUrl(parsed)) {
+    throw webhookError('url must not point at a private address');
+  }
+  
+  if (!Array.isArray(events) || events.length === 0) {
+    throw webhookError(`events must list at least one of: ${EVENTS.join(', ')} (or "*")`);
+  }
+  const unknown = events.filter(event => event !== '*' && !EVENTS.includes(event));
+  if (unknown.length > 0) {
+    throw webhookError(`Unknown events: ${unknown.join(', ')} (expected ${EVENTS.join(', ')} or "*")`);
+  }
+}
+
+// Creates a subscription. Returns the webhook with its secret, which is
+// generated unless one is given.
+async function createWebhook({ url, events, secret, description } = {}, { createdBy } = {}) {
+  validateWebhook({ url: url, events: events });
+  if (secret !== undefined && (typeof secret !== 'string' || secret.length < 16)) {
+    throw webhookError('secret must be at least 16 characters');
+  }
+  
+  const webhook = await Webhook.create({
+    url: url,
+    events: events,
+    secret: secret || generateSecret(),
+    description: description,
+    created_by: createdBy
+  });
+  return webhook;
+}
+
+// Changes url, events, description or active; rotate_secret issues a new secret
+async function updateWebhook(id, changes = {}) {
+  const webhook = await findWebhook(id);
+  const editable = ['url', 'events', 'description', 'active', 'rotate_secret'];
+  const unknown = Object.keys(changes).filter(key => !editable.includes(key));
+  
+  if (unknown.length > 0) {
+    throw webhookError(`Cannot change: ${unknown.join(', ')} (editable: ${editable.join(', ')})`);
+  }
+  if (changes.active !== undefined && typeof changes.active !== 'boolean') {
+    throw webhookError('active must be true or false');
+  }
+  validateWebhook({ url: changes.url || webhook.url, events: changes.events || webhook.events });
+  
+  for (const field of ['url', 'events', 'description', 'active']) {
+    if (changes[field] !== undefined) {
+      webhook[field] = changes[field];
+    }
+  }
+  if (changes.rotate_secret) {
+    webhook.secret = generateSecret();
+  }
+  
+  await webhook.save();
+  return webhook;
+}
+
+// Removes a subscription; deliveries still waiting for it are marked failed
+// and the delivery log is kept
+async function deleteWebhook(id) {
+  const webhook = await findWebhook(id);
+  
+  await Webhook.deleteOne({ _id: webhook._id });
+  await WebhookDelivery.updateMany(
+    { webhook_id: webhook._id, status: 'pending' },
+    { $set: { status: 'failed', last_error: 'Webhook was deleted' } }
+  );
+  
+  return webhook;
+}
+
+async function findWebhook(id, { withSecret = false } = {}) {
+  if (!mongoose.isValidObjectId(id)) {
+    throw webhookError('Invalid webhook id');
+  }
+  
+  const query = Webhook.findById(id);
+  const webhook = await (withSecret ? query.select('+secret') : query);
+  
+  if (!webhook) {
+    throw webhookError('Webhook not found', 404);
+  }
+  return webhook;
+}
+
+// Queues `event` for every active webhook subscribed to it. Never throws:
+// a webhook problem must not fail the processing that raised the event.
+async function emitEvent(event, data, { webhookIds } = {}) {
+  if (mongoose.connection.readyState !== 1) {
+    return;
+  }
+  
+  try {
+    const filter = webhookIds
+      ? { _id: { $in: webhookIds } }
+      : { active: true, events: { $in: [event, '*'] } };
+    const webhooks = await Webhook.find(filter).select('_id').lean();
+    
+    if (webhooks.length === 0) {
+      return;
+    }
+    
+    const payload = {
+      id: crypto.randomUUID(),
+      event: event,
+      created_at: new Date().toISOString(),
+      // Plain JSON, so the stored payload is exactly what gets sent
+      data: JSON.parse(JSON.stringify(data))
+    };
+    
+    await WebhookDelivery.insertMany(webhooks.map(webhook => ({
+      webhook_id: webhook._id,
+      event: event,
+      event_id: payload.id,
+      payload: payload
+    })));
+    
+    logger.debug('Webhook event queued', { event: event, event_id: payload.id, webhooks: webhooks.length });
+    kickDeliveries();
+  } catch (error) {
+    logger.error('Error queuing webhook event', { event: event, error: error });
+  }
+}
+
+// The fields of a tool that webhook payloads carry
+function toolSummary(tool) {
+  return {
+    id: tool._id,
+    slug: tool.slug,
+    name: tool.name,
+    website: tool.website,
+    status: tool.status,
+    status_name: STATUS_NAMES[tool.status] || null,
+    prompt_version: tool.prompt_version,
+    updated_at: tool.updatedAt
+  };
+}
+
+function postJson(url, body, headers) {
+  const target = new URL(url);
+  const client = target.protocol === 'https:' ? https : http;
+  
+  const blocked = addressGuard.checkUrl(target);
+  if (blocked) {
+    return Promise.reject(blocked);
+  }
+  
+  return new Promise((resolve, reject) => {
+    const req = client.request(target, {
+      method: 'POST',
+      lookup: addressGuard.lookup,
+      headers: {
+        ...headers,
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(body),
+        'User-Agent': USER_AGENT
+      }
+    }, res => {
+      const chunks = [];
+      let size = 0;
+      
+      res.on('data', chunk => {
+        if (size < RESPONSE_LOG_BYTES) {
+          chunks.push(chunk);
+          size += chunk.length;
+        }
+      });
+      res.on('end', () => {
+        clearTimeout(timer);
+        resolve({
+          statusCode: res.statusCode,
+          headers: res.headers,
+          body: Buffer.concat(chunks).toString('utf8').slice(0, RESPONSE_LOG_BYTES)
+        });
+      });
+      res.on('error', reject);
+    });
+    
+    const timer = setTimeout(() => {
+      const error = new Error(`Webhook receiver did not answer within ${TIMEOUT_MS}ms`);
+      error.code = 'ETIMEDOUT';
+      req.destroy(error);
+    }, TIMEOUT_MS);
+    
+    req.on('error', error => {
+      clearTimeout(timer);
+      reject(error);
+    });
+    req.end(body);
+  });
+}
+
+// Leases the next delivery that is due
+function claimNext() {
+  const now = new Date();
+  
+  return WebhookDelivery.findOneAndUpdate(
+    {
+      status: 'pending',
+      next_attempt_at: { $lte: now },
+      $or: [{ lease_expires_at: null }, { lease_expires_at: { $lt: now } }]
+    },
+    { $set: { lease_owner: INSTANCE_ID, lease_expires_at: new Date(now.getTime() + TIMEOUT_MS * 3) } },
+    { sort: { next_attempt_at: 1 }, new: true }
+  );
+}
+
+// Makes one attempt at a delivery and records the outcome: delivered on a
+// 2xx answer, otherwise retried with backoff until MAX_ATTEMPTS
+async function attemptDelivery(delivery) {
+  const webhook = await Webhook.findById(delivery.webhook_id).select('+secret');
+  const attempt = delivery.attempts + 1;
+  const startedAt = Date.now();
+  const entry = { at: new Date(startedAt) };
+  let response = null;
+  
+  if (!webhook || (!webhook.active && delivery.event !== TEST_EVENT)) {
+    entry.error = webhook ? 'Webhook is disabled' : 'Webhook was deleted';
+  } else {
+    const body = JSON.stringify(delivery.payload);
+    
+    try {
+      response = await postJson(webhook.url, body, {
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Event-Id': delivery.event_id,
+        'X-Webhook-Delivery': delivery._id.toString(),
+        'X-Webhook-Signature': signPayload(webhook.secret, Math.floor(Date.now() / 1000), body)
+      });
+      entry.status_code = response.statusCode;
+      if (response.statusCode < 200 || response.statusCode >= 300) {
+        entry.error = `Receiver answered ${response.statusCode}`;
+      }
+    } catch (error) {
+      entry.error = error.message;
+    }
+  }
+  entry.duration_ms = Date.now() - startedAt;
+  
+  const update = {
+    $set: {
+      attempts: attempt,
+      last_status_code: entry.status_code,
+      last_error: entry.error,
+      last_response: response ? response.body : undefined
+    },
+    $push: { attempt_log: { $each: [entry], $slice: -ATTEMPT_LOG_LIMIT } },
+    $unset: { lease_owner: '', lease_expires_at: '' }
+  };
+  
+  if (!entry.error) {
+    update.$set.status = 'delivered';
+    update.$set.delivered_at = new Date();
+  } else if (!webhook || attempt >= MAX_ATTEMPTS || (!webhook.active && delivery.event !== TEST_EVENT)) {
+    update.$set.status = 'failed';
+  } else {
+    // A receiver's Retry-After is honoured like a provider's
+    update.$set.next_attempt_at = new Date(Date.now() + getBackoffMs(attempt, response));
+  }
+  
+  await WebhookDelivery.updateOne({ _id: delivery._id }, update);
+  
+  const fields = {
+    delivery_id: delivery._id,
+    webhook_id: delivery.webhook_id,
+    event: delivery.event,
+    attempt: attempt,
+    status_code: entry.status_code,
+    duration_ms: entry.duration_ms
+  };
+  if (!entry.error) {
+    logger.info('Webhook delivered', fields);
+  } else {
+    logger.warn(update.$set.status === 'failed' ? 'Webhook delivery failed' : 'Webhook delivery will be retried', {
+      ...fields,
+      error: entry.error,
+      next_attempt_at: update.$set.next_attempt_at
+    });
+  }
+}
+
+// Sends every due delivery, one at a time
+async function drainDeliveries() {
+  if (draining) {
+    drainAgain = true;
+    return;
+  }
+  draining = true;
+  
+  try {
+    do {
+      drainAgain = false;
+      let delivery;
+      while ((delivery = await claimNext())) {
+        await attemptDelivery(delivery);
+      }
+    } while (drainAgain);
+  } catch (error) {
+    logger.error('Error delivering webhooks', error);
+  } finally {
+    draining = false;
+  }
+}
+
+// Starts delivering straight away rather than at the next poll
+function kickDeliveries() {
+  if (pollTimer) {
+    setImmediate(drainDeliveries);
+  }
+}
+
+function startDeliveryWorker() {
+  if (!pollTimer) {
+    pollTimer = setInterval(() => {
+      if (mongoose.connection.readyState === 1) {
+        drainDeliveries();
+      }
+    }, POLL_MS);
+    pollTimer.unref();
+    kickDeliveries();
+  }
+}
+
+function stopDeliveryWorker() {
+  if (pollTimer) {
+    clearInterval(pollTimer);
+    pollTimer = null;
+  }
+}
+
+// Queues the same payload (same event id) to the same webhook again
+async function replayDelivery(id) {
+  if (!mongoose.isValidObjectId(id)) {
+    throw webhookError('Invalid delivery id');
+  }
+  
+  const original = await WebhookDelivery.findById(id);
+  if (!original) {
+    throw webhookError('Delivery not found', 404);
+  }
+  if (!(await Webhook.exists({ _id: original.webhook_id }))) {
+    throw webhookError('The webhook for this delivery was deleted', 410);
+  }
+  
+  const replay = await WebhookDelivery.create({
+    webhook_id: original.webhook_id,
+    event: original.event,
+    event_id: original.event_id,
+    payload: original.payload,
+    replay_of: original._id
+  });
+  
+  kickDeliveries();
+  return replay;
+}
+
+// Sends a webhook.test event to one webhook, even while it is disabled
+async function sendTestEvent(id) {
+  const webhook = await findWebhook(id);
+  
+  await emitEvent(TEST_EVENT, {
+    webhook_id: webhook._id,
+    message: 'Test event from the AI tool pipeline'
+  }, { webhookIds: [webhook._id] });
+  
+  return WebhookDelivery.findOne({ webhook_id: webhook._id, event: TEST_EVENT }).sort({ created_at: -1 });
+}
+
+module.exports = {
+  EVENTS,
+  TEST_EVENT,
+  signPayload,
+  verifySignature,
+  createWebhook,
+  updateWebhook,
+  deleteWebhook,
+  findWebhook,
+  emitEvent,
+  toolSummary,
+  replayDelivery,
+  sendTestEvent,
+  drainDeliveries,
+  startDeliveryWorker,
+  stopDeliveryWorker
+};
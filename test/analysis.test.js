@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const providers = require('../providers');
+const { getAIAnalysis, parseAnalysis, stripCodeFences, AnalysisValidationError } = require('../services/analysis');
+
+// A template built here so the tests never need Mongo
+const template = {
+  name: 'tool-analysis',
+  version: 'test',
+  system: 'Return JSON only.',
+  user: 'Tool Name: {{toolName}}\nApp URL: {{appUrl}}',
+  temperature: 0,
+  max_tokens: 500
+};
+
+function analyze(provider) {
+  return getAIAnalysis('Foo Writer', 'https://foo.ai', provider, {
+    template: template,
+    taxonomyMode: 'off',
+    maxAttempts: 2
+  });
+}
+
+test('the mock provider is built in and unknown providers are refused', () => {
+  assert.ok(providers.hasProvider('mock'));
+  assert.strictEqual(providers.getProvider('mock').name, 'mock');
+  assert.throws(() => providers.getProvider('nope'), /Unknown LLM provider: nope/);
+});
+
+test('getAIAnalysis runs offline against the mock provider', async () => {
+  const analysis = await analyze(providers.getProvider('mock'));
+  
+  assert.strictEqual(analysis.name, 'Foo Writer');
+  assert.strictEqual(analysis.website, 'https://foo.ai');
+  assert.ok(analysis.categories.length > 0);
+});
+
+test('invalid output is sent back for repair', async () => {
+  const replies = [];
+  const provider = providers.createMockProvider({
+    name: 'repairing',
+    handler: messages => {
+      replies.push(messages.length);
+      if (replies.length === 1) {
+        return '{"name": "Foo Writer"}';
+      }
+      return providers.getProvider('mock').complete({ messages: messages.slice(0, 2) }).then(response => response.content);
+    }
+  });
+  
+  const analysis = await analyze(provider);
+  
+  assert.strictEqual(analysis.name, 'Foo Writer');
+  // The repair call carries the bad answer and the validation errors
+  assert.deepStrictEqual(replies, [2, 4]);
+});
+
+test('output that never validates raises AnalysisValidationError', async () => {
+  const provider = providers.createMockProvider({ name: 'broken', handler: () => 'not json' });
+  
+  await assert.rejects(analyze(provider), error => {
+    assert.ok(error instanceof AnalysisValidationError);
+    assert.strictEqual(error.attempts, 2);
+    assert.strictEqual(error.rawContent, 'not json');
+    return true;
+  });
+});
+
+test('parseAnalysis strips code fences and reports schema errors', () => {
+  assert.strictEqual(stripCodeFences('```json\n{"a": 1}\n```'), '{"a": 1}');
+  assert.match(parseAnalysis('[]').errors[0], /single JSON object/);
+  assert.ok(parseAnalysis('{"name": "x"}').errors.length > 0);
+});
@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { matchRule, hasRole, requestHasRole } = require('../services/auth');
+
+test('admin-only paths need admin whatever their case', () => {
+  for (const path of ['/api-keys', '/API-KEYS', '/Api-Keys/', '/Audit-Log', '/AUDIT-LOG/', '/Webhooks', '/WEBHOOKS/abc/deliveries']) {
+    assert.strictEqual(matchRule('GET', path).role, 'admin', path);
+  }
+  assert.strictEqual(matchRule('PUT', '/Settings').role, 'admin');
+});
+
+test('write rules match mixed-case paths too', () => {
+  assert.strictEqual(matchRule('POST', '/Process-Raw-Data').action, 'process.run');
+  assert.strictEqual(matchRule('PATCH', '/TOOLS/foo').action, 'tool.update');
+  assert.strictEqual(matchRule('DELETE', '/Taxonomy/abc').role, 'editor');
+});
+
+test('unlisted routes default to reader for GET and admin otherwise', () => {
+  assert.strictEqual(matchRule('GET', '/tools').role, 'reader');
+  assert.strictEqual(matchRule('HEAD', '/tools').role, 'reader');
+  assert.strictEqual(matchRule('POST', '/something-new').role, 'admin');
+  assert.strictEqual(matchRule('GET', '/HEALTH').public, true);
+});
+
+test('roles include the ones below them', () => {
+  assert.ok(hasRole('admin', 'reader'));
+  assert.ok(hasRole('operator', 'editor'));
+  assert.ok(!hasRole('editor', 'operator'));
+  assert.ok(!hasRole('reader', 'admin'));
+});
+
+test('requests carry the role of their API key', () => {
+  assert.ok(requestHasRole({ apiKey: { role: 'editor' } }, 'editor'));
+  assert.ok(requestHasRole({ apiKey: { role: 'admin' } }, 'editor'));
+  assert.ok(!requestHasRole({ apiKey: { role: 'reader' } }, 'editor'));
+  assert.ok(!requestHasRole({}, 'reader'));
+});
@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { mock } = require('node:test');
+const Tool = require('../models/Tool');
+const db = require('../db');
+const revisions = require('../services/revisions');
+const webhooks = require('../services/webhooks');
+
+// services/dedup.js keeps its own reference, so stub before requiring it
+mock.method(db, 'getRawCollection', () => ({ updateMany: async () => null }));
+
+const dedup = require('../services/dedup');
+
+const existing = { _id: 'tool-1', name: 'Foo Writer', slug: 'foo-writer', website: 'https://foo.ai/writer', website_key: 'foo.ai/writer' };
+
+// Serves Tool.findOne from `tools` by website_key (the exact page, which also
+// matches merged websites, or a domain regex) and returns no name matches
+function stubTools(t, tools) {
+  t.mock.method(Tool, 'findOne', async filter => {
+    if (filter.$or) {
+      const key = filter.$or[0].website_key;
+      return tools.find(tool => tool.website_key === key || (tool.merged_website_keys || []).includes(key)) || null;
+    }
+    return tools.find(tool => new RegExp(filter.website_key.$regex).test(tool.website_key)) || null;
+  });
+  t.mock.method(Tool, 'find', () => ({
+    limit: () => ({ lean: async () => [] })
+  }));
+}
+
+test('the same website page is an exact duplicate', async t => {
+  stubTools(t, [existing]);
+  
+  const result = await dedup.checkRawItem('Something Else', 'https://www.foo.ai/writer/');
+  
+  assert.strictEqual(result.type, 'exact');
+  assert.strictEqual(result.tool.slug, 'foo-writer');
+});
+
+test('another page on the same domain is only a possible duplicate', async t => {
+  stubTools(t, [existing]);
+  
+  const result = await dedup.checkRawItem('Foo Images', 'https://foo.ai/images');
+  
+  assert.strictEqual(result.type, 'possible');
+  assert.strictEqual(result.candidates.length, 1);
+  assert.strictEqual(result.candidates[0].tool.slug, 'foo-writer');
+});
+
+test('shared hosts never match on the domain alone', async t => {
+  stubTools(t, [{ ...existing, website_key: 'github.com/foo/writer' }]);
+  
+  assert.strictEqual(await dedup.checkRawItem('Bar', 'https://github.com/bar/tool'), null);
+});
+
+test('the website of a merged duplicate still finds the tool it was merged into', async t => {
+  stubTools(t, [{ ...existing, merged_website_keys: ['foowriter.com'] }]);
+  
+  const result = await dedup.checkRawItem('Foo Writer', 'https://www.foowriter.com');
+  
+  assert.strictEqual(result.type, 'exact');
+  assert.strictEqual(result.tool.slug, 'foo-writer');
+});
+
+test('merging keeps the website keys of the merged tools', async t => {
+  const target = new Tool({ name: 'Foo Writer', slug: 'foo-writer', website: 'https://foo.ai/writer', website_key: 'foo.ai/writer' });
+  const source = new Tool({
+    name: 'FooWriter',
+    slug: 'foowriter',
+    website: 'https://foowriter.com',
+    website_key: 'foowriter.com',
+    merged_website_keys: ['old-foowriter.com']
+  });
+  t.mock.method(Tool, 'findById', async () => target);
+  t.mock.method(Tool, 'find', async () => [source]);
+  t.mock.method(Tool, 'deleteMany', async () => null);
+  t.mock.method(target, 'save', async () => target);
+  t.mock.method(revisions, 'recordRevision', async () => null);
+  t.mock.method(webhooks, 'emitEvent', async () => null);
+  
+  await dedup.mergeTools(target._id, [source._id]);
+  
+  assert.deepStrictEqual([...target.merged_website_keys], ['foowriter.com', 'old-foowriter.com']);
+  assert.deepStrictEqual([...target.merged_slugs], ['foowriter']);
+});
@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { mock } = require('node:test');
+const db = require('../db');
+
+// services/failures.js keeps its own reference, so stub before requiring it
+const updates = [];
+mock.method(db, 'getRawCollection', () => ({
+  updateMany: async (filter, update) => {
+    updates.push({ filter, update });
+    return { modifiedCount: 1 };
+  }
+}));
+
+const { requeueFailures } = require('../services/failures');
+
+test('requeue limits itself to the given ids', async () => {
+  const id = '64b7f0c2a1b2c3d4e5f60718';
+  
+  await requeueFailures({ state: 'dead_letter', ids: [id] });
+  
+  const { filter } = updates.pop();
+  assert.deepStrictEqual(filter._id.$in.map(String), [id]);
+});
+
+test('requeue refuses ids that are not a list of item ids', async () => {
+  for (const ids of ['64b7f0c2a1b2c3d4e5f60718', { $ne: null }, ['not-an-id'], null]) {
+    await assert.rejects(requeueFailures({ ids }), error => error.statusCode === 400);
+  }
+  assert.strictEqual(updates.length, 0);
+});
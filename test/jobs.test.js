@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const Job = require('../models/Job');
+const queue = require('../services/queue');
+const webhooks = require('../services/webhooks');
+const jobs = require('../services/jobs');
+
+test('a job whose setup fails is marked failed instead of rejecting', async t => {
+  const created = new Job({ _id: new mongoose.Types.ObjectId(), trigger: 'api' });
+  const updates = [];
+  
+  t.mock.method(Job, 'create', async () => created);
+  t.mock.method(queue, 'countPending', async () => {
+    throw new Error('database unavailable');
+  });
+  t.mock.method(Job, 'findByIdAndUpdate', async (id, update) => {
+    updates.push(update.$set);
+    return new Job({ ...created.toObject(), ...update.$set });
+  });
+  t.mock.method(webhooks, 'emitEvent', async () => null);
+  
+  const { done } = await jobs.startJob({});
+  const finished = await done;
+  
+  assert.strictEqual(finished.status, 'failed');
+  assert.strictEqual(finished.error_message, 'database unavailable');
+  assert.deepStrictEqual(updates.map(update => update.status), ['failed']);
+});
+
+test('a second refresh job is refused while the first is still being created', async t => {
+  const refresh = require('../services/refresh');
+  const created = new Job({ _id: new mongoose.Types.ObjectId(), type: 'refresh', trigger: 'api' });
+  let finishCreate;
+  
+  t.mock.method(Job, 'create', () => new Promise(resolve => {
+    finishCreate = () => resolve(created);
+  }));
+  t.mock.method(Job, 'findByIdAndUpdate', async (id, update) => new Job({ ...created.toObject(), ...update.$set }));
+  t.mock.method(refresh, 'runRefresh', async () => ({ _id: new mongoose.Types.ObjectId() }));
+  
+  const first = jobs.startRefreshJob({});
+  await assert.rejects(jobs.startRefreshJob({}), error => error.statusCode === 409);
+  
+  finishCreate();
+  const { done } = await first;
+  await done;
+  
+  assert.strictEqual(refresh.isRunning(), false);
+});
+
+test('the event stream ends for a job that finished while it was being opened', async t => {
+  const express = require('express');
+  const http = require('http');
+  const jobRoutes = require('../routes/jobs');
+  const id = new mongoose.Types.ObjectId();
+  const running = new Job({ _id: id, status: 'running', total: 2, processed: 1, instance_id: queue.INSTANCE_ID });
+  const completed = new Job({ _id: id, status: 'completed', total: 2, processed: 2, instance_id: queue.INSTANCE_ID });
+  const loaded = [running, completed];
+  t.mock.method(Job, 'findById', async () => loaded.shift());
+  
+  const app = express();
+  app.use('/jobs', jobRoutes);
+  const server = app.listen(0, '127.0.0.1');
+  t.after(() => server.close());
+  await new Promise(resolve => server.once('listening', resolve));
+  
+  const body = await new Promise((resolve, reject) => {
+    const req = http.get(`http://127.0.0.1:${server.address().port}/jobs/${id}/events`, res => {
+      let text = '';
+      res.on('data', chunk => {
+        text += chunk;
+      });
+      res.on('end', () => resolve(text));
+    });
+    req.on('error', reject);
+    req.setTimeout(2000, () => req.destroy(new Error('The stream did not end')));
+  });
+  
+  assert.match(body, /event: done\ndata: .*"status":"completed"/);
+});
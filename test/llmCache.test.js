@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const LlmCache = require('../models/LlmCache');
+const providers = require('../providers');
+const { getAIAnalysis } = require('../services/analysis');
+const llmCache = require('../services/llmCache');
+
+const request = {
+  provider: 'openai',
+  model: 'gpt-4o-mini',
+  promptVersion: 'v1',
+  temperature: 0.7,
+  maxTokens: 2000,
+  messages: [{ role: 'user', content: 'Tool Name: Foo Writer' }]
+};
+
+// Pretends Mongo is connected and serves `entry` from the cache collection
+function stubEntry(t, entry) {
+  mongoose.connection.readyState = 1;
+  t.after(() => {
+    mongoose.connection.readyState = 0;
+  });
+  t.mock.method(LlmCache, 'findOneAndUpdate', () => ({ lean: async () => entry }));
+}
+
+test('every input of the request is part of the cache key', () => {
+  const key = llmCache.cacheKey(request);
+  
+  assert.match(key, /^[0-9a-f]{64}$/);
+  assert.strictEqual(llmCache.cacheKey({ ...request }), key);
+  for (const change of [
+    { provider: 'deepseek' },
+    { model: 'gpt-4o' },
+    { promptVersion: 'v2' },
+    { temperature: 0 },
+    { maxTokens: 1000 },
+    { messages: [{ role: 'user', content: 'Tool Name: Foo Writer 2' }] }
+  ]) {
+    assert.notStrictEqual(llmCache.cacheKey({ ...request, ...change }), key, JSON.stringify(change));
+  }
+});
+
+test('a cached analysis that passes the schema is a hit', async t => {
+  const analysis = await getAIAnalysis('Foo Writer', 'https://foo.ai', providers.getProvider('mock'), {
+    template: { name: 'tool-analysis', version: 'test', system: 'JSON only.', user: '{{toolName}} {{appUrl}}' },
+    taxonomyMode: 'off'
+  });
+  stubEntry(t, { key: 'k', analysis: analysis });
+  
+  assert.deepStrictEqual(await llmCache.getCachedAnalysis('k'), analysis);
+});
+
+test('cached entries that fail the current schema are ignored', async t => {
+  stubEntry(t, { key: 'k', analysis: { name: 'Foo Writer' } });
+  
+  assert.strictEqual(await llmCache.getCachedAnalysis('k'), null);
+});
+
+test('the cache is skipped while Mongo is not connected', async t => {
+  const lookup = t.mock.method(LlmCache, 'findOneAndUpdate');
+  
+  assert.strictEqual(await llmCache.getCachedAnalysis('k'), null);
+  assert.strictEqual(lookup.mock.callCount(), 0);
+});
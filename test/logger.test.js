@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { Writable } = require('stream');
+const logger = require('../services/logger');
+
+function captureLogs(fn) {
+  const lines = [];
+  logger.setLogStream(new Writable({
+    write(chunk, encoding, callback) {
+      lines.push(chunk.toString());
+      callback();
+    }
+  }));
+  try {
+    fn();
+  } finally {
+    logger.setLogStream(process.stdout);
+  }
+  return lines;
+}
+
+test('secrets set after the logger was required are redacted', () => {
+  process.env.LATE_LOADED_API_KEY = 'late-secret-value-1234';
+  try {
+    const result = logger.redact({ note: 'called with late-secret-value-1234', nested: ['late-secret-value-1234'] });
+    assert.strictEqual(result.note, 'called with [REDACTED]');
+    assert.deepStrictEqual(result.nested, ['[REDACTED]']);
+  } finally {
+    delete process.env.LATE_LOADED_API_KEY;
+  }
+  assert.strictEqual(logger.redact('late-secret-value-1234'), 'late-secret-value-1234');
+});
+
+test('secret field names and errors are masked', () => {
+  process.env.LATE_LOADED_TOKEN = 'token-value-abcdefgh';
+  try {
+    const result = logger.redact({ api_key: 'anything', error: new Error('failed with token-value-abcdefgh') });
+    assert.strictEqual(result.api_key, '[REDACTED]');
+    assert.strictEqual(result.error.message, 'failed with [REDACTED]');
+  } finally {
+    delete process.env.LATE_LOADED_TOKEN;
+  }
+});
+
+test('LOG_LEVEL and LOG_FORMAT are read when a line is written', () => {
+  const previousLevel = process.env.LOG_LEVEL;
+  const previousFormat = process.env.LOG_FORMAT;
+  try {
+    process.env.LOG_LEVEL = 'error';
+    assert.deepStrictEqual(captureLogs(() => logger.info('hidden')), []);
+    
+    process.env.LOG_LEVEL = 'debug';
+    process.env.LOG_FORMAT = 'pretty';
+    const lines = captureLogs(() => logger.debug('shown', { id: 1 }));
+    assert.strictEqual(lines.length, 1);
+    assert.match(lines[0], /DEBUG shown \{"id":1\}/);
+  } finally {
+    process.env.LOG_LEVEL = previousLevel;
+    if (previousFormat === undefined) {
+      delete process.env.LOG_FORMAT;
+    } else {
+      process.env.LOG_FORMAT = previousFormat;
+    }
+  }
+});
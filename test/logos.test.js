@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const express = require('express');
+const { validateImage } = require('../services/logos');
+const { setLogoHeaders } = require('../services/logoStorage');
+
+const svg = body => Buffer.from(`<svg xmlns="http://www.w3.org/2000/svg" width="64" height="64">${body}</svg>`);
+
+test('plain SVG logos are accepted', () => {
+  const image = validateImage(svg('<path d="M0 0h64v64H0z" fill="#000"/><use xlink:href="#a"/>'), 'image/svg+xml');
+  assert.strictEqual(image.ext, 'svg');
+  assert.strictEqual(image.width, 64);
+});
+
+test('scriptable SVGs are rejected', () => {
+  const payloads = [
+    '<script>alert(1)</script>',
+    '<rect onload="alert(1)"/>',
+    '<svg/onload=alert(1)>',
+    '<a href="javascript:alert(1)">x</a>',
+    '<a href="&#106;avascript:alert(1)">x</a>',
+    '<a xlink:href="data:text/html,x">x</a>',
+    '<image href="https://evil.example/track.png"/>',
+    '<foreignObject><iframe src="x"></iframe></foreignObject>'
+  ];
+  for (const payload of payloads) {
+    assert.throws(() => validateImage(svg(payload), 'image/svg+xml'), error => error.logoRejected, payload);
+  }
+});
+
+test('served logos carry a CSP that blocks scripts and nosniff', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'logos-'));
+  fs.writeFileSync(path.join(dir, 'logo.svg'), svg(''));
+  
+  const app = express();
+  app.use('/logos', express.static(dir, { setHeaders: setLogoHeaders }));
+  const server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  
+  try {
+    const response = await new Promise((resolve, reject) => {
+      http.get(`http://127.0.0.1:${server.address().port}/logos/logo.svg`, res => {
+        res.resume();
+        res.on('end', () => resolve(res));
+      }).on('error', reject);
+    });
+    assert.strictEqual(response.statusCode, 200);
+    assert.match(response.headers['content-security-policy'], /default-src 'none'/);
+    assert.match(response.headers['content-security-policy'], /sandbox/);
+    assert.strictEqual(response.headers['x-content-type-options'], 'nosniff');
+  } finally {
+    server.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const PromptTemplate = require('../models/PromptTemplate');
+const promptTemplates = require('../services/promptTemplates');
+
+const draft = {
+  name: 'tool-analysis',
+  version: 'v-test',
+  system: 'Return JSON only.',
+  user: 'Tool Name: {{toolName}}'
+};
+
+// No versions stored in Mongo, only the file templates
+function stubStored(t) {
+  t.mock.method(PromptTemplate, 'find', () => ({
+    sort: () => ({ lean: async () => [] })
+  }));
+}
+
+test('an unknown template or version is flagged as not found', async t => {
+  stubStored(t);
+  
+  await assert.rejects(promptTemplates.getTemplate('no-such-template'), error => error.code === 'UNKNOWN_TEMPLATE');
+  await assert.rejects(promptTemplates.getTemplate('tool-analysis', 'no-such-version'), error => error.code === 'UNKNOWN_TEMPLATE');
+});
+
+test('a version stored concurrently by another request is a conflict', async t => {
+  stubStored(t);
+  t.mock.method(PromptTemplate, 'create', async () => {
+    const error = new Error('E11000 duplicate key error');
+    error.code = 11000;
+    throw error;
+  });
+  const updateMany = t.mock.method(PromptTemplate, 'updateMany', async () => null);
+  
+  await assert.rejects(promptTemplates.createTemplate({ ...draft, default: true }), error => error.statusCode === 409);
+  // The current default is left alone when nothing was stored
+  assert.strictEqual(updateMany.mock.callCount(), 0);
+});
@@ -0,0 +1,109 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { mock } = require('node:test');
+const RAW_STATUS = require('../models/rawStatus');
+const db = require('../db');
+const processor = require('../services/processor');
+
+// Just enough of a Mongo collection for the queue's filters: equality (null
+// also matches a missing field), $lt/$lte/$in, $or and $and
+function matches(doc, filter) {
+  return Object.entries(filter).every(([key, condition]) => {
+    if (key === '$or') {
+      return condition.some(part => matches(doc, part));
+    }
+    if (key === '$and') {
+      return condition.every(part => matches(doc, part));
+    }
+    const value = doc[key];
+    if (condition === null) {
+      return value === undefined || value === null;
+    }
+    if (condition instanceof Date || typeof condition !== 'object') {
+      return String(value) === String(condition);
+    }
+    if ('$lt' in condition) {
+      return value !== undefined && value !== null && value < condition.$lt;
+    }
+    if ('$lte' in condition) {
+      return value !== undefined && value !== null && value <= condition.$lte;
+    }
+    return condition.$in.includes(value);
+  });
+}
+
+function applyUpdate(doc, update) {
+  Object.assign(doc, update.$set || {});
+  Object.keys(update.$unset || {}).forEach(key => delete doc[key]);
+}
+
+let items = [];
+const collection = {
+  findOneAndUpdate: async (filter, update) => {
+    const doc = items.filter(item => matches(item, filter)).sort((a, b) => a._id - b._id)[0];
+    if (!doc) {
+      return null;
+    }
+    applyUpdate(doc, update);
+    return { ...doc };
+  },
+  updateOne: async (filter, update) => {
+    const doc = items.find(item => matches(item, filter));
+    if (doc) {
+      applyUpdate(doc, update);
+    }
+  },
+  countDocuments: async filter => items.filter(item => matches(item, filter)).length
+};
+
+// services/queue.js keeps its own references, so stub before requiring it.
+// Processing an item just records which worker held it and marks it done.
+const handled = [];
+mock.method(db, 'getRawCollection', () => collection);
+mock.method(processor, 'processRawDataItem', async item => {
+  const stored = items.find(entry => entry._id === item._id);
+  handled.push({ id: item._id, lease_owner: stored.lease_owner });
+  stored.status = RAW_STATUS.PROCESSED;
+  return { success: true, duplicate: true };
+});
+
+const queue = require('../services/queue');
+
+const past = () => new Date(Date.now() - 60 * 1000);
+const future = () => new Date(Date.now() + 60 * 1000);
+
+test.beforeEach(() => {
+  handled.length = 0;
+  items = [
+    // Leased by a worker that died: its lease ran out, so it is taken over
+    { _id: 1, status: RAW_STATUS.PENDING, lease_owner: 'dead-worker', lease_expires_at: past() },
+    // Leased by a live worker: left alone
+    { _id: 2, status: RAW_STATUS.PENDING, lease_owner: 'live-worker', lease_expires_at: future() },
+    { _id: 3, status: RAW_STATUS.PENDING }
+  ];
+});
+
+test('expired leases are reclaimed and live ones are skipped', async () => {
+  assert.strictEqual(await queue.countPending(), 2);
+  
+  const result = await queue.runQueue({ concurrency: 1 });
+  
+  assert.strictEqual(result.claimed, 2);
+  assert.deepStrictEqual(handled.map(entry => entry.id), [1, 3]);
+  assert.ok(handled.every(entry => entry.lease_owner.startsWith(queue.INSTANCE_ID)));
+  // Released once done; the live worker's lease is untouched
+  assert.strictEqual(items[0].lease_owner, undefined);
+  assert.strictEqual(items[1].lease_owner, 'live-worker');
+  assert.strictEqual(items[1].status, RAW_STATUS.PENDING);
+});
+
+test('an item leased by another worker cannot be processed on its own', async () => {
+  assert.strictEqual(await queue.processQueuedItem(2), null);
+  assert.strictEqual(handled.length, 0);
+  
+  items[1].lease_expires_at = past();
+  const result = await queue.processQueuedItem(2);
+  
+  assert.strictEqual(result.success, true);
+  assert.strictEqual(handled[0].lease_owner, `${queue.INSTANCE_ID}#item-2`);
+});
@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { mock } = require('node:test');
+const db = require('../db');
+const Tool = require('../models/Tool');
+const SourceProfile = require('../models/SourceProfile');
+
+// services/rawImport.js keeps its own reference, so stub before requiring it.
+// No raw item exists yet; inserting is refused so every test stays a dry run.
+mock.method(db, 'getRawCollection', () => ({
+  find: () => ({ toArray: async () => [] }),
+  insertMany: async () => {
+    throw new Error('A dry run must not insert');
+  }
+}));
+
+const { detectFormat, parseRows, importRawData } = require('../services/rawImport');
+
+// Only the file profiles, and one tool that already exists
+function stubLookups(t) {
+  t.mock.method(SourceProfile, 'find', async () => []);
+  t.mock.method(Tool, 'find', () => ({
+    lean: async () => [{ slug: 'foo-writer', website_key: 'foo.ai', name_key: 'foo writer' }]
+  }));
+}
+
+test('the format comes from the parameter, the content type or the file name', () => {
+  assert.strictEqual(detectFormat({ contentType: 'text/csv; charset=utf-8' }), 'csv');
+  assert.strictEqual(detectFormat({ contentType: 'application/x-ndjson' }), 'ndjson');
+  assert.strictEqual(detectFormat({ fileName: 'tools.jsonl' }), 'ndjson');
+  assert.throws(() => detectFormat({ format: 'xml' }), error => error.statusCode === 400);
+  assert.throws(() => detectFormat({ fileName: 'tools.txt' }), error => error.statusCode === 400);
+});
+
+test('malformed CSV and JSON fail the whole import, a bad NDJSON line only its row', () => {
+  assert.throws(() => parseRows('name,url\n"Foo,https://foo.ai\n', 'csv'), error => error.statusCode === 400);
+  assert.throws(() => parseRows('{"name": "Foo"}', 'json'), error => error.statusCode === 400);
+  
+  const rows = parseRows('{"name": "Foo"}\n{oops\n', 'ndjson');
+  assert.strictEqual(rows.length, 2);
+  assert.match(rows[1].error, /Invalid JSON/);
+});
+
+test('CSV rows are validated, normalized and deduplicated', async t => {
+  stubLookups(t);
+  const csv = [
+    'name,url',
+    'Bar Images,https://www.bar.io/',
+    ',https://nameless.ai',
+    'Broken,http://',
+    'Bar Images Again,https://bar.io',
+    'Foo Writer,https://foo.ai'
+  ].join('\n');
+  
+  const result = await importRawData(csv, { format: 'csv', dryRun: true });
+  
+  assert.strictEqual(result.import_id, null);
+  assert.deepStrictEqual(result.rows.map(row => row.status), ['accepted', 'rejected', 'rejected', 'duplicate', 'duplicate']);
+  assert.match(result.rows[1].reason, /Missing required fields: name/);
+  assert.match(result.rows[2].reason, /Invalid website URL/);
+  assert.match(result.rows[3].reason, /Same tool as row 1/);
+  assert.match(result.rows[4].reason, /Already exists as tool foo-writer/);
+  assert.deepStrictEqual([result.accepted, result.rejected, result.duplicates], [1, 2, 2]);
+});
+
+test('an unknown source profile is refused', async t => {
+  stubLookups(t);
+  
+  await assert.rejects(importRawData('name\nFoo\n', { format: 'csv', source: 'nope' }), error => error.statusCode === 400);
+});
@@ -0,0 +1,129 @@
+process.env.SITE_FETCH_ENABLED = 'false';
+process.env.TAXONOMY_MODE = 'off';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const Tool = require('../models/Tool');
+const RefreshReport = require('../models/RefreshReport');
+const { TOOL_STATUS } = require('../models/toolStatus');
+const providers = require('../providers');
+const promptTemplates = require('../services/promptTemplates');
+const revisions = require('../services/revisions');
+const webhooks = require('../services/webhooks');
+const refresh = require('../services/refresh');
+
+const template = {
+  name: 'tool-analysis',
+  version: 'test',
+  system: 'Return JSON only.',
+  user: 'Tool Name: {{toolName}}\nApp URL: {{appUrl}}',
+  temperature: 0,
+  max_tokens: 500
+};
+
+// Stubs everything runRefresh would read from or write to Mongo
+function stubRefresh(t, tool, provider) {
+  t.mock.method(Tool, 'find', () => ({
+    sort() {
+      return this;
+    },
+    limit: async () => [tool]
+  }));
+  t.mock.method(tool, 'save', async () => tool);
+  t.mock.method(promptTemplates, 'getTemplate', async () => template);
+  t.mock.method(providers, 'getProvider', () => provider);
+  t.mock.method(RefreshReport.prototype, 'save', async function() {
+    return this;
+  });
+  t.mock.method(revisions, 'recordRevision', async () => null);
+  t.mock.method(webhooks, 'emitEvent', async () => null);
+}
+
+function publishedTool() {
+  return new Tool({
+    name: 'Foo Writer',
+    slug: 'foo-writer',
+    website: 'https://foo.ai',
+    tagline: 'An old tagline',
+    status: TOOL_STATUS.PUBLISHED
+  });
+}
+
+test('fields must be a list', () => {
+  for (const fields of [5, { tagline: true }, true]) {
+    assert.throws(() => refresh.resolveOptions({ fields: fields }), error => error.statusCode === 400);
+  }
+  assert.deepStrictEqual(refresh.resolveOptions(refresh.getRefreshOptions({ fields: 'tagline, features' })).fields, ['tagline', 'features']);
+});
+
+test('a dry run never calls the provider', async t => {
+  const tool = publishedTool();
+  const provider = providers.createMockProvider({
+    name: 'forbidden',
+    handler: () => {
+      throw new Error('The provider must not be called');
+    }
+  });
+  stubRefresh(t, tool, provider);
+  
+  const report = await refresh.runRefresh({ dryRun: true, fields: ['tagline'] });
+  
+  assert.strictEqual(report.skipped, 1);
+  assert.strictEqual(report.tools[0].outcome, 'skipped');
+  assert.strictEqual(tool.save.mock.callCount(), 0);
+  assert.strictEqual(tool.tagline, 'An old tagline');
+});
+
+test('a refresh that rewrites a published tool sends it back to review', async t => {
+  const tool = publishedTool();
+  stubRefresh(t, tool, providers.getProvider('mock'));
+  
+  const report = await refresh.runRefresh({ fields: ['tagline'] });
+  
+  assert.strictEqual(report.updated, 1);
+  assert.strictEqual(report.tools[0].status, 'in_review');
+  assert.strictEqual(tool.status, TOOL_STATUS.IN_REVIEW);
+  assert.strictEqual(tool.status_history[0].by, 'refresh');
+  assert.notStrictEqual(tool.tagline, 'An old tagline');
+});
+
+test('a failed refresh backs the tool off instead of picking it again next run', async t => {
+  const tool = publishedTool();
+  stubRefresh(t, tool, providers.getProvider('mock'));
+  tool.save.mock.mockImplementation(async () => {
+    throw new Error('write conflict');
+  });
+  const updates = [];
+  t.mock.method(Tool, 'updateOne', async (filter, update) => {
+    updates.push(update.$set);
+  });
+  
+  const report = await refresh.runRefresh({ fields: ['tagline'] });
+  
+  assert.strictEqual(report.failed, 1);
+  assert.strictEqual(updates.length, 1);
+  assert.strictEqual(updates[0].refresh_failures, 1);
+  assert.ok(updates[0].refresh_retry_at > new Date());
+  
+  const filter = Tool.find.mock.calls[0].arguments[0];
+  assert.deepStrictEqual(filter.$and[1].$or[0], { refresh_retry_at: null });
+});
+
+test('only one refresh runs at a time', async t => {
+  t.mock.method(Tool, 'find', () => ({
+    sort() {
+      return this;
+    },
+    limit: () => new Promise(() => {})
+  }));
+  t.mock.method(promptTemplates, 'getTemplate', async () => template);
+  const provider = providers.getProvider('mock');
+  t.mock.method(providers, 'getProvider', () => provider);
+  
+  // Stays on the stale-tool lookup for the rest of the test
+  refresh.runRefresh({});
+  
+  await assert.rejects(refresh.runRefresh({}), error => error.statusCode === 409);
+  assert.throws(() => refresh.claimRun(), error => error.statusCode === 409);
+  refresh.releaseRun();
+});
@@ -0,0 +1,17 @@
+const test = require('node:test');
+const assert = require('node:assert');
+// Loaded first so retryPolicy is required from inside the analysis require cycle
+const { AnalysisValidationError } = require('../services/analysis');
+const { classifyError, isRetryable, ERROR_TYPES } = require('../services/retryPolicy');
+
+test('invalid model output is classified, not retried', () => {
+  const error = new AnalysisValidationError('bad output', { errors: [], rawContent: '', attempts: 2 });
+  
+  assert.strictEqual(classifyError(error), ERROR_TYPES.INVALID_OUTPUT);
+  assert.strictEqual(isRetryable(ERROR_TYPES.INVALID_OUTPUT), false);
+});
+
+test('rate limits and transient errors are told apart', () => {
+  assert.strictEqual(classifyError(Object.assign(new Error('slow down'), { status: 429 })), ERROR_TYPES.RATE_LIMIT);
+  assert.strictEqual(classifyError(Object.assign(new Error('reset'), { code: 'ECONNRESET' })), ERROR_TYPES.TRANSIENT);
+});
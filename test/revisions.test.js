@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const Tool = require('../models/Tool');
+const ToolRevision = require('../models/ToolRevision');
+const revisions = require('../services/revisions');
+
+function fooWriter() {
+  return new Tool({
+    name: 'Foo Writer',
+    slug: 'foo-writer',
+    website: 'https://foo.ai',
+    tagline: 'Writes for you',
+    categories: ['Writing', 'Marketing']
+  });
+}
+
+// Revisions written so far, numbered like the unique (tool_id, revision) index
+function stubRevisions(t, stored = []) {
+  t.mock.method(ToolRevision, 'exists', async () => stored.length > 0);
+  t.mock.method(ToolRevision, 'findOne', filter => {
+    if (filter.revision !== undefined) {
+      return Promise.resolve(stored.find(entry => entry.revision === filter.revision) || null);
+    }
+    return { sort: async () => stored[stored.length - 1] || null };
+  });
+  t.mock.method(ToolRevision, 'create', async doc => {
+    stored.push(doc);
+    return doc;
+  });
+  return stored;
+}
+
+test('diffs list changed fields only, with added and removed list entries', () => {
+  const before = revisions.snapshotOf(fooWriter());
+  const after = { ...before, tagline: 'Writes better', categories: ['Writing', 'SEO'] };
+  
+  const changes = revisions.diffSnapshots(before, after);
+  
+  assert.deepStrictEqual(changes.map(change => change.field), ['tagline', 'categories']);
+  assert.deepStrictEqual(changes[1].added, ['SEO']);
+  assert.deepStrictEqual(changes[1].removed, ['Marketing']);
+  assert.ok(revisions.diffSnapshots(null, after).some(change => change.field === 'name' && change.before === null));
+});
+
+test('the first change to a tool without history stores a baseline first', async t => {
+  const stored = stubRevisions(t);
+  const tool = fooWriter();
+  const before = revisions.snapshotOf(tool);
+  tool.tagline = 'Writes better';
+  
+  const revision = await revisions.recordRevision(tool, { type: 'edit', editor: 'sam' }, { before: before });
+  
+  assert.deepStrictEqual(stored.map(entry => [entry.revision, entry.source.type]), [[1, 'baseline'], [2, 'edit']]);
+  assert.strictEqual(stored[0].snapshot.tagline, 'Writes for you');
+  assert.deepStrictEqual(revision.changed_fields, ['tagline']);
+});
+
+test('rolling back restores the content but not the slug, as a new revision', async t => {
+  const tool = fooWriter();
+  const original = revisions.snapshotOf(tool);
+  const stored = stubRevisions(t, [{ revision: 1, snapshot: original, source: { type: 'analysis' } }]);
+  t.mock.method(tool, 'save', async () => tool);
+  
+  tool.set({ slug: 'foo-writer-pro', website: 'https://foowriter.com', tagline: 'Changed', categories: ['Other'] });
+  const revision = await revisions.rollbackTool(tool, 1, { editor: 'sam' });
+  
+  assert.strictEqual(tool.slug, 'foo-writer-pro');
+  assert.strictEqual(tool.tagline, 'Writes for you');
+  assert.deepStrictEqual([...tool.categories], ['Writing', 'Marketing']);
+  assert.strictEqual(tool.website_key, 'foo.ai');
+  assert.strictEqual(revision.revision, 2);
+  assert.deepStrictEqual(revision.source, { type: 'rollback', editor: 'sam', rolled_back_to: 1 });
+  assert.strictEqual(stored.length, 2);
+  
+  assert.strictEqual(await revisions.rollbackTool(tool, 7), null);
+});
+
+test('a rollback onto a website another tool has since taken is a conflict', async t => {
+  const tool = fooWriter();
+  stubRevisions(t, [{ revision: 1, snapshot: revisions.snapshotOf(tool), source: { type: 'analysis' } }]);
+  t.mock.method(tool, 'save', async () => {
+    const error = new Error('E11000 duplicate key error');
+    error.code = 11000;
+    error.keyPattern = { website_key: 1 };
+    throw error;
+  });
+  
+  await assert.rejects(revisions.rollbackTool(tool, 1), error => error.statusCode === 409);
+});
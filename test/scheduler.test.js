@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const exportDir = fs.mkdtempSync(path.join(os.tmpdir(), 'exports-'));
+process.env.SCHEDULE_EXPORT_DIR = exportDir;
+
+const toolExport = require('../services/toolExport');
+const { PIPELINES } = require('../services/scheduler');
+
+test.after(() => fs.rmSync(exportDir, { recursive: true, force: true }));
+
+test('a failed export leaves no partial file behind', async t => {
+  t.mock.method(toolExport, 'exportTools', async (format, filter, out) => {
+    out.write('[{"name": "half');
+    throw new Error('cursor died');
+  });
+  
+  await assert.rejects(
+    PIPELINES.export.run({ format: 'json' }, { schedule: { name: 'nightly' } }),
+    /cursor died/
+  );
+  assert.deepStrictEqual(fs.readdirSync(exportDir), []);
+});
+
+test('a finished export is kept', async t => {
+  t.mock.method(toolExport, 'exportTools', async (format, filter, out) => {
+    out.write('[]');
+  });
+  
+  const result = await PIPELINES.export.run({ format: 'json' }, { schedule: { name: 'nightly' } });
+  
+  assert.strictEqual(result.bytes, 2);
+  assert.deepStrictEqual(fs.readdirSync(exportDir), [result.file]);
+});
@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const Setting = require('../models/Setting');
+const settings = require('../services/settings');
+
+function rejects(patch, pattern) {
+  assert.throws(() => settings.validateSettings(patch), error => error.statusCode === 400 && pattern.test(error.message));
+}
+
+test('valid updates pass and null resets a setting', () => {
+  settings.validateSettings({ batch_size: 5, auto_process: false, taxonomy_mode: 'constrained' });
+  settings.validateSettings({ provider: 'mock', models: { mock: 'mock-1' } });
+  settings.validateSettings({ batch_size: null });
+});
+
+test('malformed updates are refused', () => {
+  rejects(null, /object of settings/);
+  rejects({}, /object of settings/);
+  rejects([{ batch_size: 5 }], /object of settings/);
+  rejects({ batch_sise: 5 }, /Unknown setting "batch_sise"/);
+  rejects({ auto_process: 'yes' }, /true or false/);
+  rejects({ startup_delay_ms: -1 }, /whole number between/);
+  rejects({ startup_delay_ms: 1.5 }, /whole number between/);
+  rejects({ taxonomy_mode: 'strict' }, /one of: off, map, constrained/);
+  rejects({ provider: 'nope' }, /must be one of/);
+  rejects({ models: ['gpt-4o'] }, /map provider names/);
+  rejects({ models: { nope: 'x' } }, /Unknown LLM provider in models: nope/);
+  rejects({ models: { mock: ' ' } }, /models\.mock must be a model name/);
+});
+
+test('stored values that no longer validate fall back to the default', async t => {
+  t.mock.method(Setting, 'find', () => ({
+    lean: async () => [
+      { key: 'batch_size', value: 7, updated_by: 'ops' },
+      { key: 'taxonomy_mode', value: 'strict', updated_by: 'ops' }
+    ]
+  }));
+  
+  const current = await settings.loadSettings();
+  
+  assert.strictEqual(current.batch_size, 7);
+  assert.strictEqual(current.taxonomy_mode, settings.SETTINGS.taxonomy_mode.default());
+  assert.deepStrictEqual(Object.keys(settings.describeSettings().overrides), ['batch_size']);
+});
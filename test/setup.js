@@ -0,0 +1,2 @@
+// Preloaded by `npm test` (node --require): keeps test output to failures
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
@@ -0,0 +1,108 @@
+process.env.SITE_FETCH_TIMEOUT_MS = '300';
+process.env.SITE_FETCH_MAX_BYTES = '1024';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { fetchPage, getSiteContext, isPrivateAddress } = require('../services/siteContent');
+
+const PAGES = {
+  '/robots.txt': res => {
+    res.writeHead(200, { 'Content-Type': 'text/plain' });
+    res.end('User-agent: *\nDisallow: /private\n');
+  },
+  '/private': res => {
+    res.writeHead(200, { 'Content-Type': 'text/html' });
+    res.end('<p>Secret</p>');
+  },
+  '/large': res => {
+    res.writeHead(200, { 'Content-Type': 'text/plain' });
+    res.end('x'.repeat(5000));
+  },
+  // Never answers; the fetch timeout has to end it
+  '/slow': () => {},
+  '/to-metadata': res => {
+    res.writeHead(302, { Location: 'http://169.254.169.254/latest/meta-data/' });
+    res.end();
+  }
+};
+
+let server;
+let origin;
+
+test.before(async () => {
+  server = http.createServer((req, res) => {
+    const page = PAGES[req.url];
+    if (page) {
+      return page(res);
+    }
+    res.writeHead(404);
+    res.end();
+  });
+  server.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  origin = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => {
+  server.closeAllConnections();
+  server.close();
+});
+
+// The fixture server is on loopback, which the fetch guard refuses by default
+function allowLoopback(t) {
+  process.env.SITE_FETCH_ALLOWED_ADDRESSES = '127.0.0.1';
+  t.after(() => {
+    delete process.env.SITE_FETCH_ALLOWED_ADDRESSES;
+  });
+}
+
+test('pages disallowed by robots.txt are not fetched', async t => {
+  allowLoopback(t);
+  
+  const page = await fetchPage(`${origin}/private`, { cache: false });
+  
+  assert.strictEqual(page.skipped_reason, 'robots');
+  assert.strictEqual(page.text, undefined);
+});
+
+test('bodies over the size cap are cut off and flagged', async t => {
+  allowLoopback(t);
+  
+  const page = await fetchPage(`${origin}/large`, { cache: false });
+  
+  assert.strictEqual(page.truncated, true);
+  assert.strictEqual(page.text.length, 1024);
+});
+
+test('a server that never answers times out', async t => {
+  allowLoopback(t);
+  
+  const context = await getSiteContext(`${origin}/slow`, { cache: false, enabled: true, extraPaths: [] });
+  
+  assert.strictEqual(context.text, '');
+  assert.strictEqual(context.pages[0].skipped_reason, 'timeout');
+});
+
+test('private, loopback and link-local addresses are refused', async () => {
+  for (const url of [origin, `http://localhost:${server.address().port}/`, 'http://169.254.169.254/', 'http://10.0.0.1/', 'http://[::1]/', 'http://[::ffff:127.0.0.1]/']) {
+    await assert.rejects(fetchPage(url, { cache: false }), error => error.code === 'EPRIVATEADDRESS', url);
+  }
+  
+  const context = await getSiteContext('http://192.168.1.1/', { cache: false, enabled: true, extraPaths: [] });
+  assert.strictEqual(context.pages[0].skipped_reason, 'private_address');
+});
+
+test('redirects into the private network are refused', async t => {
+  allowLoopback(t);
+  
+  await assert.rejects(fetchPage(`${origin}/to-metadata`, { cache: false }), error => error.code === 'EPRIVATEADDRESS');
+});
+
+test('public addresses pass the guard', () => {
+  assert.strictEqual(isPrivateAddress('93.184.216.34'), false);
+  assert.strictEqual(isPrivateAddress('2606:2800:220:1::1'), false);
+  assert.strictEqual(isPrivateAddress('172.32.0.1'), false);
+  assert.strictEqual(isPrivateAddress('172.16.5.4'), true);
+  assert.strictEqual(isPrivateAddress('fd00::1'), true);
+});
@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const TaxonomyTerm = require('../models/TaxonomyTerm');
+const taxonomy = require('../services/taxonomy');
+
+function term(name, { synonyms = [], parent } = {}) {
+  return {
+    _id: new mongoose.Types.ObjectId(),
+    kind: 'category',
+    name: name,
+    key: taxonomy.termKey(name),
+    synonyms: synonyms,
+    synonym_keys: synonyms.map(taxonomy.termKey),
+    parent: parent ? parent._id : undefined
+  };
+}
+
+// Image Generation > Logo Design > Icon Design, plus an unrelated Writing term
+const image = term('Image Generation', { synonyms: ['Text to Image'] });
+const logo = term('Logo Design', { parent: image });
+const icon = term('Icon Design', { parent: logo });
+const writing = term('Writing', { synonyms: ['Copywriting'] });
+
+async function loadIndex(t) {
+  t.mock.method(TaxonomyTerm, 'find', () => ({
+    sort: () => ({ lean: async () => [image, logo, icon, writing] })
+  }));
+  return taxonomy.getIndex({ refresh: true });
+}
+
+test('names resolve through synonyms to the canonical term', async t => {
+  const index = await loadIndex(t);
+  
+  assert.strictEqual(taxonomy.resolveName(index, 'category', 'image generation').match, 'name');
+  const synonym = taxonomy.resolveName(index, 'category', 'text-to-image');
+  assert.strictEqual(synonym.term, image);
+  assert.strictEqual(synonym.match, 'synonym');
+  assert.strictEqual(taxonomy.resolveName(index, 'category', 'Video Editing'), null);
+  
+  const mapped = taxonomy.mapNames(index, 'category', ['Copywriting', 'Writing', 'Video Editing'], { dropUnmatched: true });
+  assert.deepStrictEqual(mapped.values, ['Writing']);
+  assert.deepStrictEqual(mapped.unmatched, ['Video Editing']);
+});
+
+test('a filter value widens to the term and everything below it', async t => {
+  const index = await loadIndex(t);
+  
+  assert.deepStrictEqual(
+    taxonomy.withDescendants(index, 'category', 'Text to Image'),
+    ['Text to Image', 'Image Generation', 'Logo Design', 'Icon Design']
+  );
+  assert.deepStrictEqual(taxonomy.withDescendants(index, 'category', 'logo design'), ['logo design', 'Logo Design', 'Icon Design']);
+  assert.deepStrictEqual(taxonomy.withDescendants(index, 'category', 'Video Editing'), ['Video Editing']);
+});
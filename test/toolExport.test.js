@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { PassThrough, Writable } = require('stream');
+const Tool = require('../models/Tool');
+const toolExport = require('../services/toolExport');
+
+// A cursor over `count` generated tools that records how far it was read
+function fakeCursor(count) {
+  const cursor = {
+    pulled: 0,
+    closed: false,
+    async close() {
+      cursor.closed = true;
+    },
+    async *[Symbol.asyncIterator]() {
+      for (let i = 0; i < count && !cursor.closed; i++) {
+        cursor.pulled++;
+        yield { slug: `tool-${i}`, name: `Tool ${i}`, description: 'x'.repeat(2000) };
+      }
+    }
+  };
+  return cursor;
+}
+
+function stubCursor(t, cursor) {
+  t.mock.method(Tool, 'find', () => ({
+    sort: () => ({ lean: () => ({ cursor: () => cursor }) })
+  }));
+}
+
+const tick = () => new Promise(resolve => setTimeout(resolve, 50));
+
+for (const format of ['json', 'ndjson', 'csv', 'bundle']) {
+  test(`${format} exports stop reading when nobody reads the output, and abort when it closes`, async t => {
+    const cursor = fakeCursor(5000);
+    stubCursor(t, cursor);
+    const out = new PassThrough({ highWaterMark: 1024 });
+    
+    const exported = toolExport.exportTools(format, {}, out);
+    await tick();
+    
+    // Backpressure holds the export back instead of buffering the catalogue
+    assert.ok(cursor.pulled < 200, `${cursor.pulled} tools were read`);
+    
+    out.destroy();
+    await assert.rejects(exported, error => error.code === 'EXPORT_ABORTED');
+    assert.strictEqual(cursor.closed, true);
+  });
+}
+
+test('a bundle export to a reader that keeps up completes', async t => {
+  stubCursor(t, fakeCursor(20));
+  let bytes = 0;
+  const out = new Writable({
+    write(chunk, encoding, callback) {
+      bytes += chunk.length;
+      callback();
+    }
+  });
+  
+  await toolExport.exportTools('bundle', {}, out);
+  
+  assert.ok(bytes > 0);
+});
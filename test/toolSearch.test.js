@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const Tool = require('../models/Tool');
+const { TOOL_STATUS } = require('../models/toolStatus');
+const taxonomy = require('../services/taxonomy');
+const { buildSearchFilter, searchTools } = require('../services/toolSearch');
+
+// Answers Tool.aggregate with `pages` in turn and records each pipeline
+function stubAggregate(t, pages) {
+  const pipelines = [];
+  t.mock.method(taxonomy, 'getIndex', async () => null);
+  t.mock.method(Tool, 'aggregate', async pipeline => {
+    pipelines.push(pipeline);
+    return pages.shift() || [];
+  });
+  return pipelines;
+}
+
+function toolDoc(i) {
+  return { _id: new mongoose.Types.ObjectId(), slug: `tool-${i}`, processed_at: new Date(Date.UTC(2026, 0, 30 - i)) };
+}
+
+test('a full page returns a cursor that resumes after its last tool', async t => {
+  const docs = [toolDoc(1), toolDoc(2), toolDoc(3)];
+  const pipelines = stubAggregate(t, [docs]);
+  
+  const first = await searchTools({ limit: '2', facets: 'false' });
+  
+  assert.deepStrictEqual(first.data.map(tool => tool.slug), ['tool-1', 'tool-2']);
+  assert.ok(first.next_cursor);
+  assert.deepStrictEqual(pipelines[0].find(stage => stage.$limit), { $limit: 3 });
+  
+  const second = await searchTools({ limit: '2', facets: 'false', cursor: first.next_cursor });
+  const keyset = pipelines[1][1].$match.$or;
+  
+  assert.strictEqual(second.next_cursor, null);
+  assert.deepStrictEqual(keyset[0], { processed_at: { $lt: docs[1].processed_at } });
+  assert.deepStrictEqual(keyset[1], { processed_at: docs[1].processed_at, _id: { $lt: docs[1]._id } });
+});
+
+test('cursors are checked against the sort', async t => {
+  stubAggregate(t, []);
+  
+  await assert.rejects(searchTools({ cursor: 'not-a-cursor' }), error => error.statusCode === 400);
+  const newest = Buffer.from(JSON.stringify({ processed_at: { $date: new Date().toISOString() }, _id: new mongoose.Types.ObjectId() })).toString('base64url');
+  await assert.rejects(searchTools({ sort: 'name', cursor: newest }), /does not match the requested sort/);
+});
+
+test('match=all requires every category, any by default', () => {
+  assert.deepStrictEqual(buildSearchFilter({ categories: 'Writing,SEO' }).categories, { $in: ['Writing', 'SEO'] });
+  assert.deepStrictEqual(buildSearchFilter({ categories: 'Writing,SEO', match: 'all' }).categories, { $all: ['Writing', 'SEO'] });
+});
+
+test('only published tools are searched unless unpublished ones are allowed', () => {
+  assert.strictEqual(buildSearchFilter({}).status, TOOL_STATUS.PUBLISHED);
+  assert.deepStrictEqual(buildSearchFilter({ status: 'published' }).status, { $in: [TOOL_STATUS.PUBLISHED] });
+  
+  for (const status of ['all', 'draft', 'published,in_review']) {
+    assert.throws(() => buildSearchFilter({ status: status }), error => error.statusCode === 403, status);
+  }
+  assert.strictEqual(buildSearchFilter({ status: 'all' }, { includeUnpublished: true }).status, undefined);
+  assert.deepStrictEqual(buildSearchFilter({ status: 'draft' }, { includeUnpublished: true }).status, { $in: [TOOL_STATUS.DRAFT] });
+});
@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const Tool = require('../models/Tool');
+const revisions = require('../services/revisions');
+const { upsertTool, generateUniqueSlug } = require('../services/toolUpsert');
+
+function duplicateKeyError(field) {
+  const error = new Error(`E11000 duplicate key error index: ${field}_1`);
+  error.code = 11000;
+  error.keyPattern = { [field]: 1 };
+  return error;
+}
+
+function stubSlugs(t, slugs) {
+  t.mock.method(Tool, 'find', () => ({
+    lean: async () => slugs.map(slug => ({ _id: slug, slug: slug }))
+  }));
+}
+
+test('a tool another worker created for the same website is updated instead', async t => {
+  const winner = new Tool({ name: 'Foo', slug: 'foo', website: 'https://foo.ai', website_key: 'foo.ai', tagline: 'Old' });
+  // Nothing matches the raw item id; the website lookup only finds the winner
+  // once its insert has landed
+  let websiteLookups = 0;
+  t.mock.method(Tool, 'findOne', async filter => {
+    const byWebsite = filter.website_key || (filter.$or && filter.$or[0].website_key);
+    return byWebsite && websiteLookups++ > 0 ? winner : null;
+  });
+  stubSlugs(t, []);
+  const saved = [];
+  t.mock.method(Tool.prototype, 'save', async function save() {
+    saved.push(this);
+    if (this !== winner) {
+      throw duplicateKeyError('website_key');
+    }
+    return this;
+  });
+  t.mock.method(revisions, 'recordRevision', async () => null);
+  
+  const result = await upsertTool({ name: 'Foo', website: 'https://www.foo.ai/', tagline: 'New' }, { originalId: 'raw-2' });
+  
+  assert.strictEqual(result.created, false);
+  assert.strictEqual(result.tool, winner);
+  assert.strictEqual(winner.tagline, 'New');
+  assert.ok(winner.original_ids.includes('raw-2'));
+  assert.strictEqual(saved.length, 2);
+});
+
+test('a slug taken since the lookup is retried with the next free one', async t => {
+  t.mock.method(Tool, 'findOne', async () => null);
+  let taken = [];
+  t.mock.method(Tool, 'find', () => ({
+    lean: async () => taken.map(slug => ({ _id: slug, slug: slug }))
+  }));
+  t.mock.method(Tool.prototype, 'save', async function save() {
+    if (this.slug === 'foo') {
+      taken = ['foo'];
+      throw duplicateKeyError('slug');
+    }
+    return this;
+  });
+  t.mock.method(revisions, 'recordRevision', async () => null);
+  
+  const result = await upsertTool({ name: 'Foo', website: 'https://foo.ai' });
+  
+  assert.strictEqual(result.created, true);
+  assert.strictEqual(result.tool.slug, 'foo-2');
+});
+
+test('reserved slugs are never given to a tool', async t => {
+  stubSlugs(t, []);
+  
+  assert.strictEqual(await generateUniqueSlug('statuses'), 'statuses-2');
+});
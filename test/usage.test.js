@@ -0,0 +1,39 @@
+process.env.LLM_DAILY_BUDGET_USD = '1';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const LlmCall = require('../models/LlmCall');
+const usage = require('../services/usage');
+
+test('models are priced by exact name, else by their longest listed prefix', () => {
+  const exact = usage.computeCost('gpt-4o', { prompt_tokens: 1000000, completion_tokens: 500000 });
+  assert.strictEqual(exact.cost_usd, 2.5 + 5);
+  assert.strictEqual(exact.total_tokens, 1500000);
+  
+  // gpt-4o-mini, not gpt-4o
+  assert.strictEqual(usage.computeCost('gpt-4o-mini-2024-07-18', { prompt_tokens: 1000000 }).cost_usd, 0.15);
+  assert.strictEqual(usage.computeCost('gpt-4-turbo-2024-04-09', { completion_tokens: 1000000 }).cost_usd, 30);
+});
+
+test('models without a price cost nothing and are flagged unpriced', () => {
+  for (const model of ['gpt-4oo', 'some-local-model', undefined]) {
+    const cost = usage.computeCost(model, { prompt_tokens: 1000, completion_tokens: 1000 });
+    assert.strictEqual(cost.cost_usd, 0, model);
+    assert.strictEqual(cost.priced, false, model);
+  }
+});
+
+test('the budget is exceeded once today\'s spend reaches the daily limit', async t => {
+  const spend = t.mock.method(LlmCall, 'aggregate', async () => [{ cost_usd: 0.4 }]);
+  
+  const under = await usage.checkBudget();
+  assert.strictEqual(under.exceeded, false);
+  assert.strictEqual(under.remaining_usd, 0.6);
+  assert.ok(spend.mock.calls[0].arguments[0][0].$match.created_at.$gte <= new Date());
+  
+  spend.mock.mockImplementation(async () => [{ cost_usd: 1 }]);
+  const reached = await usage.checkBudget();
+  assert.strictEqual(reached.exceeded, true);
+  assert.strictEqual(reached.remaining_usd, 0);
+  assert.ok(reached.resets_at > new Date());
+});
@@ -0,0 +1,148 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const mongoose = require('mongoose');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const webhooks = require('../services/webhooks');
+
+const SECRET = 'whsec_test_secret_0123456789';
+
+// The receiver answers with `reply.status` (and `reply.headers`) and keeps
+// every request it got
+const received = [];
+let reply = { status: 200, headers: {} };
+let server;
+let url;
+
+test.before(async () => {
+  server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      received.push({ headers: req.headers, body: Buffer.concat(chunks).toString('utf8') });
+      res.writeHead(reply.status, reply.headers);
+      res.end('ok');
+    });
+  });
+  server.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  url = `http://127.0.0.1:${server.address().port}/hook`;
+});
+
+test.after(() => {
+  server.closeAllConnections();
+  server.close();
+});
+
+function allowLoopback(t) {
+  process.env.WEBHOOK_ALLOWED_ADDRESSES = '127.0.0.1';
+  t.after(() => {
+    delete process.env.WEBHOOK_ALLOWED_ADDRESSES;
+  });
+}
+
+// Hands drainDeliveries a single due delivery and returns the updates it records
+function stubDelivery(t, { attempts = 0 } = {}) {
+  const delivery = {
+    _id: new mongoose.Types.ObjectId(),
+    webhook_id: new mongoose.Types.ObjectId(),
+    event: 'tool.processed',
+    event_id: 'evt-1',
+    payload: { id: 'evt-1', event: 'tool.processed', data: { slug: 'foo' } },
+    attempts: attempts
+  };
+  const webhook = { _id: delivery.webhook_id, url: url, secret: SECRET, active: true };
+  const updates = [];
+  let claimed = false;
+  
+  t.mock.method(WebhookDelivery, 'findOneAndUpdate', async () => {
+    if (claimed) {
+      return null;
+    }
+    claimed = true;
+    return delivery;
+  });
+  t.mock.method(Webhook, 'findById', () => ({ select: async () => webhook }));
+  t.mock.method(WebhookDelivery, 'updateOne', async (filter, update) => {
+    updates.push(update.$set);
+  });
+  
+  received.length = 0;
+  return updates;
+}
+
+test('deliveries are signed with the webhook secret', async t => {
+  allowLoopback(t);
+  reply = { status: 200, headers: {} };
+  const updates = stubDelivery(t);
+  
+  await webhooks.drainDeliveries();
+  
+  assert.strictEqual(received.length, 1);
+  const { headers, body } = received[0];
+  assert.strictEqual(headers['x-webhook-event'], 'tool.processed');
+  assert.strictEqual(headers['x-webhook-event-id'], 'evt-1');
+  assert.ok(webhooks.verifySignature(SECRET, headers['x-webhook-signature'], body));
+  assert.ok(!webhooks.verifySignature('whsec_another_secret_0123', headers['x-webhook-signature'], body));
+  assert.strictEqual(updates[0].status, 'delivered');
+});
+
+test('a non-2xx answer is retried with backoff, honouring Retry-After', async t => {
+  allowLoopback(t);
+  reply = { status: 503, headers: { 'Retry-After': '600' } };
+  const updates = stubDelivery(t);
+  const before = Date.now();
+  
+  await webhooks.drainDeliveries();
+  
+  assert.strictEqual(received.length, 1);
+  assert.strictEqual(updates[0].status, undefined);
+  assert.strictEqual(updates[0].attempts, 1);
+  assert.strictEqual(updates[0].last_status_code, 503);
+  assert.ok(updates[0].next_attempt_at.getTime() >= before + 600 * 1000);
+});
+
+test('the last allowed attempt marks the delivery failed', async t => {
+  allowLoopback(t);
+  reply = { status: 500, headers: {} };
+  const updates = stubDelivery(t, { attempts: 7 });
+  
+  await webhooks.drainDeliveries();
+  
+  assert.strictEqual(updates[0].status, 'failed');
+  assert.strictEqual(updates[0].next_attempt_at, undefined);
+});
+
+test('receivers on private addresses are refused', async t => {
+  const updates = stubDelivery(t);
+  
+  await webhooks.drainDeliveries();
+  
+  assert.strictEqual(received.length, 0);
+  assert.match(updates[0].last_error, /private address/);
+  await assert.rejects(
+    webhooks.createWebhook({ url: 'http://169.254.169.254/latest', events: ['*'] }),
+    error => error.statusCode === 400
+  );
+});
+
+test('a replay queues the same event again for the same webhook', async t => {
+  const original = {
+    _id: new mongoose.Types.ObjectId(),
+    webhook_id: new mongoose.Types.ObjectId(),
+    event: 'tool.updated',
+    event_id: 'evt-2',
+    payload: { id: 'evt-2', event: 'tool.updated', data: {} }
+  };
+  t.mock.method(WebhookDelivery, 'findById', async () => original);
+  t.mock.method(Webhook, 'exists', async () => ({ _id: original.webhook_id }));
+  t.mock.method(WebhookDelivery, 'create', async doc => doc);
+  
+  const replay = await webhooks.replayDelivery(original._id.toString());
+  
+  assert.strictEqual(replay.webhook_id, original.webhook_id);
+  assert.strictEqual(replay.event_id, 'evt-2');
+  assert.deepStrictEqual(replay.payload, original.payload);
+  assert.strictEqual(replay.replay_of, original._id);
+});